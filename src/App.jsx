@@ -12,17 +12,62 @@ import { BrowserRouter, Route, Routes } from 'react-router-dom';
 import EventList from './pages/EventList.jsx'; // Component for displaying a list of events.
 import EventForm from './pages/EventForm.jsx'; // Component for creating or editing an event.
 import Event from './pages/Event.jsx'; // Component for displaying details of a single event.
+import Trash from './pages/Trash.jsx'; // Component for restoring or permanently deleting deleted events.
+import Calendar from './pages/Calendar.jsx'; // Component for showing events on a month, week or day calendar.
+import ImportCalendar from './pages/ImportCalendar.jsx'; // Component for importing events from an .ics file.
+import ImportExport from './pages/ImportExport.jsx'; // Component for importing and exporting all events as CSV or JSON.
+import Tags from './pages/Tags.jsx'; // Component for renaming, merging, recolouring and deleting tags.
+import Attendees from './pages/Attendees.jsx'; // Component for checking in and exporting the people registered for an event.
+import Login from './pages/Login.jsx'; // Component for signing in.
+import NotFound from './pages/NotFound.jsx'; // Component shown for any URL that no other route matches.
+import Benchmark from './pages/Benchmark.jsx'; // Component comparing how many components re-render with each kind of context.
 
-// Import Bootstrap CSS for styling.
+// Import the URLs of Bootstrap's CSS for styling.
 // Bootstrap is a popular CSS framework that provides pre-built components and a responsive grid system.
-// This line makes all of Bootstrap's styles available throughout the app.
-import 'bootstrap/dist/css/bootstrap.min.css';
+// It has a second build for right-to-left languages, so `?url` gives the address of each file
+// instead of adding it to the page; the I18nProvider loads the one for the language's direction.
+import bootstrapCss from 'bootstrap/dist/css/bootstrap.min.css?url';
+import bootstrapRtlCss from 'bootstrap/dist/css/bootstrap.rtl.min.css?url';
 
 // Import the EventsProvider from our custom context.
 // Context in React provides a way to pass data through the component tree without having to pass props down manually at every level.
 // EventsProvider will make event-related data and functions available to any component within it.
 import { EventsProvider } from './context/EventsContext.jsx';
 
+// Import the I18nProvider, which keeps track of the language the app is shown in and
+// translates its text. It wraps everything else, so even the error screen is translated.
+import { I18nProvider } from './context/I18nContext.jsx';
+
+// Lets the user choose the language. The choice is remembered for their next visit.
+import LanguageSwitcher from './components/LanguageSwitcher.jsx';
+
+// Import the AuthProvider, which keeps track of who is signed in and what their role is.
+// It wraps the EventsProvider, which checks every change against the user's permissions.
+import { AuthProvider } from './context/AuthContext.jsx';
+
+// Guards a route: sends visitors who are not signed in to the login page, and tells
+// signed-in users without the permission that they can't open it.
+import RequireAuth from './components/RequireAuth.jsx';
+
+// Shows who is signed in, with a "Log out" button (or a "Log in" link).
+import UserMenu from './components/UserMenu.jsx';
+
+// Error boundaries show an error screen with a "Try again" button in place of the components
+// inside them if those components crash, instead of the whole app going blank, and report the error.
+// - ErrorBoundary: Guards the whole app, including the providers.
+// - RouteErrorBoundary: Guards the page, so the menu and messages above it keep working.
+import ErrorBoundary from './components/ErrorBoundary.jsx';
+import RouteErrorBoundary from './components/RouteErrorBoundary.jsx';
+
+// Shows a spinner while events load and an error message if loading or saving fails.
+import EventsStatus from './components/EventsStatus.jsx';
+
+// Lets the user choose between their version and the server's when a change could not be saved.
+import SyncConflicts from './components/SyncConflicts.jsx';
+
+// Adds the Ctrl+Z / Ctrl+Shift+Z shortcuts and the "Undo" toast after deleting an event.
+import UndoControls from './components/UndoControls.jsx';
+
 // Import layout components from 'react-bootstrap'.
 // These are Bootstrap components adapted for React, making it easy to create responsive layouts.
 // - Container: A fixed-width container for your content, providing padding and horizontal centering.
@@ -30,6 +75,9 @@ import { EventsProvider } from './context/EventsContext.jsx';
 // - Col: A column component that defines the width and behavior of a column within a row.
 import { Col, Container, Row } from 'react-bootstrap';
 
+// The Bootstrap stylesheet for each text direction, passed to the I18nProvider.
+const STYLESHEETS = { ltr: bootstrapCss, rtl: bootstrapRtlCss };
+
 // Define the main App component.
 // This is the root component of our React application. All other components are rendered within this component or its children.
 function App() {
@@ -43,46 +91,105 @@ function App() {
       <Row>
         {/* Use the Bootstrap Col component to create a column that takes up the full width of the row by default. */}
         <Col>
-          {/* Wrap the entire application with the EventsProvider. */}
-          {/* This makes the event data (like the list of events, functions to add/update/delete events) */}
-          {/* available to any component inside the App that needs it, without prop drilling. */}
-          <EventsProvider>
-            {/* BrowserRouter enables client-side routing. */}
-            {/* It uses the browser's History API to update the URL and render the corresponding component */}
-            {/* without a full page reload, which is typical for Single Page Applications (SPAs). */}
-            <BrowserRouter>
-              {/* The Routes component is a container for all our individual Route definitions. */}
-              {/* It looks through all its children Route elements and renders the first one */}
-              {/* whose 'path' matches the current URL. */}
-              <Routes>
-                {/* Define a Route for the home page ('/'). */}
-                {/* When the URL is exactly 'http://localhost:5173/' (or your app's domain), */}
-                {/* it will render the EventList component. */}
-                <Route path='/' element={<EventList />} />
-
-                {/* Define a Route for the '/events' path. */}
-                {/* When the URL is 'http://localhost:5173/events', */}
-                {/* it will also render the EventList component, showing all events. */}
-                <Route path='/events' element={<EventList />} />
-
-                {/* Define a Route for creating a new event ('/events/new'). */}
-                {/* When the URL is 'http://localhost:5173/events/new', */}
-                {/* it will render the EventForm component, likely with a form to add a new event. */}
-                <Route path='/events/new' element={<EventForm />} />
-
-                {/* Define a Route for viewing a single event ('/events/:id'). */}
-                {/* The ':id' part is a URL parameter. It's a placeholder for a dynamic value, */}
-                {/* like an event's unique ID (e.g., '/events/123' or '/events/abc-def'). */}
-                {/* The Event component will be rendered and can access this ID to fetch and display the specific event's details. */}
-                <Route path='/events/:id' element={<Event />} />
-
-                {/* Define a Route for editing an existing event ('/events/:id/edit'). */}
-                {/* This path also uses the ':id' parameter to specify which event to edit. */}
-                {/* It renders the EventForm component, which can be configured to handle editing based on the ID. */}
-                <Route path='/events/:id/edit' element={<EventForm />} />
-              </Routes>
-            </BrowserRouter>
-          </EventsProvider>
+          {/* Wrap the entire application with the I18nProvider, so every component can translate its text. */}
+          {/* It sets the page's language and direction, and loads the matching Bootstrap stylesheet. */}
+          <I18nProvider stylesheets={STYLESHEETS}>
+            {/* The language drop-down, at the top of every page. */}
+            <LanguageSwitcher />
+            {/* The outermost error boundary. It catches errors the route boundary can't, such as */}
+            {/* one in a provider. It is outside the router, so its "Go back" link reloads the page. */}
+            <ErrorBoundary name='app'>
+              {/* Wrap the entire application with the AuthProvider, so every component can ask who is signed in. */}
+              <AuthProvider>
+                {/* Wrap the entire application with the EventsProvider. */}
+                {/* This makes the event data (like the list of events, functions to add/update/delete events) */}
+                {/* available to any component inside the App that needs it, without prop drilling. */}
+                <EventsProvider>
+                  {/* Loading and error messages from the events repository, shown above every page. */}
+                  <EventsStatus />
+                  <SyncConflicts />
+                  <UndoControls />
+                  {/* BrowserRouter enables client-side routing. */}
+                  {/* It uses the browser's History API to update the URL and render the corresponding component */}
+                  {/* without a full page reload, which is typical for Single Page Applications (SPAs). */}
+                  <BrowserRouter>
+                    <UserMenu />
+                    {/* If a page crashes, only the page is replaced by an error screen. */}
+                    {/* Going to another URL clears the error. */}
+                    <RouteErrorBoundary>
+                      {/* The Routes component is a container for all our individual Route definitions. */}
+                      {/* It looks through all its children Route elements and renders the first one */}
+                      {/* whose 'path' matches the current URL. */}
+                      <Routes>
+                        {/* Define a Route for signing in ('/login'). Guarded routes send visitors here. */}
+                        <Route path='/login' element={<Login />} />
+
+                        {/* Routes that change events are wrapped in RequireAuth with the permission they need */}
+                        {/* (see 'models/user.js'). The list, the calendar and each event's page are open to everyone. */}
+
+                        {/* Define a Route for the home page ('/'). */}
+                        {/* When the URL is exactly 'http://localhost:5173/' (or your app's domain), */}
+                        {/* it will render the EventList component. */}
+                        <Route path='/' element={<EventList />} />
+
+                        {/* Define a Route for the '/events' path. */}
+                        {/* When the URL is 'http://localhost:5173/events', */}
+                        {/* it will also render the EventList component, showing all events. */}
+                        <Route path='/events' element={<EventList />} />
+
+                        {/* Define a Route for creating a new event ('/events/new'). */}
+                        {/* When the URL is 'http://localhost:5173/events/new', */}
+                        {/* it will render the EventForm component, likely with a form to add a new event. */}
+                        <Route path='/events/new' element={<RequireAuth permission='create'><EventForm /></RequireAuth>} />
+
+                        {/* Define a Route for the trash ('/events/trash'). */}
+                        {/* React Router prefers static segments like 'trash' over dynamic ones like ':id', */}
+                        {/* so this route wins over '/events/:id' even though both would match. */}
+                        <Route path='/events/trash' element={<RequireAuth permission='delete'><Trash /></RequireAuth>} />
+
+                        {/* Define a Route for the calendar ('/events/calendar'). */}
+                        {/* Like 'trash', 'calendar' is a static segment, so it wins over '/events/:id'. */}
+                        {/* The layout and date shown are in the query string, e.g. '?view=week&date=2025-10-12'. */}
+                        <Route path='/events/calendar' element={<Calendar />} />
+
+                        {/* Define a Route for managing tags ('/events/tags'), another static segment. */}
+                        <Route path='/events/tags' element={<RequireAuth permission='manageTags'><Tags /></RequireAuth>} />
+
+                        {/* Define a Route for importing events from an iCalendar (.ics) file ('/events/import-calendar'). */}
+                        <Route path='/events/import-calendar' element={<RequireAuth permission='import'><ImportCalendar /></RequireAuth>} />
+
+                        {/* Define a Route for bulk CSV/JSON import and export ('/events/import-export'). */}
+                        <Route path='/events/import-export' element={<RequireAuth permission='import'><ImportExport /></RequireAuth>} />
+
+                        {/* Define a Route for viewing a single event ('/events/:id'). */}
+                        {/* The ':id' part is a URL parameter. It's a placeholder for a dynamic value, */}
+                        {/* like an event's unique ID (e.g., '/events/123' or '/events/abc-def'). */}
+                        {/* The Event component will be rendered and can access this ID to fetch and display the specific event's details. */}
+                        <Route path='/events/:id' element={<Event />} />
+
+                        {/* Define a Route for editing an existing event ('/events/:id/edit'). */}
+                        {/* This path also uses the ':id' parameter to specify which event to edit. */}
+                        {/* It renders the EventForm component, which can be configured to handle editing based on the ID. */}
+                        <Route path='/events/:id/edit' element={<RequireAuth permission='edit'><EventForm /></RequireAuth>} />
+
+                        {/* Define a Route for an event's attendee list ('/events/:id/attendees'). */}
+                        {/* Like the edit route, it reads the event's ID from the ':id' parameter. */}
+                        <Route path='/events/:id/attendees' element={<RequireAuth permission='manageAttendees'><Attendees /></RequireAuth>} />
+
+                        {/* Define a Route for the rendering benchmark ('/benchmark'). It only uses made-up events. */}
+                        <Route path='/benchmark' element={<Benchmark />} />
+
+                        {/* Define a catch-all Route ('*') for every other URL. */}
+                        {/* It only matches when no other route does, and shows a "Page not found" message */}
+                        {/* instead of a blank page. */}
+                        <Route path='*' element={<NotFound />} />
+                      </Routes>
+                    </RouteErrorBoundary>
+                  </BrowserRouter>
+                </EventsProvider>
+              </AuthProvider>
+            </ErrorBoundary>
+          </I18nProvider>
         </Col>
       </Row>
     </Container>
@@ -0,0 +1,21 @@
+/**
+ * AuthError
+ *
+ * The error thrown (as a rejected Promise) by every auth provider when signing in or out
+ * fails, like `RepositoryError` for the repositories.
+ *
+ * Properties:
+ * - `message` (string): A human readable description of what went wrong.
+ * - `invalidCredentials` (boolean): `true` when the email address or password is wrong,
+ *   as opposed to the server being unreachable.
+ * - `cause` (Error|undefined): The original error, for debugging.
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error#custom_error_types}
+ */
+export class AuthError extends Error {
+    constructor(message, { invalidCredentials = false, cause } = {}) {
+        super(message, { cause });
+        this.name = "AuthError";
+        this.invalidCredentials = invalidCredentials;
+    }
+}
@@ -0,0 +1,69 @@
+import axios from "axios";
+import { AuthError } from "./auth-error";
+
+/**
+ * HTTP Auth Provider
+ *
+ * An auth provider that signs in against a server. It has the same methods as the local
+ * provider (`currentUser`, `login`, `logout`), so `AuthProvider` can use either one.
+ *
+ * The server is expected to keep the session in a cookie and to answer:
+ *
+ * | Method | URL             | Purpose                                             |
+ * |--------|-----------------|-----------------------------------------------------|
+ * | `GET`  | `/auth/me`      | The signed-in user, or 401 if nobody is signed in    |
+ * | `POST` | `/auth/login`   | Sign in with `{email, password}`; returns the user   |
+ * | `POST` | `/auth/logout`  | Sign out                                            |
+ *
+ * The user is `{id, name, email, role}`, where `role` is a key of `ROLES` in `models/user.js`.
+ *
+ * Key Concepts:
+ * 1. **Cookies Across Origins**: `withCredentials: true` makes the browser send the
+ *    session cookie to the API even when it runs on another port or domain.
+ *    @see {@link https://developer.mozilla.org/en-US/docs/Web/API/XMLHttpRequest/withCredentials}
+ * 2. **Never Trust the Client**: Hiding buttons in the app is only a convenience; the
+ *    server has to check the same permissions on every request.
+ *
+ * @param {Object} options
+ * @param {string} options.baseUrl - The base URL of the API, e.g. "http://localhost:3001".
+ * @param {number} [options.timeout=10000] - How long to wait for a response, in milliseconds.
+ * @returns {Object} The auth provider.
+ */
+export function createHttpAuthProvider({ baseUrl, timeout = 10000 }) {
+    const client = axios.create({ baseURL: baseUrl, timeout, withCredentials: true });
+
+    return {
+        async currentUser() {
+            try {
+                const response = await client.get("/auth/me");
+                return response.data;
+            } catch (error) {
+                // Not signed in is an expected answer, not a failure.
+                if (error.response?.status === 401) {
+                    return null;
+                }
+                throw new AuthError("Could not check who is signed in.", { cause: error });
+            }
+        },
+
+        async login(email, password) {
+            try {
+                const response = await client.post("/auth/login", { email: email.trim(), password });
+                return response.data;
+            } catch (error) {
+                if (error.response?.status === 401) {
+                    throw new AuthError("The email address or password is wrong.", { invalidCredentials: true, cause: error });
+                }
+                throw new AuthError("Could not reach the sign-in server.", { cause: error });
+            }
+        },
+
+        async logout() {
+            try {
+                await client.post("/auth/logout");
+            } catch (error) {
+                throw new AuthError("Could not sign out.", { cause: error });
+            }
+        },
+    };
+}
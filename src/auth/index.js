@@ -0,0 +1,33 @@
+import { config } from "../config";
+import { createHttpAuthProvider } from "./http-auth-provider";
+import { createLocalAuthProvider } from "./local-auth-provider";
+
+/**
+ * Auth Providers
+ *
+ * An "auth provider" hides how users sign in behind three methods (`currentUser`, `login`,
+ * `logout`), the same way a repository hides where events are stored. `AuthProvider` (the
+ * React component) only talks to the provider, so moving from the fake local accounts to a
+ * real server is a configuration change.
+ *
+ * @see {@link ../repositories/index.js}
+ */
+
+/**
+ * Creates the auth provider selected by the configuration.
+ *
+ * @param {Object} [settings=config] - The settings to use; defaults to `config.js`.
+ * @param {string} settings.authBackend - "local" or "http".
+ * @param {string} [settings.authApiUrl] - The API base URL for the "http" backend.
+ * @returns {Object} The auth provider.
+ */
+export function createAuthProvider(settings = config) {
+    switch (settings.authBackend) {
+        case "http":
+            return createHttpAuthProvider({ baseUrl: settings.authApiUrl });
+        case "local":
+            return createLocalAuthProvider();
+        default:
+            throw new Error(`Unknown auth backend "${settings.authBackend}". Use "local" or "http".`);
+    }
+}
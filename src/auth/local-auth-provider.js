@@ -0,0 +1,64 @@
+import { AuthError } from "./auth-error";
+
+// The made-up accounts: one per role, and a second organiser to try out ownership with.
+const DEMO_ACCOUNTS = [
+    { id: "viewer", name: "Vic Viewer", email: "viewer@example.com", role: "viewer", password: "viewer" },
+    { id: "organiser", name: "Olu Organiser", email: "organiser@example.com", role: "organiser", password: "organiser" },
+    { id: "organiser-2", name: "Oma Organiser", email: "organiser2@example.com", role: "organiser", password: "organiser" },
+    { id: "admin", name: "Ada Admin", email: "admin@example.com", role: "admin", password: "admin" },
+];
+
+/**
+ * Local (Fake) Auth Provider
+ *
+ * An auth provider for development and demos that needs no server. It knows a handful of
+ * made-up accounts, one per role, and remembers who is signed in under a localStorage key,
+ * so a reload keeps the user signed in. **It is not secure**: the passwords are in this
+ * file. Use the "http" provider (see `http-auth-provider.js`) for anything real.
+ *
+ * Every auth provider has the same methods, all returning Promises:
+ * - `currentUser()` → the signed-in user `{id, name, email, role}`, or `null`.
+ * - `login(email, password)` → the user. Rejects with an `AuthError` if the details are wrong.
+ * - `logout()` → nothing.
+ *
+ * This one also has `demoAccounts`, which the login page lists so they are easy to try.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.key="auth-session"] - The localStorage key for the session.
+ * @param {Array<Object>} [options.accounts] - The accounts, each `{id, name, email, role, password}`.
+ * @returns {Object} The auth provider.
+ */
+export function createLocalAuthProvider({ key = "auth-session", accounts = DEMO_ACCOUNTS } = {}) {
+    /**
+     * Returns an account without its password.
+     * @param {Object} account - The account.
+     * @returns {Object} The user.
+     */
+    function toUser(account) {
+        const { password: _password, ...user } = account;
+        return user;
+    }
+
+    return {
+        demoAccounts: accounts.map((account) => ({ email: account.email, password: account.password, role: account.role })),
+
+        async currentUser() {
+            const id = localStorage.getItem(key);
+            const account = accounts.find((item) => item.id === id);
+            return account ? toUser(account) : null;
+        },
+
+        async login(email, password) {
+            const account = accounts.find((item) => item.email === email.trim().toLowerCase());
+            if (!account || account.password !== password) {
+                throw new AuthError("The email address or password is wrong.", { invalidCredentials: true });
+            }
+            localStorage.setItem(key, account.id);
+            return toUser(account);
+        },
+
+        async logout() {
+            localStorage.removeItem(key);
+        },
+    };
+}
@@ -0,0 +1,112 @@
+import { useState } from "react";
+import { Button, ButtonGroup } from "react-bootstrap";
+import { useEventsDispatch } from "../context/events";
+import { useAuth } from "../context/auth";
+import { useI18n } from "../context/i18n";
+import { can } from "../models/user";
+import { CSV_MIME_TYPE } from "../utils/csv";
+import { downloadFile } from "../utils/download";
+import { JSON_MIME_TYPE, eventsToCsv, eventsToJson } from "../utils/event-transfer";
+import { ICAL_MIME_TYPE, toICalendar } from "../utils/ical";
+import TagPicker from "./TagPicker";
+
+/**
+ * BatchActions Component
+ *
+ * The bar shown above the event list while events are selected. It acts on every selected
+ * event at once: delete, duplicate, add or remove tags, and export as `.ics`, CSV or JSON.
+ *
+ * Props:
+ * - `events` (Array<Object>): The selected events. A recurring event is the whole series.
+ * - `tagSuggestions` (Array<string>): The tags in use, offered in the tag picker.
+ * - `onClear` (function): Called to clear the selection, e.g. after deleting.
+ *
+ * Each button shows how many events it will change. An organiser may only delete or
+ * retag their own events, so those counts can be lower than the number selected.
+ *
+ * Key Concepts:
+ * 1. **One Action per Batch**: Every batch is sent as a single action with the IDs of the
+ *    events (e.g. `{type: "batchRemoved", ids: ["4", "7"]}`). The reducer changes them all
+ *    in one state change, so the batch can't half happen, and one "undo" reverts it.
+ *    @see {@link ../reducers/post-reducer.js}
+ * 2. **Button Groups**: `ButtonGroup` joins related buttons, like the export formats.
+ *    @see {@link https://react-bootstrap.github.io/docs/components/button-group}
+ */
+export default function BatchActions({ events, tagSuggestions, onClear }) {
+    const { dispatch } = useEventsDispatch();
+    const { user } = useAuth();
+    const { t } = useI18n();
+
+    // The tags to add or remove.
+    const [tags, setTags] = useState([]);
+
+    const deletableIds = events.filter((event) => can(user, "delete", event)).map((event) => event.id);
+    const editableIds = events.filter((event) => can(user, "edit", event)).map((event) => event.id);
+    const ids = events.map((event) => event.id);
+
+    /**
+     * Moves the deletable events to the trash and clears the selection, since they are
+     * no longer listed.
+     */
+    function handleDelete() {
+        dispatch({ type: "batchRemoved", ids: deletableIds });
+        onClear();
+    }
+
+    /**
+     * Adds or removes the chosen tags on the events the user may edit.
+     * @param {"add"|"remove"} change - What to do with the tags.
+     */
+    function handleRetag(change) {
+        dispatch({ type: "batchRetagged", ids: editableIds, [change]: tags });
+        setTags([]);
+    }
+
+    return (
+        <div className="border rounded bg-light p-2 mb-3" role="region" aria-label={t("batch.region")}>
+            <strong>{t("batch.selected", { count: events.length })}</strong>
+            &nbsp;&nbsp;
+            <Button size="sm" variant="link" className="p-0 align-baseline" onClick={onClear}>{t("batch.clear")}</Button>
+
+            <div className="d-flex flex-wrap gap-2 mt-2 align-items-start">
+                {can(user, "delete") && (
+                    <Button size="sm" variant="outline-danger" disabled={deletableIds.length === 0} onClick={handleDelete}>
+                        {t("batch.delete", { count: deletableIds.length })}
+                    </Button>
+                )}
+                {can(user, "create") && (
+                    <Button size="sm" variant="outline-secondary" onClick={() => dispatch({ type: "batchDuplicated", ids })}>
+                        {t("batch.duplicate", { count: ids.length })}
+                    </Button>
+                )}
+                {/* Exporting doesn't change anything, so anyone may do it. */}
+                <ButtonGroup size="sm" aria-label={t("batch.exportLabel")}>
+                    <Button variant="outline-primary" onClick={() => downloadFile("selected-events.ics", toICalendar(events), ICAL_MIME_TYPE)}>
+                        {t("batch.exportIcs")}
+                    </Button>
+                    <Button variant="outline-primary" onClick={() => downloadFile("selected-events.csv", eventsToCsv(events), CSV_MIME_TYPE)}>
+                        CSV
+                    </Button>
+                    <Button variant="outline-primary" onClick={() => downloadFile("selected-events.json", eventsToJson(events), JSON_MIME_TYPE)}>
+                        JSON
+                    </Button>
+                </ButtonGroup>
+            </div>
+
+            {can(user, "edit") && (
+                <div className="mt-2">
+                    <label htmlFor="batch-tags" className="form-label small mb-1">{t("batch.tagsFor", { count: editableIds.length })}</label>
+                    <TagPicker id="batch-tags" value={tags} onChange={setTags} suggestions={tagSuggestions} />
+                    <div className="d-flex gap-2 mt-1">
+                        <Button size="sm" variant="outline-secondary" disabled={tags.length === 0 || editableIds.length === 0} onClick={() => handleRetag("add")}>
+                            {t("batch.addTags")}
+                        </Button>
+                        <Button size="sm" variant="outline-secondary" disabled={tags.length === 0 || editableIds.length === 0} onClick={() => handleRetag("remove")}>
+                            {t("batch.removeTags")}
+                        </Button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,77 @@
+import { Component } from "react";
+import { ErrorReporterContext } from "../context/error-reporting";
+import ErrorScreen from "./ErrorScreen";
+
+/**
+ * ErrorBoundary Component
+ *
+ * Catches errors thrown while rendering the components inside it and shows an error
+ * screen with a "Try again" button in their place, instead of the whole app going blank.
+ * Each error is passed to the error reporter (see `reporting/index.js`).
+ *
+ * Props:
+ * - `name` (string): Where the boundary is, e.g. "route". Sent with the report as `source`.
+ * - `resetKey` (any, optional): When it changes, the error is cleared and the children are
+ *   rendered again. `RouteErrorBoundary` passes the URL, so going to another page recovers.
+ * - `children` (ReactNode): The components to guard.
+ *
+ * Error boundaries only catch errors during rendering, in lifecycle methods and in effects.
+ * Errors in event handlers and in Promises don't stop React from rendering, so they are
+ * handled where they happen (for example `error` in `EventsContext`).
+ *
+ * Key Concepts:
+ * 1. **Error Boundaries are Classes**: There is no hook for catching render errors yet,
+ *    so this is the one class component in the app. `getDerivedStateFromError` switches to
+ *    the error screen and `componentDidCatch` reports the error.
+ *    @see {@link https://react.dev/reference/react/Component#catching-rendering-errors-with-an-error-boundary}
+ * 2. **Reading Context in a Class**: `static contextType` makes the nearest
+ *    `ErrorReporterContext` value available as `this.context`.
+ *    @see {@link https://react.dev/reference/react/Component#static-contexttype}
+ * 3. **Retrying**: Clearing the error renders the children again from scratch. That helps
+ *    when the error came from something that has since changed (the data, the URL).
+ */
+export default class ErrorBoundary extends Component {
+    static contextType = ErrorReporterContext;
+
+    state = { error: null, resetKey: this.props.resetKey };
+
+    /**
+     * Switches to the error screen after a child throws.
+     * @param {Error} error - The error thrown.
+     * @returns {Object} The new state.
+     */
+    static getDerivedStateFromError(error) {
+        return { error };
+    }
+
+    /**
+     * Clears the error when `resetKey` changes.
+     * @param {Object} props - The new props.
+     * @param {Object} state - The current state.
+     * @returns {Object|null} The new state, or `null` to keep it.
+     */
+    static getDerivedStateFromProps(props, state) {
+        if (props.resetKey !== state.resetKey) {
+            return { error: null, resetKey: props.resetKey };
+        }
+        return null;
+    }
+
+    componentDidCatch(error, info) {
+        this.context.report(error, { source: this.props.name, componentStack: info.componentStack });
+    }
+
+    /**
+     * Renders the children again.
+     */
+    retry = () => {
+        this.setState({ error: null });
+    };
+
+    render() {
+        if (this.state.error) {
+            return <ErrorScreen error={this.state.error} onRetry={this.retry} />;
+        }
+        return this.props.children;
+    }
+}
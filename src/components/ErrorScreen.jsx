@@ -0,0 +1,35 @@
+import { Alert, Button } from "react-bootstrap";
+import { useI18n } from "../context/i18n";
+
+/**
+ * ErrorScreen Component
+ *
+ * What `ErrorBoundary` shows in place of a page that crashed: what went wrong, a
+ * "Try again" button and a way back to the event list.
+ *
+ * Props:
+ * - `error` (Error): The error that was thrown.
+ * - `onRetry` (function): Called when the "Try again" button is clicked.
+ *
+ * The way back is a plain `<a>`, not a router `Link`, because the boundary around the
+ * whole app is outside the `BrowserRouter`. Loading the page again also starts afresh.
+ * The `I18nProvider` is outside even that boundary, so the screen is still translated.
+ */
+export default function ErrorScreen({ error, onRetry }) {
+    const { t } = useI18n();
+
+    return (
+        <Alert variant="danger" className="mt-3" role="alert">
+            <Alert.Heading>{t("errorScreen.title")}</Alert.Heading>
+            <p>{t("errorScreen.text")}</p>
+            {/* The technical details, for a bug report. */}
+            <details className="mb-3">
+                <summary>{t("errorScreen.details")}</summary>
+                <pre className="small mb-0">{error?.message ?? String(error)}</pre>
+            </details>
+            <Button variant="outline-danger" onClick={onRetry}>{t("common.tryAgain")}</Button>
+            &nbsp;&nbsp;
+            <a href="/events">{t("common.backToEvents")}</a>
+        </Alert>
+    );
+}
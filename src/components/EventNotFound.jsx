@@ -0,0 +1,36 @@
+import { Link } from "react-router-dom";
+import { Alert, Spinner } from "react-bootstrap";
+import { useEventsSelector } from "../context/events";
+import { useI18n } from "../context/i18n";
+
+/**
+ * EventNotFound Component
+ *
+ * What the event pages (details, edit form, attendees) show when the URL names an event
+ * that does not exist. It never existed, or it has been deleted for good.
+ *
+ * While the events are still loading from the repository, the event may simply not have
+ * arrived yet, so a spinner is shown instead of the message.
+ *
+ * Props:
+ * - `id` (string): The ID from the URL.
+ */
+export default function EventNotFound({ id }) {
+    const loading = useEventsSelector((state) => state.loading);
+    const { t } = useI18n();
+
+    if (loading)
+        return (
+            <div className="mt-3 text-muted" role="status">
+                <Spinner animation="border" size="sm" /> {t("eventNotFound.loading")}
+            </div>
+        );
+
+    return (
+        <Alert variant="warning" className="mt-3">
+            <Alert.Heading>{t("eventNotFound.title")}</Alert.Heading>
+            <p>{t("eventNotFound.text", { id })}</p>
+            <Link to="/events">{t("common.backToEvents")}</Link>
+        </Alert>
+    );
+}
@@ -0,0 +1,81 @@
+import { Alert, Button, Spinner } from "react-bootstrap";
+import { useEventsDispatch, useEventsSelector } from "../context/events";
+import { useI18n } from "../context/i18n";
+
+/**
+ * EventsStatus Component
+ *
+ * This functional component shows what is happening between the app and the place the
+ * events are stored (the repository): a notice while the browser is offline, a spinner
+ * while events load, and an error message with a "Try again" button if loading fails.
+ * If the data saved in this browser could not be loaded, that is reported above the rest.
+ *
+ * It reads `loading`, `error`, `reload`, `online`, `pendingIds` and `storageProblem` from the events context, so it can be placed
+ * anywhere inside the `EventsProvider` without being passed any props.
+ *
+ * Key Concepts:
+ * 1. **Conditional Rendering**: Nothing is rendered when everything is fine, so the
+ *    component can stay on the page permanently.
+ *    @see {@link https://react.dev/learn/conditional-rendering#conditionally-returning-nothing-with-null}
+ * 2. **React-Bootstrap Feedback Components**: `Spinner` and `Alert` give consistent
+ *    loading and error styles.
+ *    @see {@link https://react-bootstrap.github.io/docs/components/alerts}
+ */
+export default function EventsStatus() {
+    const storageProblem = useEventsSelector((state) => state.storageProblem);
+    const dismissStorageProblem = useEventsSelector((state) => state.dismissStorageProblem);
+    const { t } = useI18n();
+
+    return (
+        <>
+            {/* `dismissible` adds a close button that calls `onClose`. */}
+            {storageProblem && (
+                <Alert variant="danger" className="mt-3" dismissible onClose={dismissStorageProblem}>
+                    {t("eventsStatus.storageProblem", { key: storageProblem.key, error: storageProblem.message })}
+                    {storageProblem.quarantineKey && ` ${t("eventsStatus.quarantined", { key: storageProblem.quarantineKey })}`}
+                </Alert>
+            )}
+            <ConnectionStatus />
+        </>
+    );
+}
+
+/**
+ * The offline notice, loading spinner or loading error, whichever applies.
+ * Kept separate so each state can simply `return` its own markup.
+ */
+function ConnectionStatus() {
+    const loading = useEventsSelector((state) => state.loading);
+    const error = useEventsSelector((state) => state.error);
+    const online = useEventsSelector((state) => state.online);
+    const pendingIds = useEventsSelector((state) => state.pendingIds);
+    const { reload } = useEventsDispatch();
+    const { t, translateError } = useI18n();
+
+    // While offline, changes wait in the sync queue; let the user know they are safe.
+    if (!online)
+        return (
+            <Alert variant="info" className="mt-3">
+                {t("eventsStatus.offline")}
+                {pendingIds.size > 0 && ` ${t("eventsStatus.pending", { count: pendingIds.size })}`}
+            </Alert>
+        );
+
+    if (error)
+        return (
+            <Alert variant="danger" className="mt-3">
+                {t("eventsStatus.loadFailed", { error: translateError(error) })}
+                &nbsp;&nbsp;
+                <Button size="sm" variant="outline-danger" onClick={reload}>{t("common.tryAgain")}</Button>
+            </Alert>
+        );
+
+    if (loading)
+        return (
+            <div className="mt-3 text-muted" role="status">
+                <Spinner animation="border" size="sm" /> {t("eventsStatus.loading")}
+            </div>
+        );
+
+    return null;
+}
@@ -0,0 +1,36 @@
+/**
+ * FormField Component
+ *
+ * This functional component renders a labelled form control together with its
+ * validation message. It keeps the markup for every field in a form the same,
+ * so the form itself only has to say which field goes where.
+ *
+ * Props:
+ * - `id` (string): The `id` of the control, used to connect the `<label>` to it.
+ * - `label` (string): The text of the label.
+ * - `error` (string, optional): A validation message. When present, the control is
+ *   outlined in red and the message is shown underneath it.
+ * - `children` (ReactNode): The control itself, e.g. an `<input>` or `<textarea>`.
+ *   It should have the `form-control` class and `aria-describedby={`${id}-error`}`.
+ *
+ * Key Concepts:
+ * 1. **Bootstrap Validation Styles**: Bootstrap shows `.invalid-feedback` elements
+ *    that follow a control with the `.is-invalid` class. Because the control is passed
+ *    in as `children`, we add the class on a wrapping element with `d-block` instead.
+ *    @see {@link https://getbootstrap.com/docs/5.3/forms/validation/#server-side}
+ * 2. **Accessibility**: The error message has an `id` so that the control can point to
+ *    it with `aria-describedby`; screen readers then read the message with the field.
+ *    @see {@link https://developer.mozilla.org/en-US/docs/Web/Accessibility/ARIA/Attributes/aria-describedby}
+ */
+export default function FormField({ id, label, error, children }) {
+    return (
+        <div className="mb-3">
+            <label htmlFor={id} className="form-label">{label}</label>
+            {children}
+            {/* Only render the message when there is one, so valid fields take up no extra space. */}
+            {error && (
+                <div id={`${id}-error`} className="invalid-feedback d-block">{error}</div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,33 @@
+/**
+ * Highlight Component
+ *
+ * This functional component renders a piece of text with some parts of it highlighted,
+ * for example the parts that matched a search.
+ *
+ * Props:
+ * - `text` (string): The full text to show.
+ * - `ranges` (Array<[number, number]>, optional): `[start, end]` character ranges to
+ *   highlight, sorted and not overlapping (as returned by `utils/search.js`). Without
+ *   ranges, the text is shown as it is.
+ *
+ * Key Concepts:
+ * 1. **The `<mark>` Element**: The HTML element for text highlighted because it is relevant
+ *    to what the user is doing. Bootstrap styles it with a yellow background.
+ *    @see {@link https://developer.mozilla.org/en-US/docs/Web/HTML/Element/mark}
+ * 2. **No `dangerouslySetInnerHTML`**: The text is split into plain strings and `<mark>`
+ *    elements, so whatever the user typed is always shown as text, never run as HTML.
+ *    @see {@link https://react.dev/reference/react-dom/components/common#dangerously-setting-the-inner-html}
+ */
+export default function Highlight({ text, ranges = [] }) {
+    const parts = [];
+    let position = 0;
+    for (const [start, end] of ranges) {
+        // The plain text before this match, then the match itself.
+        parts.push(text.slice(position, start));
+        parts.push(<mark key={start}>{text.slice(start, end)}</mark>);
+        position = end;
+    }
+    parts.push(text.slice(position));
+
+    return <>{parts}</>;
+}
@@ -1,22 +1,70 @@
+import { Fragment, memo, useState } from "react";
 import { Link } from "react-router-dom";
-import { useEvents } from "../context/EventsContext";
+import { Badge, Form } from "react-bootstrap";
+import { useEventsDispatch, useEventsSelector } from "../context/events";
+import { useAuth } from "../context/auth";
+import { useI18n } from "../context/i18n";
+import { formatEventDates } from "../models/event";
+import { attendanceFor } from "../models/attendee";
+import { can } from "../models/user";
+import { describeRecurrence, occurrenceUrl } from "../utils/recurrence";
+import { snippet } from "../utils/search";
 import CustomLink from "./Link";
+import Highlight from "./Highlight";
+import OccurrenceChoice from "./OccurrenceChoice";
+import TagChip from "./TagChip";
+
+// Fields that are not already visible in the list. When a search matches one of them,
+// the matching text is shown under the item so the user can see why it was found.
+const EXTRA_FIELDS = ["ancestry", "organiser", "description"];
+
+// Stands in for `matches` when the item was not found by a search.
+const NO_MATCHES = {};
+
+/**
+ * Describes how many people have registered for an event (or occurrence).
+ * @param {Object} attendees - The attendees state (see `reducers/attendee-reducer.js`).
+ * @param {Object} event - The event.
+ * @param {Function} t - The translator from `useI18n`.
+ * @returns {string} E.g. "3/10 registered" or "10/10 registered, 2 waitlisted";
+ *   empty if nobody has registered.
+ */
+function describeAttendance(attendees, event, t) {
+    const {confirmed, waitlist} = attendanceFor(attendees, event);
+    if (confirmed.length === 0) {
+        return "";
+    }
+    const registered = event.capacity === null || event.capacity === undefined
+        ? t("eventList.registered", {count: confirmed.length})
+        : t("eventList.registeredOf", {count: confirmed.length, capacity: event.capacity});
+    return waitlist.length > 0 ? `${registered}${t("common.separator")}${t("eventList.waitlisted", {count: waitlist.length})}` : registered;
+}
 
 /**
  * Item Component
  *
- * This functional component represents a single item in a list, likely an event item.
- * It displays the item's text as a clickable link, along with "Edit" and "Delete" buttons.
+ * This functional component represents a single event (or occurrence) in the events list.
+ * It displays the event's name as a clickable link, along with "Edit" and "Delete" buttons,
+ * and a line saying when and where it takes place.
  *
  * Props:
- * - `itemId` (string|number): The unique identifier for the item. Used for editing and deleting.
- * - `text` (string): The text content to display for the item's main link.
- * - `title` (string): The title attribute for the main link (useful for accessibility and tooltips).
- * - `url` (string): The URL the main link should navigate to.
+ * - `event` (Object): The event or occurrence to show. Its `id` is used for editing and
+ *   deleting, its `tags` are shown as coloured chips, and its `ownerId` decides whether
+ *   "Edit" and "Delete" are shown (see `can` in `models/user.js`). For one occurrence of a
+ *   recurring event, "Edit" opens the form for that occurrence, and "Delete" asks whether
+ *   to delete this occurrence or the whole series.
+ * - `matches` (Object, optional): The parts of each field that matched a search, from
+ *   `searchEvents` (see `utils/search.js`). They are highlighted, and matches in fields that
+ *   are not otherwise visible are shown under the link.
+ * - `syncStatus` ("pending"|"conflict", optional): Shows a badge when the item has a change
+ *   that has not been saved to the server yet, or that is in conflict.
+ * - `selected` (boolean, optional): Whether the item's checkbox is ticked.
+ * - `onSelect` (function, optional): Called with the event's ID and `true` or `false` when
+ *   the checkbox is clicked. Without it, no checkbox is shown.
  *
  * This component demonstrates several key React concepts:
- * 1. **Custom Hooks (`useEvents`)**: It uses a custom hook `useEvents` to access the `dispatch`
- *    function from the EventsContext. This is part of React's Context API, which allows
+ * 1. **Custom Hooks (`useEventsDispatch`)**: It uses a custom hook `useEventsDispatch` to access
+ *    the `dispatch` function from the events context. This is part of React's Context API, which allows
  *    components to consume context without prop drilling.
  *    @see {@link https://react.dev/learn/passing-data-deeply-with-context}
  * 2. **Routing (`Link` from `react-router-dom`)**: It uses the `Link` component from
@@ -26,32 +74,142 @@ import CustomLink from "./Link";
  *    action to the context's reducer. This is a common pattern in state management, especially
  *    with useReducer or Redux-like patterns.
  *    @see {@link https://react.dev/learn/extracting-state-logic-into-a-reducer}
+ * 4. **`memo`**: The component is wrapped in `memo`, so it only re-renders when its props
+ *    change, not every time the list does. The list passes it props that stay the same for
+ *    an unchanged event: the event object itself, its `matches`, plain values and an
+ *    `onSelect` made once with `useCallback`. The text and details are built here rather
+ *    than passed in as JSX, which would be new on every render of the list. An event that
+ *    was renamed, or whose attendees changed, re-renders its own row only.
+ *    @see {@link https://react.dev/reference/react/memo}
  */
-export default function Item(props) {
-    // Destructure the `dispatch` function from the `useEvents` custom hook.
+function Item({ event, matches = NO_MATCHES, syncStatus, selected = false, onSelect }) {
+    // Destructure the `dispatch` function from the `useEventsDispatch` custom hook.
     // `dispatch` is used to send actions to the state reducer, which will update
-    // the application's state (e.g., removing an event).
-    const { dispatch} = useEvents();
+    // the application's state (e.g., removing an event). Unlike `useEvents`, it does not
+    // re-render the item when the events change.
+    const { dispatch } = useEventsDispatch();
+    const { user } = useAuth();
+    const i18n = useI18n();
+    const { t, formatLocale } = i18n;
+
+    // How many people are coming. The selector returns a string, so registrations for
+    // other events don't re-render this item.
+    const attendance = useEventsSelector((state) => describeAttendance(state.attendees, event, t));
+
+    // Whether the "this occurrence or the whole series?" dialog is open.
+    const [choosing, setChoosing] = useState(false);
+
+    /**
+     * Deletes the item. An occurrence asks first what to delete.
+     */
+    function handleDelete() {
+        if (event.occurrence) {
+            setChoosing(true);
+        } else {
+            dispatch({type: "removed", id: event.id});
+        }
+    }
+
+    /**
+     * Deletes one occurrence, or moves the whole series to the trash.
+     * @param {"occurrence"|"series"} choice - What the user chose to delete.
+     */
+    function deleteChosen(choice) {
+        setChoosing(false);
+        if (choice === "occurrence") {
+            dispatch({type: "occurrenceRemoved", id: event.id, occurrence: event.occurrence});
+        } else {
+            dispatch({type: "removed", id: event.id});
+        }
+    }
+
+    // When and where the event takes place, how often it repeats and how many are coming,
+    // e.g. "12 Oct 2025, 18:00 – 20:00 · Town Hall · Every week on Mon · 10/10 registered, 2 waitlisted",
+    // plus any matches in fields that are not otherwise visible in the list.
+    const summary = [
+        ["when", formatEventDates(event, formatLocale)],
+        ["venue", event.venue],
+        ["recurrence", describeRecurrence(event.recurrence, i18n)],
+        ["attendance", attendance],
+    ].filter(([, text]) => text);
+    const extra = EXTRA_FIELDS.filter((field) => matches[field] && event[field]);
 
     return (
         <li>
+            {/* The checkbox for batch actions. Its label is only for screen readers. */}
+            {onSelect && (
+                <Form.Check
+                    inline
+                    className="me-1"
+                    id={`select-${event.id}-${event.occurrence ?? "series"}`}
+                    checked={selected}
+                    onChange={(e) => onSelect(event.id, e.target.checked)}
+                    aria-label={t("item.select", {name: event.name})}
+                />
+            )}
             {/* CustomLink component for the main item link.
-                It receives `url`, `title`, and `children` (props.text) as props. */}
-            <CustomLink url={props.url} title={props.title}>
-                {props.text}
+                It receives `url`, `title`, and `children` (the name, with the parts that
+                matched a search highlighted) as props. */}
+            <CustomLink url={occurrenceUrl(event)} title={event.name}>
+                <Highlight text={event.name} ranges={matches.name} />
             </CustomLink>
-            {/* Non-breaking spaces for visual separation between links. */}
-            &nbsp;&nbsp;&nbsp;
-            {/* React Router's Link component for navigation to the edit page.
-                The `to` prop specifies the destination URL, dynamically constructed
-                using the item's ID. */}
-            <Link to={`/events/${props.itemId}/edit`}>Edit</Link>
-            &nbsp;&nbsp;&nbsp;
-            {/* A standard anchor tag for the delete functionality.
-                The `href="#"` is a common placeholder for links that trigger JavaScript actions.
-                The `onClick` handler dispatches a "removed" action with the item's ID
-                to the context's reducer, which will handle the state update for deletion. */}
-            <a href="#" onClick={() => dispatch({type: "removed", id: props.itemId})}>Delete</a>
+            {event.tags?.length > 0 && (
+                <>&nbsp;{event.tags.map((tag) => <TagChip key={tag} name={tag} />)}</>
+            )}
+            {/* A small badge telling the user this item's latest change is not on the server yet. */}
+            {syncStatus === "pending" && <>&nbsp;<Badge bg="secondary">{t("item.pending")}</Badge></>}
+            {syncStatus === "conflict" && <>&nbsp;<Badge bg="warning" text="dark">{t("item.conflict")}</Badge></>}
+            {can(user, "edit", event) && (
+                <>
+                    {/* Non-breaking spaces for visual separation between links. */}
+                    &nbsp;&nbsp;&nbsp;
+                    {/* React Router's Link component for navigation to the edit page.
+                        The `to` prop specifies the destination URL, dynamically constructed
+                        using the item's ID (and occurrence, if any). */}
+                    <Link to={occurrenceUrl(event, "/edit")}>{t("common.edit")}</Link>
+                </>
+            )}
+            {can(user, "delete", event) && (
+                <>
+                    &nbsp;&nbsp;&nbsp;
+                    {/* A standard anchor tag for the delete functionality.
+                        The `href="#"` is a common placeholder for links that trigger JavaScript actions.
+                        The `onClick` handler dispatches a "removed" action with the item's ID
+                        to the context's reducer, which will handle the state update for deletion. */}
+                    <a href="#" onClick={handleDelete}>{t("common.delete")}</a>
+                </>
+            )}
+            <OccurrenceChoice
+                show={choosing}
+                title={t("common.deleteTitle", {name: event.name})}
+                date={event.occurrence}
+                onChoose={deleteChosen}
+                onCancel={() => setChoosing(false)}
+            />
+            {/* Only render the details line when there is something to show. */}
+            {(summary.length > 0 || extra.length > 0) && (
+                <div>
+                    <small className="text-muted">
+                        {summary.map(([field, text], index) => (
+                            <Fragment key={field}>
+                                {index > 0 && " · "}
+                                <Highlight text={text} ranges={matches[field]} />
+                            </Fragment>
+                        ))}
+                        {extra.map((field) => {
+                            // Long descriptions are cut down to the part around the match.
+                            const part = snippet(event[field], matches[field]);
+                            return (
+                                <span key={field} className="d-block">
+                                    {t(`fields.${field}`)}: <Highlight text={part.text} ranges={part.ranges} />
+                                </span>
+                            );
+                        })}
+                    </small>
+                </div>
+            )}
         </li>
     );
 }
+
+export default memo(Item);
@@ -0,0 +1,26 @@
+import { Form } from "react-bootstrap";
+import { useI18n } from "../context/i18n";
+import { LOCALES } from "../i18n";
+
+/**
+ * LanguageSwitcher Component
+ *
+ * A drop-down list of the languages the app is translated into. Each language is listed
+ * by its own name, so people can find theirs whatever language is shown. The choice is
+ * remembered by `I18nProvider`.
+ */
+export default function LanguageSwitcher() {
+    const { locale, setLocale, t } = useI18n();
+
+    return (
+        <div className="mt-2 d-flex justify-content-end align-items-center gap-2 small">
+            <label htmlFor="language">{t("language.label")}</label>
+            <Form.Select id="language" size="sm" className="w-auto" value={locale} onChange={(e) => setLocale(e.target.value)}>
+                {Object.entries(LOCALES).map(([value, { name }]) => (
+                    // `lang` lets screen readers pronounce each name in its own language.
+                    <option key={value} value={value} lang={value}>{name}</option>
+                ))}
+            </Form.Select>
+        </div>
+    );
+}
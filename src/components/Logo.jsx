@@ -1,4 +1,5 @@
 import logo from '/sample.png';
+import { useI18n } from "../context/i18n";
 
 /**
  * Logo Component
@@ -26,6 +27,8 @@ import logo from '/sample.png';
  *    @see {@link https://react.dev/learn/passing-props-to-a-component#specifying-a-default-value-for-a-prop}
  */
 export default function Logo(props) {
+    const { t } = useI18n();
+
     // Define a styles object for the image.
     // The `height` is fixed, while the `width` is determined by the `logoWidth` prop.
     // If `props.logoWidth` is not provided (or is falsy), it defaults to "200px".
@@ -38,7 +41,7 @@ export default function Logo(props) {
         <img 
             src={logo}          // The imported logo image.
             className="logo react" // CSS classes for styling, likely defined in a CSS file.
-            alt="React logo"    // Alt text for accessibility, describing the image.
+            alt={t("logo.alt")} // Alt text for accessibility, describing the image, in the chosen language.
             style={styles}      // Apply the inline styles defined above.
         />
     );
@@ -0,0 +1,50 @@
+import { Button, Modal } from "react-bootstrap";
+import { useI18n } from "../context/i18n";
+
+/**
+ * OccurrenceChoice Component
+ *
+ * A dialog asking whether a change to a recurring event applies to "this occurrence"
+ * only or to "the whole series", as calendar apps do.
+ *
+ * Props:
+ * - `show` (boolean): Whether the dialog is open.
+ * - `title` (string): The question, e.g. "Delete a repeating event".
+ * - `date` (string): The occurrence's date key ("YYYY-MM-DD"), shown in the first choice.
+ * - `onChoose` (function): Called with `"occurrence"` or `"series"`.
+ * - `onCancel` (function): Called when the dialog is closed without a choice.
+ *
+ * Key Concepts:
+ * 1. **React-Bootstrap Modals**: `Modal` renders into `document.body` through a portal,
+ *    traps the focus inside the dialog and closes on Escape (calling `onHide`).
+ *    @see {@link https://react-bootstrap.github.io/docs/components/modal}
+ * 2. **Lifting State Up**: The dialog does not know what the choice is for; the parent
+ *    decides whether it is open and what happens next.
+ *    @see {@link https://react.dev/learn/sharing-state-between-components}
+ */
+export default function OccurrenceChoice({ show, title, date, onChoose, onCancel }) {
+    const { t, formatDate } = useI18n();
+
+    // `T00:00` makes `Date` read the key as a local date rather than as UTC.
+    const day = date ? formatDate(new Date(`${date}T00:00`), { dateStyle: "medium" }) : "";
+
+    return (
+        <Modal show={show} onHide={onCancel} centered>
+            <Modal.Header closeButton>
+                <Modal.Title as="h2" className="h5">{title}</Modal.Title>
+            </Modal.Header>
+            <Modal.Body>
+                <p className="mb-0">{t("occurrenceChoice.question")}</p>
+            </Modal.Body>
+            <Modal.Footer>
+                <Button variant="primary" onClick={() => onChoose("occurrence")}>
+                    {day ? t("occurrenceChoice.occurrenceOn", { date: day }) : t("occurrenceChoice.occurrence")}
+                </Button>
+                <Button variant="outline-primary" onClick={() => onChoose("series")}>
+                    {t("occurrenceChoice.series")}
+                </Button>
+                <Button variant="link" onClick={onCancel}>{t("common.cancel")}</Button>
+            </Modal.Footer>
+        </Modal>
+    );
+}
@@ -0,0 +1,67 @@
+import { Fragment } from "react";
+import { Link } from "react-router-dom";
+import { Pagination } from "react-bootstrap";
+import { useI18n } from "../context/i18n";
+
+/**
+ * PageLinks Component
+ *
+ * This functional component renders numbered page links ("‹ 1 … 4 5 6 … 12 ›") for a list
+ * that is split into pages. Long ranges are shortened with "…" so the links always fit.
+ *
+ * Props:
+ * - `page` (number): The current page, starting at 1.
+ * - `pageCount` (number): How many pages there are.
+ * - `linkTo` (Function): Called with a page number; returns where the link to that page
+ *   goes (anything `Link`'s `to` accepts, e.g. `"?page=2"`).
+ *
+ * Key Concepts:
+ * 1. **Real Links**: Each page is a router `Link` rather than a button, so pages can be
+ *    opened in a new tab, bookmarked, and stepped through with the browser's Back button.
+ *    @see {@link https://reactrouter.com/en/main/components/link}
+ * 2. **React-Bootstrap `Pagination`**: Its items accept an `as` prop, which is how they
+ *    are rendered as `Link`s.
+ *    @see {@link https://react-bootstrap.github.io/docs/components/pagination}
+ * 3. **Right to Left**: In a right-to-left language the previous page is on the right, so
+ *    its arrow points right. The arrows are hidden from screen readers, which read the
+ *    translated "Previous" and "Next" instead.
+ */
+export default function PageLinks({ page, pageCount, linkTo }) {
+    const { t, dir, formatNumber } = useI18n();
+
+    // A single page needs no links.
+    if (pageCount <= 1) {
+        return null;
+    }
+
+    // Always show the first and last pages, and two pages either side of the current one.
+    const shown = [...new Set([1, page - 2, page - 1, page, page + 1, page + 2, pageCount])]
+        .filter((number) => number >= 1 && number <= pageCount)
+        .sort((a, b) => a - b);
+
+    // The current page and disabled arrows render as plain text, so they get no link.
+    const linkProps = (number, enabled) => enabled ? { as: Link, to: linkTo(number) } : {};
+
+    return (
+        <Pagination className="mt-3" aria-label={t("pageLinks.label")}>
+            <Pagination.Item {...linkProps(page - 1, page > 1)} disabled={page === 1}>
+                <span aria-hidden="true">{dir === "rtl" ? "›" : "‹"}</span>
+                <span className="visually-hidden">{t("pageLinks.previous")}</span>
+            </Pagination.Item>
+            {shown.map((number, index) => (
+                // A fragment with a `key` lets us return an ellipsis and a link together.
+                <Fragment key={number}>
+                    {/* A gap between this page and the one shown before it. */}
+                    {index > 0 && number - shown[index - 1] > 1 && <Pagination.Ellipsis disabled />}
+                    <Pagination.Item {...linkProps(number, number !== page)} active={number === page}>
+                        {formatNumber(number)}
+                    </Pagination.Item>
+                </Fragment>
+            ))}
+            <Pagination.Item {...linkProps(page + 1, page < pageCount)} disabled={page === pageCount}>
+                <span aria-hidden="true">{dir === "rtl" ? "‹" : "›"}</span>
+                <span className="visually-hidden">{t("pageLinks.next")}</span>
+            </Pagination.Item>
+        </Pagination>
+    );
+}
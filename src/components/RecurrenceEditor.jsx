@@ -0,0 +1,218 @@
+import { useState } from "react";
+import { Col, Form, Row } from "react-bootstrap";
+import { useI18n } from "../context/i18n";
+import { pickEventFields } from "../models/event";
+import { FREQUENCIES, describeRecurrence, weekdayName } from "../utils/recurrence";
+
+// The weekdays in the order they are shown, Monday first.
+const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+/**
+ * RecurrenceEditor Component
+ *
+ * The part of the event form that makes an event repeat: how often (daily, weekly on
+ * chosen days, or monthly), every how many days/weeks/months, and when the repeats end
+ * (never, on a date, or after a number of times).
+ *
+ * Props:
+ * - `value` (Object): The rule as the form holds it, with the inputs' strings:
+ *   `{frequency, interval, weekdays, until, count}`. A `frequency` of `""` means the
+ *   event does not repeat. See `utils/recurrence.js` for the stored shape.
+ * - `onChange` (function): Called with the whole new rule whenever an input changes.
+ * - `onBlur` (function): Called when an input loses focus, to mark the field as touched.
+ * - `error` (string, optional): A validation message, already translated, shown under the editor.
+ * - `start` (string): The event's start, used to pick sensible defaults.
+ *
+ * Key Concepts:
+ * 1. **Controlled Components**: Like the rest of the form, every input shows a value from
+ *    the parent's state and reports changes through `onChange`.
+ *    @see {@link https://react.dev/learn/sharing-state-between-components#controlled-and-uncontrolled-components}
+ * 2. **Local UI State**: Which "Ends" option is chosen is kept here, because an empty
+ *    end date and "never" look the same in the rule.
+ * 3. **Fieldsets**: The inputs are grouped in a `<fieldset>` with a `<legend>`, so screen
+ *    readers announce which question each one belongs to.
+ *    @see {@link https://developer.mozilla.org/en-US/docs/Web/HTML/Element/fieldset}
+ */
+export default function RecurrenceEditor({ value, onChange, onBlur, error, start }) {
+    const i18n = useI18n();
+    const { t } = i18n;
+    const [ends, setEnds] = useState(() => {
+        if (value.until) return "until";
+        if (value.count !== "") return "count";
+        return "never";
+    });
+
+    // The day of the week of the start, for the default weekly rule.
+    const startDay = start ? new Date(start).getDay() : new Date().getDay();
+
+    /**
+     * Changes one part of the rule.
+     * @param {string} part - The key to change.
+     * @param {*} partValue - Its new value.
+     */
+    function change(part, partValue) {
+        onChange({ ...value, [part]: partValue });
+    }
+
+    /**
+     * Changes the frequency. Weekly rules start on the start's day of the week.
+     * @param {string} frequency - A key of `FREQUENCIES`, or `""`.
+     */
+    function changeFrequency(frequency) {
+        const weekdays = frequency === "weekly" && value.weekdays.length === 0 ? [startDay] : value.weekdays;
+        onChange({ ...value, frequency, weekdays });
+    }
+
+    /**
+     * Ticks or un-ticks a day of the week.
+     * @param {number} day - The day, as `Date.prototype.getDay()` numbers it.
+     * @param {boolean} checked - Whether it is now ticked.
+     */
+    function toggleWeekday(day, checked) {
+        change("weekdays", checked ? [...value.weekdays, day] : value.weekdays.filter((item) => item !== day));
+    }
+
+    /**
+     * Chooses how the repeats end, clearing the values of the other options.
+     * @param {"never"|"until"|"count"} option - The option.
+     */
+    function changeEnds(option) {
+        setEnds(option);
+        onChange({ ...value, until: "", count: option === "count" ? "10" : "" });
+    }
+
+    // "day" or "days" (and so on), to follow the number typed in.
+    const unit = value.frequency && t(`recurrenceEditor.${value.frequency}`, { count: Number(value.interval) });
+    // A plain-words summary, e.g. "Every 2 weeks on Mon, Thu", once the rule is complete.
+    const rule = pickEventFields({ recurrence: value }).recurrence;
+    const summary = !error && rule ? describeRecurrence(rule, i18n) : "";
+
+    return (
+        <fieldset className="mb-3">
+            <legend className="form-label fs-6">{t("event.repeats")}</legend>
+            <Row className="g-2 align-items-center">
+                <Col xs="auto">
+                    <Form.Select
+                        id="event-recurrence"
+                        aria-label={t("recurrenceEditor.frequency")}
+                        value={value.frequency}
+                        onChange={(e) => changeFrequency(e.target.value)}
+                        onBlur={onBlur}
+                        isInvalid={Boolean(error)}
+                        aria-describedby={error ? "event-recurrence-error" : undefined}
+                    >
+                        <option value="">{t("recurrenceEditor.none")}</option>
+                        {Object.entries(FREQUENCIES).map(([frequency, label]) => (
+                            <option key={frequency} value={frequency}>{t(label)}</option>
+                        ))}
+                    </Form.Select>
+                </Col>
+                {value.frequency && (
+                    <>
+                        <Col xs="auto">
+                            <Form.Label htmlFor="event-recurrence-interval" className="mb-0">{t("recurrenceEditor.every")}</Form.Label>
+                        </Col>
+                        <Col xs="auto">
+                            <Form.Control
+                                type="number"
+                                id="event-recurrence-interval"
+                                min="1"
+                                step="1"
+                                style={{ width: "5rem" }}
+                                value={value.interval}
+                                onChange={(e) => change("interval", e.target.value)}
+                                onBlur={onBlur}
+                            />
+                        </Col>
+                        <Col xs="auto">{unit}</Col>
+                    </>
+                )}
+            </Row>
+
+            {value.frequency === "weekly" && (
+                <div className="mt-2" role="group" aria-label={t("recurrenceEditor.weekdays")}>
+                    {WEEK_ORDER.map((day) => (
+                        <Form.Check
+                            key={day}
+                            inline
+                            id={`event-recurrence-day-${day}`}
+                            label={weekdayName(day, i18n)}
+                            checked={value.weekdays.includes(day)}
+                            onChange={(e) => toggleWeekday(day, e.target.checked)}
+                            onBlur={onBlur}
+                        />
+                    ))}
+                </div>
+            )}
+
+            {value.frequency && (
+                <Row className="mt-2 g-2 align-items-center">
+                    <Col xs="auto">{t("recurrenceEditor.ends")}</Col>
+                    <Col xs="auto">
+                        <Form.Check
+                            inline
+                            type="radio"
+                            id="event-recurrence-ends-never"
+                            name="recurrence-ends"
+                            label={t("recurrenceEditor.never")}
+                            checked={ends === "never"}
+                            onChange={() => changeEnds("never")}
+                        />
+                        <Form.Check
+                            inline
+                            type="radio"
+                            id="event-recurrence-ends-until"
+                            name="recurrence-ends"
+                            label={t("recurrenceEditor.on")}
+                            checked={ends === "until"}
+                            onChange={() => changeEnds("until")}
+                        />
+                        <Form.Check
+                            inline
+                            type="radio"
+                            id="event-recurrence-ends-count"
+                            name="recurrence-ends"
+                            label={t("recurrenceEditor.after")}
+                            checked={ends === "count"}
+                            onChange={() => changeEnds("count")}
+                        />
+                    </Col>
+                    {ends === "until" && (
+                        <Col xs="auto">
+                            <Form.Control
+                                type="date"
+                                aria-label={t("recurrenceEditor.until")}
+                                min={start ? start.slice(0, 10) : undefined}
+                                value={value.until}
+                                onChange={(e) => change("until", e.target.value)}
+                                onBlur={onBlur}
+                            />
+                        </Col>
+                    )}
+                    {ends === "count" && (
+                        <>
+                            <Col xs="auto">
+                                <Form.Control
+                                    type="number"
+                                    aria-label={t("recurrenceEditor.count")}
+                                    min="1"
+                                    step="1"
+                                    style={{ width: "5rem" }}
+                                    value={value.count}
+                                    onChange={(e) => change("count", e.target.value)}
+                                    onBlur={onBlur}
+                                />
+                            </Col>
+                            <Col xs="auto">{t("recurrenceEditor.times", { count: Number(value.count) })}</Col>
+                        </>
+                    )}
+                </Row>
+            )}
+
+            {summary && <Form.Text>{summary}.</Form.Text>}
+            {error && (
+                <div id="event-recurrence-error" className="invalid-feedback d-block">{error}</div>
+            )}
+        </fieldset>
+    );
+}
@@ -0,0 +1,134 @@
+import { useState } from "react";
+import { Alert, Button } from "react-bootstrap";
+import { useEventsDispatch, useEventsSelector } from "../context/events";
+import { useI18n } from "../context/i18n";
+import { attendanceFor, normaliseEmail, pickAttendeeFields, registrationsFor, validateAttendee } from "../models/attendee";
+import FormField from "./FormField";
+
+/**
+ * RegistrationForm Component
+ *
+ * Lets a person register for an event with their name and email address. It shows how
+ * many places are left, and once the event is full, that new registrations go on the
+ * waitlist.
+ *
+ * Props:
+ * - `event` (Object): The event, or one occurrence of a recurring event.
+ *
+ * Key Concepts:
+ * 1. **Controlled Form with Validation**: Like `EventForm`, the inputs are controlled and
+ *    `validateAttendee` runs on every render; errors show once a field has been left or a
+ *    submit was attempted.
+ *    @see {@link https://react.dev/reference/react-dom/components/input#controlling-an-input-with-a-state-variable}
+ * 2. **Reading the Result from State**: After registering, the form keeps only the email
+ *    address. Whether that person got a place or is waiting (and where) is looked up in
+ *    the attendees on every render, so the message stays right if someone cancels.
+ */
+export default function RegistrationForm({ event }) {
+    const attendees = useEventsSelector((state) => state.attendees);
+    const { dispatchAttendees } = useEventsDispatch();
+    const { t } = useI18n();
+    const occurrence = event.occurrence ?? null;
+
+    const [values, setValues] = useState({ name: "", email: "" });
+    const [touched, setTouched] = useState({});
+    const [submitted, setSubmitted] = useState(false);
+
+    // The email address of the person who just registered, to show their status.
+    const [registeredEmail, setRegisteredEmail] = useState(null);
+
+    const { confirmed, waitlist } = attendanceFor(attendees, event);
+    const fields = pickAttendeeFields(values);
+    const errors = validateAttendee(fields, registrationsFor(attendees, event.id, occurrence));
+    const isValid = Object.keys(errors).length === 0;
+
+    /**
+     * Returns the error message to show for a field, if any, in the chosen language.
+     * @param {string} field - The field name.
+     * @returns {string|undefined} The message, or `undefined` if nothing should be shown yet.
+     */
+    function errorFor(field) {
+        const error = errors[field];
+        return error && (submitted || touched[field]) ? t(error.key, error.values) : undefined;
+    }
+
+    /**
+     * Builds the props shared by both inputs (see `fieldProps` in `EventForm`).
+     * @param {string} field - The field name.
+     * @returns {Object} Props to spread onto an `<input>`.
+     */
+    function fieldProps(field) {
+        const error = errorFor(field);
+        return {
+            id: `attendee-${field}`,
+            name: field,
+            value: values[field],
+            className: error ? "form-control is-invalid" : "form-control",
+            "aria-invalid": error ? true : undefined,
+            "aria-describedby": error ? `attendee-${field}-error` : undefined,
+            onChange: (e) => setValues({ ...values, [field]: e.target.value }),
+            onBlur: () => setTouched({ ...touched, [field]: true }),
+        };
+    }
+
+    /**
+     * Registers the person and clears the form for the next one.
+     * @param {SubmitEvent} e - The browser's submit event.
+     */
+    function handleSubmit(e) {
+        e.preventDefault();
+        setSubmitted(true);
+        if (!isValid) {
+            return;
+        }
+        dispatchAttendees({ type: "registered", eventId: event.id, occurrence, attendee: fields });
+        setRegisteredEmail(normaliseEmail(fields.email));
+        setValues({ name: "", email: "" });
+        setTouched({});
+        setSubmitted(false);
+    }
+
+    // Where the person who just registered ended up.
+    const isRegistered = (attendee) => normaliseEmail(attendee.email) === registeredEmail;
+    const placed = registeredEmail && confirmed.find(isRegistered);
+    const waitingAt = registeredEmail ? waitlist.findIndex(isRegistered) : -1;
+
+    const full = event.capacity !== null && event.capacity !== undefined && confirmed.length >= event.capacity;
+
+    return (
+        <section className="mb-3">
+            <h3 className="h5">{t("registration.title")}</h3>
+            <p>
+                {event.capacity === null || event.capacity === undefined
+                    ? t("registration.registered", { count: confirmed.length })
+                    : t("registration.placesTaken", { taken: confirmed.length, count: event.capacity })}
+                {waitlist.length > 0 && ` ${t("registration.waitlist", { count: waitlist.length })}`}
+            </p>
+
+            {placed && <Alert variant="success">{t("registration.placed", { name: placed.name })}</Alert>}
+            {waitingAt >= 0 && (
+                <Alert variant="info">
+                    {t("registration.waiting", { name: waitlist[waitingAt].name, position: waitingAt + 1 })}
+                </Alert>
+            )}
+
+            <form onSubmit={handleSubmit} noValidate>
+                <div className="row">
+                    <div className="col-md-6">
+                        <FormField id="attendee-name" label={t("registration.name")} error={errorFor("name")}>
+                            <input type="text" autoComplete="name" {...fieldProps("name")} />
+                        </FormField>
+                    </div>
+                    <div className="col-md-6">
+                        <FormField id="attendee-email" label={t("registration.email")} error={errorFor("email")}>
+                            <input type="email" autoComplete="email" {...fieldProps("email")} />
+                        </FormField>
+                    </div>
+                </div>
+                <Button type="submit" variant="success" disabled={submitted && !isValid}>
+                    {full ? t("registration.join") : t("registration.register")}
+                </Button>
+            </form>
+        </section>
+    );
+}
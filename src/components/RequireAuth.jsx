@@ -0,0 +1,57 @@
+import { Navigate, useLocation } from "react-router-dom";
+import { Alert, Spinner } from "react-bootstrap";
+import { useAuth } from "../context/auth";
+import { useI18n } from "../context/i18n";
+import { ROLES, can } from "../models/user";
+
+/**
+ * RequireAuth Component
+ *
+ * Guards a route: its page is only shown to a signed-in user with the right permission.
+ * Someone who is not signed in is sent to the login page, which brings them back here
+ * afterwards. Someone signed in without the permission is told so.
+ *
+ * Props:
+ * - `permission` (string, optional): The permission needed (see `can` in `models/user.js`).
+ *   Without it, being signed in is enough.
+ * - `children` (ReactNode): The page.
+ *
+ * Pages that work on one event (such as the edit form) still check the permission for
+ * that event, since an organiser may only change their own events.
+ *
+ * Key Concepts:
+ * 1. **Redirecting with `<Navigate>`**: Rendering `<Navigate>` changes the URL. `replace`
+ *    swaps the current history entry, so Back doesn't return to the guarded page.
+ *    @see {@link https://reactrouter.com/api/components/Navigate}
+ * 2. **Passing State with a Navigation**: The page the user wanted is passed to the login
+ *    page in the location's `state`, not in the URL.
+ *    @see {@link https://reactrouter.com/api/hooks/useLocation}
+ */
+export default function RequireAuth({ permission, children }) {
+    const { user, loading } = useAuth();
+    const location = useLocation();
+    const { t } = useI18n();
+
+    // Wait until we know whether someone is already signed in, or a returning user
+    // would be sent to the login page on every reload.
+    if (loading)
+        return (
+            <div className="mt-3 text-muted" role="status">
+                <Spinner animation="border" size="sm" /> {t("requireAuth.checking")}
+            </div>
+        );
+
+    if (!user) {
+        return <Navigate to="/login" replace state={{ from: location }} />;
+    }
+
+    if (permission && !can(user, permission))
+        return (
+            <Alert variant="warning" className="mt-3">
+                <Alert.Heading>{t("requireAuth.notAllowed")}</Alert.Heading>
+                <p>{t("requireAuth.notAllowedText", { name: user.name, role: ROLES[user.role] ? t(ROLES[user.role]) : user.role })}</p>
+            </Alert>
+        );
+
+    return children;
+}
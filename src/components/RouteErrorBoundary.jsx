@@ -0,0 +1,24 @@
+import { useLocation } from "react-router-dom";
+import ErrorBoundary from "./ErrorBoundary";
+
+/**
+ * RouteErrorBoundary Component
+ *
+ * An `ErrorBoundary` around the routes. If a page crashes, only the page is replaced by
+ * the error screen; the user menu and status messages above it keep working. Going to
+ * another URL clears the error, so the links on the page still lead somewhere.
+ *
+ * It must be inside the `BrowserRouter`, because it reads the location.
+ *
+ * Props:
+ * - `children` (ReactNode): The routes.
+ */
+export default function RouteErrorBoundary({ children }) {
+    const location = useLocation();
+
+    return (
+        <ErrorBoundary name="route" resetKey={location.pathname}>
+            {children}
+        </ErrorBoundary>
+    );
+}
@@ -0,0 +1,63 @@
+import { Alert, Button } from "react-bootstrap";
+import { useEventsDispatch, useEventsSelector } from "../context/events";
+import { useI18n } from "../context/i18n";
+import { selectEventById } from "../selectors/events";
+
+/**
+ * SyncConflicts Component
+ *
+ * This functional component lists the changes that could not be saved to the server,
+ * either because the server refused them or because someone else changed the same event
+ * in the meantime. For each one the user can keep their own version (which is sent to the
+ * server again, overwriting it) or take the server's version (which replaces the local copy).
+ *
+ * It reads `conflicts`, `events` and `resolveConflict` from the events context, so it can be
+ * placed anywhere inside the `EventsProvider`. Nothing is rendered when there are no conflicts.
+ *
+ * Key Concepts:
+ * 1. **Rendering Lists**: One `Alert` is rendered per conflict with `.map()`, using the
+ *    queue entry's unique `key` as the React `key`.
+ *    @see {@link https://react.dev/learn/rendering-lists}
+ * 2. **Passing Arguments to Event Handlers**: Arrow functions such as
+ *    `() => resolveConflict(id, "mine")` let each button call the same function with
+ *    different arguments.
+ *    @see {@link https://react.dev/learn/responding-to-events#passing-event-handlers-as-props}
+ */
+export default function SyncConflicts() {
+    const conflicts = useEventsSelector((state) => state.conflicts);
+    const events = useEventsSelector((state) => state.events);
+    const { resolveConflict } = useEventsDispatch();
+    const { t, translateError } = useI18n();
+
+    if (conflicts.length === 0)
+        return null;
+
+    return (
+        <>
+            {conflicts.map((conflict) => {
+                const { entry, server } = conflict;
+                // Describe both versions by name; a missing version means it was deleted.
+                const local = selectEventById(events, entry.id);
+                const mine = local ? t("syncConflicts.named", { name: local.name }) : t("syncConflicts.deleted");
+                const theirs = server ? t("syncConflicts.named", { name: server.name }) : t("syncConflicts.deleted");
+
+                return (
+                    <Alert key={entry.key} variant="warning" className="mt-3">
+                        <Alert.Heading as="h5">{t("syncConflicts.title")}</Alert.Heading>
+                        <p className="mb-2">{translateError(conflict)}</p>
+                        <p className="mb-2">
+                            {t("syncConflicts.versions", { mine, theirs })}
+                        </p>
+                        <Button size="sm" variant="primary" onClick={() => resolveConflict(entry.id, "mine")}>
+                            {t("syncConflicts.keepMine")}
+                        </Button>
+                        &nbsp;
+                        <Button size="sm" variant="outline-secondary" onClick={() => resolveConflict(entry.id, "theirs")}>
+                            {t("syncConflicts.useTheirs")}
+                        </Button>
+                    </Alert>
+                );
+            })}
+        </>
+    );
+}
@@ -0,0 +1,44 @@
+import { Badge, CloseButton } from "react-bootstrap";
+import { useEventsSelector } from "../context/events";
+import { useI18n } from "../context/i18n";
+import { TAG_COLORS, tagColor } from "../models/tag";
+
+/**
+ * TagChip Component
+ *
+ * Shows one tag as a small coloured badge, in the colour chosen for it on the tags page.
+ *
+ * Props:
+ * - `name` (string): The tag's name.
+ * - `onRemove` (function, optional): When given, the chip has a "×" button that calls it,
+ *   as in the tag picker.
+ *
+ * Key Concepts:
+ * 1. **Reading Context in a Small Component**: The chip looks up the colours itself with
+ *    `useEventsSelector`, so whoever renders a chip only has to pass the name. It only
+ *    re-renders when the colours change, however many chips are on the page.
+ *    @see {@link https://react.dev/learn/passing-data-deeply-with-context}
+ * 2. **Accessible Icon Buttons**: The "×" says nothing to a screen reader on its own, so
+ *    the button gets an `aria-label` naming the tag it removes.
+ *    @see {@link https://developer.mozilla.org/en-US/docs/Web/Accessibility/ARIA/Attributes/aria-label}
+ */
+export default function TagChip({ name, onRemove }) {
+    const tagColors = useEventsSelector((state) => state.tagColors);
+    const { t } = useI18n();
+    const color = tagColor(name, tagColors);
+
+    return (
+        <Badge pill bg={color} text={TAG_COLORS[color]} className="me-1 align-middle">
+            {name}
+            {onRemove && (
+                <CloseButton
+                    variant={TAG_COLORS[color] === "light" ? "white" : undefined}
+                    className="ms-1 align-middle"
+                    style={{ fontSize: "0.6em" }}
+                    aria-label={t("tagChip.remove", { name })}
+                    onClick={onRemove}
+                />
+            )}
+        </Badge>
+    );
+}
@@ -0,0 +1,99 @@
+import { useState } from "react";
+import { Button, InputGroup } from "react-bootstrap";
+import { useI18n } from "../context/i18n";
+import { normaliseTag, pickTags, tagKey } from "../models/tag";
+import TagChip from "./TagChip";
+
+/**
+ * TagPicker Component
+ *
+ * The part of the event form where tags are added and removed. The tags chosen so far are
+ * shown as chips; typing in the box suggests the tags other events already use.
+ *
+ * Props:
+ * - `id` (string): The `id` of the text box, for the label.
+ * - `value` (Array<string>): The tags chosen.
+ * - `onChange` (function): Called with the new array of tags.
+ * - `onBlur` (function, optional): Called when the text box loses focus, to mark the field as touched.
+ * - `error` (string, optional): A validation message; the box is outlined in red.
+ * - `suggestions` (Array<string>): The tags in use, offered while typing.
+ *
+ * Key Concepts:
+ * 1. **Autocomplete with `<datalist>`**: The browser shows the suggestions that match what
+ *    has been typed, with keyboard support, without any extra code.
+ *    @see {@link https://developer.mozilla.org/en-US/docs/Web/HTML/Element/datalist}
+ * 2. **Keyboard Handling**: Enter or a comma adds the tag typed (instead of submitting the
+ *    form), and Backspace in an empty box removes the last tag.
+ *    @see {@link https://react.dev/learn/responding-to-events}
+ * 3. **One Spelling per Tag**: A tag typed in another case ("JAZZ") uses the spelling of
+ *    the tag already in use ("Jazz"), so the same tag isn't stored twice.
+ */
+export default function TagPicker({ id, value, onChange, onBlur, error, suggestions }) {
+    const { t } = useI18n();
+    // What is typed in the box but not yet added as a tag.
+    const [text, setText] = useState("");
+
+    /**
+     * Adds the tags typed so far (several if they are separated by commas).
+     */
+    function addTyped() {
+        const typed = text.split(",").map(normaliseTag).filter(Boolean).map((name) => (
+            suggestions.find((tag) => tagKey(tag) === tagKey(name)) ?? name
+        ));
+        setText("");
+        if (typed.length > 0) {
+            onChange(pickTags([...value, ...typed]));
+        }
+    }
+
+    /**
+     * Handles the keys that add or remove tags.
+     * @param {KeyboardEvent} e - The keyboard event.
+     */
+    function handleKeyDown(e) {
+        if (e.key === "Enter" || e.key === ",") {
+            e.preventDefault();
+            addTyped();
+        } else if (e.key === "Backspace" && text === "" && value.length > 0) {
+            onChange(value.slice(0, -1));
+        }
+    }
+
+    // Only suggest the tags that are not chosen yet.
+    const available = suggestions.filter((tag) => !value.some((chosen) => tagKey(chosen) === tagKey(tag)));
+
+    return (
+        <>
+            {value.length > 0 && (
+                <div className="mb-2">
+                    {value.map((tag) => (
+                        <TagChip key={tagKey(tag)} name={tag} onRemove={() => onChange(value.filter((item) => item !== tag))} />
+                    ))}
+                </div>
+            )}
+            <InputGroup>
+                <input
+                    type="text"
+                    id={id}
+                    list={`${id}-suggestions`}
+                    className={error ? "form-control is-invalid" : "form-control"}
+                    aria-invalid={error ? true : undefined}
+                    aria-describedby={error ? `${id}-error` : `${id}-help`}
+                    placeholder={t("tagPicker.placeholder")}
+                    value={text}
+                    onChange={(e) => setText(e.target.value)}
+                    onKeyDown={handleKeyDown}
+                    onBlur={() => {
+                        addTyped();
+                        onBlur?.();
+                    }}
+                />
+                <Button variant="outline-secondary" onClick={addTyped} disabled={normaliseTag(text) === ""}>{t("tagPicker.add")}</Button>
+            </InputGroup>
+            <datalist id={`${id}-suggestions`}>
+                {available.map((tag) => <option key={tagKey(tag)} value={tag} />)}
+            </datalist>
+            {!error && <div id={`${id}-help`} className="form-text">{t("tagPicker.hint")}</div>}
+        </>
+    );
+}
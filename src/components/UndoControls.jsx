@@ -0,0 +1,104 @@
+import { useEffect, useState } from "react";
+import { Button, Toast, ToastContainer } from "react-bootstrap";
+import { useEventsDispatch, useEventsSelector } from "../context/events";
+import { useI18n } from "../context/i18n";
+
+// Actions that throw something away (or change many events at once), after which an
+// "Undo" toast is offered, with the key of the message to show. A function is called with
+// the action to give the key and the values of the message.
+const DESTRUCTIVE_ACTIONS = {
+    removed: "undo.removed",
+    occurrenceRemoved: "undo.occurrenceRemoved",
+    purged: "undo.purged",
+    trashEmptied: "undo.trashEmptied",
+    tagRenamed: (action) => ["undo.tagRenamed", { from: action.from, to: action.to }],
+    tagDeleted: (action) => ["undo.tagDeleted", { name: action.name }],
+    batchRemoved: (action) => ["undo.batchRemoved", { count: action.ids.length }],
+    batchDuplicated: (action) => ["undo.batchDuplicated", { count: action.ids.length }],
+    batchRetagged: (action) => ["undo.batchRetagged", { count: action.ids.length }],
+    imported: (action) => [action.mode === "replace" ? "undo.importReplaced" : "undo.imported"],
+};
+
+/**
+ * UndoControls Component
+ *
+ * This functional component adds undo/redo to the whole app:
+ * - Keyboard shortcuts: Ctrl+Z (⌘Z on a Mac) undoes the last change to the events, and
+ *   Ctrl+Shift+Z (⌘⇧Z) or Ctrl+Y redoes it.
+ * - An "Undo" toast that pops up after a destructive action such as deleting an event.
+ *
+ * It renders nothing but the toast, so it can sit anywhere inside the `EventsProvider`.
+ *
+ * Key Concepts:
+ * 1. **Global Event Listeners in Effects**: The `keydown` listener is added to `window`
+ *    in `useEffect` and removed again in the cleanup function, so it never leaks.
+ *    @see {@link https://react.dev/learn/synchronizing-with-effects#subscribing-to-events}
+ * 2. **Respecting Text Fields**: While typing in an input, Ctrl+Z should undo the typing,
+ *    not delete an event, so shortcuts are ignored when a form field has focus.
+ * 3. **Deriving State**: Whether the toast is visible is worked out from `lastAction`
+ *    and the time of the last dismissed action, rather than kept in sync with an effect.
+ *    @see {@link https://react.dev/learn/you-might-not-need-an-effect#adjusting-some-state-when-a-prop-changes}
+ * 4. **React-Bootstrap Toasts**: `Toast` with `autohide` closes itself after `delay` ms.
+ *    @see {@link https://react-bootstrap.github.io/docs/components/toasts}
+ */
+export default function UndoControls() {
+    const { undo, redo } = useEventsDispatch();
+    const canUndo = useEventsSelector((state) => state.canUndo);
+    const lastAction = useEventsSelector((state) => state.lastAction);
+    const { t } = useI18n();
+
+    // The `at` timestamp of the last action whose toast was closed.
+    const [dismissedAt, setDismissedAt] = useState(null);
+
+    useEffect(() => {
+        function handleKeyDown(event) {
+            // `metaKey` is the ⌘ key on a Mac, `ctrlKey` is Ctrl everywhere else.
+            if (!(event.ctrlKey || event.metaKey)) {
+                return;
+            }
+            // Leave undo in text fields to the browser.
+            const target = event.target;
+            if (target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName)) {
+                return;
+            }
+            const key = event.key.toLowerCase();
+            if (key === "z" && !event.shiftKey) {
+                event.preventDefault();
+                undo();
+            } else if ((key === "z" && event.shiftKey) || key === "y") {
+                event.preventDefault();
+                redo();
+            }
+        }
+        window.addEventListener("keydown", handleKeyDown);
+        // Cleanup: remove the listener when the component unmounts.
+        return () => window.removeEventListener("keydown", handleKeyDown);
+    }, [undo, redo]);
+
+    const describe = lastAction && DESTRUCTIVE_ACTIONS[lastAction.type];
+    const [key, values] = typeof describe === "function" ? describe(lastAction) : [describe];
+    const message = key && t(key, values);
+    const show = Boolean(message) && canUndo && lastAction.at !== dismissedAt;
+
+    return (
+        // `position="bottom-end"` keeps the toast in the bottom right corner of the screen.
+        <ToastContainer position="bottom-end" className="p-3" containerPosition="fixed">
+            <Toast show={show} onClose={() => setDismissedAt(lastAction?.at)} autohide delay={8000}>
+                <Toast.Body className="d-flex align-items-center">
+                    <span className="me-auto">{message}</span>
+                    <Button
+                        size="sm"
+                        variant="link"
+                        onClick={() => {
+                            undo();
+                            setDismissedAt(lastAction.at);
+                        }}
+                    >
+                        {t("undo.undo")}
+                    </Button>
+                    <button type="button" className="btn-close" aria-label={t("common.close")} onClick={() => setDismissedAt(lastAction.at)} />
+                </Toast.Body>
+            </Toast>
+        </ToastContainer>
+    );
+}
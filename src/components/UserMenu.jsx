@@ -0,0 +1,50 @@
+import { Link, useNavigate } from "react-router-dom";
+import { Button } from "react-bootstrap";
+import { useAuth } from "../context/auth";
+import { useI18n } from "../context/i18n";
+import { ROLES } from "../models/user";
+
+/**
+ * UserMenu Component
+ *
+ * A line at the top of every page saying who is signed in, with a "Log out" button, or
+ * a "Log in" link when nobody is. Signing out goes back to the event list, since the page
+ * shown may need a signed-in user.
+ *
+ * It must be inside the `BrowserRouter`, because it renders a `Link`.
+ */
+export default function UserMenu() {
+    const { user, loading, logout } = useAuth();
+    const { t } = useI18n();
+    const navigate = useNavigate();
+
+    /**
+     * Signs out and goes back to the event list.
+     */
+    async function handleLogout() {
+        await logout();
+        navigate("/events");
+    }
+
+    // Nothing to say until we know whether someone is signed in.
+    if (loading) {
+        return null;
+    }
+
+    return (
+        <div className="mt-2 text-end small">
+            {user ? (
+                <>
+                    {t("userMenu.signedInAs", {
+                        name: <strong>{user.name}</strong>,
+                        role: ROLES[user.role] ? t(ROLES[user.role]) : user.role,
+                    })}
+                    &nbsp;
+                    <Button variant="link" size="sm" className="p-0 align-baseline" onClick={handleLogout}>{t("userMenu.logOut")}</Button>
+                </>
+            ) : (
+                <Link to="/login">{t("userMenu.logIn")}</Link>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,293 @@
+import { Fragment, useEffect, useLayoutEffect, useRef, useState } from "react";
+
+// Where the last position of a list is kept. There is only one, for the list last left.
+const POSITION_STORAGE_KEY = "list-position";
+
+// What the arrow keys move the focus to in each row: its first link.
+const FOCUS_SELECTOR = "a[href]";
+
+/**
+ * Reads the position saved when a list was last left.
+ * @returns {{key: string, scrollY: number, focusKey: string|null}|null} The position, or `null`.
+ */
+function readPosition() {
+    try {
+        return JSON.parse(sessionStorage.getItem(POSITION_STORAGE_KEY));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * VirtualList Component
+ *
+ * Renders a long list as a `<ul>`, but only mounts the rows that are on screen (plus a
+ * margin above and below). The rows that are not mounted are replaced by empty space, so
+ * the page is as tall as the whole list and the scroll bar behaves as usual. With 10,000
+ * events, only a few dozen `Item`s exist at any time.
+ *
+ * Props:
+ * - `items` (Array): Everything in the list.
+ * - `getKey` (function): Gives a unique, stable key (a string) for an item.
+ * - `renderItem` (function): Renders one item as a single `<li>`.
+ * - `estimatedHeight` (number, optional): The height of a row, in pixels, before it has been
+ *   measured. Rows are measured once mounted, and their real height used from then on.
+ * - `overscan` (number, optional): How many pixels of rows to mount above and below the screen,
+ *   so scrolling doesn't show blank space before the new rows are rendered.
+ * - `positionKey` (string, optional): Names the view being shown (e.g. the list with its
+ *   search). When the list unmounts or the page is left, e.g. because a link to a detail page
+ *   was followed, the scroll position and the row last focused are saved. When a list with the same
+ *   `positionKey` mounts again (the Back button, or a link back), they are restored.
+ *
+ * Key Concepts:
+ * 1. **Windowing**: Which rows to mount is worked out from the scroll position and the
+ *    height of each row, on every render. The page is scrolled, not the list, so the
+ *    window's `scroll` and `resize` events are followed.
+ *    @see {@link https://web.dev/articles/virtualize-long-lists-react-window}
+ * 2. **`useLayoutEffect`**: Rows are measured after React has put them in the page but
+ *    before the browser paints, so a row whose height was guessed wrong is corrected
+ *    without a visible jump.
+ *    @see {@link https://react.dev/reference/react/useLayoutEffect}
+ * 3. **`requestAnimationFrame`**: A scroll can fire many events per frame; the list only
+ *    re-renders once per frame.
+ *    @see {@link https://developer.mozilla.org/en-US/docs/Web/API/Window/requestAnimationFrame}
+ * 4. **Keyboard Navigation**: ↑ and ↓ move the focus to the link of the row above or
+ *    below. If that row isn't mounted yet, the page is scrolled to it first, and it is
+ *    focused once rendered.
+ * 5. **`sessionStorage`**: Like `localStorage`, but kept only while the tab is open, which
+ *    is all a scroll position needs.
+ *    @see {@link https://developer.mozilla.org/en-US/docs/Web/API/Window/sessionStorage}
+ */
+export default function VirtualList({ items, getKey, renderItem, estimatedHeight = 48, overscan = 600, positionKey }) {
+    const listRef = useRef(null);
+
+    // The measured height of each row, by key. Kept in a ref: measuring a row shouldn't
+    // re-render the list unless the height changed.
+    const heightsRef = useRef(new Map());
+
+    // The part of the list on screen, in pixels from the top of the list.
+    const [viewport, setViewport] = useState(() => ({ top: 0, bottom: window.innerHeight }));
+
+    // Bumped to re-render the list after a row changed height or a row should be focused.
+    const [, setRenders] = useState(0);
+
+    // The index of the row to focus once it has been rendered, if any.
+    const focusRef = useRef(null);
+
+    // What is saved when the list unmounts. Updated as the user scrolls and moves the focus.
+    const positionRef = useRef({ key: positionKey, scrollY: 0, focusKey: null });
+
+    /**
+     * The height of a row: its measured height, or the estimate.
+     * @param {number} index - The row.
+     * @returns {number} The height in pixels.
+     */
+    function heightOf(index) {
+        return heightsRef.current.get(getKey(items[index])) ?? estimatedHeight;
+    }
+
+    // Which rows are mounted (`start` up to, but not including, `end`), and how much empty
+    // space stands in for the rows above and below them.
+    let start = 0;
+    let offset = 0;
+    while (start < items.length && offset + heightOf(start) < viewport.top - overscan) {
+        offset += heightOf(start);
+        start++;
+    }
+    const spaceAbove = offset;
+    let end = start;
+    while (end < items.length && offset < viewport.bottom + overscan) {
+        offset += heightOf(end);
+        end++;
+    }
+    let spaceBelow = 0;
+    for (let index = end; index < items.length; index++) {
+        spaceBelow += heightOf(index);
+    }
+
+    /**
+     * Works out which part of the list is on screen.
+     */
+    function updateViewport() {
+        const rect = listRef.current.getBoundingClientRect();
+        const top = -rect.top;
+        const bottom = window.innerHeight - rect.top;
+        setViewport((current) => current.top === top && current.bottom === bottom ? current : { top, bottom });
+    }
+
+    /**
+     * Scrolls a row into view, and focuses its link once it is rendered.
+     * @param {number} index - The row.
+     */
+    function focusRow(index) {
+        let rowTop = listRef.current.getBoundingClientRect().top + window.scrollY;
+        for (let before = 0; before < index; before++) {
+            rowTop += heightOf(before);
+        }
+        const rowBottom = rowTop + heightOf(index);
+        if (rowTop < window.scrollY) {
+            window.scrollTo(0, rowTop);
+        } else if (rowBottom > window.scrollY + window.innerHeight) {
+            window.scrollTo(0, rowBottom - window.innerHeight);
+        }
+        focusRef.current = index;
+        setRenders((count) => count + 1);
+    }
+
+    // The view shown changed (e.g. a new search): its position is a new one.
+    const position = positionRef.current;
+    if (position.key !== positionKey) {
+        position.key = positionKey;
+        position.focusKey = null;
+    }
+
+    // Whether the saved position has been looked at yet. It is only restored once, when
+    // the list first mounts: restoring it again later would undo the user's scrolling.
+    const restoredRef = useRef(false);
+
+    /**
+     * Goes back to where the user was when they last left this view. The position is also
+     * put back in the ref, in case the list unmounts again before the user scrolls.
+     */
+    function restorePosition() {
+        const saved = readPosition();
+        if (!saved || saved.key !== position.key) {
+            return;
+        }
+        position.scrollY = saved.scrollY;
+        position.focusKey = saved.focusKey;
+        window.scrollTo(0, saved.scrollY);
+        const index = items.findIndex((item) => getKey(item) === saved.focusKey);
+        if (index !== -1) {
+            focusRow(index);
+        }
+    }
+
+    /**
+     * Measures the rows that are mounted, and re-renders the list if any of them is not
+     * as tall as was thought.
+     */
+    function measureRows() {
+        let resized = false;
+        Array.from(listRef.current.children).forEach((row, index) => {
+            const key = getKey(items[start + index]);
+            const height = row.getBoundingClientRect().height;
+            // A row that isn't laid out (e.g. the page is hidden) has no height to go by.
+            if (height > 0 && Math.abs((heightsRef.current.get(key) ?? 0) - height) > 0.5) {
+                heightsRef.current.set(key, height);
+                resized = true;
+            }
+        });
+        if (resized) {
+            setRenders((count) => count + 1);
+        }
+    }
+
+    /**
+     * Focuses the row waiting for it (see `focusRow`), if it has been rendered.
+     */
+    function focusWaitingRow() {
+        const focus = focusRef.current;
+        if (focus !== null && focus >= start && focus < end) {
+            focusRef.current = null;
+            listRef.current.children[focus - start].querySelector(FOCUS_SELECTOR)?.focus();
+        }
+    }
+
+    // When the list unmounts, or the page is left (the links to events load a new page,
+    // which doesn't unmount anything), save where the user was.
+    useEffect(() => {
+        const saved = positionRef.current;
+        const save = () => sessionStorage.setItem(POSITION_STORAGE_KEY, JSON.stringify(saved));
+        window.addEventListener("pagehide", save);
+        return () => {
+            window.removeEventListener("pagehide", save);
+            save();
+        };
+    }, []);
+
+    // Follow the window's scrolling and resizing, at most once per frame.
+    useEffect(() => {
+        let frame = 0;
+        function onChange() {
+            if (!frame) {
+                frame = requestAnimationFrame(() => {
+                    frame = 0;
+                    positionRef.current.scrollY = window.scrollY;
+                    updateViewport();
+                });
+            }
+        }
+        window.addEventListener("scroll", onChange, { passive: true });
+        window.addEventListener("resize", onChange);
+        return () => {
+            cancelAnimationFrame(frame);
+            window.removeEventListener("scroll", onChange);
+            window.removeEventListener("resize", onChange);
+        };
+    }, []);
+
+    // After every render: restore the position the first time, measure the rows, check what
+    // is on screen (the list may have moved, e.g. when the batch actions appear above it),
+    // and focus the row waiting for it. Each only re-renders the list if something changed.
+    useLayoutEffect(() => {
+        if (!restoredRef.current) {
+            restoredRef.current = true;
+            restorePosition();
+        }
+        measureRows();
+        updateViewport();
+        focusWaitingRow();
+    });
+
+    /**
+     * Finds the row an element is in.
+     * @param {Element} element - E.g. the element focused.
+     * @returns {number} The index of the row in `items`, or -1 if it isn't in a row.
+     */
+    function rowOf(element) {
+        const row = Array.from(listRef.current.children).findIndex((child) => child.contains(element));
+        return row === -1 ? -1 : start + row;
+    }
+
+    /**
+     * Moves the focus to the row above or below with the arrow keys.
+     * @param {KeyboardEvent} e - The key press.
+     */
+    function handleKeyDown(e) {
+        if ((e.key !== "ArrowDown" && e.key !== "ArrowUp") || e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) {
+            return;
+        }
+        const index = rowOf(e.target);
+        const next = index + (e.key === "ArrowDown" ? 1 : -1);
+        if (index === -1 || next < 0 || next >= items.length) {
+            return;
+        }
+        e.preventDefault();
+        focusRow(next);
+    }
+
+    /**
+     * Remembers which row has the focus, to restore it when the user comes back.
+     * @param {FocusEvent} e - The focus event, from anywhere in the list.
+     */
+    function handleFocus(e) {
+        const index = rowOf(e.target);
+        if (index !== -1) {
+            positionRef.current.focusKey = getKey(items[index]);
+        }
+    }
+
+    return (
+        <ul
+            ref={listRef}
+            style={{ paddingTop: spaceAbove, paddingBottom: spaceBelow }}
+            onKeyDown={handleKeyDown}
+            onFocus={handleFocus}
+        >
+            {items.slice(start, end).map((item) => (
+                <Fragment key={getKey(item)}>{renderItem(item)}</Fragment>
+            ))}
+        </ul>
+    );
+}
@@ -0,0 +1,40 @@
+/**
+ * Application Configuration
+ *
+ * This file collects the settings that change between environments (development,
+ * testing, production) in one place. The values come from Vite environment variables,
+ * which are read from `.env` files or from the shell when the app is built or served.
+ * Only variables starting with `VITE_` are exposed to the browser.
+ *
+ * Example `.env.local` (not committed) to use a REST API:
+ *
+ *     VITE_EVENTS_BACKEND=http
+ *     VITE_EVENTS_API_URL=http://localhost:3001
+ *     VITE_AUTH_BACKEND=http
+ *
+ * @see {@link https://vite.dev/guide/env-and-mode}
+ */
+const env = import.meta.env;
+
+export const config = {
+    // Where events are stored: "local" (the browser's localStorage) or "http" (a REST API).
+    eventsBackend: env.VITE_EVENTS_BACKEND ?? "local",
+
+    // The base URL of the REST API, used when `eventsBackend` is "http".
+    eventsApiUrl: env.VITE_EVENTS_API_URL ?? "http://localhost:3001",
+
+    // How users sign in: "local" (made-up demo accounts, for development) or "http" (a server).
+    authBackend: env.VITE_AUTH_BACKEND ?? "local",
+
+    // The base URL of the sign-in API, used when `authBackend` is "http". Defaults to the events API.
+    authApiUrl: env.VITE_AUTH_API_URL ?? env.VITE_EVENTS_API_URL ?? "http://localhost:3001",
+
+    // Where errors the app could not deal with are reported: "console", "http" or "none".
+    errorReporter: env.VITE_ERROR_REPORTER ?? "console",
+
+    // The URL errors are sent to with `POST`, used when `errorReporter` is "http".
+    errorReportUrl: env.VITE_ERROR_REPORT_URL ?? "http://localhost:3001/errors",
+
+    // How many days deleted events stay in the trash before they are removed for good.
+    trashRetentionDays: Number(env.VITE_TRASH_RETENTION_DAYS ?? 30),
+};
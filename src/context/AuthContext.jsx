@@ -0,0 +1,78 @@
+import { useCallback, useEffect, useState } from "react";
+import { createAuthProvider } from "../auth";
+import { AuthContext } from "./auth";
+
+// The auth provider chosen by the configuration, created once like the default repository.
+const defaultProvider = createAuthProvider();
+
+/**
+ * AuthProvider Component
+ *
+ * Keeps track of who is signed in and makes it available to every component below it
+ * through `useAuth()` (see `context/auth.js`). Signing in and out is handed to an auth
+ * provider (see `auth/index.js`), so the same component works with the local demo
+ * accounts and with a real server.
+ *
+ * Props:
+ * - `children` (ReactNode): The components that will have access to the user.
+ * - `provider` (Object, optional): The auth provider to use. Defaults to the one chosen
+ *   in `config.js`. Passing one in is useful for tests.
+ *
+ * The context provides these values:
+ * - `user`: The signed-in user `{id, name, email, role}`, or `null`.
+ * - `loading`: `true` until the provider has said whether someone is already signed in
+ *   (e.g. from an earlier visit). Route guards wait for it before redirecting.
+ * - `login(email, password)`: Signs in. Returns a Promise that rejects with an
+ *   `AuthError` if it fails.
+ * - `logout()`: Signs out.
+ * - `demoAccounts`: Accounts to try, when the provider has any (the local one does).
+ *
+ * Key Concepts:
+ * 1. **Context for Global State**: The user is needed by routes, buttons and
+ *    `EventsProvider`, so it is provided once at the top instead of passed down as props.
+ *    @see {@link https://react.dev/learn/passing-data-deeply-with-context}
+ * 2. **Effects with Cleanup**: The check for an existing session is asynchronous; the
+ *    `ignore` flag stops a late answer from updating a component that has gone.
+ *    @see {@link https://react.dev/learn/synchronizing-with-effects#fetching-data}
+ */
+export function AuthProvider({ children, provider = defaultProvider }) {
+    const [user, setUser] = useState(null);
+    const [loading, setLoading] = useState(true);
+
+    // Ask the provider whether someone is already signed in.
+    useEffect(() => {
+        let ignore = false;
+        provider.currentUser()
+            .then((current) => {
+                if (!ignore) setUser(current);
+            })
+            .catch(() => {
+                // If the check fails, carry on signed out; signing in will show the error.
+                if (!ignore) setUser(null);
+            })
+            .finally(() => {
+                if (!ignore) setLoading(false);
+            });
+        return () => {
+            ignore = true;
+        };
+    }, [provider]);
+
+    const login = useCallback(async (email, password) => {
+        const signedIn = await provider.login(email, password);
+        setUser(signedIn);
+        return signedIn;
+    }, [provider]);
+
+    const logout = useCallback(async () => {
+        await provider.logout();
+        setUser(null);
+    }, [provider]);
+
+    const value = { user, loading, login, logout, demoAccounts: provider.demoAccounts ?? [] };
+    return (
+        <AuthContext.Provider value={value}>
+            {children}
+        </AuthContext.Provider>
+    );
+}
@@ -1,13 +1,28 @@
-import { createContext, useContext } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import { useLocalStateReducer } from "../hooks/local-state-reducer";
-import { postReducer } from "../reducers/post-reducer";
+import { mergePostHistories, postHistoryReducer, POSTS_MIGRATIONS } from "../reducers/post-reducer";
+import { createHistory } from "../reducers/history-reducer";
+import { EMPTY_EVENT_STORE } from "../reducers/event-store";
+import { ATTENDEES_MIGRATIONS, attendeeReducer, mergeAttendees } from "../reducers/attendee-reducer";
+import { mergeTagColors, tagReducer } from "../reducers/tag-reducer";
+import { createRepository, diffEvents } from "../repositories";
+import { useSyncQueue } from "../hooks/sync-queue";
+import { config } from "../config";
+import { useAuth } from "./auth";
+import { useErrorReporter } from "./error-reporting";
+import { createEventsStore, EventsDispatchContext, EventsStoreContext } from "./events";
+import { can } from "../models/user";
+import { selectAllEvents, selectEventById } from "../selectors/events";
 
 /**
  * EventsContext
  *
- * This file sets up a React Context for managing and providing application-wide
+ * This file sets up React Context for managing and providing application-wide
  * state related to "events" (or "posts" in this case). It uses the Context API
  * to avoid prop drilling and make state accessible to any component in the tree.
+ * The context objects themselves are in `events.js`: one for the state, which
+ * components subscribe to with `useEventsSelector`, and one for the functions that change
+ * it (`useEventsDispatch`), so components only re-render for the state they read.
  *
  * Key Concepts:
  * 1. **`createContext`**: Creates a Context object. Components that need to access
@@ -18,82 +33,482 @@ import { postReducer } from "../reducers/post-reducer";
  *    @see {@link https://react.dev/learn/passing-data-deeply-with-context#step-2-use-the-context}
  * 3. **Provider Component (`EventsProvider`)**: A special component that provides
  *    the context value to its descendants. Any component within `EventsProvider`
- *    can access the context value using the `useEvents` custom hook.
+ *    can access the context value using the `useEvents` custom hook (see `events.js`).
  *    @see {@link https://react.dev/learn/passing-data-deeply-with-context#step-3-provide-the-context}
- * 4. **Custom Hook (`useEvents`)**: A convenient way to consume the context.
- *    It encapsulates the `useContext(EventsContext)` call, providing a cleaner
- *    API for components to use.
+ * 4. **Custom Hooks**: `useEventsSelector` and `useEventsDispatch` (see `events.js`) read
+ *    one part of the context each. `useEvents`, next to them, returns everything at once,
+ *    which is convenient for pages but re-renders on every change.
  *    @see {@link https://react.dev/learn/reusing-logic-with-custom-hooks}
  * 5. **State Management with `useLocalStateReducer`**: This context uses a custom
  *    reducer hook `useLocalStateReducer` (which likely wraps `useReducer` and
  *    persists state to localStorage). This is a powerful pattern for managing
  *    complex state logic.
  *    @see {@link https://react.dev/learn/extracting-state-logic-into-a-reducer}
+ * 6. **More Reducers**: Registrations for events (attendees) and the colours of tags are
+ *    managed by their own reducers, `attendeeReducer` and `tagReducer`, each saved under its
+ *    own localStorage key. They stay in this browser: the repositories only store events.
+ * 7. **Permissions**: `dispatch` and `dispatchAttendees` check the signed-in user's
+ *    permissions (see `models/user.js`) and ignore actions they may not take, so a hidden
+ *    button is not the only thing standing in the way. `dispatch` returns `false` then, so
+ *    a form can tell the user instead of acting as if the change was saved. New events are stamped with their
+ *    owner (`ownerId`) here, because the reducer does not know who is signed in. The
+ *    `ids` of a batch action are narrowed to the events the user may change. The undo
+ *    history is shared by everyone who uses this browser, so an undo or redo is only
+ *    allowed if the user may make every change it would make.
+ * 8. **Unique IDs**: New events get a random ID from `crypto.randomUUID()` here (for the
+ *    same reason `at` is added here: a reducer must not be random). Unlike "the highest ID
+ *    plus one", a deleted event's ID is never reused, and two browsers adding events at
+ *    once, even while offline, can't pick the same one.
+ *    @see {@link https://developer.mozilla.org/en-US/docs/Web/API/Crypto/randomUUID}
+ * 9. **Repositories**: Where the events really live (localStorage or a REST API) is
+ *    decided by the repository passed in, or by `config.js`. The reducer's state is a
+ *    local copy: it is filled from `repository.list()` when the provider mounts, and
+ *    every change made through `dispatch` is queued and sent on to the repository by
+ *    the `useSyncQueue` hook, which keeps working while the browser is offline.
+ *    @see {@link ../repositories/index.js}
+ * 10. **Updating the Store in `dispatch`**: The dispatch functions run the reducer
+ *    themselves and put its result in the store before React re-renders, so subscribed
+ *    components render once, with the new state. React then runs the same reducer on the
+ *    same action; `rememberResults` hands back the object it already made, so the store
+ *    does not change (and notify everyone) a second time.
  *
- * The context provides two main values:
- * - `posts`: An array of post/event objects.
+ * The state (for `useEventsSelector`) has these values:
+ * - `events`: Every event, including those in the trash, in a normalised store (see
+ *   `reducers/event-store.js`). Read it with the selectors in `selectors/events.js`, e.g.
+ *   `selectVisibleEvents(events)` or `selectEventById(events, id)`.
+ * - `loading`: `true` while the events are being loaded from the repository.
+ * - `error`: The last `RepositoryError` (failed load or save), or `null`.
+ * - `trashRetentionDays`: How many days deleted events are kept in the trash.
+ * - `canUndo` / `canRedo`: Whether there is anything to undo or redo.
+ * - `lastAction`: The most recent action that changed the events.
+ * - `storageProblem`: `{key, message, quarantineKey}` if the posts (or queued changes) saved
+ *   in this browser could not be loaded (the data is kept under `quarantineKey`), otherwise `null`.
+ * - `dismissStorageProblem`: Hides the storage problem message.
+ * - `online`: `false` while the browser is offline.
+ * - `pendingIds`: A `Set` of the IDs of events with changes not yet saved to the repository.
+ * - `conflicts`: Changes the repository refused or that clash with a newer version.
+ * - `attendees`: Every registration for every event (see `models/attendee.js`).
+ * - `tagColors`: The colour chosen for each tag; pass it to `tagColor` from `models/tag.js`.
+ *
+ * The functions (for `useEventsDispatch`) are:
  * - `dispatch`: A function to dispatch actions to the reducer, which will update
- *   the `posts` state.
+ *   the events and save the change to the repository. Returns `false` if the user may
+ *   not take the action, and `true` otherwise.
+ * - `reload`: A function that loads the events from the repository again.
+ * - `undo` / `redo`: Functions that step backwards and forwards through the changes.
+ * - `resolveConflict(id, "mine" | "theirs")`: Keeps the user's or the server's version.
+ * - `dispatchAttendees`: Sends an action to `attendeeReducer`, e.g.
+ *   `{type: "registered", eventId, occurrence, attendee: {name, email}}`.
+ * - `dispatchTags`: Sends an action to `tagReducer`, e.g. `{type: "recoloured", name, color}`.
+ *   Renaming or deleting a tag also needs a "tagRenamed"/"tagDeleted" action sent with
+ *   `dispatch`, which changes the events.
  */
 
-// Create the context with a default value (can be null or an initial structure).
-const EventsContext = createContext();
+// The repository chosen by the configuration. It is created once, outside the
+// component, so every render uses the same instance.
+const defaultRepository = createRepository();
+
+// The state before anything has been saved: no events and nothing to undo.
+const initialHistory = createHistory(EMPTY_EVENT_STORE);
+
+/**
+ * Wraps a reducer so it remembers what it returned for each action. Running it again with
+ * the same state and action (as React does after `dispatch` has run it) returns the same
+ * object instead of an equal copy.
+ *
+ * @param {Function} reducer - The reducer.
+ * @returns {Function} The reducer, remembering its results.
+ */
+function rememberResults(reducer) {
+    // By action, so the results are forgotten along with the actions.
+    const results = new WeakMap();
+    return (state, action) => {
+        const remembered = results.get(action);
+        if (remembered?.state === state) {
+            return remembered.result;
+        }
+        const result = reducer(state, action);
+        results.set(action, {state, result});
+        return result;
+    };
+}
+
+// The reducers, as used by the provider (see Key Concept 10).
+const historyReducer = rememberResults(postHistoryReducer);
+const attendeesReducer = rememberResults(attendeeReducer);
+const tagsReducer = rememberResults(tagReducer);
+
+// The permission each action needs (see `can` in `models/user.js`). Actions not listed
+// here, such as "expiredPurged", are not the user's doing and are always allowed.
+// "undone" and "redone" are checked by the changes they make (see `mayDispatch`).
+const ACTION_PERMISSIONS = {
+    added: "create",
+    imported: "import",
+    updated: "edit",
+    occurrenceUpdated: "edit",
+    removed: "delete",
+    occurrenceRemoved: "delete",
+    restored: "delete",
+    purged: "delete",
+    trashEmptied: "emptyTrash",
+    tagRenamed: "manageTags",
+    tagDeleted: "manageTags",
+    batchRemoved: "delete",
+    batchDuplicated: "create",
+    batchRetagged: "edit",
+};
+
+// The permission each attendee action needs; anyone may register.
+const ATTENDEE_ACTION_PERMISSIONS = {
+    registrationCancelled: "manageAttendees",
+    checkedIn: "manageAttendees",
+    checkInUndone: "manageAttendees",
+};
+
+/**
+ * Checks whether a user may dispatch an action to `postReducer`.
+ *
+ * Undoing or redoing replays a change that may have been made by someone else (the history
+ * is kept in localStorage, for everyone using the browser), so it is allowed only if the
+ * user may make each change it would make: create (their own) events, and edit or delete
+ * the events it changes or removes.
+ *
+ * @param {Object|null} user - The signed-in user.
+ * @param {Object} action - The action.
+ * @param {{past: Array, present: Object, future: Array}} history - The current history,
+ *   to find the event the action is about, or what an undo or redo would change.
+ * @returns {boolean} `true` if the action is allowed.
+ */
+function mayDispatch(user, action, history) {
+    const events = history.present;
+    if (action.type === "undone" || action.type === "redone") {
+        const after = historyReducer(history, action).present;
+        return diffEvents(selectAllEvents(events), selectAllEvents(after)).every((change) => {
+            if (change.type === "create") {
+                return can(user, "create") && can(user, "edit", change.event);
+            }
+            if (change.type === "remove") {
+                return can(user, "delete", change.previous);
+            }
+            return can(user, "edit", change.previous) && can(user, "edit", change.event);
+        });
+    }
+    const permission = ACTION_PERMISSIONS[action.type];
+    if (!permission) {
+        return true;
+    }
+    // Replacing every event by import changes other people's events too.
+    if (action.type === "imported" && action.mode === "replace" && !can(user, "replaceEvents")) {
+        return false;
+    }
+    const event = selectEventById(events, action.id);
+    return can(user, permission, event);
+}
 
 /**
  * EventsProvider Component
  *
  * This component wraps the part of the application that needs access to the events state.
  * It initializes the state using the `useLocalStateReducer` hook and provides the
- * state and dispatch function to all its children via the EventsContext.Provider.
+ * state and the functions that change it to all its children, through the two contexts
+ * in `events.js`.
  *
  * Props:
  * - `children` (ReactNode): The components that will have access to this context.
+ * - `repository` (Object, optional): The repository to load and save events with.
+ *   Defaults to the one chosen in `config.js`. Passing one in is useful for tests.
+ * - `trashRetentionDays` (number, optional): How long deleted events stay in the trash.
+ *   Defaults to `config.trashRetentionDays`.
  */
-export const EventsProvider = ({children}) => {
+export const EventsProvider = ({children, repository = defaultRepository, trashRetentionDays = config.trashRetentionDays}) => {
+    // The store shared with `useEventsSelector`, created at the end of the first render.
+    // The dispatch functions put their changes in it with `publish` (see Key Concept 10).
+    const storeRef = useRef(null);
+    const publish = useCallback((changes) => {
+        const store = storeRef.current;
+        store.setState({...store.getState(), ...changes});
+    }, []);
+
+    // The signed-in user, whose permissions every action is checked against.
+    const {user} = useAuth();
+    const userRef = useRef(user);
+    useEffect(() => {
+        userRef.current = user;
+    }, [user]);
+
     // Initialize state using a custom reducer hook.
     // `useLocalStateReducer` likely combines `useReducer` with localStorage persistence.
-    // - `postReducer`: The reducer function that handles state updates based on dispatched actions.
-    // - `[]`: The initial state for the posts (an empty array).
-    // - `"posts"`: The key used for storing the state in localStorage.
+    // - `postHistoryReducer`: `postReducer` wrapped with undo/redo support. Its state is
+    //   `{past, present, future}`, where `present` is the store of events.
+    // - `initialHistory`: The initial state: no events and nothing to undo.
+    // - `"posts"`: The key used for storing the state in localStorage. The undo history
+    //   is saved with the posts, so it survives a reload too.
+    // - `migrations`: Upgrade posts saved by older versions of the app, e.g. posts saved
+    //   before the event model had dates, venue etc. get the full set of fields, and
+    //   numeric IDs become strings.
+    // - `merge`: When another tab saves its posts, they are merged with ours
+    //   rather than overwriting them, so edits made in both tabs are kept.
+    // - `postsProblem`: Set if the saved posts could not be loaded (see the hook).
     // const [posts, setPosts] = useState([]); // Example of using useState instead.
     // const [posts, dispatch] = useReducer(postReducer, []); // Example of using standard useReducer.
-    const [posts, dispatch] = useLocalStateReducer(postReducer, [], "posts");
-
-    // Example of fetching initial data.
-    // This `useEffect` would typically run once when the component mounts to fetch data from an API.
-    // The `dispatch` function is then used to update the state with the fetched data.
-    // useEffect(() => {
-    //     setTimeout(() => {
-    //         fetch("https://hp-api.onrender.com/api/characters/students")
-    //             .then(async (response) => {
-    //                 const data = await response.json(); 
-    //                 // setPosts(data.slice(0, 10)); // How you'd update with useState.
-    //                 dispatch({
-    //                     type: "initialise", // Action type for the reducer.
-    //                     posts: data         // Payload for the action.
-    //                 });
-    //             });
-    //     }, 1000); // Simulates a network delay.
-    // }, []); // Empty dependency array means this effect runs only once.
-
-    // The Provider component makes the `posts` state and `dispatch` function
-    // available to any descendant component that calls `useEvents()`.
+    const [history, localDispatch, postsProblem, dismissPostsProblem] = useLocalStateReducer(historyReducer, initialHistory, "posts", {
+        migrations: POSTS_MIGRATIONS,
+        merge: mergePostHistories,
+    });
+    const events = history.present;
+
+    // The attendees of every event, saved under their own key with the same cross-tab merging.
+    const [attendees, localAttendeesDispatch, attendeesProblem, dismissAttendeesProblem] = useLocalStateReducer(attendeesReducer, [], "attendees", {
+        migrations: ATTENDEES_MIGRATIONS,
+        merge: mergeAttendees,
+    });
+    const attendeesRef = useRef(attendees);
+    useEffect(() => {
+        attendeesRef.current = attendees;
+    }, [attendees]);
+
+    // The colours chosen for tags, saved the same way.
+    const [tagColors, localTagsDispatch, tagsProblem, dismissTagsProblem] = useLocalStateReducer(tagsReducer, [], "tags", {
+        merge: mergeTagColors,
+    });
+    const tagColorsRef = useRef(tagColors);
+    useEffect(() => {
+        tagColorsRef.current = tagColors;
+    }, [tagColors]);
+
+    /**
+     * Dispatches an action to `tagReducer`, stamped with the current time.
+     */
+    const dispatchTags = useCallback((action) => {
+        if (!can(userRef.current, "manageTags")) {
+            return;
+        }
+        const stamped = {...action, at: action.at ?? new Date().toISOString()};
+        tagColorsRef.current = tagsReducer(tagColorsRef.current, stamped);
+        publish({tagColors: tagColorsRef.current});
+        localTagsDispatch(stamped);
+    }, [localTagsDispatch, publish]);
+
+    /**
+     * Dispatches an action to `attendeeReducer`, stamped with the current time and, for a
+     * new registration, a random ID (unique even when two tabs register at once).
+     */
+    const dispatchAttendees = useCallback((action) => {
+        const permission = ATTENDEE_ACTION_PERMISSIONS[action.type];
+        if (permission) {
+            const attendee = attendeesRef.current.find((item) => item.id === action.id);
+            const event = selectEventById(historyRef.current.present, attendee?.eventId);
+            if (!event || !can(userRef.current, permission, event)) {
+                return;
+            }
+        }
+        const stamped = {
+            ...action,
+            at: action.at ?? new Date().toISOString(),
+            ...(action.type === "registered" ? {id: action.id ?? crypto.randomUUID()} : {}),
+        };
+        attendeesRef.current = attendeesReducer(attendeesRef.current, stamped);
+        publish({attendees: attendeesRef.current});
+        localAttendeesDispatch(stamped);
+    }, [localAttendeesDispatch, publish]);
+
+    // The most recent action the user took, e.g. `{type: "removed", id: "5c1e...", at: "..."}`.
+    // `UndoToast` uses it to offer "Undo" after destructive actions.
+    const [lastAction, setLastAction] = useState(null);
+
+    // Loading and error state for talking to the repository.
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    // Failed loads are also reported (see `reporting/index.js`); the user sees `error`.
+    const errorReporter = useErrorReporter();
+
+    // A ref always holding the latest history. `dispatch` reads it to work out what an
+    // action changes without having to be recreated on every render.
+    // @see {@link https://react.dev/learn/referencing-values-with-refs}
+    const historyRef = useRef(history);
+    useEffect(() => {
+        historyRef.current = history;
+    }, [history]);
+
+    /**
+     * Applies an action to the ref and the store straight away and to React state, so
+     * several actions in a row build on each other. Returns the events before and after
+     * the action.
+     */
+    const apply = useCallback((action) => {
+        const before = historyRef.current.present;
+        const history = historyReducer(historyRef.current, action);
+        historyRef.current = history;
+        publish({
+            events: history.present,
+            canUndo: history.past.length > 0,
+            canRedo: history.future.length > 0,
+        });
+        localDispatch(action);
+        return [before, history.present];
+    }, [localDispatch, publish]);
+
+    // Changes are sent to the repository through a durable queue, so they are kept
+    // while offline and replayed in order when the connection returns.
+    // The two handlers let the queue read and replace local events when the user
+    // resolves a conflict.
+    const getLocalEvent = useCallback((id) => selectEventById(historyRef.current.present, id), []);
+    const replaceLocalEvent = useCallback((id, post) => {
+        apply({type: "replaced", id, post});
+    }, [apply]);
+    const sync = useSyncQueue(repository, {getLocalEvent, replaceLocalEvent});
+    const {enqueue, flush, isPending} = sync;
+
+    /**
+     * Loads every event from the repository and replaces the local copy with them.
+     * If loading fails, the local copy (from localStorage) is kept and `error` is set.
+     */
+    const reload = useCallback(async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            // Send any queued changes first, so the list we get back includes them.
+            await flush();
+            const events = await repository.list();
+            // Events with changes that are still queued (offline, or in conflict) keep
+            // their local version; everything else comes from the repository.
+            const local = selectAllEvents(historyRef.current.present).filter((item) => isPending(item.id));
+            apply({
+                type: "initialise", // Action type for the reducer.
+                posts: [...events.filter((item) => !isPending(item.id)), ...local] // Payload for the action.
+            });
+        } catch (loadError) {
+            setError(loadError);
+            // Being offline is expected and is shown to the user, so it is not worth reporting.
+            if (!loadError.offline) {
+                errorReporter.report(loadError, {source: "events"});
+            }
+        } finally {
+            setLoading(false);
+        }
+    }, [repository, apply, flush, isPending, errorReporter]);
+
+    // Fetch the events when the provider mounts (or the repository changes).
+    useEffect(() => {
+        reload();
+    }, [reload]);
+
+    /**
+     * Dispatches an action and queues the resulting changes for the repository.
+     *
+     * The reducer is pure, so running it here gives exactly the state that the real
+     * dispatch will produce. Comparing that with the current state tells us which events
+     * were created, updated or removed, and each change is added to the sync queue.
+     * The UI updates straight away ("optimistic update").
+     *
+     * This also covers `{type: "undone"}` and `{type: "redone"}`: undoing an "added"
+     * action, for example, removes the event from the repository again.
+     *
+     * @param {Object} action - The action.
+     * @returns {boolean} `false` if the signed-in user may not take the action, which is
+     *   then ignored; `true` if it was run.
+     */
+    const dispatch = useCallback((action) => {
+        // Stamp the action with the current time. The reducer stores it as the event's
+        // `createdAt`/`updatedAt`; reading the clock inside the reducer would make it impure.
+        const stamped = {...action, at: action.at ?? new Date().toISOString()};
+        // New events get their IDs here too: one for "added", and one for each item that
+        // may become a new event for "imported" (and, below, "batchDuplicated").
+        if (stamped.type === "added") {
+            stamped.id = action.id ?? crypto.randomUUID();
+        } else if (stamped.type === "imported") {
+            stamped.newIds = action.posts.map(() => crypto.randomUUID());
+        }
+        const user = userRef.current;
+        if (!mayDispatch(user, stamped, historyRef.current)) {
+            return false;
+        }
+        // New events belong to whoever creates them. When an organiser imports in "merge"
+        // mode, only their own events may be updated (`ownOnly`).
+        if (stamped.type === "added" || stamped.type === "imported" || stamped.type === "batchDuplicated") {
+            stamped.ownerId = user.id;
+            stamped.ownOnly = user.role !== "admin";
+        }
+        // A batch action only changes the events the user may change; the rest are left out.
+        if (stamped.ids) {
+            const permission = ACTION_PERMISSIONS[stamped.type];
+            stamped.ids = stamped.ids.filter((id) => can(user, permission, selectEventById(historyRef.current.present, id)));
+        }
+        if (stamped.type === "batchDuplicated") {
+            stamped.newIds = stamped.ids.map(() => crypto.randomUUID());
+        }
+
+        const [before, after] = apply(stamped);
+        if (before !== after) {
+            publish({lastAction: stamped});
+            setLastAction(stamped);
+        }
+        for (const change of diffEvents(selectAllEvents(before), selectAllEvents(after))) {
+            enqueue(change);
+        }
+        return true;
+    }, [apply, enqueue, publish]);
+
+    // Permanently delete events that have been in the trash for longer than the retention
+    // period: once when the app starts, then every hour while it stays open.
+    useEffect(() => {
+        const purge = () => dispatch({
+            type: "expiredPurged",
+            now: new Date().toISOString(),
+            retentionMs: trashRetentionDays * 24 * 60 * 60 * 1000,
+        });
+        purge();
+        const timer = setInterval(purge, 60 * 60 * 1000);
+        // Cleanup: stop the timer when the provider unmounts.
+        return () => clearInterval(timer);
+    }, [dispatch, trashRetentionDays]);
+
+    // Shortcuts for the two history actions.
+    const undo = useCallback(() => dispatch({type: "undone"}), [dispatch]);
+    const redo = useCallback(() => dispatch({type: "redone"}), [dispatch]);
+
+    // The state shared with `useEventsSelector`. A new object on every render is fine:
+    // each component compares only the part its selector returns.
+    const state = {
+        events, loading, error, trashRetentionDays, lastAction,
+        canUndo: history.past.length > 0,
+        canRedo: history.future.length > 0,
+        // Report a problem with the saved posts first, then the attendees and tag colours,
+        // then the saved queue.
+        storageProblem: postsProblem ?? attendeesProblem ?? tagsProblem ?? sync.storageProblem,
+        dismissStorageProblem: postsProblem ? dismissPostsProblem
+            : attendeesProblem ? dismissAttendeesProblem
+            : tagsProblem ? dismissTagsProblem
+            : sync.dismissStorageProblem,
+        online: sync.online,
+        pendingIds: sync.pendingIds,
+        conflicts: sync.conflicts,
+        attendees, tagColors,
+    };
+
+    // The store is created once. Changes made with the dispatch functions are already in
+    // it; anything else (loading, syncing, another tab's changes) is put in after each
+    // render. That is done in an effect, which runs after the subscribed components have
+    // caught up with the changes from `dispatch`; telling them any sooner would make them
+    // render again with the same values.
+    storeRef.current ??= createEventsStore(state);
+    const store = storeRef.current;
+    useEffect(() => {
+        store.setState(state);
+    });
+
+    // The functions are all `useCallback`s, so this object only changes if one of them does.
+    const {resolveConflict} = sync;
+    const actions = useMemo(() => ({
+        dispatch, reload, undo, redo, resolveConflict, dispatchAttendees, dispatchTags,
+    }), [dispatch, reload, undo, redo, resolveConflict, dispatchAttendees, dispatchTags]);
+
     return (
-        <EventsContext.Provider value={{posts, dispatch}}>
-            {children}
-        </EventsContext.Provider>
+        <EventsDispatchContext.Provider value={actions}>
+            <EventsStoreContext.Provider value={store}>
+                {children}
+            </EventsStoreContext.Provider>
+        </EventsDispatchContext.Provider>
     )
 }
-
-/**
- * useEvents Custom Hook
- *
- * This hook provides a simple and consistent way for components to consume the EventsContext.
- * It returns the current context value, which includes `posts` and `dispatch`.
- *
- * By using a custom hook, we abstract away the `useContext(EventsContext)` call,
- * making the component code cleaner and providing a single point of definition
- * for how the context is consumed. If the context implementation changes, we only
- * need to update this hook.
- */
-export const useEvents = () => useContext(EventsContext);
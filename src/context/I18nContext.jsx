@@ -0,0 +1,84 @@
+import { useCallback, useLayoutEffect, useMemo, useState } from "react";
+import { LOCALES, createI18n, matchLocale } from "../i18n";
+import { I18nContext } from "./i18n";
+
+// Where the language the user chose is kept.
+const LOCALE_STORAGE_KEY = "locale";
+
+// The `id` of the `<link>` that loads the stylesheet for the text direction.
+const STYLESHEET_ID = "direction-stylesheet";
+
+/**
+ * Works out the language to start in: the one the user chose before, or else the first
+ * of the browser's languages that the app is translated into.
+ * @returns {string} A key of `LOCALES`.
+ */
+function initialLocale() {
+    const saved = localStorage.getItem(LOCALE_STORAGE_KEY);
+    if (saved && Object.hasOwn(LOCALES, saved)) {
+        return saved;
+    }
+    return matchLocale(navigator.languages ?? [navigator.language]);
+}
+
+/**
+ * I18nProvider Component
+ *
+ * Keeps track of the language the app is shown in, and makes the functions that translate
+ * and format for it available to every component below it through `useI18n()` (see
+ * `context/i18n.js`). The choice is saved in `localStorage`, so it is kept on the next visit.
+ *
+ * Props:
+ * - `children` (ReactNode): The components that will be translated.
+ * - `stylesheets` (Object, optional): The URL of the stylesheet to load for each text
+ *   direction, `{ltr, rtl}`. Bootstrap has a right-to-left build, which swaps e.g. its
+ *   left and right margins. Only one of them may be loaded at a time.
+ *
+ * The context provides these values:
+ * - `locale`: The language, a key of `LOCALES` (e.g. "fr").
+ * - `formatLocale`: The language tag dates and numbers are formatted for (e.g. "fr-CA").
+ * - `dir`: `"ltr"` or `"rtl"`.
+ * - `t(key, values)`: Translates a message (see `i18n/index.js`).
+ * - `formatNumber(number)` and `formatDate(date, options)`: Format for the language.
+ * - `setLocale(locale)`: Changes the language, and remembers it.
+ *
+ * Key Concepts:
+ * 1. **Context for Global State**: Every component with text needs the language, so it is
+ *    provided once at the top, like the signed-in user.
+ *    @see {@link https://react.dev/learn/passing-data-deeply-with-context}
+ * 2. **Changing the Document**: The `lang` and `dir` attributes belong on `<html>`, which
+ *    is outside React. They are set in `useLayoutEffect`, before the browser paints, so
+ *    the page never shows the new text laid out in the old direction.
+ *    @see {@link https://react.dev/reference/react/useLayoutEffect}
+ */
+export function I18nProvider({ children, stylesheets }) {
+    const [locale, setLocaleState] = useState(initialLocale);
+    const i18n = createI18n(locale, navigator.languages ?? [navigator.language]);
+
+    const setLocale = useCallback((next) => {
+        localStorage.setItem(LOCALE_STORAGE_KEY, next);
+        setLocaleState(next);
+    }, []);
+
+    useLayoutEffect(() => {
+        document.documentElement.lang = i18n.locale;
+        document.documentElement.dir = i18n.dir;
+        if (stylesheets) {
+            let link = document.getElementById(STYLESHEET_ID);
+            if (!link) {
+                link = document.createElement("link");
+                link.id = STYLESHEET_ID;
+                link.rel = "stylesheet";
+                document.head.prepend(link);
+            }
+            link.href = stylesheets[i18n.dir];
+        }
+    }, [i18n, stylesheets]);
+
+    const value = useMemo(() => ({ ...i18n, setLocale }), [i18n, setLocale]);
+    return (
+        <I18nContext.Provider value={value}>
+            {children}
+        </I18nContext.Provider>
+    );
+}
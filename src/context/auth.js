@@ -0,0 +1,27 @@
+import { createContext, useContext } from "react";
+
+/**
+ * Auth Context and `useAuth`
+ *
+ * The context object and the hook that reads it live here, apart from the `AuthProvider`
+ * component in `AuthContext.jsx`: React Fast Refresh can only hot-reload a file that
+ * exports nothing but components.
+ * @see {@link https://github.com/vitejs/vite-plugin-react/tree/main/packages/plugin-react#consistent-components-exports}
+ *
+ * Outside an `AuthProvider` nobody is signed in, so every permission check says no.
+ */
+export const AuthContext = createContext({
+    user: null,
+    loading: false,
+    login: async () => null,
+    logout: async () => {},
+    demoAccounts: [],
+});
+
+/**
+ * useAuth Custom Hook
+ *
+ * Returns the auth context value: `{user, loading, login, logout, demoAccounts}`
+ * (see `AuthProvider`).
+ */
+export const useAuth = () => useContext(AuthContext);
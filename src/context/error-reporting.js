@@ -0,0 +1,18 @@
+import { createContext, useContext } from "react";
+import { createErrorReporter } from "../reporting";
+
+/**
+ * Error Reporter Context and `useErrorReporter`
+ *
+ * The error reporter chosen in `config.js` (see `reporting/index.js`) is the context's
+ * default value, so no provider is needed. To use another one, for example in a test,
+ * wrap the components in `<ErrorReporterContext.Provider value={reporter}>`.
+ */
+export const ErrorReporterContext = createContext(createErrorReporter());
+
+/**
+ * useErrorReporter Custom Hook
+ *
+ * Returns the error reporter: an object with `report(error, context)`.
+ */
+export const useErrorReporter = () => useContext(ErrorReporterContext);
@@ -0,0 +1,114 @@
+import { createContext, useContext, useSyncExternalStore } from "react";
+
+/**
+ * Events State and Dispatch Contexts
+ *
+ * `EventsProvider` (in `EventsContext.jsx`) shares what it knows through two contexts
+ * instead of one object that changes on every render:
+ *
+ * - `EventsDispatchContext`: the functions that change things (`dispatch`, `undo`,
+ *   `dispatchAttendees`...). They never change, so reading them never re-renders a
+ *   component. `Item` reads `dispatch` for its "Delete" link and, being wrapped in `memo`,
+ *   re-renders only when its own event, matches, badge or checkbox change.
+ * - `EventsStoreContext`: a small store holding the state (`events`, `attendees`,
+ *   `loading`...). The store object itself never changes either; components subscribe to
+ *   it with `useEventsSelector` and pick out only what they need.
+ *
+ * The context objects and hooks live here, apart from the provider: React Fast Refresh
+ * can only hot-reload a file that exports nothing but components.
+ *
+ * Key Concepts:
+ * 1. **Subscriptions with `useSyncExternalStore`**: A component re-renders only when the
+ *    value its selector returns changes (compared with `Object.is`), not whenever
+ *    anything in the state does.
+ *    @see {@link https://react.dev/reference/react/useSyncExternalStore}
+ * 2. **Stable Selector Results**: A selector must return the same value for the same
+ *    state: a value from the state (`(state) => state.attendees`) or the result of a
+ *    memoised selector (see `selectors/events.js`), or a string or number worked out from
+ *    them. One that builds a new array or object every time would make the component
+ *    re-render endlessly.
+ *    @see {@link https://react.dev/learn/optimizing-a-context-value}
+ */
+
+/**
+ * Creates a store for the events state: something components can read and subscribe to.
+ *
+ * `setState` only tells the subscribers if a value in the state changed, so setting an
+ * equal state again costs nothing.
+ *
+ * @param {Object} state - The first state.
+ * @returns {{getState: Function, setState: Function, subscribe: Function}} The store.
+ *   `subscribe(listener)` returns a function that unsubscribes again.
+ */
+export function createEventsStore(state) {
+    let current = state;
+    const listeners = new Set();
+    return {
+        getState: () => current,
+        setState(next) {
+            // A new object with the same values changes nothing, so nobody is told.
+            const keys = Object.keys(next);
+            if (keys.length === Object.keys(current).length && keys.every((key) => Object.is(next[key], current[key]))) {
+                return;
+            }
+            current = next;
+            listeners.forEach((listener) => listener());
+        },
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+    };
+}
+
+/** The store with the events state, provided by `EventsProvider`. */
+export const EventsStoreContext = createContext(null);
+
+/** The functions that change the events, provided by `EventsProvider`. */
+export const EventsDispatchContext = createContext(null);
+
+/**
+ * useEventsSelector Custom Hook
+ *
+ * Returns part of the events state, and re-renders the component only when that part
+ * changes:
+ *
+ *     const attendees = useEventsSelector((state) => state.attendees);
+ *     const event = useEventsSelector((state) => selectEventById(state.events, id));
+ *
+ * The state has `events`, `loading`, `error`, `trashRetentionDays`, `canUndo`, `canRedo`,
+ * `lastAction`, `storageProblem`, `dismissStorageProblem`, `online`, `pendingIds`,
+ * `conflicts`, `attendees` and `tagColors` (see `EventsProvider`).
+ *
+ * @param {Function} selector - Called with the state; returns the part needed.
+ * @returns {*} What the selector returned.
+ */
+export function useEventsSelector(selector) {
+    const store = useContext(EventsStoreContext);
+    return useSyncExternalStore(store.subscribe, () => selector(store.getState()));
+}
+
+/**
+ * useEventsDispatch Custom Hook
+ *
+ * Returns the functions that change the events: `{dispatch, reload, undo, redo,
+ * resolveConflict, dispatchAttendees, dispatchTags}`. Reading them never makes a
+ * component re-render.
+ */
+export const useEventsDispatch = () => useContext(EventsDispatchContext);
+
+// `useEvents` picks the whole state.
+const selectState = (state) => state;
+
+/**
+ * useEvents Custom Hook
+ *
+ * This hook provides a simple and consistent way for components to consume the events
+ * context. It returns the whole state and every function in one object: `events`,
+ * `dispatch`, `loading`, `error`, `reload` and the rest (see `EventsProvider`).
+ *
+ * The component re-renders whenever anything in the state changes. Components that need
+ * less, especially ones rendered many times like list items, should use
+ * `useEventsSelector` and `useEventsDispatch` instead.
+ */
+export const useEvents = () => ({...useEventsSelector(selectState), ...useEventsDispatch()});
@@ -0,0 +1,21 @@
+import { createContext, useContext } from "react";
+import { DEFAULT_LOCALE, createI18n } from "../i18n";
+
+/**
+ * I18n Context and `useI18n`
+ *
+ * The context object and the hook that reads it live here, apart from the `I18nProvider`
+ * component in `I18nContext.jsx`, for React Fast Refresh (see `context/auth.js`).
+ *
+ * Outside an `I18nProvider` the app is in English, and the language can't be changed.
+ */
+export const I18nContext = createContext({ ...createI18n(DEFAULT_LOCALE), setLocale: () => {} });
+
+/**
+ * useI18n Custom Hook
+ *
+ * Returns the i18n context value: `{locale, formatLocale, dir, t, formatNumber, formatDate,
+ * translateError, setLocale}`
+ * (see `I18nProvider` and `i18n/index.js`).
+ */
+export const useI18n = () => useContext(I18nContext);
@@ -0,0 +1,30 @@
+import { useEffect, useState } from "react";
+
+/**
+ * useDebouncedValue Custom Hook
+ *
+ * Returns `value`, but only once it has stopped changing for `delay` milliseconds. While
+ * the user is typing, the value returned stays the same, so work that depends on it (like
+ * searching thousands of events) is done once they pause rather than on every key press.
+ *
+ * Key Concepts:
+ * 1. **Debouncing**: Every change starts the timer again, and only the last value is kept.
+ *    @see {@link https://developer.mozilla.org/en-US/docs/Glossary/Debounce}
+ * 2. **Effect Cleanup**: The timer of the previous value is cleared when the value changes
+ *    (and when the component unmounts), so a stale value is never set.
+ *    @see {@link https://react.dev/learn/synchronizing-with-effects#how-to-handle-the-effect-firing-twice-in-development}
+ *
+ * @param {*} value - The value that changes quickly, e.g. the text in a search box.
+ * @param {number} delay - How long it must stay the same, in milliseconds.
+ * @returns {*} The value as it was when it last stopped changing.
+ */
+export function useDebouncedValue(value, delay) {
+    const [debounced, setDebounced] = useState(value);
+
+    useEffect(() => {
+        const timer = setTimeout(() => setDebounced(value), delay);
+        return () => clearTimeout(timer);
+    }, [value, delay]);
+
+    return debounced;
+}
@@ -1,4 +1,4 @@
-import { useEffect, useReducer } from "react"
+import { useCallback, useEffect, useReducer, useRef, useState } from "react"
 
 /**
  * useLocalStateReducer Custom Hook
@@ -18,49 +18,205 @@ import { useEffect, useReducer } from "react"
  * 3. **`localStorage`**: A web storage API that allows you to store key-value pairs
  *    in a web browser with no expiration time. The data persists even after the browser is closed.
  *    @see {@link https://developer.mozilla.org/en-US/docs/Web/API/Window/localStorage}
- * 4. **Lazy Initialization**: The `initializer` function is used as the third
- *    argument to `useReducer`. This function is only called once during the initial
- *    render, making it perfect for reading from `localStorage` without causing
- *    a server-client hydration mismatch or doing it on every render.
- *    @see {@link https://react.dev/reference/react/useReducer#lazy-initialization}
+ * 4. **Lazy Initialization**: The stored state is read inside a `useState` initializer
+ *    function. It is only called once during the initial render, making it perfect for
+ *    reading from `localStorage` without doing it on every render.
+ *    @see {@link https://react.dev/reference/react/useState#avoiding-recreating-the-initial-state}
+ * 5. **Cross-Tab Synchronisation**: When another tab (or window) of the app writes to the
+ *    same key, the browser fires a `storage` event in every *other* tab. The hook listens
+ *    for it and takes in the other tab's state, so all open tabs show the same data.
+ *    If a `merge` function is given, the other tab's state is merged with this tab's
+ *    rather than simply replacing it, so changes made in both tabs at once are kept.
+ *    @see {@link https://developer.mozilla.org/en-US/docs/Web/API/Window/storage_event}
+ * 6. **Versioning and Migrations**: The state is saved as `{version, data}`. When the
+ *    shape of the state changes, a migration function is added to `migrations` and the
+ *    version goes up by one. On load, every migration between the saved version and the
+ *    current one runs in order, so data saved by any older version can still be used.
+ *    Data saved before versioning existed (a bare value) counts as version 0.
+ *    @see {@link https://en.wikipedia.org/wiki/Schema_migration}
+ * 7. **Quarantine**: If the saved data cannot be read (corrupt JSON) or upgraded (a
+ *    migration throws), it is not thrown away: the raw string is copied to a
+ *    `"<key>:quarantine:<timestamp>"` key and a `problem` is returned so the app can
+ *    tell the user.
+ *
+ * @param {Function} reducer - The reducer function, as for `useReducer`.
+ * @param {*} initial - The state to use when nothing has been stored yet.
+ * @param {string} key - The localStorage key the state is stored under.
+ * @param {Object} [options] - Optional settings.
+ * @param {Array<Function>} [options.migrations] - `migrations[n]` turns data saved at
+ *   version `n` into data for version `n + 1`. The current version is `migrations.length`.
+ * @param {Function} [options.merge] - Called as `merge(base, local, remote)` when another
+ *   tab saves a new state: `base` is the state both tabs last agreed on, `local` is this
+ *   tab's state and `remote` the other tab's. Returns the state to use. Without it, the
+ *   other tab's state is adopted as-is.
+ * @returns {Array} `[state, dispatch, problem, dismissProblem]`. `problem` is `null`, or
+ *   `{key, message, quarantineKey}` when the saved data could not be loaded.
  */
-export function useLocalStateReducer(reducer, initial, key) {
+export function useLocalStateReducer(reducer, initial, key, { migrations = [], merge } = {}) {
     /**
-     * Initializer function for `useReducer`.
+     * Initializer function for the loaded state.
      * This function is called only once during the initial render of the component.
-     * It attempts to read the state from `localStorage`.
+     * It attempts to read the state from `localStorage`, and moves unusable data to a
+     * quarantine key so that it is not lost when the initial state is saved over it.
      */
-    const initializer = () => {
+    const [loaded] = useState(() => {
+        let json = null;
         try {
             // Attempt to get the item from localStorage using the provided key.
-            const json = localStorage.getItem(key);
-            // If an item exists, parse it from JSON and return it.
-            // Otherwise, return the initial state.
-            return json ? JSON.parse(json) : initial;
+            json = localStorage.getItem(key);
+            return { state: load(json, initial, migrations), problem: null };
         } catch (error) {
-            // If an error occurs during JSON parsing (e.g., corrupted data),
-            // catch it and return the initial state to prevent the app from crashing.
-            console.error(`Failed to parse localStorage item for key "${key}":`, error);
-            return initial;
+            // If an error occurs (corrupted data, a failing migration...), catch it and
+            // return the initial state to prevent the app from crashing.
+            console.error(`Failed to load localStorage item for key "${key}":`, error);
+            return { state: initial, problem: quarantine(key, json, error) };
         }
-    }
+    });
 
     // Initialize the state and dispatch function using `useReducer`.
-    // The `initializer` function ensures that the initial state is read from `localStorage`.
-    const [state, dispatch] = useReducer(reducer, initial, initializer);
+    // The reducer is wrapped so that it also understands the internal `SYNCED` action,
+    // which carries the state saved by another tab.
+    const [state, dispatch] = useReducer(withSync(reducer), loaded.state);
+
+    // A problem found while loading, shown to the user until they dismiss it.
+    const [problem, setProblem] = useState(loaded.problem);
+    const dismissProblem = useCallback(() => setProblem(null), []);
+
+    // The state most recently written to (or read from) localStorage. This is the "base"
+    // for merging: the last state this tab and the other tabs agreed on.
+    const savedRef = useRef(undefined);
+
+    // The latest options, so the `storage` listener below can use them without being
+    // re-registered on every render.
+    const latestRef = useRef({ initial, migrations, merge });
+    useEffect(() => {
+        latestRef.current = { initial, migrations, merge };
+    });
+
+    // Listen for changes to the same key made in other tabs.
+    useEffect(() => {
+        function handleStorage(event) {
+            // Ignore sessionStorage and other keys.
+            if (event.storageArea !== localStorage || event.key !== key) {
+                return;
+            }
+            const { initial, migrations, merge } = latestRef.current;
+            let remote;
+            try {
+                remote = load(event.newValue, initial, migrations);
+            } catch (error) {
+                // The other tab owns this value, so it is not quarantined here.
+                console.error(`Ignoring unreadable value written to "${key}" by another tab:`, error);
+                return;
+            }
+            const base = savedRef.current;
+            // What is in localStorage now is the other tab's state.
+            savedRef.current = remote;
+            dispatch({
+                type: SYNCED,
+                // Worked out inside the reducer so it sees this tab's latest state.
+                resolve: (local) => (merge && base !== undefined) ? merge(base, local, remote) : remote,
+            });
+        }
+        window.addEventListener("storage", handleStorage);
+        // Cleanup: stop listening when the component unmounts or the key changes.
+        return () => window.removeEventListener("storage", handleStorage);
+    }, [key]);
 
     // Use `useEffect` to save the state to `localStorage` whenever it changes.
     // The effect will run after every render where `state` or `key` has changed.
+    const version = migrations.length;
     useEffect(() => {
         try {
-            // Stringify the state and save it to `localStorage` with the specified key.
-            localStorage.setItem(key, JSON.stringify(state));
+            // Wrap the state with its version and save it to `localStorage` with the specified key.
+            // Writing the same string again does not fire `storage` events in other tabs,
+            // so adopting another tab's state does not bounce back and forth.
+            localStorage.setItem(key, JSON.stringify({ version, data: state }));
+            savedRef.current = state;
         } catch (error) {
             // Handle potential errors, e.g., if localStorage is full or disabled.
             console.error(`Failed to set localStorage item for key "${key}":`, error);
         }
-    }, [state, key]); // Dependency array: the effect runs only if `state` or `key` changes.
+    }, [state, key, version]); // Dependency array: the effect runs only if one of these changes.
+
+    // Return the current state and the dispatch function, just like `useReducer`,
+    // followed by any problem found while loading.
+    return [state, dispatch, problem, dismissProblem];
+}
+
+// The type of the internal action used to bring in another tab's state.
+// A prefix that no app action would use keeps it from clashing with the wrapped reducer's own actions.
+const SYNCED = "@@local-state/synced";
+
+/**
+ * Wraps a reducer so it also handles the internal `SYNCED` action.
+ *
+ * @param {Function} reducer - The app's reducer.
+ * @returns {Function} A reducer that handles `SYNCED` and passes every other action on.
+ */
+function withSync(reducer) {
+    return (state, action) => action.type === SYNCED ? action.resolve(state) : reducer(state, action);
+}
+
+/**
+ * Turns a stored JSON string into state, running any migrations it needs.
+ * Throws if the JSON is invalid, a migration fails, or the data is from a newer version.
+ *
+ * @param {string|null} json - The stored string, or `null` if nothing is stored.
+ * @param {*} initial - The state to use when nothing is stored.
+ * @param {Array<Function>} migrations - The migration functions.
+ * @returns {*} The state.
+ */
+function load(json, initial, migrations) {
+    // If nothing is stored, use the initial state.
+    if (!json) {
+        return initial;
+    }
+    const stored = JSON.parse(json);
+
+    // Versioned data looks like `{version, data}`. Anything else was saved before
+    // versioning was introduced and counts as version 0.
+    const isVersioned = stored !== null && typeof stored === "object" && !Array.isArray(stored)
+        && Number.isInteger(stored.version) && "data" in stored;
+    let version = isVersioned ? stored.version : 0;
+    let data = isVersioned ? stored.data : stored;
+
+    if (version > migrations.length) {
+        throw new Error(`it was saved by a newer version of the app (version ${version})`);
+    }
+    // Run each migration in turn, e.g. 0 → 1, then 1 → 2.
+    while (version < migrations.length) {
+        try {
+            data = migrations[version](data);
+        } catch (error) {
+            throw new Error(`upgrading from version ${version} failed: ${error.message}`, { cause: error });
+        }
+        version++;
+    }
+    return data;
+}
 
-    // Return the current state and the dispatch function, just like `useReducer`.
-    return [state, dispatch];
+/**
+ * Copies data that could not be loaded to a quarantine key, so it can be recovered by
+ * hand later, and describes the problem. The page words it in the chosen language; the
+ * `message` is the cause's own (untranslated) detail.
+ *
+ * @param {string} key - The key the data was stored under.
+ * @param {string|null} json - The raw stored string.
+ * @param {Error} error - Why the data could not be loaded.
+ * @returns {{key: string, message: string, quarantineKey: (string|null)}} The problem.
+ */
+function quarantine(key, json, error) {
+    let quarantineKey = null;
+    if (json) {
+        try {
+            quarantineKey = `${key}:quarantine:${Date.now()}`;
+            localStorage.setItem(quarantineKey, json);
+        } catch (backupError) {
+            // If even the backup fails (e.g. storage is full), say so rather than pretend.
+            console.error(`Failed to back up localStorage item for key "${key}":`, backupError);
+            quarantineKey = null;
+        }
+    }
+    return { key, message: error.message, quarantineKey };
 }
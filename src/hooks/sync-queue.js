@@ -0,0 +1,305 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { useLocalStateReducer } from "./local-state-reducer";
+import { EMPTY_SYNC_QUEUE, mergeSyncQueues, SYNC_QUEUE_MIGRATIONS, syncQueueReducer } from "../reducers/sync-queue-reducer";
+import { RepositoryError } from "../repositories/repository-error";
+
+// How long to wait before the first retry after a failed replay, and the longest wait.
+const RETRY_DELAY_MS = 2000;
+const MAX_RETRY_DELAY_MS = 60000;
+
+/**
+ * useSyncQueue Custom Hook
+ *
+ * This hook sends changes to a repository through a durable queue, so that the app keeps
+ * working while the browser is offline. Changes are stored with `useLocalStateReducer`
+ * under the `"sync-queue"` key and replayed, in the order they were made, whenever the
+ * browser is online.
+ *
+ * Before each change is sent, the server's copy of the event is fetched and compared with
+ * the version the change was based on. If someone else changed (or deleted) the event in
+ * the meantime, or if the server rejects the change, the entry becomes a *conflict* and
+ * the user is asked whether to keep their version or the server's.
+ *
+ * Key Concepts:
+ * 1. **Online/Offline Events**: The browser fires `online` and `offline` events on
+ *    `window` when connectivity changes; `navigator.onLine` gives the current state.
+ *    @see {@link https://developer.mozilla.org/en-US/docs/Web/API/Navigator/onLine}
+ * 2. **Optimistic Concurrency**: Every event has an `updatedAt` timestamp. A change is
+ *    only applied if the server still has the version it was based on.
+ *    @see {@link https://en.wikipedia.org/wiki/Optimistic_concurrency_control}
+ * 3. **Refs for Async Loops**: `queueRef` always holds the latest queue, so the replay
+ *    loop (which spans many renders) never works with stale state.
+ *    @see {@link https://react.dev/learn/referencing-values-with-refs}
+ * 4. **Retrying with Backoff**: When the server can't be reached, the replay is tried again
+ *    after a delay that doubles with each failure (2 s, 4 s, 8 s... up to a minute), so a
+ *    short outage is recovered from quickly without hammering a server that is down.
+ *    @see {@link https://en.wikipedia.org/wiki/Exponential_backoff}
+ *
+ * @param {Object} repository - Where changes are sent (see `repositories/index.js`).
+ * @param {Object} handlers
+ * @param {Function} handlers.getLocalEvent - Returns the local copy of an event by ID.
+ * @param {Function} handlers.replaceLocalEvent - Replaces the local copy of an event
+ *   (`null` removes it); used when the user keeps the server's version.
+ * @returns {Object} `{ pending, conflicts, pendingIds, online, enqueue, flush, isPending,
+ *   resolveConflict, storageProblem, dismissStorageProblem }`
+ */
+export function useSyncQueue(repository, { getLocalEvent, replaceLocalEvent }) {
+    // Other open tabs share the queue; `mergeSyncQueues` keeps entries added in both.
+    const [queue, queueDispatch, storageProblem, dismissStorageProblem] = useLocalStateReducer(syncQueueReducer, EMPTY_SYNC_QUEUE, "sync-queue", {
+        migrations: SYNC_QUEUE_MIGRATIONS,
+        merge: mergeSyncQueues,
+    });
+    const [online, setOnline] = useState(() => navigator.onLine);
+
+    // The latest queue, updated immediately on every change (see `update` below), and
+    // after every render so that changes arriving from other tabs are seen too.
+    const queueRef = useRef(queue);
+    useEffect(() => {
+        queueRef.current = queue;
+    }, [queue]);
+
+    // `true` while the replay loop is running, so only one loop runs at a time.
+    const flushingRef = useRef(false);
+
+    // The retry scheduled after a failed replay: its timer, and how many replays in a row
+    // have failed (which sets the delay).
+    const retryRef = useRef({ timer: null, failures: 0 });
+
+    // The latest `flush`, for the retry timer to call.
+    const flushRef = useRef(null);
+
+    /**
+     * Applies an action to the queue: to the ref straight away, and to React state so
+     * the UI updates. The reducer is pure, so both end up with the same result.
+     */
+    const update = useCallback((action) => {
+        queueRef.current = syncQueueReducer(queueRef.current, action);
+        queueDispatch(action);
+    }, [queueDispatch]);
+
+    /**
+     * Sends pending changes to the repository, oldest first, until the queue is empty,
+     * the connection drops, or the server is unavailable.
+     */
+    const flush = useCallback(async () => {
+        if (flushingRef.current || !navigator.onLine) {
+            return;
+        }
+        flushingRef.current = true;
+        // Replaying now makes a scheduled retry unnecessary.
+        const retry = retryRef.current;
+        clearTimeout(retry.timer);
+        retry.timer = null;
+        try {
+            for (;;) {
+                // Changes to an event with an unresolved conflict wait until it is resolved.
+                const { pending, conflicts } = queueRef.current;
+                const blocked = new Set(conflicts.map((conflict) => conflict.entry.id));
+                const entry = pending.find((item) => !blocked.has(item.id));
+                if (!entry) {
+                    break;
+                }
+
+                try {
+                    await replay(repository, entry);
+                    update({ type: "dequeued", key: entry.key });
+                    retry.failures = 0;
+                } catch (error) {
+                    // Network trouble or a server error: stop and try again later, waiting
+                    // longer after each failure. Coming back online retries straight away.
+                    if (isRetryable(error)) {
+                        const delay = Math.min(RETRY_DELAY_MS * 2 ** retry.failures, MAX_RETRY_DELAY_MS);
+                        retry.failures++;
+                        retry.timer = setTimeout(() => flushRef.current(), delay);
+                        break;
+                    }
+                    // Otherwise the change was refused. Fetch the server's copy so the user
+                    // can choose between it and their own.
+                    const server = await repository.get(entry.id).catch(() => null);
+                    update({
+                        type: "conflicted",
+                        key: entry.key,
+                        server,
+                        message: error.message,
+                        messageKey: error.messageKey,
+                        messageValues: error.messageValues,
+                    });
+                }
+            }
+        } finally {
+            flushingRef.current = false;
+        }
+    }, [repository, update]);
+
+    useEffect(() => {
+        flushRef.current = flush;
+    }, [flush]);
+
+    // Cleanup: cancel a scheduled retry when the component unmounts.
+    useEffect(() => {
+        const retry = retryRef.current;
+        return () => clearTimeout(retry.timer);
+    }, []);
+
+    /**
+     * Adds a change to the queue and tries to send it straight away.
+     *
+     * @param {Object} change - A change from `diffEvents`: `{type, id, event, previous}`.
+     */
+    const enqueue = useCallback((change) => {
+        update({
+            type: "enqueued",
+            entry: {
+                key: `${Date.now()}-${Math.random()}`,
+                type: change.type,
+                id: change.id,
+                event: change.event,
+                base: change.previous?.updatedAt,
+            },
+        });
+        flush();
+    }, [update, flush]);
+
+    /**
+     * Resolves a conflict.
+     *
+     * @param {string} id - The ID of the event in conflict.
+     * @param {"mine"|"theirs"} choice - Whose version to keep.
+     */
+    const resolveConflict = useCallback(async (id, choice) => {
+        if (choice === "mine") {
+            // Send the current local version (or the deletion) again, skipping the check.
+            const local = getLocalEvent(id);
+            const entry = local
+                ? { key: `${Date.now()}-${Math.random()}`, type: "update", id, event: local, force: true }
+                : { key: `${Date.now()}-${Math.random()}`, type: "remove", id, force: true };
+            update({ type: "resolved", id, entry });
+            flush();
+        } else {
+            // Take the server's current version. Fall back to the copy saved with the
+            // conflict if the server cannot be reached right now.
+            const saved = queueRef.current.conflicts.find((conflict) => conflict.entry.id === id);
+            const server = await repository.get(id).catch(() => saved?.server ?? null);
+            replaceLocalEvent(id, server);
+            update({ type: "resolved", id });
+        }
+    }, [repository, getLocalEvent, replaceLocalEvent, update, flush]);
+
+    /**
+     * Checks whether an event has a change that has not reached the server yet.
+     * Reads the ref, so it is accurate even in the middle of an async function.
+     *
+     * @param {string} id - The event ID.
+     * @returns {boolean} `true` if a change is pending or in conflict.
+     */
+    const isPending = useCallback((id) => {
+        const { pending, conflicts } = queueRef.current;
+        return pending.some((entry) => entry.id === id)
+            || conflicts.some((conflict) => conflict.entry.id === id);
+    }, []);
+
+    // Keep the online flag up to date and replay the queue when the connection returns.
+    useEffect(() => {
+        const handleOnline = () => {
+            setOnline(true);
+            flush();
+        };
+        const handleOffline = () => setOnline(false);
+        window.addEventListener("online", handleOnline);
+        window.addEventListener("offline", handleOffline);
+
+        // Send anything left over from the last visit.
+        flush();
+
+        // Cleanup: remove the listeners when the component unmounts.
+        return () => {
+            window.removeEventListener("online", handleOnline);
+            window.removeEventListener("offline", handleOffline);
+        };
+    }, [flush]);
+
+    // The IDs of every event with a change that has not reached the server yet.
+    const pendingIds = useMemo(() => new Set([
+        ...queue.pending.map((entry) => entry.id),
+        ...queue.conflicts.map((conflict) => conflict.entry.id),
+    ]), [queue]);
+
+    return {
+        pending: queue.pending,
+        conflicts: queue.conflicts,
+        pendingIds,
+        online,
+        enqueue,
+        flush,
+        isPending,
+        resolveConflict,
+        storageProblem,
+        dismissStorageProblem,
+    };
+}
+
+/**
+ * Decides whether a failed change should simply be tried again later.
+ *
+ * @param {Error} error - The error thrown while sending the change.
+ * @returns {boolean} `true` for network failures and server (5xx) errors.
+ */
+function isRetryable(error) {
+    return error.offline || error.status >= 500;
+}
+
+/**
+ * Creates the error used when the server's copy of an event does not match the version
+ * a change was based on.
+ *
+ * @param {string} message - What happened, in English.
+ * @param {string} messageKey - The key of the same message in the catalogues.
+ * @returns {RepositoryError} An error with HTTP status 409 (Conflict).
+ */
+function conflict(message, messageKey) {
+    return new RepositoryError(message, { messageKey, status: 409 });
+}
+
+/**
+ * Sends one queued change to the repository, checking for conflicts first.
+ * Changes that the server already has (because an earlier attempt succeeded but the
+ * response was lost) are skipped, so replaying the same entry twice is harmless.
+ *
+ * @param {Object} repository - The repository to send to.
+ * @param {Object} entry - The queue entry.
+ */
+async function replay(repository, entry) {
+    const server = await repository.get(entry.id);
+
+    if (entry.type === "remove") {
+        if (!server) {
+            return; // Already gone.
+        }
+        if (!entry.force && server.updatedAt !== entry.base) {
+            throw conflict("This event was changed on the server after you deleted it.", "syncConflicts.changedAfterDelete");
+        }
+        await repository.remove(entry.id);
+        return;
+    }
+
+    if (server && server.updatedAt === entry.event.updatedAt) {
+        return; // The server already has this exact version.
+    }
+    if (!entry.force) {
+        if (entry.type === "create" && server) {
+            throw conflict("Another event with the same ID already exists on the server.", "syncConflicts.sameId");
+        }
+        if (entry.type === "update" && !server) {
+            throw conflict("This event was deleted on the server.", "syncConflicts.deletedOnServer");
+        }
+        if (entry.type === "update" && server.updatedAt !== entry.base) {
+            throw conflict("This event was changed on the server since you last loaded it.", "syncConflicts.changedOnServer");
+        }
+    }
+
+    if (server) {
+        await repository.update(entry.id, entry.event);
+    } else {
+        await repository.create(entry.event);
+    }
+}
@@ -0,0 +1,162 @@
+import { Fragment, createElement, isValidElement } from "react";
+import ar from "./messages/ar";
+import en from "./messages/en";
+import fr from "./messages/fr";
+
+/**
+ * Internationalisation (i18n)
+ *
+ * The text the app shows is looked up by key in a *message catalogue*, one per language
+ * (see `messages/`), instead of being written into the components:
+ *
+ *     const {t} = useI18n();
+ *     t("eventList.noMatches");                 // "No events match your search."
+ *     t("eventList.showing", {first: 1, last: 10, count: 42});
+ *
+ * Key Concepts:
+ * 1. **Message Catalogues**: Each catalogue maps keys to messages. A key missing from a
+ *    catalogue falls back to English, so a new message can be added before it is translated.
+ * 2. **Placeholders**: `{name}` in a message is replaced by `values.name`. Numbers are
+ *    formatted for the language (e.g. "10,000" in English, "10 000" in French). A value can
+ *    also be a React element, e.g. a name in `<strong>`.
+ * 3. **Plurals**: A message can have a form per plural category, chosen by `values.count`
+ *    with `Intl.PluralRules`. English only needs "one" and "other"; Arabic has six.
+ *    @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Intl/PluralRules}
+ * 4. **Formatting with `Intl`**: Dates and numbers are formatted by the browser's `Intl`
+ *    objects for the chosen language, so they follow its conventions. If the browser asks
+ *    for a regional variant of it (e.g. "en-ZA" for English), that region's conventions
+ *    are used, so English can still show "31 Dec 2025" rather than "Dec 31, 2025".
+ *    @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Intl}
+ * 5. **Text Direction**: Arabic is written right to left. `dir` tells the app which way
+ *    the page should be laid out.
+ *    @see {@link https://developer.mozilla.org/en-US/docs/Web/HTML/Global_attributes/dir}
+ * 6. **Errors**: An error thrown by the app's own code keeps an English `message` for the
+ *    console, and the key and values of the same message in `messageKey` and
+ *    `messageValues`. `translateError` shows it in the chosen language.
+ */
+
+/** The languages the app is translated into, with the name shown for each (in that language). */
+export const LOCALES = {
+    en: { name: "English", dir: "ltr" },
+    fr: { name: "Français", dir: "ltr" },
+    ar: { name: "العربية", dir: "rtl" },
+};
+
+/** The language used when none of the user's languages is available. */
+export const DEFAULT_LOCALE = "en";
+
+const CATALOGUES = { en, fr, ar };
+
+/**
+ * Gets the language of a language tag, without its region.
+ * @param {string} tag - E.g. "fr-CA".
+ * @returns {string} E.g. "fr".
+ */
+function baseLanguage(tag) {
+    return String(tag).toLowerCase().split("-")[0];
+}
+
+/**
+ * Picks the first of the user's languages that the app is translated into.
+ *
+ * @param {Array<string>} languages - Language tags in order of preference, e.g.
+ *   `navigator.languages` (`["fr-CA", "en"]`).
+ * @returns {string} A key of `LOCALES`. A region is ignored, so "fr-CA" gives "fr".
+ */
+export function matchLocale(languages) {
+    const match = (languages ?? []).map(baseLanguage).find((base) => Object.hasOwn(LOCALES, base));
+    return match ?? DEFAULT_LOCALE;
+}
+
+// One translator per language, so the context value only changes with the language.
+const translators = new Map();
+
+/**
+ * Creates (or reuses) the translator for a language.
+ *
+ * @param {string} locale - A key of `LOCALES`. Unknown languages get the default one.
+ * @param {Array<string>} [languages=[]] - The user's language tags (e.g. `navigator.languages`).
+ *   The first one in `locale`'s language, if any, is used to format dates and numbers.
+ * @returns {{locale: string, formatLocale: string, dir: "ltr"|"rtl", t: Function, formatNumber: Function, formatDate: Function, translateError: Function}}
+ *   The language, the language tag dates and numbers are formatted for (e.g. "en-ZA"), the
+ *   text direction, and functions that translate and format.
+ */
+export function createI18n(locale, languages = []) {
+    const supported = Object.hasOwn(LOCALES, locale) ? locale : DEFAULT_LOCALE;
+    const formatLocale = languages.find((tag) => baseLanguage(tag) === supported) ?? supported;
+    const key = `${supported} ${formatLocale}`;
+    if (!translators.has(key)) {
+        translators.set(key, buildI18n(supported, formatLocale));
+    }
+    return translators.get(key);
+}
+
+/**
+ * Builds the translator for a supported language.
+ *
+ * @param {string} locale - A key of `LOCALES`.
+ * @param {string} formatLocale - The language tag to format dates and numbers for.
+ * @returns {Object} See `createI18n`.
+ */
+function buildI18n(locale, formatLocale) {
+    const catalogue = CATALOGUES[locale];
+    const plurals = new Intl.PluralRules(locale);
+    const numbers = new Intl.NumberFormat(formatLocale);
+
+    /**
+     * Formats a number, e.g. 10000 as "10,000".
+     * @param {number} number - The number.
+     * @returns {string} The formatted number.
+     */
+    function formatNumber(number) {
+        return numbers.format(number);
+    }
+
+    /**
+     * Formats a date (and/or time).
+     * @param {Date} date - The date.
+     * @param {Intl.DateTimeFormatOptions} options - What to show, e.g. `{dateStyle: "medium"}`.
+     * @returns {string} The formatted date.
+     */
+    function formatDate(date, options) {
+        return date.toLocaleString(formatLocale, options);
+    }
+
+    /**
+     * Translates a message.
+     * @param {string} key - The message key, e.g. "eventList.noMatches".
+     * @param {Object} [values={}] - The values of its placeholders. `count` also picks the plural form.
+     * @returns {string|JSX.Element} The message. It is only an element when a value is one.
+     */
+    function t(key, values = {}) {
+        let message = catalogue[key] ?? en[key] ?? key;
+        if (typeof message === "object") {
+            message = message[plurals.select(values.count)] ?? message.other;
+        }
+        // Splitting on the placeholders leaves the names at the odd positions.
+        const parts = message.split(/\{(\w+)\}/).map((part, index) => {
+            if (index % 2 === 0) {
+                return part;
+            }
+            const value = values[part];
+            if (value === undefined || value === null) {
+                return `{${part}}`;
+            }
+            return typeof value === "number" ? formatNumber(value) : value;
+        });
+        return parts.some(isValidElement) ? createElement(Fragment, null, ...parts) : parts.join("");
+    }
+
+    /**
+     * Says what went wrong, in the chosen language. An error without a `messageKey` (e.g.
+     * one thrown by the browser) is shown with its own message.
+     * @param {{message: string, messageKey: (string|undefined), messageValues: (Object|undefined)}} error -
+     *   The error, or an object that describes one (such as a sync conflict).
+     * @returns {string} The message.
+     */
+    function translateError(error) {
+        return error.messageKey ? t(error.messageKey, error.messageValues) : error.message;
+    }
+
+    return { locale, formatLocale, dir: LOCALES[locale].dir, t, formatNumber, formatDate, translateError };
+}
@@ -0,0 +1,488 @@
+/**
+ * Arabic Messages
+ *
+ * See `en.js` for what each message is for. Keys missing here are shown in English.
+ * Arabic has six plural forms: `zero`, `one`, `two`, `few` (3–10), `many` (11–99) and `other`.
+ */
+export default {
+    "common.actions": "الإجراءات",
+    "common.backToEvent": "العودة إلى الفعالية",
+    "common.backToEvents": "العودة إلى الفعاليات",
+    "common.cancel": "إلغاء",
+    "common.close": "إغلاق",
+    "common.delete": "حذف",
+    "common.deleteTitle": "حذف «{name}»",
+    "common.edit": "تعديل",
+    "common.fileUnreadable": "تعذرت قراءة {name}. {error}",
+    "common.notAllowed": "غير مسموح",
+    "common.separator": "، ",
+    "common.tryAgain": "حاول مرة أخرى",
+
+    "fields.name": "الاسم",
+    "fields.ancestry": "الأصل",
+    "fields.description": "الوصف",
+    "fields.venue": "المكان",
+    "fields.organiser": "المنظم",
+    "fields.tags": "الوسوم",
+    "fields.when": "الموعد",
+
+    "language.label": "اللغة",
+
+    "logo.alt": "شعار React",
+
+    "roles.viewer": "مشاهد",
+    "roles.organiser": "منظم",
+    "roles.admin": "مسؤول",
+
+    "userMenu.signedInAs": "مسجل الدخول باسم {name} ({role})",
+    "userMenu.logIn": "تسجيل الدخول",
+    "userMenu.logOut": "تسجيل الخروج",
+
+    "requireAuth.checking": "جارٍ التحقق من تسجيل الدخول...",
+    "requireAuth.notAllowed": "غير مسموح",
+    "requireAuth.notAllowedText": "أنت مسجل الدخول باسم {name} ({role})، ولا يمكنه فتح هذه الصفحة.",
+
+    "errorScreen.title": "حدث خطأ ما",
+    "errorScreen.text": "تعذر عرض هذا الجزء من الصفحة بسبب خطأ.",
+    "errorScreen.details": "التفاصيل",
+
+    "notFound.title": "الصفحة غير موجودة",
+    "notFound.text": "لا توجد صفحة على العنوان {path}.",
+
+    "eventNotFound.loading": "جارٍ تحميل الفعالية...",
+    "eventNotFound.title": "الفعالية غير موجودة",
+    "eventNotFound.text": "لا توجد فعالية بالمعرّف «{id}». ربما حُذفت.",
+
+    "eventsStatus.offline": "أنت غير متصل بالإنترنت.",
+    "eventsStatus.pending": {
+        zero: "لا توجد فعاليات معدلة بانتظار الحفظ.",
+        one: "ستُحفظ فعالية معدلة واحدة عند عودة الاتصال.",
+        two: "ستُحفظ فعاليتان معدلتان عند عودة الاتصال.",
+        few: "ستُحفظ {count} فعاليات معدلة عند عودة الاتصال.",
+        many: "ستُحفظ {count} فعالية معدلة عند عودة الاتصال.",
+        other: "ستُحفظ {count} فعالية معدلة عند عودة الاتصال.",
+    },
+    "eventsStatus.loading": "جارٍ تحميل الفعاليات...",
+    "eventsStatus.loadFailed": "تعذر تحميل الفعاليات. {error}",
+    "eventsStatus.storageProblem": "تعذر تحميل بياناتك المحفوظة («{key}»)، لذا بدأ التطبيق فارغًا: {error}.",
+    "eventsStatus.quarantined": "حُفظت نسخة باسم «{key}».",
+
+    "syncConflicts.title": "تعذر حفظ تعديلك",
+    "syncConflicts.versions": "نسختك: {mine}. نسخة الخادم: {theirs}.",
+    "syncConflicts.named": "«{name}»",
+    "syncConflicts.deleted": "محذوفة",
+    "syncConflicts.keepMine": "الاحتفاظ بنسختي",
+    "syncConflicts.useTheirs": "استخدام نسخة الخادم",
+    "syncConflicts.changedAfterDelete": "تم تغيير هذه الفعالية على الخادم بعد أن حذفتها.",
+    "syncConflicts.sameId": "توجد على الخادم فعالية أخرى بالمعرّف نفسه.",
+    "syncConflicts.deletedOnServer": "تم حذف هذه الفعالية على الخادم.",
+    "syncConflicts.changedOnServer": "تم تغيير هذه الفعالية على الخادم منذ آخر تحميل لها.",
+
+    "errors.serverRejected": "رفض الخادم الطلب ({status}).",
+    "errors.serverUnreachable": "تعذّر الوصول إلى خادم الفعاليات.",
+    "errors.storageUnavailable": "تعذّر الوصول إلى الفعاليات المحفوظة في هذا المتصفح.",
+    "errors.eventNotFound": "الفعالية {id} غير موجودة.",
+
+    "fileFormat.notICalendar": "هذا ليس ملف iCalendar (.ics).",
+    "fileFormat.unclosedQuote": "قيمة بين علامتي اقتباس تبدأ في السطر {line} لا تُغلق أبدًا.",
+    "fileFormat.invalidJson": "ملف JSON غير صالح.",
+    "fileFormat.notEventList": "يجب أن يحتوي ملف JSON على قائمة من الفعاليات.",
+
+    "undo.removed": "نُقلت الفعالية إلى سلة المهملات.",
+    "undo.occurrenceRemoved": "حُذف الموعد.",
+    "undo.purged": "حُذفت الفعالية نهائيًا.",
+    "undo.trashEmptied": "أُفرغت سلة المهملات.",
+    "undo.tagRenamed": "أُعيدت تسمية الوسم «{from}» إلى «{to}».",
+    "undo.tagDeleted": "حُذف الوسم «{name}».",
+    "undo.batchRemoved": {
+        one: "نُقلت فعالية واحدة إلى سلة المهملات.",
+        two: "نُقلت فعاليتان إلى سلة المهملات.",
+        few: "نُقلت {count} فعاليات إلى سلة المهملات.",
+        many: "نُقلت {count} فعالية إلى سلة المهملات.",
+        other: "نُقلت {count} فعالية إلى سلة المهملات.",
+    },
+    "undo.batchDuplicated": {
+        one: "نُسخت فعالية واحدة.",
+        two: "نُسخت فعاليتان.",
+        few: "نُسخت {count} فعاليات.",
+        many: "نُسخت {count} فعالية.",
+        other: "نُسخت {count} فعالية.",
+    },
+    "undo.batchRetagged": {
+        one: "تغيرت الوسوم على فعالية واحدة.",
+        two: "تغيرت الوسوم على فعاليتين.",
+        few: "تغيرت الوسوم على {count} فعاليات.",
+        many: "تغيرت الوسوم على {count} فعالية.",
+        other: "تغيرت الوسوم على {count} فعالية.",
+    },
+    "undo.importReplaced": "استُبدلت الفعاليات بالفعاليات المستوردة.",
+    "undo.imported": "استُوردت الفعاليات.",
+    "undo.undo": "تراجع",
+
+    "eventList.searchLabel": "البحث عن فعالية:",
+    "eventList.searchPlaceholder": "مثال: هاري",
+    "eventList.searchHint": "يبحث في كل الحقول، ويجد النتائج القريبة حتى مع خطأ إملائي.",
+    "eventList.any": "الكل",
+    "eventList.from": "تبدأ من",
+    "eventList.to": "تبدأ حتى",
+    "eventList.search": "بحث",
+    "eventList.clear": "مسح",
+    "eventList.sortBy": "الترتيب حسب",
+    "eventList.order": "الاتجاه",
+    "eventList.ascending": "تصاعدي",
+    "eventList.descending": "تنازلي",
+    "eventList.perPage": "لكل صفحة",
+    "eventList.all": "الكل",
+    "eventList.selectAll": {
+        one: "تحديد الفعالية",
+        two: "تحديد الفعاليتين",
+        few: "تحديد الفعاليات الـ{count}",
+        many: "تحديد الفعاليات الـ{count}",
+        other: "تحديد الفعاليات الـ{count}",
+    },
+    "eventList.selectAllMatching": {
+        one: "تحديد الفعالية المطابقة",
+        two: "تحديد الفعاليتين المطابقتين",
+        few: "تحديد الفعاليات المطابقة الـ{count}",
+        many: "تحديد الفعاليات المطابقة الـ{count}",
+        other: "تحديد الفعاليات المطابقة الـ{count}",
+    },
+    "eventList.menu": "القائمة الرئيسية",
+    "eventList.add": "إضافة فعالية",
+    "eventList.calendar": "التقويم",
+    "eventList.importIcs": "استيراد ‎.ics",
+    "eventList.importExport": "استيراد / تصدير",
+    "eventList.importFile": "استيراد من CSV أو JSON",
+    "eventList.trash": "سلة المهملات ({count})",
+    "eventList.noMatches": "لا توجد فعاليات تطابق بحثك.",
+    "eventList.showing": {
+        one: "عرض {first}–{last} من فعالية واحدة",
+        two: "عرض {first}–{last} من فعاليتين",
+        few: "عرض {first}–{last} من {count} فعاليات",
+        many: "عرض {first}–{last} من {count} فعالية",
+        other: "عرض {first}–{last} من {count} فعالية",
+    },
+    "eventList.downloadThese": "تنزيل هذه بصيغة ‎.ics",
+    "eventList.downloadAll": "تنزيل الكل بصيغة ‎.ics",
+    "eventList.empty": "لا يوجد شيء هنا...",
+    "eventList.registered": "{count} مسجل",
+    "eventList.registeredOf": "{count}/{capacity} مسجل",
+    "eventList.waitlisted": "{count} في قائمة الانتظار",
+
+    "sort.name": "الاسم",
+    "sort.start": "تاريخ البدء",
+    "sort.created": "تاريخ الإنشاء",
+    "sort.ancestry": "الأصل",
+
+    "item.select": "تحديد «{name}»",
+    "item.pending": "قيد الانتظار",
+    "item.conflict": "تعارض",
+
+    "occurrenceChoice.question": "هذه الفعالية متكررة. على أي المواعيد يُطبق هذا؟",
+    "occurrenceChoice.occurrence": "هذا الموعد",
+    "occurrenceChoice.occurrenceOn": "هذا الموعد ({date})",
+    "occurrenceChoice.series": "السلسلة كاملة",
+
+    "pageLinks.label": "الصفحات",
+    "pageLinks.previous": "السابق",
+    "pageLinks.next": "التالي",
+
+    "batch.region": "الفعاليات المحددة",
+    "batch.selected": "{count} محددة",
+    "batch.clear": "إلغاء التحديد",
+    "batch.delete": "حذف {count}",
+    "batch.duplicate": "نسخ {count}",
+    "batch.exportLabel": "تصدير الفعاليات المحددة",
+    "batch.exportIcs": "تصدير ‎.ics",
+    "batch.tagsFor": {
+        one: "وسوم فعالية واحدة",
+        two: "وسوم فعاليتين",
+        few: "وسوم {count} فعاليات",
+        many: "وسوم {count} فعالية",
+        other: "وسوم {count} فعالية",
+    },
+    "batch.addTags": "إضافة الوسوم",
+    "batch.removeTags": "إزالة الوسوم",
+
+    "event.inTrash": "«{name}» في سلة المهملات",
+    "event.restoreText": "استعدها لعرضها أو تعديلها مرة أخرى.",
+    "event.restore": "استعادة",
+    "event.goToTrash": "الذهاب إلى سلة المهملات",
+    "event.repeats": "التكرار",
+    "event.capacity": "السعة القصوى",
+    "event.noLimit": "بلا حد",
+    "event.cancelled": "أُلغي هذا الموعد. باقي السلسلة لم يتأثر.",
+    "event.download": "إضافة إلى التقويم (‎.ics)",
+    "event.downloadTitle": "تنزيل ملف ‎.ics لتطبيق التقويم",
+    "event.downloadNeedsStart": "أضف تاريخ بدء لتنزيل هذه الفعالية",
+    "event.manageAttendees": "إدارة الحضور",
+
+    "registration.title": "التسجيل",
+    "registration.registered": "{count} مسجل.",
+    "registration.placesTaken": {
+        one: "{taken} من مقعد واحد محجوز.",
+        two: "{taken} من مقعدين محجوز.",
+        few: "{taken} من {count} مقاعد محجوزة.",
+        many: "{taken} من {count} مقعدًا محجوزة.",
+        other: "{taken} من {count} مقعد محجوزة.",
+    },
+    "registration.waitlist": "{count} في قائمة الانتظار.",
+    "registration.placed": "تم تسجيل {name}.",
+    "registration.waiting": "الفعالية ممتلئة، لذا {name} في قائمة الانتظار (رقم {position}). سيحصل على مقعد تلقائيًا إذا ألغى أحدهم.",
+    "registration.name": "الاسم",
+    "registration.email": "البريد الإلكتروني",
+    "registration.join": "الانضمام إلى قائمة الانتظار",
+    "registration.register": "تسجيل",
+
+    "recurrence.daily": { one: "كل يوم", two: "كل يومين", few: "كل {count} أيام", many: "كل {count} يومًا", other: "كل {count} يوم" },
+    "recurrence.weekly": { one: "كل أسبوع", two: "كل أسبوعين", few: "كل {count} أسابيع", many: "كل {count} أسبوعًا", other: "كل {count} أسبوع" },
+    "recurrence.monthly": { one: "كل شهر", two: "كل شهرين", few: "كل {count} أشهر", many: "كل {count} شهرًا", other: "كل {count} شهر" },
+    "recurrence.other": { one: "كل مرة", two: "كل مرتين", few: "كل {count} مرات", many: "كل {count} مرة", other: "كل {count} مرة" },
+    "recurrence.onDays": "{every} أيام {days}",
+    "recurrence.until": "حتى {date}",
+    "recurrence.count": { one: "مرة واحدة", two: "مرتان", few: "{count} مرات", many: "{count} مرة", other: "{count} مرة" },
+
+    "validation.required": "هذا الحقل مطلوب.",
+    "validation.tooLong": "يجب ألا يتجاوز {max} حرفًا.",
+    "validation.invalidDateTime": "أدخل تاريخًا ووقتًا صحيحين.",
+    "validation.endNeedsStart": "وقت الانتهاء يحتاج إلى وقت بدء.",
+    "validation.endBeforeStart": "يجب أن تنتهي الفعالية بعد بدئها.",
+    "validation.invalidTimeZone": "اختر منطقة زمنية صحيحة.",
+    "validation.capacityNotWhole": "يجب أن تكون السعة عددًا صحيحًا.",
+    "validation.capacityRange": "يجب أن تكون السعة بين {min} و{max}.",
+    "validation.invalidRecurrence": "قاعدة التكرار هذه غير صحيحة.",
+    "validation.recurrenceNeedsStart": "الفعالية المتكررة تحتاج إلى وقت بدء.",
+    "validation.intervalRange": "يجب أن تكون الفترة عددًا صحيحًا بين {min} و{max}.",
+    "validation.noWeekdays": "اختر يومًا واحدًا من الأسبوع على الأقل.",
+    "validation.invalidUntil": "أدخل تاريخ انتهاء صحيحًا للتكرار.",
+    "validation.untilBeforeStart": "يجب أن ينتهي التكرار في التاريخ الأول أو بعده.",
+    "validation.countRange": "يجب أن يكون عدد المرات بين {min} و{max}.",
+    "validation.untilAndCount": "اختر تاريخ انتهاء أو عدد مرات، وليس كليهما.",
+    "validation.invalidExceptions": "قائمة الاستثناءات هذه غير صحيحة.",
+    "validation.tooManyTags": "يمكن أن يكون للفعالية {max} وسوم على الأكثر.",
+    "validation.tagTooLong": "«{tag}» طويل جدًا؛ يجب ألا يتجاوز الوسم {max} حرفًا.",
+    "validation.invalidEmail": "أدخل عنوان بريد إلكتروني صحيحًا.",
+    "validation.emailTaken": "عنوان البريد الإلكتروني هذا مسجل في هذه الفعالية بالفعل.",
+
+    "eventForm.title": "الفعالية",
+    "eventForm.editTitle": "تعديل «{name}»",
+    "eventForm.notOwner": "«{name}» تخص شخصًا آخر، لذا لا يمكنك تعديلها.",
+    "eventForm.inTrash": "«{name}» في سلة المهملات ولا يمكن تعديلها. استعدها أولًا.",
+    "eventForm.occurrenceDeleted": "حُذف هذا الموعد من «{name}».",
+    "eventForm.editSeries": "تعديل السلسلة كاملة",
+    "eventForm.onlyOccurrence": "يتغير هذا الموعد فقط. يبقى باقي السلسلة كما هو.",
+    "eventForm.notAllowed": "غير مسموح لك بحفظ هذه الفعالية. سجّل الدخول بحساب يمكنه تغييرها ثم حاول مرة أخرى.",
+    "eventForm.start": "البدء",
+    "eventForm.end": "الانتهاء",
+    "eventForm.timeZone": "المنطقة الزمنية",
+    "eventForm.submit": "إرسال",
+
+    "frequency.daily": "يوميًا",
+    "frequency.weekly": "أسبوعيًا",
+    "frequency.monthly": "شهريًا",
+
+    "recurrenceEditor.frequency": "عدد مرات تكرار الفعالية",
+    "recurrenceEditor.none": "لا تتكرر",
+    "recurrenceEditor.every": "كل",
+    "recurrenceEditor.daily": { one: "يوم", two: "يومين", few: "أيام", many: "يومًا", other: "يوم" },
+    "recurrenceEditor.weekly": { one: "أسبوع", two: "أسبوعين", few: "أسابيع", many: "أسبوعًا", other: "أسبوع" },
+    "recurrenceEditor.monthly": { one: "شهر", two: "شهرين", few: "أشهر", many: "شهرًا", other: "شهر" },
+    "recurrenceEditor.weekdays": "أيام الأسبوع",
+    "recurrenceEditor.ends": "ينتهي",
+    "recurrenceEditor.never": "أبدًا",
+    "recurrenceEditor.on": "في",
+    "recurrenceEditor.after": "بعد",
+    "recurrenceEditor.until": "آخر تاريخ",
+    "recurrenceEditor.count": "عدد المرات",
+    "recurrenceEditor.times": { one: "مرة", two: "مرتين", few: "مرات", many: "مرة", other: "مرة" },
+
+    "tagPicker.placeholder": "مثال: جاز",
+    "tagPicker.add": "إضافة",
+    "tagPicker.hint": "اضغط Enter أو اكتب فاصلة بعد كل وسم.",
+
+    "tagChip.remove": "إزالة الوسم {name}",
+
+    "calendar.month": "شهر",
+    "calendar.week": "أسبوع",
+    "calendar.day": "يوم",
+    "calendar.navigation": "التنقل في التقويم",
+    "calendar.layout": "عرض التقويم",
+    "calendar.previous": "› السابق",
+    "calendar.today": "اليوم",
+    "calendar.next": "التالي ‹",
+    "calendar.addOn": "إضافة فعالية في {date}",
+    "calendar.addAt": "انقر لإضافة فعالية في هذا الوقت",
+    "calendar.time": "الوقت",
+    "calendar.continuing": "مستمرة",
+
+    "attendees.title": "الحضور: {name}",
+    "attendees.notOwner": "«{name}» تخص شخصًا آخر، لذا لا يمكنك إدارة حضورها.",
+    "attendees.noDate": "لا يوجد تاريخ",
+    "attendees.places": {
+        one: "مقعد واحد",
+        two: "مقعدان",
+        few: "{count} مقاعد",
+        many: "{count} مقعدًا",
+        other: "{count} مقعد",
+    },
+    "attendees.summary": "المسجلون: {registered} · الحاضرون: {checkedIn} · في قائمة الانتظار: {waitlist}",
+    "attendees.export": "تصدير CSV",
+    "attendees.registered": "المسجلون",
+    "attendees.checkedIn": "الحضور",
+    "attendees.none": "لم يسجل أحد بعد.",
+    "attendees.checkIn": "تسجيل الحضور",
+    "attendees.undoCheckIn": "التراجع عن الحضور",
+    "attendees.waitlist": "قائمة الانتظار (تتقدم تلقائيًا عندما يلغي أحدهم)",
+
+    "trash.title": "سلة المهملات",
+    "trash.retention": {
+        one: "تبقى الفعاليات المحذوفة هنا يومًا واحدًا قبل حذفها نهائيًا.",
+        two: "تبقى الفعاليات المحذوفة هنا يومين قبل حذفها نهائيًا.",
+        few: "تبقى الفعاليات المحذوفة هنا {count} أيام قبل حذفها نهائيًا.",
+        many: "تبقى الفعاليات المحذوفة هنا {count} يومًا قبل حذفها نهائيًا.",
+        other: "تبقى الفعاليات المحذوفة هنا {count} يوم قبل حذفها نهائيًا.",
+    },
+    "trash.empty": "سلة المهملات فارغة.",
+    "trash.deleted": "تاريخ الحذف",
+    "trash.daysLeft": "الأيام المتبقية",
+    "trash.purge": "حذف نهائي",
+    "trash.emptyTrash": "إفراغ سلة المهملات",
+
+    "tags.title": "الوسوم",
+    "tags.intro": "تنطبق التغييرات هنا على كل فعالية تحمل الوسم. أعد تسمية وسم باسم وسم آخر لدمجهما.",
+    "tags.none": "لا توجد فعالية تحمل وسمًا بعد. أضف الوسوم عند إنشاء فعالية أو تعديلها.",
+    "tags.tag": "الوسم",
+    "tags.events": "الفعاليات",
+    "tags.colour": "اللون",
+    "tags.newName": "الاسم الجديد لـ{name}",
+    "tags.colourOf": "لون {name}",
+    "tags.rename": "إعادة التسمية",
+    "tags.mergeInto": "الدمج في «{name}»",
+    "tags.renameOrMerge": "إعادة التسمية أو الدمج",
+    "tags.color.primary": "أزرق",
+    "tags.color.secondary": "رمادي",
+    "tags.color.success": "أخضر",
+    "tags.color.danger": "أحمر",
+    "tags.color.warning": "أصفر",
+    "tags.color.info": "سماوي",
+    "tags.color.dark": "أسود",
+
+    "login.signedIn": "أنت مسجل الدخول باسم {name} ({role}).",
+    "login.continue": "متابعة",
+    "login.needed": "سجل الدخول لفتح تلك الصفحة.",
+    "login.password": "كلمة المرور",
+    "login.invalidCredentials": "عنوان البريد الإلكتروني أو كلمة المرور غير صحيح.",
+    "login.failed": "تعذر تسجيل الدخول. تحقق من اتصالك وحاول مرة أخرى.",
+    "login.demoAccounts": "حسابات تجريبية",
+    "login.role": "الدور",
+    "login.use": "استخدام",
+
+    "importExport.title": "الاستيراد والتصدير",
+    "importExport.export": "التصدير",
+    "importExport.exportText": {
+        zero: "لا توجد فعاليات لتنزيلها (الفعاليات في سلة المهملات غير مضمنة).",
+        one: "تنزيل الفعالية (الفعاليات في سلة المهملات غير مضمنة).",
+        two: "تنزيل الفعاليتين (الفعاليات في سلة المهملات غير مضمنة).",
+        few: "تنزيل الفعاليات الـ{count} (الفعاليات في سلة المهملات غير مضمنة).",
+        many: "تنزيل الفعاليات الـ{count} (الفعاليات في سلة المهملات غير مضمنة).",
+        other: "تنزيل الفعاليات الـ{count} (الفعاليات في سلة المهملات غير مضمنة).",
+    },
+    "importExport.downloadCsv": "تنزيل CSV",
+    "importExport.downloadJson": "تنزيل JSON",
+    "importExport.import": "الاستيراد",
+    "importExport.chooseFile": "اختر ملف CSV أو JSON",
+    "importExport.fileHint": "يحتاج ملف CSV إلى صف عناوين بأسماء الأعمدة. يمكن تعديل الملفات المصدرة من هذه الصفحة واستيرادها مرة أخرى.",
+    "importExport.noRows": "لا توجد صفوف لاستيرادها في {name}.",
+    "importExport.columns": "الأعمدة",
+    "importExport.column": "العمود في الملف",
+    "importExport.firstValue": "القيمة الأولى",
+    "importExport.importInto": "الاستيراد إلى",
+    "importExport.noName": "(بلا اسم)",
+    "importExport.fieldFor": "حقل العمود «{column}»",
+    "importExport.skip": "عدم الاستيراد",
+    "importExport.needName": "اختر العمود الذي يحتوي على أسماء الفعاليات؛ كل فعالية تحتاج إلى اسم.",
+    "importExport.line": "السطر {line}",
+    "importExport.item": "العنصر {item}",
+    "importExport.failed": {
+        one: "صف واحد غير صالح وسيُتجاوز",
+        two: "صفان غير صالحين وسيُتجاوزان",
+        few: "{count} صفوف غير صالحة وستُتجاوز",
+        many: "{count} صفًا غير صالح وسيُتجاوز",
+        other: "{count} صف غير صالح وسيُتجاوز",
+    },
+    "importExport.existing": "الفعاليات الموجودة",
+    "importExport.merge": "الدمج: إضافة الفعاليات الجديدة وتحديث الفعاليات ذات المعرّف UID المطابق",
+    "importExport.replace": "الاستبدال: نقل كل فعالية غير موجودة في الملف إلى سلة المهملات أيضًا",
+    "importExport.replaceAdminsOnly": "الاستبدال: نقل كل فعالية غير موجودة في الملف إلى سلة المهملات أيضًا (للمسؤولين فقط)",
+    "importExport.new": "{count} جديدة",
+    "importExport.updated": "{count} محدثة",
+    "importExport.skippedTrash": "{count} متجاوزة لأن الفعالية المطابقة في سلة المهملات",
+    "importExport.skippedOthers": "{count} متجاوزة لأن الفعالية المطابقة تخص شخصًا آخر",
+    "importExport.replaced": {
+        one: "ستُنقل فعالية موجودة واحدة إلى سلة المهملات.",
+        two: "ستُنقل فعاليتان موجودتان إلى سلة المهملات.",
+        few: "ستُنقل {count} فعاليات موجودة إلى سلة المهملات.",
+        many: "ستُنقل {count} فعالية موجودة إلى سلة المهملات.",
+        other: "ستُنقل {count} فعالية موجودة إلى سلة المهملات.",
+    },
+    "importExport.canUndo": "يمكنك التراجع عن الاستيراد بعد ذلك.",
+    "importExport.importRows": {
+        one: "استيراد صف واحد",
+        two: "استيراد صفين",
+        few: "استيراد {count} صفوف",
+        many: "استيراد {count} صفًا",
+        other: "استيراد {count} صف",
+    },
+
+    "importFields.uid": "UID",
+    "importFields.name": "الاسم",
+    "importFields.ancestry": "الأصل",
+    "importFields.description": "الوصف",
+    "importFields.venue": "المكان",
+    "importFields.organiser": "المنظم",
+    "importFields.start": "البدء",
+    "importFields.end": "الانتهاء",
+    "importFields.timeZone": "المنطقة الزمنية",
+    "importFields.capacity": "السعة القصوى",
+    "importFields.recurrence": "التكرار",
+    "importFields.tags": "الوسوم",
+    "importFields.exceptions": "استثناءات التكرار",
+
+    "importCalendar.title": "الاستيراد من ملف تقويم",
+    "importCalendar.chooseFile": "اختر ملف iCalendar (‎.ics)",
+    "importCalendar.noEvents": "لا توجد فعاليات في {name}.",
+    "importCalendar.contains": {
+        one: "يحتوي {name} على فعالية واحدة. اختر ما تريد استيراده.",
+        two: "يحتوي {name} على فعاليتين. اختر ما تريد استيراده.",
+        few: "يحتوي {name} على {count} فعاليات. اختر ما تريد استيراده.",
+        many: "يحتوي {name} على {count} فعالية. اختر ما تريد استيراده.",
+        other: "يحتوي {name} على {count} فعالية. اختر ما تريد استيراده.",
+    },
+    "importCalendar.import": "استيراد",
+    "importCalendar.importNamed": "استيراد {name}",
+    "importCalendar.importUnnamed": "استيراد هذه الفعالية",
+    "importCalendar.status": "الحالة",
+    "importCalendar.imported": "مستوردة بالفعل",
+    "importCalendar.importedTrashed": "مستوردة بالفعل (في سلة المهملات)",
+    "importCalendar.duplicate": "مكررة في هذا الملف",
+    "importCalendar.invalid": "لا يمكن استيرادها: {errors}",
+    "importCalendar.new": "جديدة",
+    "importCalendar.importEvents": {
+        zero: "استيراد",
+        one: "استيراد فعالية واحدة",
+        two: "استيراد فعاليتين",
+        few: "استيراد {count} فعاليات",
+        many: "استيراد {count} فعالية",
+        other: "استيراد {count} فعالية",
+    },
+
+    "benchmark.title": "قياس أداء العرض",
+    "benchmark.intro": "يعيد تسمية الفعاليات {updates} مرة، واحدة تلو الأخرى، في قائمتين من فعاليات وهمية تُعرض بصفوف القائمة الحقيقية، ويقيس مدة العرض. لا تتغير فعالياتك.",
+    "benchmark.rows": "الفعاليات في كل قائمة",
+    "benchmark.list": "القائمة",
+    "benchmark.time": "الوقت",
+    "benchmark.newProps": "خصائص جديدة في كل عرض",
+    "benchmark.stableProps": "خصائص ثابتة",
+    "benchmark.ms": "{ms} ملي ثانية",
+    "benchmark.run": "تشغيل",
+};
@@ -0,0 +1,406 @@
+/**
+ * English Messages
+ *
+ * The message catalogue every other language falls back to, so every key must be here.
+ * Keys are grouped by the component that uses them; `common.*` and `fields.*` are shared.
+ * `{name}` is a placeholder, and a message with an object of `one`/`other` forms is
+ * pluralised by its `{count}` (see `i18n/index.js`).
+ */
+export default {
+    "common.actions": "Actions",
+    "common.backToEvent": "Go back to the event",
+    "common.backToEvents": "Go back to events",
+    "common.cancel": "Cancel",
+    "common.close": "Close",
+    "common.delete": "Delete",
+    "common.deleteTitle": "Delete \"{name}\"",
+    "common.edit": "Edit",
+    "common.fileUnreadable": "{name} could not be read. {error}",
+    "common.notAllowed": "Not allowed",
+    "common.separator": ", ",
+    "common.tryAgain": "Try again",
+
+    "fields.name": "Name",
+    "fields.ancestry": "Ancestry",
+    "fields.description": "Description",
+    "fields.venue": "Venue",
+    "fields.organiser": "Organiser",
+    "fields.tags": "Tags",
+    "fields.when": "When",
+
+    "language.label": "Language",
+
+    "logo.alt": "React logo",
+
+    "roles.viewer": "Viewer",
+    "roles.organiser": "Organiser",
+    "roles.admin": "Admin",
+
+    "userMenu.signedInAs": "Signed in as {name} ({role})",
+    "userMenu.logIn": "Log in",
+    "userMenu.logOut": "Log out",
+
+    "requireAuth.checking": "Checking who is signed in...",
+    "requireAuth.notAllowed": "Not allowed",
+    "requireAuth.notAllowedText": "You are signed in as {name} ({role}), who can't open this page.",
+
+    "errorScreen.title": "Something went wrong",
+    "errorScreen.text": "This part of the page could not be shown because of an error.",
+    "errorScreen.details": "Details",
+
+    "notFound.title": "Page not found",
+    "notFound.text": "There is no page at {path}.",
+
+    "eventNotFound.loading": "Loading event...",
+    "eventNotFound.title": "Event not found",
+    "eventNotFound.text": "There is no event with the ID \"{id}\". It may have been deleted.",
+
+    "eventsStatus.offline": "You are offline.",
+    "eventsStatus.pending": {
+        one: "{count} changed event will be saved when the connection returns.",
+        other: "{count} changed events will be saved when the connection returns.",
+    },
+    "eventsStatus.loading": "Loading events...",
+    "eventsStatus.loadFailed": "The events could not be loaded. {error}",
+    "eventsStatus.storageProblem": "Your saved data (\"{key}\") could not be loaded, so the app started empty: {error}.",
+    "eventsStatus.quarantined": "A copy was saved under \"{key}\".",
+
+    "syncConflicts.title": "Your change could not be saved",
+    "syncConflicts.versions": "Your version: {mine}. Server version: {theirs}.",
+    "syncConflicts.named": "\"{name}\"",
+    "syncConflicts.deleted": "deleted",
+    "syncConflicts.keepMine": "Keep my version",
+    "syncConflicts.useTheirs": "Use the server's version",
+    "syncConflicts.changedAfterDelete": "This event was changed on the server after you deleted it.",
+    "syncConflicts.sameId": "Another event with the same ID already exists on the server.",
+    "syncConflicts.deletedOnServer": "This event was deleted on the server.",
+    "syncConflicts.changedOnServer": "This event was changed on the server since you last loaded it.",
+
+    "errors.serverRejected": "The server rejected the request ({status}).",
+    "errors.serverUnreachable": "Could not reach the events server.",
+    "errors.storageUnavailable": "Could not access the events stored in this browser.",
+    "errors.eventNotFound": "Event {id} does not exist.",
+
+    "fileFormat.notICalendar": "This is not an iCalendar (.ics) file.",
+    "fileFormat.unclosedQuote": "A quoted value starting on line {line} is never closed.",
+    "fileFormat.invalidJson": "The JSON is not valid.",
+    "fileFormat.notEventList": "The JSON file should contain a list of events.",
+
+    "undo.removed": "Event moved to the trash.",
+    "undo.occurrenceRemoved": "Occurrence deleted.",
+    "undo.purged": "Event permanently deleted.",
+    "undo.trashEmptied": "Trash emptied.",
+    "undo.tagRenamed": "Tag \"{from}\" renamed to \"{to}\".",
+    "undo.tagDeleted": "Tag \"{name}\" deleted.",
+    "undo.batchRemoved": { one: "{count} event moved to the trash.", other: "{count} events moved to the trash." },
+    "undo.batchDuplicated": { one: "{count} event duplicated.", other: "{count} events duplicated." },
+    "undo.batchRetagged": { one: "Tags changed on {count} event.", other: "Tags changed on {count} events." },
+    "undo.importReplaced": "Events replaced with the imported ones.",
+    "undo.imported": "Events imported.",
+    "undo.undo": "Undo",
+
+    "eventList.searchLabel": "Search Event:",
+    "eventList.searchPlaceholder": "eg: Harry",
+    "eventList.searchHint": "Searches every field, and finds close matches even with a typo.",
+    "eventList.any": "Any",
+    "eventList.from": "Starting from",
+    "eventList.to": "Starting until",
+    "eventList.search": "Search",
+    "eventList.clear": "Clear",
+    "eventList.sortBy": "Sort by",
+    "eventList.order": "Order",
+    "eventList.ascending": "Ascending",
+    "eventList.descending": "Descending",
+    "eventList.perPage": "Per page",
+    "eventList.all": "All",
+    "eventList.selectAll": { one: "Select {count} event", other: "Select all {count} events" },
+    "eventList.selectAllMatching": { one: "Select {count} matching event", other: "Select all {count} matching events" },
+    "eventList.menu": "Main Menu!!",
+    "eventList.add": "Add Event",
+    "eventList.calendar": "Calendar",
+    "eventList.importIcs": "Import .ics",
+    "eventList.importExport": "Import / export",
+    "eventList.importFile": "Import from CSV or JSON",
+    "eventList.trash": "Trash ({count})",
+    "eventList.noMatches": "No events match your search.",
+    "eventList.showing": {
+        one: "Showing {first}–{last} of {count} event",
+        other: "Showing {first}–{last} of {count} events",
+    },
+    "eventList.downloadThese": "Download these as .ics",
+    "eventList.downloadAll": "Download all as .ics",
+    "eventList.empty": "Nothin is here...",
+    "eventList.registered": "{count} registered",
+    "eventList.registeredOf": "{count}/{capacity} registered",
+    "eventList.waitlisted": "{count} waitlisted",
+
+    "sort.name": "Name",
+    "sort.start": "Start date",
+    "sort.created": "Date created",
+    "sort.ancestry": "Ancestry",
+
+    "item.select": "Select \"{name}\"",
+    "item.pending": "Pending",
+    "item.conflict": "Conflict",
+
+    "occurrenceChoice.question": "This event repeats. Which events should this apply to?",
+    "occurrenceChoice.occurrence": "This occurrence",
+    "occurrenceChoice.occurrenceOn": "This occurrence ({date})",
+    "occurrenceChoice.series": "The whole series",
+
+    "pageLinks.label": "Pages",
+    "pageLinks.previous": "Previous",
+    "pageLinks.next": "Next",
+
+    "batch.region": "Selected events",
+    "batch.selected": "{count} selected",
+    "batch.clear": "Clear selection",
+    "batch.delete": "Delete {count}",
+    "batch.duplicate": "Duplicate {count}",
+    "batch.exportLabel": "Export the selected events",
+    "batch.exportIcs": "Export .ics",
+    "batch.tagsFor": { one: "Tags for {count} event", other: "Tags for {count} events" },
+    "batch.addTags": "Add tags",
+    "batch.removeTags": "Remove tags",
+
+    "event.inTrash": "\"{name}\" is in the trash",
+    "event.restoreText": "Restore it to view or edit it again.",
+    "event.restore": "Restore",
+    "event.goToTrash": "Go to the trash",
+    "event.repeats": "Repeats",
+    "event.capacity": "Maximum capacity",
+    "event.noLimit": "No limit",
+    "event.cancelled": "This occurrence has been cancelled. The rest of the series is not affected.",
+    "event.download": "Add to calendar (.ics)",
+    "event.downloadTitle": "Download an .ics file for your calendar app",
+    "event.downloadNeedsStart": "Add a start date to download this event",
+    "event.manageAttendees": "Manage attendees",
+
+    "registration.title": "Registration",
+    "registration.registered": "{count} registered.",
+    "registration.placesTaken": { one: "{taken} of {count} place taken.", other: "{taken} of {count} places taken." },
+    "registration.waitlist": "{count} on the waitlist.",
+    "registration.placed": "{name} is registered.",
+    "registration.waiting": "The event is full, so {name} is on the waitlist (number {position}). They'll get a place automatically if someone cancels.",
+    "registration.name": "Name",
+    "registration.email": "Email",
+    "registration.join": "Join the waitlist",
+    "registration.register": "Register",
+
+    "recurrence.daily": { one: "Every day", other: "Every {count} days" },
+    "recurrence.weekly": { one: "Every week", other: "Every {count} weeks" },
+    "recurrence.monthly": { one: "Every month", other: "Every {count} months" },
+    "recurrence.other": { one: "Every time", other: "Every {count} times" },
+    "recurrence.onDays": "{every} on {days}",
+    "recurrence.until": "until {date}",
+    "recurrence.count": { one: "{count} time", other: "{count} times" },
+
+    "validation.required": "This field is required.",
+    "validation.tooLong": "Must be {max} characters or fewer.",
+    "validation.invalidDateTime": "Enter a valid date and time.",
+    "validation.endNeedsStart": "An end time needs a start time.",
+    "validation.endBeforeStart": "The event must end after it starts.",
+    "validation.invalidTimeZone": "Choose a valid time zone.",
+    "validation.capacityNotWhole": "Capacity must be a whole number.",
+    "validation.capacityRange": "Capacity must be between {min} and {max}.",
+    "validation.invalidRecurrence": "This is not a valid repeat rule.",
+    "validation.recurrenceNeedsStart": "A repeating event needs a start time.",
+    "validation.intervalRange": "The interval must be a whole number between {min} and {max}.",
+    "validation.noWeekdays": "Choose at least one day of the week.",
+    "validation.invalidUntil": "Enter a valid end date for the repeats.",
+    "validation.untilBeforeStart": "The repeats must end on or after the first date.",
+    "validation.countRange": "The number of times must be between {min} and {max}.",
+    "validation.untilAndCount": "Choose either an end date or a number of times, not both.",
+    "validation.invalidExceptions": "This is not a valid list of exceptions.",
+    "validation.tooManyTags": "An event can have at most {max} tags.",
+    "validation.tagTooLong": "\"{tag}\" is too long; tags must be {max} characters or fewer.",
+    "validation.invalidEmail": "Enter a valid email address.",
+    "validation.emailTaken": "This email address is already registered for this event.",
+
+    "eventForm.title": "Event",
+    "eventForm.editTitle": "Edit \"{name}\"",
+    "eventForm.notOwner": "\"{name}\" belongs to someone else, so you can't edit it.",
+    "eventForm.inTrash": "\"{name}\" is in the trash and can't be edited. Restore it first.",
+    "eventForm.occurrenceDeleted": "This occurrence of \"{name}\" has been deleted.",
+    "eventForm.editSeries": "Edit the whole series",
+    "eventForm.onlyOccurrence": "Only this occurrence changes. The rest of the series stays as it is.",
+    "eventForm.notAllowed": "You are not allowed to save this event. Sign in with an account that may change it and try again.",
+    "eventForm.start": "Starts",
+    "eventForm.end": "Ends",
+    "eventForm.timeZone": "Time zone",
+    "eventForm.submit": "Submit",
+
+    "frequency.daily": "Daily",
+    "frequency.weekly": "Weekly",
+    "frequency.monthly": "Monthly",
+
+    "recurrenceEditor.frequency": "How often the event repeats",
+    "recurrenceEditor.none": "Does not repeat",
+    "recurrenceEditor.every": "every",
+    "recurrenceEditor.daily": { one: "day", other: "days" },
+    "recurrenceEditor.weekly": { one: "week", other: "weeks" },
+    "recurrenceEditor.monthly": { one: "month", other: "months" },
+    "recurrenceEditor.weekdays": "Days of the week",
+    "recurrenceEditor.ends": "Ends",
+    "recurrenceEditor.never": "Never",
+    "recurrenceEditor.on": "On",
+    "recurrenceEditor.after": "After",
+    "recurrenceEditor.until": "Last date",
+    "recurrenceEditor.count": "Number of times",
+    "recurrenceEditor.times": { one: "time", other: "times" },
+
+    "tagPicker.placeholder": "eg: Jazz",
+    "tagPicker.add": "Add",
+    "tagPicker.hint": "Press Enter or type a comma after each tag.",
+
+    "tagChip.remove": "Remove tag {name}",
+
+    "calendar.month": "Month",
+    "calendar.week": "Week",
+    "calendar.day": "Day",
+    "calendar.navigation": "Move through the calendar",
+    "calendar.layout": "Calendar layout",
+    "calendar.previous": "‹ Previous",
+    "calendar.today": "Today",
+    "calendar.next": "Next ›",
+    "calendar.addOn": "Add an event on {date}",
+    "calendar.addAt": "Click to add an event at this time",
+    "calendar.time": "Time",
+    "calendar.continuing": "Continuing",
+
+    "attendees.title": "Attendees: {name}",
+    "attendees.notOwner": "\"{name}\" belongs to someone else, so you can't manage its attendees.",
+    "attendees.noDate": "No date set",
+    "attendees.places": { one: "{count} place", other: "{count} places" },
+    "attendees.summary": "Registered: {registered} · Checked in: {checkedIn} · On the waitlist: {waitlist}",
+    "attendees.export": "Export CSV",
+    "attendees.registered": "Registered",
+    "attendees.checkedIn": "Checked in",
+    "attendees.none": "Nobody has registered yet.",
+    "attendees.checkIn": "Check in",
+    "attendees.undoCheckIn": "Undo check-in",
+    "attendees.waitlist": "Waitlist (moves up automatically when someone cancels)",
+
+    "trash.title": "Trash",
+    "trash.retention": {
+        one: "Deleted events are kept here for {count} day before they are removed for good.",
+        other: "Deleted events are kept here for {count} days before they are removed for good.",
+    },
+    "trash.empty": "The trash is empty.",
+    "trash.deleted": "Deleted",
+    "trash.daysLeft": "Days left",
+    "trash.purge": "Delete forever",
+    "trash.emptyTrash": "Empty trash",
+
+    "tags.title": "Tags",
+    "tags.intro": "Changes here apply to every event with the tag. Rename a tag to the name of another one to merge them.",
+    "tags.none": "No event has a tag yet. Add tags when you create or edit an event.",
+    "tags.tag": "Tag",
+    "tags.events": "Events",
+    "tags.colour": "Colour",
+    "tags.newName": "New name for {name}",
+    "tags.colourOf": "Colour of {name}",
+    "tags.rename": "Rename",
+    "tags.mergeInto": "Merge into \"{name}\"",
+    "tags.renameOrMerge": "Rename or merge",
+    "tags.color.primary": "Blue",
+    "tags.color.secondary": "Grey",
+    "tags.color.success": "Green",
+    "tags.color.danger": "Red",
+    "tags.color.warning": "Yellow",
+    "tags.color.info": "Cyan",
+    "tags.color.dark": "Black",
+
+    "login.signedIn": "You are signed in as {name} ({role}).",
+    "login.continue": "Continue",
+    "login.needed": "Please log in to open that page.",
+    "login.password": "Password",
+    "login.invalidCredentials": "The email address or password is wrong.",
+    "login.failed": "Could not sign in. Check your connection and try again.",
+    "login.demoAccounts": "Demo accounts",
+    "login.role": "Role",
+    "login.use": "Use",
+
+    "importExport.title": "Import and export",
+    "importExport.export": "Export",
+    "importExport.exportText": {
+        one: "Download the {count} event (events in the trash are not included).",
+        other: "Download all {count} events (events in the trash are not included).",
+    },
+    "importExport.downloadCsv": "Download CSV",
+    "importExport.downloadJson": "Download JSON",
+    "importExport.import": "Import",
+    "importExport.chooseFile": "Choose a CSV or JSON file",
+    "importExport.fileHint": "A CSV file needs a header row with the column names. Files exported from this page can be edited and imported again.",
+    "importExport.noRows": "{name} has no rows to import.",
+    "importExport.columns": "Columns",
+    "importExport.column": "Column in the file",
+    "importExport.firstValue": "First value",
+    "importExport.importInto": "Import into",
+    "importExport.noName": "(no name)",
+    "importExport.fieldFor": "Field for the \"{column}\" column",
+    "importExport.skip": "Don't import",
+    "importExport.needName": "Choose the column that holds the event names; every event needs one.",
+    "importExport.line": "Line {line}",
+    "importExport.item": "Item {item}",
+    "importExport.failed": {
+        one: "{count} row fails validation and will be skipped",
+        other: "{count} rows fail validation and will be skipped",
+    },
+    "importExport.existing": "Existing events",
+    "importExport.merge": "Merge: add new events and update the ones with a matching UID",
+    "importExport.replace": "Replace: also move every event that is not in the file to the trash",
+    "importExport.replaceAdminsOnly": "Replace: also move every event that is not in the file to the trash (admins only)",
+    "importExport.new": "{count} new",
+    "importExport.updated": "{count} updated",
+    "importExport.skippedTrash": "{count} skipped because the matching event is in the trash",
+    "importExport.skippedOthers": "{count} skipped because the matching event belongs to someone else",
+    "importExport.replaced": {
+        one: "{count} existing event will be moved to the trash.",
+        other: "{count} existing events will be moved to the trash.",
+    },
+    "importExport.canUndo": "You can undo the import afterwards.",
+    "importExport.importRows": { one: "Import {count} row", other: "Import {count} rows" },
+
+    "importFields.uid": "UID",
+    "importFields.name": "Name",
+    "importFields.ancestry": "Ancestry",
+    "importFields.description": "Description",
+    "importFields.venue": "Venue",
+    "importFields.organiser": "Organiser",
+    "importFields.start": "Starts",
+    "importFields.end": "Ends",
+    "importFields.timeZone": "Time zone",
+    "importFields.capacity": "Maximum capacity",
+    "importFields.recurrence": "Repeats",
+    "importFields.tags": "Tags",
+    "importFields.exceptions": "Exceptions to the repeats",
+
+    "importCalendar.title": "Import from a calendar file",
+    "importCalendar.chooseFile": "Choose an iCalendar (.ics) file",
+    "importCalendar.noEvents": "{name} has no events in it.",
+    "importCalendar.contains": {
+        one: "{name} contains {count} event. Choose the ones to import.",
+        other: "{name} contains {count} events. Choose the ones to import.",
+    },
+    "importCalendar.import": "Import",
+    "importCalendar.importNamed": "Import {name}",
+    "importCalendar.importUnnamed": "Import this event",
+    "importCalendar.status": "Status",
+    "importCalendar.imported": "Already imported",
+    "importCalendar.importedTrashed": "Already imported (in the trash)",
+    "importCalendar.duplicate": "Duplicate in this file",
+    "importCalendar.invalid": "Can't be imported: {errors}",
+    "importCalendar.new": "New",
+    "importCalendar.importEvents": { one: "Import {count} event", other: "Import {count} events" },
+
+    "benchmark.title": "Rendering benchmark",
+    "benchmark.intro": "Renames events {updates} times, one at a time, in two lists of made-up events shown with the real event rows, and measures how long the rendering takes. Your own events are not changed.",
+    "benchmark.rows": "Events in each list",
+    "benchmark.list": "List",
+    "benchmark.time": "Time",
+    "benchmark.newProps": "New props each render",
+    "benchmark.stableProps": "Stable props",
+    "benchmark.ms": "{ms} ms",
+    "benchmark.run": "Run",
+};
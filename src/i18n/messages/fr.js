@@ -0,0 +1,406 @@
+/**
+ * French Messages
+ *
+ * See `en.js` for what each message is for. Keys missing here are shown in English.
+ */
+export default {
+    "common.actions": "Actions",
+    "common.backToEvent": "Retour à l'événement",
+    "common.backToEvents": "Retour aux événements",
+    "common.cancel": "Annuler",
+    "common.close": "Fermer",
+    "common.delete": "Supprimer",
+    "common.deleteTitle": "Supprimer « {name} »",
+    "common.edit": "Modifier",
+    "common.fileUnreadable": "Impossible de lire {name}. {error}",
+    "common.notAllowed": "Accès refusé",
+    "common.separator": ", ",
+    "common.tryAgain": "Réessayer",
+
+    "fields.name": "Nom",
+    "fields.ancestry": "Ascendance",
+    "fields.description": "Description",
+    "fields.venue": "Lieu",
+    "fields.organiser": "Organisateur",
+    "fields.tags": "Étiquettes",
+    "fields.when": "Quand",
+
+    "language.label": "Langue",
+
+    "logo.alt": "Logo de React",
+
+    "roles.viewer": "Lecteur",
+    "roles.organiser": "Organisateur",
+    "roles.admin": "Administrateur",
+
+    "userMenu.signedInAs": "Connecté en tant que {name} ({role})",
+    "userMenu.logIn": "Se connecter",
+    "userMenu.logOut": "Se déconnecter",
+
+    "requireAuth.checking": "Vérification de la connexion...",
+    "requireAuth.notAllowed": "Accès refusé",
+    "requireAuth.notAllowedText": "Vous êtes connecté en tant que {name} ({role}), qui ne peut pas ouvrir cette page.",
+
+    "errorScreen.title": "Une erreur s'est produite",
+    "errorScreen.text": "Cette partie de la page n'a pas pu être affichée à cause d'une erreur.",
+    "errorScreen.details": "Détails",
+
+    "notFound.title": "Page introuvable",
+    "notFound.text": "Il n'y a pas de page à l'adresse {path}.",
+
+    "eventNotFound.loading": "Chargement de l'événement...",
+    "eventNotFound.title": "Événement introuvable",
+    "eventNotFound.text": "Il n'y a pas d'événement avec l'identifiant « {id} ». Il a peut-être été supprimé.",
+
+    "eventsStatus.offline": "Vous êtes hors ligne.",
+    "eventsStatus.pending": {
+        one: "{count} événement modifié sera enregistré au retour de la connexion.",
+        other: "{count} événements modifiés seront enregistrés au retour de la connexion.",
+    },
+    "eventsStatus.loading": "Chargement des événements...",
+    "eventsStatus.loadFailed": "Impossible de charger les événements. {error}",
+    "eventsStatus.storageProblem": "Vos données enregistrées (« {key} ») n'ont pas pu être chargées, l'application a donc démarré vide : {error}.",
+    "eventsStatus.quarantined": "Une copie a été enregistrée sous « {key} ».",
+
+    "syncConflicts.title": "Votre modification n'a pas pu être enregistrée",
+    "syncConflicts.versions": "Votre version : {mine}. Version du serveur : {theirs}.",
+    "syncConflicts.named": "« {name} »",
+    "syncConflicts.deleted": "supprimé",
+    "syncConflicts.keepMine": "Garder ma version",
+    "syncConflicts.useTheirs": "Utiliser la version du serveur",
+    "syncConflicts.changedAfterDelete": "Cet événement a été modifié sur le serveur après que vous l'avez supprimé.",
+    "syncConflicts.sameId": "Un autre événement avec le même identifiant existe déjà sur le serveur.",
+    "syncConflicts.deletedOnServer": "Cet événement a été supprimé sur le serveur.",
+    "syncConflicts.changedOnServer": "Cet événement a été modifié sur le serveur depuis votre dernier chargement.",
+
+    "errors.serverRejected": "Le serveur a refusé la requête ({status}).",
+    "errors.serverUnreachable": "Impossible de joindre le serveur des événements.",
+    "errors.storageUnavailable": "Impossible d'accéder aux événements enregistrés dans ce navigateur.",
+    "errors.eventNotFound": "L'événement {id} n'existe pas.",
+
+    "fileFormat.notICalendar": "Ce n'est pas un fichier iCalendar (.ics).",
+    "fileFormat.unclosedQuote": "Une valeur entre guillemets commençant à la ligne {line} n'est jamais fermée.",
+    "fileFormat.invalidJson": "Le JSON n'est pas valide.",
+    "fileFormat.notEventList": "Le fichier JSON doit contenir une liste d'événements.",
+
+    "undo.removed": "Événement mis à la corbeille.",
+    "undo.occurrenceRemoved": "Occurrence supprimée.",
+    "undo.purged": "Événement supprimé définitivement.",
+    "undo.trashEmptied": "Corbeille vidée.",
+    "undo.tagRenamed": "Étiquette « {from} » renommée en « {to} ».",
+    "undo.tagDeleted": "Étiquette « {name} » supprimée.",
+    "undo.batchRemoved": { one: "{count} événement mis à la corbeille.", other: "{count} événements mis à la corbeille." },
+    "undo.batchDuplicated": { one: "{count} événement dupliqué.", other: "{count} événements dupliqués." },
+    "undo.batchRetagged": { one: "Étiquettes modifiées sur {count} événement.", other: "Étiquettes modifiées sur {count} événements." },
+    "undo.importReplaced": "Événements remplacés par ceux importés.",
+    "undo.imported": "Événements importés.",
+    "undo.undo": "Annuler",
+
+    "eventList.searchLabel": "Rechercher un événement :",
+    "eventList.searchPlaceholder": "ex. : Harry",
+    "eventList.searchHint": "Recherche dans tous les champs et trouve les résultats proches, même avec une faute de frappe.",
+    "eventList.any": "Toutes",
+    "eventList.from": "À partir du",
+    "eventList.to": "Jusqu'au",
+    "eventList.search": "Rechercher",
+    "eventList.clear": "Effacer",
+    "eventList.sortBy": "Trier par",
+    "eventList.order": "Ordre",
+    "eventList.ascending": "Croissant",
+    "eventList.descending": "Décroissant",
+    "eventList.perPage": "Par page",
+    "eventList.all": "Tous",
+    "eventList.selectAll": { one: "Sélectionner {count} événement", other: "Sélectionner les {count} événements" },
+    "eventList.selectAllMatching": {
+        one: "Sélectionner {count} événement correspondant",
+        other: "Sélectionner les {count} événements correspondants",
+    },
+    "eventList.menu": "Menu principal",
+    "eventList.add": "Ajouter un événement",
+    "eventList.calendar": "Calendrier",
+    "eventList.importIcs": "Importer un .ics",
+    "eventList.importExport": "Importer / exporter",
+    "eventList.importFile": "Importer un CSV ou un JSON",
+    "eventList.trash": "Corbeille ({count})",
+    "eventList.noMatches": "Aucun événement ne correspond à votre recherche.",
+    "eventList.showing": {
+        one: "{first}–{last} sur {count} événement",
+        other: "{first}–{last} sur {count} événements",
+    },
+    "eventList.downloadThese": "Télécharger ceux-ci en .ics",
+    "eventList.downloadAll": "Tout télécharger en .ics",
+    "eventList.empty": "Il n'y a rien ici...",
+    "eventList.registered": { one: "{count} inscrit", other: "{count} inscrits" },
+    "eventList.registeredOf": { one: "{count}/{capacity} inscrit", other: "{count}/{capacity} inscrits" },
+    "eventList.waitlisted": "{count} en liste d'attente",
+
+    "sort.name": "Nom",
+    "sort.start": "Date de début",
+    "sort.created": "Date de création",
+    "sort.ancestry": "Ascendance",
+
+    "item.select": "Sélectionner « {name} »",
+    "item.pending": "En attente",
+    "item.conflict": "Conflit",
+
+    "occurrenceChoice.question": "Cet événement se répète. À quels événements cela doit-il s'appliquer ?",
+    "occurrenceChoice.occurrence": "Cette occurrence",
+    "occurrenceChoice.occurrenceOn": "Cette occurrence ({date})",
+    "occurrenceChoice.series": "Toute la série",
+
+    "pageLinks.label": "Pages",
+    "pageLinks.previous": "Précédente",
+    "pageLinks.next": "Suivante",
+
+    "batch.region": "Événements sélectionnés",
+    "batch.selected": { one: "{count} sélectionné", other: "{count} sélectionnés" },
+    "batch.clear": "Effacer la sélection",
+    "batch.delete": "Supprimer {count}",
+    "batch.duplicate": "Dupliquer {count}",
+    "batch.exportLabel": "Exporter les événements sélectionnés",
+    "batch.exportIcs": "Exporter en .ics",
+    "batch.tagsFor": { one: "Étiquettes pour {count} événement", other: "Étiquettes pour {count} événements" },
+    "batch.addTags": "Ajouter les étiquettes",
+    "batch.removeTags": "Retirer les étiquettes",
+
+    "event.inTrash": "« {name} » est dans la corbeille",
+    "event.restoreText": "Restaurez-le pour le consulter ou le modifier.",
+    "event.restore": "Restaurer",
+    "event.goToTrash": "Aller à la corbeille",
+    "event.repeats": "Répétition",
+    "event.capacity": "Capacité maximale",
+    "event.noLimit": "Sans limite",
+    "event.cancelled": "Cette occurrence a été annulée. Le reste de la série n'est pas concerné.",
+    "event.download": "Ajouter au calendrier (.ics)",
+    "event.downloadTitle": "Télécharger un fichier .ics pour votre application de calendrier",
+    "event.downloadNeedsStart": "Ajoutez une date de début pour télécharger cet événement",
+    "event.manageAttendees": "Gérer les participants",
+
+    "registration.title": "Inscription",
+    "registration.registered": { one: "{count} inscrit.", other: "{count} inscrits." },
+    "registration.placesTaken": { one: "{taken} place sur {count} prise.", other: "{taken} places sur {count} prises." },
+    "registration.waitlist": "{count} en liste d'attente.",
+    "registration.placed": "{name} est inscrit.",
+    "registration.waiting": "L'événement est complet : {name} est en liste d'attente (numéro {position}). Une place lui sera attribuée automatiquement en cas de désistement.",
+    "registration.name": "Nom",
+    "registration.email": "E-mail",
+    "registration.join": "Rejoindre la liste d'attente",
+    "registration.register": "S'inscrire",
+
+    "recurrence.daily": { one: "Tous les jours", other: "Tous les {count} jours" },
+    "recurrence.weekly": { one: "Toutes les semaines", other: "Toutes les {count} semaines" },
+    "recurrence.monthly": { one: "Tous les mois", other: "Tous les {count} mois" },
+    "recurrence.other": { one: "À chaque fois", other: "Toutes les {count} fois" },
+    "recurrence.onDays": "{every} le {days}",
+    "recurrence.until": "jusqu'au {date}",
+    "recurrence.count": { one: "{count} fois", other: "{count} fois" },
+
+    "validation.required": "Ce champ est obligatoire.",
+    "validation.tooLong": "{max} caractères au maximum.",
+    "validation.invalidDateTime": "Saisissez une date et une heure valides.",
+    "validation.endNeedsStart": "Une heure de fin nécessite une heure de début.",
+    "validation.endBeforeStart": "L'événement doit se terminer après son début.",
+    "validation.invalidTimeZone": "Choisissez un fuseau horaire valide.",
+    "validation.capacityNotWhole": "La capacité doit être un nombre entier.",
+    "validation.capacityRange": "La capacité doit être comprise entre {min} et {max}.",
+    "validation.invalidRecurrence": "Cette règle de répétition n'est pas valide.",
+    "validation.recurrenceNeedsStart": "Un événement répété nécessite une heure de début.",
+    "validation.intervalRange": "L'intervalle doit être un nombre entier compris entre {min} et {max}.",
+    "validation.noWeekdays": "Choisissez au moins un jour de la semaine.",
+    "validation.invalidUntil": "Saisissez une date de fin valide pour les répétitions.",
+    "validation.untilBeforeStart": "Les répétitions doivent se terminer à la première date ou après.",
+    "validation.countRange": "Le nombre de fois doit être compris entre {min} et {max}.",
+    "validation.untilAndCount": "Choisissez une date de fin ou un nombre de fois, pas les deux.",
+    "validation.invalidExceptions": "Cette liste d'exceptions n'est pas valide.",
+    "validation.tooManyTags": "Un événement peut avoir au plus {max} étiquettes.",
+    "validation.tagTooLong": "« {tag} » est trop long : une étiquette fait au plus {max} caractères.",
+    "validation.invalidEmail": "Saisissez une adresse e-mail valide.",
+    "validation.emailTaken": "Cette adresse e-mail est déjà inscrite à cet événement.",
+
+    "eventForm.title": "Événement",
+    "eventForm.editTitle": "Modifier « {name} »",
+    "eventForm.notOwner": "« {name} » appartient à quelqu'un d'autre, vous ne pouvez donc pas le modifier.",
+    "eventForm.inTrash": "« {name} » est dans la corbeille et ne peut pas être modifié. Restaurez-le d'abord.",
+    "eventForm.occurrenceDeleted": "Cette occurrence de « {name} » a été supprimée.",
+    "eventForm.editSeries": "Modifier toute la série",
+    "eventForm.onlyOccurrence": "Seule cette occurrence change. Le reste de la série reste tel quel.",
+    "eventForm.notAllowed": "Vous n'êtes pas autorisé à enregistrer cet événement. Connectez-vous avec un compte qui peut le modifier, puis réessayez.",
+    "eventForm.start": "Début",
+    "eventForm.end": "Fin",
+    "eventForm.timeZone": "Fuseau horaire",
+    "eventForm.submit": "Envoyer",
+
+    "frequency.daily": "Tous les jours",
+    "frequency.weekly": "Toutes les semaines",
+    "frequency.monthly": "Tous les mois",
+
+    "recurrenceEditor.frequency": "Fréquence de répétition de l'événement",
+    "recurrenceEditor.none": "Ne se répète pas",
+    "recurrenceEditor.every": "tous les",
+    "recurrenceEditor.daily": { one: "jour", other: "jours" },
+    "recurrenceEditor.weekly": { one: "semaine", other: "semaines" },
+    "recurrenceEditor.monthly": { one: "mois", other: "mois" },
+    "recurrenceEditor.weekdays": "Jours de la semaine",
+    "recurrenceEditor.ends": "Fin",
+    "recurrenceEditor.never": "Jamais",
+    "recurrenceEditor.on": "Le",
+    "recurrenceEditor.after": "Après",
+    "recurrenceEditor.until": "Dernière date",
+    "recurrenceEditor.count": "Nombre de fois",
+    "recurrenceEditor.times": { one: "fois", other: "fois" },
+
+    "tagPicker.placeholder": "ex. : Jazz",
+    "tagPicker.add": "Ajouter",
+    "tagPicker.hint": "Appuyez sur Entrée ou tapez une virgule après chaque étiquette.",
+
+    "tagChip.remove": "Retirer l'étiquette {name}",
+
+    "calendar.month": "Mois",
+    "calendar.week": "Semaine",
+    "calendar.day": "Jour",
+    "calendar.navigation": "Se déplacer dans le calendrier",
+    "calendar.layout": "Affichage du calendrier",
+    "calendar.previous": "‹ Précédent",
+    "calendar.today": "Aujourd'hui",
+    "calendar.next": "Suivant ›",
+    "calendar.addOn": "Ajouter un événement le {date}",
+    "calendar.addAt": "Cliquez pour ajouter un événement à cette heure",
+    "calendar.time": "Heure",
+    "calendar.continuing": "En cours",
+
+    "attendees.title": "Participants : {name}",
+    "attendees.notOwner": "« {name} » appartient à quelqu'un d'autre, vous ne pouvez donc pas gérer ses participants.",
+    "attendees.noDate": "Aucune date",
+    "attendees.places": { one: "{count} place", other: "{count} places" },
+    "attendees.summary": "Inscrits : {registered} · Présents : {checkedIn} · En liste d'attente : {waitlist}",
+    "attendees.export": "Exporter en CSV",
+    "attendees.registered": "Inscrits",
+    "attendees.checkedIn": "Présent",
+    "attendees.none": "Personne ne s'est encore inscrit.",
+    "attendees.checkIn": "Enregistrer l'arrivée",
+    "attendees.undoCheckIn": "Annuler l'arrivée",
+    "attendees.waitlist": "Liste d'attente (avance automatiquement en cas de désistement)",
+
+    "trash.title": "Corbeille",
+    "trash.retention": {
+        one: "Les événements supprimés restent ici {count} jour avant d'être supprimés définitivement.",
+        other: "Les événements supprimés restent ici {count} jours avant d'être supprimés définitivement.",
+    },
+    "trash.empty": "La corbeille est vide.",
+    "trash.deleted": "Supprimé le",
+    "trash.daysLeft": "Jours restants",
+    "trash.purge": "Supprimer définitivement",
+    "trash.emptyTrash": "Vider la corbeille",
+
+    "tags.title": "Étiquettes",
+    "tags.intro": "Les modifications s'appliquent à tous les événements qui ont l'étiquette. Renommez une étiquette avec le nom d'une autre pour les fusionner.",
+    "tags.none": "Aucun événement n'a encore d'étiquette. Ajoutez-en en créant ou en modifiant un événement.",
+    "tags.tag": "Étiquette",
+    "tags.events": "Événements",
+    "tags.colour": "Couleur",
+    "tags.newName": "Nouveau nom pour {name}",
+    "tags.colourOf": "Couleur de {name}",
+    "tags.rename": "Renommer",
+    "tags.mergeInto": "Fusionner avec « {name} »",
+    "tags.renameOrMerge": "Renommer ou fusionner",
+    "tags.color.primary": "Bleu",
+    "tags.color.secondary": "Gris",
+    "tags.color.success": "Vert",
+    "tags.color.danger": "Rouge",
+    "tags.color.warning": "Jaune",
+    "tags.color.info": "Cyan",
+    "tags.color.dark": "Noir",
+
+    "login.signedIn": "Vous êtes connecté en tant que {name} ({role}).",
+    "login.continue": "Continuer",
+    "login.needed": "Connectez-vous pour ouvrir cette page.",
+    "login.password": "Mot de passe",
+    "login.invalidCredentials": "L'adresse e-mail ou le mot de passe est incorrect.",
+    "login.failed": "Connexion impossible. Vérifiez votre connexion et réessayez.",
+    "login.demoAccounts": "Comptes de démonstration",
+    "login.role": "Rôle",
+    "login.use": "Utiliser",
+
+    "importExport.title": "Importer et exporter",
+    "importExport.export": "Exporter",
+    "importExport.exportText": {
+        one: "Télécharger l'événement (les événements de la corbeille ne sont pas inclus).",
+        other: "Télécharger les {count} événements (les événements de la corbeille ne sont pas inclus).",
+    },
+    "importExport.downloadCsv": "Télécharger en CSV",
+    "importExport.downloadJson": "Télécharger en JSON",
+    "importExport.import": "Importer",
+    "importExport.chooseFile": "Choisissez un fichier CSV ou JSON",
+    "importExport.fileHint": "Un fichier CSV doit avoir une ligne d'en-tête avec le nom des colonnes. Les fichiers exportés depuis cette page peuvent être modifiés puis importés à nouveau.",
+    "importExport.noRows": "{name} n'a aucune ligne à importer.",
+    "importExport.columns": "Colonnes",
+    "importExport.column": "Colonne du fichier",
+    "importExport.firstValue": "Première valeur",
+    "importExport.importInto": "Importer dans",
+    "importExport.noName": "(sans nom)",
+    "importExport.fieldFor": "Champ de la colonne « {column} »",
+    "importExport.skip": "Ne pas importer",
+    "importExport.needName": "Choisissez la colonne qui contient le nom des événements ; chaque événement en a besoin.",
+    "importExport.line": "Ligne {line}",
+    "importExport.item": "Élément {item}",
+    "importExport.failed": {
+        one: "{count} ligne n'est pas valide et sera ignorée",
+        other: "{count} lignes ne sont pas valides et seront ignorées",
+    },
+    "importExport.existing": "Événements existants",
+    "importExport.merge": "Fusionner : ajouter les nouveaux événements et mettre à jour ceux dont l'UID correspond",
+    "importExport.replace": "Remplacer : mettre aussi à la corbeille chaque événement absent du fichier",
+    "importExport.replaceAdminsOnly": "Remplacer : mettre aussi à la corbeille chaque événement absent du fichier (administrateurs uniquement)",
+    "importExport.new": { one: "{count} nouveau", other: "{count} nouveaux" },
+    "importExport.updated": { one: "{count} mis à jour", other: "{count} mis à jour" },
+    "importExport.skippedTrash": { one: "{count} ignoré car l'événement correspondant est dans la corbeille", other: "{count} ignorés car l'événement correspondant est dans la corbeille" },
+    "importExport.skippedOthers": { one: "{count} ignoré car l'événement correspondant appartient à quelqu'un d'autre", other: "{count} ignorés car l'événement correspondant appartient à quelqu'un d'autre" },
+    "importExport.replaced": {
+        one: "{count} événement existant sera mis à la corbeille.",
+        other: "{count} événements existants seront mis à la corbeille.",
+    },
+    "importExport.canUndo": "Vous pourrez annuler l'importation ensuite.",
+    "importExport.importRows": { one: "Importer {count} ligne", other: "Importer {count} lignes" },
+
+    "importFields.uid": "UID",
+    "importFields.name": "Nom",
+    "importFields.ancestry": "Ascendance",
+    "importFields.description": "Description",
+    "importFields.venue": "Lieu",
+    "importFields.organiser": "Organisateur",
+    "importFields.start": "Début",
+    "importFields.end": "Fin",
+    "importFields.timeZone": "Fuseau horaire",
+    "importFields.capacity": "Capacité maximale",
+    "importFields.recurrence": "Répétition",
+    "importFields.tags": "Étiquettes",
+    "importFields.exceptions": "Exceptions aux répétitions",
+
+    "importCalendar.title": "Importer depuis un fichier de calendrier",
+    "importCalendar.chooseFile": "Choisissez un fichier iCalendar (.ics)",
+    "importCalendar.noEvents": "{name} ne contient aucun événement.",
+    "importCalendar.contains": {
+        one: "{name} contient {count} événement. Choisissez ceux à importer.",
+        other: "{name} contient {count} événements. Choisissez ceux à importer.",
+    },
+    "importCalendar.import": "Importer",
+    "importCalendar.importNamed": "Importer {name}",
+    "importCalendar.importUnnamed": "Importer cet événement",
+    "importCalendar.status": "État",
+    "importCalendar.imported": "Déjà importé",
+    "importCalendar.importedTrashed": "Déjà importé (dans la corbeille)",
+    "importCalendar.duplicate": "En double dans ce fichier",
+    "importCalendar.invalid": "Impossible à importer : {errors}",
+    "importCalendar.new": "Nouveau",
+    "importCalendar.importEvents": { one: "Importer {count} événement", other: "Importer {count} événements" },
+
+    "benchmark.title": "Mesure du rendu",
+    "benchmark.intro": "Renomme des événements {updates} fois, un à la fois, dans deux listes d'événements fictifs affichés avec les vraies lignes de la liste, et mesure la durée du rendu. Vos propres événements ne sont pas modifiés.",
+    "benchmark.rows": "Événements par liste",
+    "benchmark.list": "Liste",
+    "benchmark.time": "Durée",
+    "benchmark.newProps": "Nouvelles props à chaque rendu",
+    "benchmark.stableProps": "Props stables",
+    "benchmark.ms": "{ms} ms",
+    "benchmark.run": "Lancer",
+};
@@ -0,0 +1,144 @@
+/**
+ * Attendee Model
+ *
+ * This file describes a registration for an event (an "attendee") and the helpers for
+ * validating registrations and working out who has a place and who is on the waitlist.
+ *
+ * An attendee looks like this:
+ *
+ *     {
+ *         id: "0b6e…",                  // Assigned when registering.
+ *         eventId: "5c1e...",
+ *         occurrence: "2025-10-13",     // For a recurring event, the occurrence; otherwise null.
+ *         name: "Ann Smith",
+ *         email: "ann@example.com",
+ *         registeredAt: "2025-10-01T09:30:00.000Z",
+ *         updatedAt: "2025-10-01T09:30:00.000Z",
+ *         checkedInAt: null,            // When the organiser checked them in at the door.
+ *         cancelledAt: null,            // When the registration was cancelled.
+ *     }
+ *
+ * Key Concepts:
+ * 1. **Derived Status**: Whether someone has a place or is on the waitlist is not stored.
+ *    `attendanceFor` works it out from the order of registration and the event's capacity:
+ *    the first `capacity` people have a place, everyone after them waits. When someone
+ *    cancels, the first person on the waitlist moves up automatically, and raising the
+ *    capacity lets more people in, without any extra action.
+ *    @see {@link https://react.dev/learn/choosing-the-state-structure#avoid-redundant-state}
+ * 2. **Validation**: `validateAttendee` is shared by the registration form and the reducer,
+ *    like `validateEvent` for events, and returns its errors as message keys in the same way.
+ */
+
+/** The fields a person fills in to register, and their default values. */
+export const ATTENDEE_FIELDS = {
+    name: "",
+    email: "",
+};
+
+/** The rules each field must follow (see `EVENT_RULES` in `models/event.js`). */
+export const ATTENDEE_RULES = {
+    name: { required: true, maxLength: 100 },
+    email: { required: true, maxLength: 254 },
+};
+
+// A deliberately loose check: something, an "@", something, a dot, something.
+// The only real test of an email address is sending a message to it.
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Picks the registration fields out of `data` and trims them.
+ *
+ * @param {Object} data - An object containing some or all of the fields.
+ * @returns {Object} A new object with every field of `ATTENDEE_FIELDS`.
+ */
+export function pickAttendeeFields(data) {
+    const fields = {};
+    for (const field of Object.keys(ATTENDEE_FIELDS)) {
+        const value = data[field];
+        fields[field] = value === null || value === undefined ? "" : String(value).trim();
+    }
+    return fields;
+}
+
+/**
+ * Turns an email address into the form used to compare addresses, so "Ann@Example.com "
+ * and "ann@example.com" count as the same person.
+ *
+ * @param {string} email - The address.
+ * @returns {string} The address, trimmed and in lower case.
+ */
+export function normaliseEmail(email) {
+    return email.trim().toLowerCase();
+}
+
+/**
+ * Checks whether a registration has been cancelled.
+ *
+ * @param {Object} attendee - The attendee.
+ * @returns {boolean} `true` if the registration was cancelled.
+ */
+export function isCancelled(attendee) {
+    return Boolean(attendee.cancelledAt);
+}
+
+/**
+ * Lists the registrations (not cancelled) for an event or one occurrence of it, in the
+ * order people registered.
+ *
+ * @param {Array<Object>} attendees - Every attendee.
+ * @param {string} eventId - The event's ID.
+ * @param {string|null} [occurrence=null] - For a recurring event, the occurrence's date key.
+ * @returns {Array<Object>} The attendees.
+ */
+export function registrationsFor(attendees, eventId, occurrence = null) {
+    return attendees.filter((attendee) => attendee.eventId === eventId
+        && (attendee.occurrence ?? null) === occurrence
+        && !isCancelled(attendee));
+}
+
+/**
+ * Validates a registration and returns the problems found, one message per field.
+ *
+ * @param {Object} fields - The fields, from `pickAttendeeFields`.
+ * @param {Array<Object>} [registered=[]] - The current registrations for the same event
+ *   (from `registrationsFor`); an email address may only register once.
+ * @returns {Object<string, {key: string, values: (Object|undefined)}>} An object mapping
+ *   field names to error messages (see `validateEvent`). It is empty when the registration
+ *   is valid.
+ */
+export function validateAttendee(fields, registered = []) {
+    const errors = {};
+    for (const [field, rules] of Object.entries(ATTENDEE_RULES)) {
+        const value = fields[field] ?? "";
+        if (rules.required && value === "") {
+            errors[field] = { key: "validation.required" };
+        } else if (rules.maxLength && value.length > rules.maxLength) {
+            errors[field] = { key: "validation.tooLong", values: { max: rules.maxLength } };
+        }
+    }
+    if (!errors.email && !EMAIL_PATTERN.test(fields.email)) {
+        errors.email = { key: "validation.invalidEmail" };
+    } else if (!errors.email && registered.some((attendee) => normaliseEmail(attendee.email) === normaliseEmail(fields.email))) {
+        errors.email = { key: "validation.emailTaken" };
+    }
+    return errors;
+}
+
+/**
+ * Splits the registrations for an event into the people with a place and the waitlist.
+ *
+ * @param {Array<Object>} attendees - Every attendee.
+ * @param {Object} event - The event, or one occurrence of it (with `occurrence` set).
+ *   Its `capacity` is the number of places; `null` means there is no limit.
+ * @returns {{confirmed: Array<Object>, waitlist: Array<Object>}} Both in registration order.
+ */
+export function attendanceFor(attendees, event) {
+    const registered = registrationsFor(attendees, event.id, event.occurrence ?? null);
+    if (event.capacity === null || event.capacity === undefined) {
+        return { confirmed: registered, waitlist: [] };
+    }
+    return {
+        confirmed: registered.slice(0, event.capacity),
+        waitlist: registered.slice(event.capacity),
+    };
+}
@@ -0,0 +1,445 @@
+/**
+ * Event Model
+ *
+ * This file describes the shape of a single "event" (called a "post" in the reducer
+ * and in localStorage, for historical reasons) and provides small helper functions
+ * for creating, normalising and displaying events.
+ *
+ * Keeping the shape in one place means the reducer, the form and the list all agree
+ * on which fields exist. When a new field is added, it only has to be declared here.
+ *
+ * Key Concepts:
+ * 1. **Single Source of Truth**: `EVENT_FIELDS` lists every editable field with its
+ *    default value. Other modules loop over it instead of copying field names by hand.
+ * 2. **Normalisation**: Data can come from many places (the form, localStorage written
+ *    by an older version of the app, an API). `normaliseEvent` turns any of these into
+ *    the current shape, filling in defaults for missing fields.
+ *    @see {@link https://redux.js.org/usage/structuring-reducers/normalizing-state-shape}
+ * 3. **Date/Time Strings**: `start` and `end` are stored as local date-time strings in
+ *    the `YYYY-MM-DDTHH:mm` format used by `<input type="datetime-local">`, so they can
+ *    be fed straight back into the form. They are wall-clock times in the event's
+ *    `timeZone` (an IANA name such as "Europe/Paris"); events saved before time zones
+ *    existed have "", and their times are read in the viewer's zone (see `utils/time-zone.js`).
+ *    @see {@link https://developer.mozilla.org/en-US/docs/Web/HTML/Element/input/datetime-local}
+ * 4. **Validation**: `validateEvent` is the one place that decides whether an event is
+ *    acceptable. The form uses it to show errors next to each field and the reducer
+ *    uses it to refuse invalid data, so both always apply the same rules. Errors are
+ *    messages to translate, `{key, values}` (e.g. `{key: "validation.tooLong", values:
+ *    {max: 100}}`), which the page passes to `t` (see `i18n/index.js`).
+ * 5. **Recurrence**: `recurrence` is `null` for a one-off event, or a rule describing how
+ *    the event repeats (see `utils/recurrence.js`). Changes to single occurrences are kept
+ *    in an `exceptions` object on the event, which is not an editable field; `pickExceptions`
+ *    checks one that comes from a file.
+ * 6. **Tags**: `tags` is an array of tag names (see `models/tag.js`). Text such as
+ *    "jazz, outdoor" is accepted too and split into separate tags.
+ */
+
+import { pickTags, validateTags } from "./tag";
+import { browserTimeZone, eventInstant, formatInstant, isTimeZone, toDateTime } from "../utils/time-zone";
+
+/**
+ * The editable fields of an event and their default values.
+ * The `id` is not included because it is assigned when the event is added.
+ */
+export const EVENT_FIELDS = {
+    name: "",
+    ancestry: "",
+    description: "",
+    venue: "",
+    organiser: "",
+    start: "",
+    end: "",
+    timeZone: "",
+    capacity: null,
+    recurrence: null,
+    tags: [],
+};
+
+/**
+ * The rules each field must follow.
+ * - `required`: the field may not be empty.
+ * - `maxLength`: the longest text allowed (after surrounding whitespace is removed).
+ */
+export const EVENT_RULES = {
+    name: { required: true, maxLength: 100 },
+    ancestry: { maxLength: 50 },
+    description: { maxLength: 2000 },
+    venue: { maxLength: 200 },
+    organiser: { maxLength: 100 },
+};
+
+/** The largest capacity an event may have. */
+export const MAX_CAPACITY = 100000;
+
+/** The largest interval of a recurrence rule, e.g. "every 99 weeks". */
+export const MAX_RECURRENCE_INTERVAL = 99;
+
+/** The most occurrences a recurrence rule may ask for with `count`. */
+export const MAX_RECURRENCE_COUNT = 500;
+
+/**
+ * Converts a raw recurrence rule into its stored shape:
+ * `{frequency, interval, weekdays, until, count}` (see `utils/recurrence.js`).
+ * A rule may arrive as an object (from the form or localStorage) or as JSON text (from an
+ * imported CSV file). No rule, or a rule without a frequency, becomes `null`.
+ *
+ * @param {*} value - The raw rule.
+ * @returns {Object|string|null} The rule, `null`, or the original text if it is not
+ *   valid JSON, so that validation can report it.
+ */
+function convertRecurrence(value) {
+    let rule = value;
+    if (typeof rule === "string") {
+        if (rule.trim() === "") {
+            return null;
+        }
+        try {
+            rule = JSON.parse(rule);
+        } catch {
+            return value;
+        }
+    }
+    if (!rule || typeof rule !== "object" || !rule.frequency) {
+        return null;
+    }
+    const count = rule.count === null || rule.count === undefined || rule.count === "" ? null : Number(rule.count);
+    return {
+        frequency: String(rule.frequency),
+        interval: rule.interval === undefined || rule.interval === "" ? 1 : Number(rule.interval),
+        // Sorted and without repeats, so equal rules look the same.
+        weekdays: [...new Set((rule.weekdays ?? []).map(Number))].sort((a, b) => a - b),
+        until: rule.until ? String(rule.until).trim() : "",
+        count,
+    };
+}
+
+/**
+ * Converts a raw field value (for example a string from `FormData`) into the type
+ * stored on the event. Text fields stay strings, `capacity` becomes a number or `null` and
+ * `tags` an array of names.
+ *
+ * @param {string} field - The name of the field.
+ * @param {*} value - The raw value.
+ * @returns {*} The converted value.
+ */
+function convertField(field, value) {
+    if (field === "capacity") {
+        // An empty input means "no limit", which we store as `null`.
+        if (value === null || value === undefined || value === "") {
+            return null;
+        }
+        return Number(value);
+    }
+    if (field === "recurrence") {
+        return convertRecurrence(value);
+    }
+    if (field === "tags") {
+        return pickTags(value);
+    }
+    // Every other field is text. `null`/`undefined` become an empty string and
+    // surrounding whitespace is removed, so "   " counts as empty.
+    return value === null || value === undefined ? "" : String(value).trim();
+}
+
+/**
+ * Converts the exceptions of a recurring event that come from outside the app (an imported
+ * file) into their stored shape: `{"YYYY-MM-DD": {deleted: true} | {changes: {...}}}`.
+ * Changes are limited to the known event fields; an occurrence can't repeat on its own.
+ *
+ * @param {Object|string|null|undefined} value - The exceptions, as an object or JSON text.
+ * @returns {Object|null} The exceptions (`{}` if there are none), or `null` if they can't be
+ *   understood.
+ */
+export function pickExceptions(value) {
+    let raw = value;
+    if (typeof raw === "string") {
+        if (raw.trim() === "") {
+            return {};
+        }
+        try {
+            raw = JSON.parse(raw);
+        } catch {
+            return null;
+        }
+    }
+    if (raw === null || raw === undefined) {
+        return {};
+    }
+    if (typeof raw !== "object" || Array.isArray(raw)) {
+        return null;
+    }
+    const exceptions = {};
+    for (const [key, exception] of Object.entries(raw)) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(key) || !exception || typeof exception !== "object") {
+            return null;
+        }
+        if (exception.deleted) {
+            exceptions[key] = { deleted: true };
+        } else if (exception.changes && typeof exception.changes === "object") {
+            const { recurrence: _recurrence, ...changes } = pickEventFields(exception.changes);
+            exceptions[key] = { changes };
+        }
+    }
+    return exceptions;
+}
+
+/**
+ * Picks the known event fields out of `data` and converts them to their stored types.
+ * Only fields that are present in `data` are returned, so the result can be spread
+ * over an existing event without wiping the fields that were not supplied.
+ *
+ * @param {Object} data - An object containing some or all of the event fields.
+ * @returns {Object} A new object containing only the known, converted fields.
+ */
+export function pickEventFields(data) {
+    const fields = {};
+    for (const field of Object.keys(EVENT_FIELDS)) {
+        if (field in data) {
+            fields[field] = convertField(field, data[field]);
+        }
+    }
+    return fields;
+}
+
+/**
+ * Turns an event ID into the form the app uses: a string. New events get a random UUID
+ * (see `EventsProvider`); events saved by older versions have numbers (`3`), which become
+ * `"3"`, so links to them keep working.
+ *
+ * @param {string|number} id - The ID.
+ * @returns {string} The ID as a string (`undefined` stays `undefined`).
+ */
+export function toEventId(id) {
+    return typeof id === "number" ? String(id) : id;
+}
+
+/**
+ * Brings an event of any age up to the current shape.
+ * Events saved before the extra fields existed only have `{id, name, ancestry}`;
+ * they are given default values for everything else. Unknown fields are kept.
+ * Numeric IDs become strings (see `toEventId`).
+ *
+ * @param {Object} raw - The stored event.
+ * @returns {Object} The event with every field present.
+ */
+export function normaliseEvent(raw) {
+    return {
+        ...EVENT_FIELDS,
+        ...raw,
+        ...pickEventFields(raw),
+        ...(raw.id !== undefined ? { id: toEventId(raw.id) } : {}),
+    };
+}
+
+/**
+ * Returns the UID of an event: a globally unique identifier used to recognise the same
+ * event in exported and imported files. Events imported from a file keep the UID they had
+ * there; other events get one made from their ID.
+ *
+ * @param {Object} event - The event.
+ * @returns {string} The UID.
+ */
+export function eventUid(event) {
+    return event.uid || `event-${event.id}@react-lesson`;
+}
+
+/**
+ * Checks whether an event has been moved to the trash.
+ *
+ * @param {Object} event - The event to check.
+ * @returns {boolean} `true` if the event is in the trash.
+ */
+export function isTrashed(event) {
+    return Boolean(event.deletedAt);
+}
+
+/**
+ * Formats the start (and, if present, end) of an event for display in the viewer's time
+ * zone, for example "12/10/2025, 18:00 – 20:00". When the event is in another zone, its
+ * own times follow, e.g. "12/10/2025, 12:00 – 14:00 (18:00 – 20:00 Europe/Paris)".
+ *
+ * @param {Object} event - The event to format.
+ * @param {string|Array<string>} [locale=[]] - The language to format for, e.g. `formatLocale`
+ *   from `useI18n`. Defaults to the browser's.
+ * @param {string} [timeZone=browserTimeZone()] - The viewer's zone.
+ * @returns {string} A human readable date range, or an empty string if there is no start.
+ */
+export function formatEventDates(event, locale = [], timeZone = browserTimeZone()) {
+    if (!event.start) {
+        return "";
+    }
+    // Worked out once: they are needed for both zones.
+    const start = eventInstant(event, "start") ?? NaN;
+    const end = event.end ? eventInstant(event, "end") ?? NaN : null;
+    const text = formatRange(start, end, locale, timeZone);
+    if (!isTimeZone(event.timeZone) || event.timeZone === timeZone) {
+        return text;
+    }
+    // Only repeat the date in the event's zone when it is another day there.
+    const sameDay = sameDate(start, start, timeZone, event.timeZone);
+    return `${text} (${formatRange(start, end, locale, event.timeZone, sameDay)} ${event.timeZone})`;
+}
+
+/**
+ * Checks whether two instants fall on the same date, each in its own zone.
+ *
+ * @param {number} first - The first instant.
+ * @param {number} second - The second instant.
+ * @param {string} firstZone - The zone of the first.
+ * @param {string} [secondZone=firstZone] - The zone of the second.
+ * @returns {boolean} `true` if the dates are the same (`false` for an invalid instant).
+ */
+function sameDate(first, second, firstZone, secondZone = firstZone) {
+    if (Number.isNaN(first) || Number.isNaN(second)) {
+        return false;
+    }
+    return toDateTime(first, firstZone).slice(0, 10) === toDateTime(second, secondZone).slice(0, 10);
+}
+
+/**
+ * Formats the start (and end) of an event as they are in a time zone.
+ *
+ * @param {number} start - When the event starts (an instant, see `utils/time-zone.js`).
+ * @param {number|null} end - When it ends, or `null`.
+ * @param {string|Array<string>} locale - The language to format for.
+ * @param {string} timeZone - The zone.
+ * @param {boolean} [timeOnly=false] - Leave out the date of the start.
+ * @returns {string} E.g. "12/10/2025, 18:00 – 20:00".
+ */
+function formatRange(start, end, locale, timeZone, timeOnly = false) {
+    const dateTime = { dateStyle: "medium", timeStyle: "short" };
+    const time = { timeStyle: "short" };
+    const text = formatInstant(start, timeZone, locale, timeOnly ? time : dateTime);
+    if (end === null) {
+        return text;
+    }
+    // Only repeat the date part when the event ends on a different day.
+    return `${text} – ${formatInstant(end, timeZone, locale, sameDate(start, end, timeZone) ? time : dateTime)}`;
+}
+
+/**
+ * Checks whether a date-time string can be understood by `Date`.
+ *
+ * @param {string} value - The date-time string.
+ * @returns {boolean} `true` if the value is a real date.
+ */
+function isValidDate(value) {
+    return !Number.isNaN(new Date(value).getTime());
+}
+
+/**
+ * Validates an event and returns the problems found, one message per field.
+ * The event should already have gone through `pickEventFields` or `normaliseEvent`
+ * so that values have their stored types.
+ *
+ * @param {Object} event - The event (or event fields) to check.
+ * @returns {Object<string, {key: string, values: (Object|undefined)}>} An object mapping
+ *   field names to error messages: a message key and the values of its placeholders.
+ *   It is empty when the event is valid.
+ */
+export function validateEvent(event) {
+    const errors = {};
+
+    // Text fields: required and length checks.
+    for (const [field, rules] of Object.entries(EVENT_RULES)) {
+        const value = event[field] ?? "";
+        if (rules.required && value === "") {
+            errors[field] = { key: "validation.required" };
+        } else if (rules.maxLength && value.length > rules.maxLength) {
+            errors[field] = { key: "validation.tooLong", values: { max: rules.maxLength } };
+        }
+    }
+
+    // Dates: both optional, but when present they must be real dates
+    // and the event has to end after it starts.
+    if (event.start && !isValidDate(event.start)) {
+        errors.start = { key: "validation.invalidDateTime" };
+    }
+    if (event.end) {
+        if (!isValidDate(event.end)) {
+            errors.end = { key: "validation.invalidDateTime" };
+        } else if (!event.start) {
+            errors.end = { key: "validation.endNeedsStart" };
+        } else if (!errors.start && eventInstant(event, "end") <= eventInstant(event, "start")) {
+            // Compared as instants, so an event can't end in the hour a DST change repeats.
+            errors.end = { key: "validation.endBeforeStart" };
+        }
+    }
+
+    // Time zone: optional ("" reads the times in the viewer's zone), but it must be a real one.
+    if (event.timeZone && !isTimeZone(event.timeZone)) {
+        errors.timeZone = { key: "validation.invalidTimeZone" };
+    }
+
+    // Capacity: optional, but when present it must be a whole number within range.
+    if (event.capacity !== null && event.capacity !== undefined) {
+        if (!Number.isInteger(event.capacity)) {
+            errors.capacity = { key: "validation.capacityNotWhole" };
+        } else if (event.capacity < 1 || event.capacity > MAX_CAPACITY) {
+            errors.capacity = { key: "validation.capacityRange", values: { min: 1, max: MAX_CAPACITY } };
+        }
+    }
+
+    // Recurrence: optional, but a rule needs a start date to repeat from and sensible values.
+    const recurrenceError = validateRecurrence(event.recurrence, event.start);
+    if (recurrenceError) {
+        errors.recurrence = recurrenceError;
+    }
+
+    // Tags: optional, but there is a limit on how many and how long.
+    const tagsError = validateTags(event.tags ?? []);
+    if (tagsError) {
+        errors.tags = tagsError;
+    }
+
+    return errors;
+}
+
+/**
+ * Checks a recurrence rule (as converted by `convertRecurrence`).
+ *
+ * @param {Object|string|null|undefined} rule - The rule.
+ * @param {string} start - The event's start.
+ * @returns {{key: string, values: (Object|undefined)}|null} An error message (see
+ *   `validateEvent`), or `null` if the rule is fine (or absent).
+ */
+function validateRecurrence(rule, start) {
+    if (rule === null || rule === undefined) {
+        return null;
+    }
+    if (typeof rule !== "object" || !["daily", "weekly", "monthly"].includes(rule.frequency)) {
+        return { key: "validation.invalidRecurrence" };
+    }
+    if (!start) {
+        return { key: "validation.recurrenceNeedsStart" };
+    }
+    if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > MAX_RECURRENCE_INTERVAL) {
+        return { key: "validation.intervalRange", values: { min: 1, max: MAX_RECURRENCE_INTERVAL } };
+    }
+    if (rule.frequency === "weekly" && (rule.weekdays.length === 0 || rule.weekdays.some((day) => !Number.isInteger(day) || day < 0 || day > 6))) {
+        return { key: "validation.noWeekdays" };
+    }
+    if (rule.until && (!/^\d{4}-\d{2}-\d{2}$/.test(rule.until) || !isValidDate(rule.until))) {
+        return { key: "validation.invalidUntil" };
+    }
+    if (rule.until && rule.until < start.slice(0, 10)) {
+        return { key: "validation.untilBeforeStart" };
+    }
+    if (rule.count !== null && (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > MAX_RECURRENCE_COUNT)) {
+        return { key: "validation.countRange", values: { min: 1, max: MAX_RECURRENCE_COUNT } };
+    }
+    if (rule.until && rule.count !== null) {
+        return { key: "validation.untilAndCount" };
+    }
+    return null;
+}
+
+/**
+ * Convenience wrapper around `validateEvent` for when only a yes/no answer is needed.
+ *
+ * @param {Object} event - The event to check.
+ * @returns {boolean} `true` if the event has no validation errors.
+ */
+export function isValidEvent(event) {
+    return Object.keys(validateEvent(event)).length === 0;
+}
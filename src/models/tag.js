@@ -0,0 +1,185 @@
+/**
+ * Tag Model
+ *
+ * Tags are short labels such as "Jazz" or "Outdoor" that group events. Unlike the free-text
+ * `ancestry` field, an event can have several tags, and the tag picker suggests the tags
+ * already in use, so the same tag is not typed three different ways.
+ *
+ * An event stores its tags as an array of names (`event.tags`). The names are the tags'
+ * identity: renaming a tag rewrites every event that has it (see "tagRenamed" in
+ * `postReducer`). Each tag's colour is kept separately, by `tagReducer`.
+ *
+ * Key Concepts:
+ * 1. **Case-Insensitive Identity**: "jazz", "Jazz" and " JAZZ " are the same tag. `tagKey`
+ *    turns a name into the key used to compare tags; the first spelling used is kept.
+ * 2. **Derived Data**: The list of tags in use is not stored anywhere. `collectTags`
+ *    works it out from the events, so it can never be out of date.
+ *    @see {@link https://react.dev/learn/choosing-the-state-structure#avoid-redundant-state}
+ */
+
+/** The most tags an event may have. */
+export const MAX_TAGS = 10;
+
+/** The longest tag name allowed. */
+export const MAX_TAG_LENGTH = 30;
+
+/**
+ * The colours a tag can have: Bootstrap's theme colours, used as the `bg` of a `Badge`.
+ * The value is the colour of the text on top of it.
+ * @see {@link https://getbootstrap.com/docs/5.3/components/badge/#background-colors}
+ */
+export const TAG_COLORS = {
+    primary: "light",
+    secondary: "light",
+    success: "light",
+    danger: "light",
+    warning: "dark",
+    info: "dark",
+    dark: "light",
+};
+
+/**
+ * Tidies a tag name: surrounding whitespace is removed and runs of spaces become one.
+ *
+ * @param {*} name - The raw name.
+ * @returns {string} The name, or `""` if there is none.
+ */
+export function normaliseTag(name) {
+    return name === null || name === undefined ? "" : String(name).trim().replace(/\s+/g, " ");
+}
+
+/**
+ * Returns the key used to compare tags, so that names differing only in case or spacing
+ * are the same tag.
+ *
+ * @param {string} name - The tag name.
+ * @returns {string} The key, e.g. `"live music"` for `" Live  Music"`.
+ */
+export function tagKey(name) {
+    return normaliseTag(name).toLowerCase();
+}
+
+/**
+ * Converts raw tags into their stored shape: an array of tidy names without empty ones or
+ * repeats. Tags may arrive as an array (from the form or localStorage), as JSON text (from
+ * a CSV file written by the app) or as comma-separated text (from a hand-made file).
+ *
+ * @param {*} value - The raw tags.
+ * @returns {Array<string>} The tags, in their original order.
+ */
+export function pickTags(value) {
+    let list = value;
+    if (typeof list === "string") {
+        try {
+            list = JSON.parse(list);
+        } catch {
+            list = null;
+        }
+        if (!Array.isArray(list)) {
+            list = value.split(",");
+        }
+    }
+    if (!Array.isArray(list)) {
+        return [];
+    }
+    const seen = new Set();
+    const tags = [];
+    for (const raw of list) {
+        const name = normaliseTag(raw);
+        if (name && !seen.has(tagKey(name))) {
+            seen.add(tagKey(name));
+            tags.push(name);
+        }
+    }
+    return tags;
+}
+
+/**
+ * Checks whether an event has a tag.
+ *
+ * @param {Object} event - The event.
+ * @param {string} name - The tag name (in any case).
+ * @returns {boolean} `true` if the event has the tag.
+ */
+export function hasTag(event, name) {
+    const key = tagKey(name);
+    return (event.tags ?? []).some((tag) => tagKey(tag) === key);
+}
+
+/**
+ * Lists every tag used by the events, with how many events have it.
+ * Where the same tag is spelled differently, the first spelling found is used.
+ *
+ * @param {Array<Object>} events - The events (leave out the ones in the trash first, if
+ *   they should not be counted).
+ * @returns {Array<{name: string, count: number}>} The tags, sorted by name.
+ */
+export function collectTags(events) {
+    const tags = new Map();
+    for (const event of events) {
+        for (const name of event.tags ?? []) {
+            const key = tagKey(name);
+            const tag = tags.get(key) ?? { name, count: 0 };
+            tags.set(key, { ...tag, count: tag.count + 1 });
+        }
+    }
+    return [...tags.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Works out the colour of a tag: the one chosen for it, or else one picked from its name,
+ * so that a tag always has the same colour even if nobody chose one.
+ *
+ * @param {string} name - The tag name.
+ * @param {Array<{key: string, color: string}>} colors - The chosen colours (`tagReducer`'s state).
+ * @returns {string} A key of `TAG_COLORS`.
+ */
+export function tagColor(name, colors) {
+    const key = tagKey(name);
+    const chosen = colors.find((item) => item.key === key)?.color;
+    if (chosen && Object.hasOwn(TAG_COLORS, chosen)) {
+        return chosen;
+    }
+    // A simple string hash, so the same name always lands on the same colour.
+    let hash = 0;
+    for (const char of key) {
+        hash = (hash * 31 + char.charCodeAt(0)) % 1000003;
+    }
+    const palette = Object.keys(TAG_COLORS);
+    return palette[hash % palette.length];
+}
+
+/**
+ * Checks the tags of an event.
+ *
+ * @param {Array<string>} tags - The tags, as returned by `pickTags`.
+ * @returns {{key: string, values: Object}|null} An error message (see `validateEvent` in
+ *   `models/event.js`), or `null` if the tags are fine.
+ */
+export function validateTags(tags) {
+    if (tags.length > MAX_TAGS) {
+        return { key: "validation.tooManyTags", values: { max: MAX_TAGS } };
+    }
+    const long = tags.find((tag) => tag.length > MAX_TAG_LENGTH);
+    if (long) {
+        return { key: "validation.tagTooLong", values: { tag: long, max: MAX_TAG_LENGTH } };
+    }
+    return null;
+}
+
+/**
+ * Renames a tag in a list of tags. If the list already has the new name (a merge), the
+ * two become one.
+ *
+ * @param {Array<string>} tags - The tags of an event.
+ * @param {string} from - The old name.
+ * @param {string} to - The new name.
+ * @returns {Array<string>} The new tags, or the same array if `from` is not in it.
+ */
+export function renameTag(tags, from, to) {
+    const key = tagKey(from);
+    if (!tags.some((tag) => tagKey(tag) === key)) {
+        return tags;
+    }
+    return pickTags(tags.map((tag) => tagKey(tag) === key ? to : tag));
+}
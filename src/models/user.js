@@ -0,0 +1,60 @@
+/**
+ * User Model and Permissions
+ *
+ * A signed-in user is `{id, name, email, role}`, as returned by an auth provider (see
+ * `auth/index.js`). The `role` decides what they may do:
+ *
+ * | Role        | May do                                                                 |
+ * |-------------|------------------------------------------------------------------------|
+ * | `viewer`    | Look at events and register for them (as can people who are signed out) |
+ * | `organiser` | Create and import events; edit, delete and manage the attendees of their own events |
+ * | `admin`     | Everything, for every event, plus managing tags, emptying the trash and replacing events by import |
+ *
+ * Events record who created them in `ownerId`. Events created before there were users have
+ * no owner, so only admins can change them.
+ *
+ * Key Concepts:
+ * 1. **Role-Based Access Control**: Permissions are given to roles, not to individual
+ *    users, so `can` only has to look the role up in a table.
+ *    @see {@link https://en.wikipedia.org/wiki/Role-based_access_control}
+ * 2. **One Rule Book**: The routes, the buttons and `EventsProvider` (which refuses actions
+ *    the user may not take) all ask `can`, so the UI never offers something that would
+ *    then be refused.
+ */
+
+/** The roles, from the least to the most powerful, with the message key of each one's label. */
+export const ROLES = {
+    viewer: "roles.viewer",
+    organiser: "roles.organiser",
+    admin: "roles.admin",
+};
+
+// What each role may do. Permissions in `OWN_EVENT_PERMISSIONS` only apply to the user's
+// own events, except for admins.
+const ROLE_PERMISSIONS = {
+    viewer: [],
+    organiser: ["create", "import", "edit", "delete", "manageAttendees"],
+    admin: ["create", "import", "edit", "delete", "manageAttendees", "manageTags", "emptyTrash", "replaceEvents"],
+};
+
+const OWN_EVENT_PERMISSIONS = ["edit", "delete", "manageAttendees"];
+
+/**
+ * Checks whether a user may do something.
+ *
+ * @param {Object|null} user - The signed-in user, or `null`.
+ * @param {string} permission - One of "create", "import", "edit", "delete",
+ *   "manageAttendees", "manageTags", "emptyTrash" or "replaceEvents".
+ * @param {Object} [event] - The event it would be done to. Without one, the answer is
+ *   whether the user may do it to at least some events (e.g. to show the edit route).
+ * @returns {boolean} `true` if it is allowed.
+ */
+export function can(user, permission, event) {
+    if (!user || !(ROLE_PERMISSIONS[user.role] ?? []).includes(permission)) {
+        return false;
+    }
+    if (event && user.role !== "admin" && OWN_EVENT_PERMISSIONS.includes(permission)) {
+        return event.ownerId !== undefined && event.ownerId !== null && event.ownerId === user.id;
+    }
+    return true;
+}
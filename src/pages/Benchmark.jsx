@@ -0,0 +1,190 @@
+import { useState } from "react";
+import { flushSync } from "react-dom";
+import { Link } from "react-router-dom";
+import { Button, Form, Table } from "react-bootstrap";
+import Item from "../components/Item";
+import { createEventsStore, EventsDispatchContext, EventsStoreContext, useEventsSelector } from "../context/events";
+import { useI18n } from "../context/i18n";
+import { createEventStore, findEvent, putEvent } from "../reducers/event-store";
+import { selectAllEvents } from "../selectors/events";
+
+// How many rows each list can have, and how many changes a run makes.
+const ROW_COUNTS = [100, 500, 2000];
+const UPDATES = 50;
+
+// The two lists, both showing the real `Item` rows of the events list.
+const LISTS = ["newProps", "stableProps"];
+
+// Stands in for the provider's functions, so "Delete" in a benchmark row changes nothing.
+const NO_DISPATCH = { dispatch() {} };
+
+// The same `onSelect` for every row and every render, like the one `EventList` makes with
+// `useCallback`. Ticking a benchmark row does nothing.
+const ignoreSelect = () => {};
+
+/**
+ * Makes made-up events for the benchmark. They are never saved or shown anywhere else.
+ * @param {number} count - How many events.
+ * @returns {{byId: Object, allIds: Array<string>}} A store of events.
+ */
+function makeEvents(count) {
+    return createEventStore(Array.from({ length: count }, (_, index) => ({
+        id: `benchmark-${index}`,
+        name: `Event ${index + 1}`,
+    })));
+}
+
+/**
+ * Makes the state of one list: the made-up events, and nobody registered for them.
+ * @param {number} count - How many events.
+ * @returns {Object} The state, with the parts of the `EventsProvider` state `Item` reads.
+ */
+function makeState(count) {
+    return { events: makeEvents(count), attendees: [] };
+}
+
+/**
+ * Renames one event, a different one for each change.
+ * @param {{byId: Object, allIds: Array<string>}} events - The events.
+ * @param {number} change - The number of the change.
+ * @returns {{byId: Object, allIds: Array<string>}} The new events.
+ */
+function renameOne(events, change) {
+    const id = events.allIds[change % events.allIds.length];
+    return putEvent(events, { ...findEvent(events, id), name: `Event renamed by change ${change + 1}` });
+}
+
+/**
+ * The rows as `EventList` used to render them: every render gives each `Item` a new
+ * `onSelect` function, so `memo` can't skip any of them.
+ */
+function NewPropsRows() {
+    const events = useEventsSelector((state) => state.events);
+    return selectAllEvents(events).map((event) => (
+        <Item key={event.id} event={event} onSelect={(id, checked) => ignoreSelect(id, checked)} />
+    ));
+}
+
+/**
+ * The rows as `EventList` renders them now: an unchanged event gets the same props, so
+ * only the row of the renamed event re-renders.
+ */
+function StablePropsRows() {
+    const events = useEventsSelector((state) => state.events);
+    return selectAllEvents(events).map((event) => (
+        <Item key={event.id} event={event} onSelect={ignoreSelect} />
+    ));
+}
+
+/**
+ * Benchmark Page Component
+ *
+ * Measures what memoising the rows of the events list saves. Both lists show the same
+ * made-up events with the real `Item` component, and read them from a store with
+ * `useEventsSelector`, as `EventList` does. A run renames an event `UPDATES` times in a
+ * row, and the table shows how long the rendering took.
+ *
+ * - **New props each render**: every row gets a new `onSelect` whenever the list
+ *   renders, as before `Item` was memoised. Every row re-renders for every change.
+ * - **Stable props**: every row gets the same `onSelect` (see `EventList`). Only the row
+ *   of the renamed event re-renders.
+ *
+ * Key Concepts:
+ * 1. **`memo`**: `Item` is wrapped in `memo`, so it is skipped when its props are the same
+ *    as last time. One new function among them is enough to render it again.
+ *    @see {@link https://react.dev/reference/react/memo}
+ * 2. **`flushSync`**: Each change is rendered straight away, so the time measured covers
+ *    the rendering it causes.
+ *    @see {@link https://react.dev/reference/react-dom/flushSync}
+ * 3. **Providing a Context Again**: Each list gets its own `EventsStoreContext` and a
+ *    `EventsDispatchContext` that does nothing, so the rows read the made-up events and
+ *    can never change the real ones.
+ *    @see {@link https://react.dev/learn/passing-data-deeply-with-context#step-3-provide-the-context}
+ */
+export default function Benchmark() {
+    const { t, formatNumber } = useI18n();
+    const [rowCount, setRowCount] = useState(ROW_COUNTS[1]);
+
+    // The store of each list. Changing them doesn't re-render this page, only the rows.
+    const [stores] = useState(() => ({
+        newProps: createEventsStore(makeState(rowCount)),
+        stableProps: createEventsStore(makeState(rowCount)),
+    }));
+
+    // How long the last run of each list took, in milliseconds.
+    const [results, setResults] = useState({});
+
+    /**
+     * Starts again with a different number of events.
+     * @param {number} count - How many events.
+     */
+    function changeRowCount(count) {
+        setRowCount(count);
+        LISTS.forEach((list) => stores[list].setState(makeState(count)));
+        setResults({});
+    }
+
+    /**
+     * Renames `UPDATES` events one after another in one of the lists, and records how
+     * long it took.
+     * @param {"newProps"|"stableProps"} list - Which list to change.
+     */
+    function run(list) {
+        const store = stores[list];
+        const started = performance.now();
+        for (let change = 0; change < UPDATES; change++) {
+            flushSync(() => {
+                store.setState({ ...store.getState(), events: renameOne(store.getState().events, change) });
+            });
+        }
+        const ms = performance.now() - started;
+        setResults((current) => ({ ...current, [list]: ms }));
+    }
+
+    return (
+        <>
+            <h2 className="mt-3">{t("benchmark.title")}</h2>
+            <p className="text-muted">
+                {t("benchmark.intro", { updates: UPDATES })} <Link to="/events">{t("common.backToEvents")}</Link>
+            </p>
+
+            <Form.Group className="mb-3" style={{ maxWidth: "12rem" }}>
+                <Form.Label htmlFor="benchmark-rows">{t("benchmark.rows")}</Form.Label>
+                <Form.Select id="benchmark-rows" value={rowCount} onChange={(e) => changeRowCount(Number(e.target.value))}>
+                    {ROW_COUNTS.map((count) => <option key={count} value={count}>{formatNumber(count)}</option>)}
+                </Form.Select>
+            </Form.Group>
+
+            <Table size="sm" bordered>
+                <thead>
+                    <tr>
+                        <th>{t("benchmark.list")}</th>
+                        <th>{t("benchmark.time")}</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {LISTS.map((list) => (
+                        <tr key={list}>
+                            <td>{t(`benchmark.${list}`)}</td>
+                            <td>{list in results ? t("benchmark.ms", { ms: Math.round(results[list] * 10) / 10 }) : "–"}</td>
+                            <td><Button size="sm" onClick={() => run(list)}>{t("benchmark.run")}</Button></td>
+                        </tr>
+                    ))}
+                </tbody>
+            </Table>
+
+            <EventsDispatchContext.Provider value={NO_DISPATCH}>
+                <div className="d-flex gap-3">
+                    {LISTS.map((list) => (
+                        <EventsStoreContext.Provider key={list} value={stores[list]}>
+                            <ul className="list-unstyled small overflow-auto border rounded p-2" style={{ maxHeight: "15rem", flex: 1 }} aria-label={t(`benchmark.${list}`)}>
+                                {list === "newProps" ? <NewPropsRows /> : <StablePropsRows />}
+                            </ul>
+                        </EventsStoreContext.Provider>
+                    ))}
+                </div>
+            </EventsDispatchContext.Provider>
+        </>
+    );
+}
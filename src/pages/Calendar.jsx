@@ -0,0 +1,274 @@
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+import { Button, ButtonGroup, Table } from "react-bootstrap";
+import { useEvents } from "../context/events";
+import { useI18n } from "../context/i18n";
+import {
+    CALENDAR_VIEWS,
+    addDays,
+    calendarDays,
+    eventsOnDay,
+    parseDateKey,
+    periodTitle,
+    stepDate,
+    toDateKey,
+    toDateTimeValue,
+} from "../utils/calendar";
+import { expandEvents, occurrenceKey, occurrenceUrl } from "../utils/recurrence";
+import { inTimeZone } from "../utils/time-zone";
+import { selectVisibleEvents } from "../selectors/events";
+
+// The time given to a new event created by clicking a day in the month view.
+const DEFAULT_START_HOUR = 9;
+
+// The rows of the week and day views: one per hour of the day.
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+/**
+ * Calendar Page Component
+ *
+ * This component shows the events from `EventsContext` on a calendar, with month, week and
+ * day layouts. The user can move forwards and backwards through periods, click an empty
+ * slot to create an event at that time, or click an event to see its details.
+ *
+ * The layout and the date shown are kept in the URL, e.g. `/events/calendar?view=week&date=2025-10-12`,
+ * so the Back button and shared links land on the same period.
+ *
+ * Key Concepts:
+ * 1. **Derived Data**: The grid of days and the events on each day are calculated from the
+ *    URL and the context on every render (see `utils/calendar.js`); nothing is copied into state.
+ *    @see {@link https://react.dev/learn/choosing-the-state-structure#avoid-redundant-state}
+ * 2. **State in the URL with `useSearchParams`**: Changing the layout or period updates the
+ *    query string, which re-renders the page with the new period.
+ *    @see {@link https://reactrouter.com/en/main/hooks/use-search-params}
+ * 3. **Passing Data to Another Page**: Clicking an empty slot opens
+ *    `/events/new?start=2025-10-12T09:00`; `EventForm` reads `start` to pre-fill the date.
+ * 4. **Recurring Events**: Each occurrence of a recurring event is shown on its own date
+ *    (see `expandEvents` in `utils/recurrence.js`) and links to that occurrence.
+ * 5. **Time Zones**: Every event is shown at its time in the viewer's zone (see `inTimeZone`
+ *    in `utils/time-zone.js`), so an 18:00 event in Paris is at 12:00 on a calendar opened in
+ *    New York, on the day it happens there.
+ * 6. **Stopping Event Propagation**: Clicks on an event link would also reach the slot
+ *    around it (and create a new event), so the links call `e.stopPropagation()`.
+ *    @see {@link https://react.dev/learn/responding-to-events#stopping-propagation}
+ */
+export default function Calendar() {
+    // Events in the trash are not shown on the calendar.
+    const {events: eventStore} = useEvents();
+    const {t, formatLocale} = useI18n();
+
+    const navigate = useNavigate();
+
+    // Read the layout and date from the URL. Anything missing or invalid falls back to a
+    // month view of today.
+    const [searchParams, setSearchParams] = useSearchParams();
+    const view = Object.hasOwn(CALENDAR_VIEWS, searchParams.get("view")) ? searchParams.get("view") : "month";
+    const today = addDays(new Date(), 0); // Today at midnight.
+    const date = parseDateKey(searchParams.get("date")) ?? today;
+
+    /**
+     * Shows another layout or period.
+     * @param {string} nextView - A key of `CALENDAR_VIEWS`.
+     * @param {Date} nextDate - Any date in the period to show.
+     */
+    function show(nextView, nextDate) {
+        setSearchParams({view: nextView, date: toDateKey(nextDate)});
+    }
+
+    /**
+     * Opens the form for a new event starting at the given time.
+     * @param {string} start - A local date-time string, e.g. "2025-10-12T09:00".
+     */
+    function addEventAt(start) {
+        navigate(`/events/new?${new URLSearchParams({start})}`);
+    }
+
+    const weeks = calendarDays(view, date);
+
+    // Recurring events are replaced by their occurrences, up to the last day shown (and a
+    // day more, for occurrences that fall on that day in the viewer's zone but not in the
+    // series'). Then every event is moved to the viewer's zone.
+    const lastDay = weeks.at(-1).at(-1);
+    const events = expandEvents(selectVisibleEvents(eventStore), {to: toDateKey(addDays(lastDay, 1))})
+        .map((event) => inTimeZone(event));
+
+    return (
+        <>
+            <h2 className="mt-3">{periodTitle(view, date, formatLocale)}</h2>
+
+            {/* Moving between periods, and switching layouts. */}
+            <div className="d-flex flex-wrap gap-2 mb-3">
+                <ButtonGroup aria-label={t("calendar.navigation")}>
+                    <Button variant="outline-secondary" onClick={() => show(view, stepDate(view, date, -1))}>{t("calendar.previous")}</Button>
+                    <Button variant="outline-secondary" onClick={() => show(view, today)}>{t("calendar.today")}</Button>
+                    <Button variant="outline-secondary" onClick={() => show(view, stepDate(view, date, 1))}>{t("calendar.next")}</Button>
+                </ButtonGroup>
+                <ButtonGroup aria-label={t("calendar.layout")}>
+                    {Object.entries(CALENDAR_VIEWS).map(([value, label]) => (
+                        <Button
+                            key={value}
+                            variant={value === view ? "primary" : "outline-primary"}
+                            aria-pressed={value === view}
+                            onClick={() => show(value, date)}
+                        >
+                            {t(label)}
+                        </Button>
+                    ))}
+                </ButtonGroup>
+            </div>
+
+            {view === "month"
+                ? <MonthGrid weeks={weeks} month={date.getMonth()} today={today} events={events} onShowDay={(day) => show("day", day)} onAdd={addEventAt} />
+                : <TimeGrid days={weeks[0]} today={today} events={events} onShowDay={(day) => show("day", day)} onAdd={addEventAt} />}
+
+            <Link to="/events">{t("common.backToEvents")}</Link>
+        </>
+    );
+}
+
+/**
+ * A link to an event's detail page, shown inside a calendar slot.
+ * Clicks stop here so that they don't also reach the slot (which would create an event).
+ */
+function EventLink({ event, showTime }) {
+    return (
+        <Link
+            to={occurrenceUrl(event)}
+            title={event.name}
+            className="badge text-bg-primary d-block text-truncate text-start mb-1"
+            onClick={(e) => e.stopPropagation()}
+        >
+            {showTime && `${event.start.slice(11, 16)} `}{event.name}
+        </Link>
+    );
+}
+
+/**
+ * The month layout: a grid of weeks, with each day's events listed in its cell.
+ * Days from the neighbouring months that fill the first and last weeks are greyed out.
+ */
+function MonthGrid({ weeks, month, today, events, onShowDay, onAdd }) {
+    const {t, formatDate} = useI18n();
+
+    // A fixed layout keeps every day the same width, however long the event names are.
+    return (
+        <Table bordered responsive style={{ tableLayout: "fixed" }}>
+            <thead>
+                <tr>
+                    {weeks[0].map((day) => (
+                        <th key={day.getDay()} scope="col">
+                            {formatDate(day, { weekday: "short" })}
+                        </th>
+                    ))}
+                </tr>
+            </thead>
+            <tbody>
+                {weeks.map((week) => (
+                    <tr key={toDateKey(week[0])}>
+                        {week.map((day) => {
+                            const isToday = toDateKey(day) === toDateKey(today);
+                            return (
+                                <td
+                                    key={toDateKey(day)}
+                                    className={day.getMonth() === month ? "" : "bg-light text-muted"}
+                                    style={{ height: "6rem", width: `${100 / 7}%`, cursor: "pointer" }}
+                                    onClick={() => onAdd(toDateTimeValue(day, DEFAULT_START_HOUR))}
+                                >
+                                    <div className="d-flex justify-content-between">
+                                        {/* The day number opens the day layout. */}
+                                        <Button
+                                            variant="link"
+                                            size="sm"
+                                            className={isToday ? "p-0 fw-bold" : "p-0 text-reset"}
+                                            aria-current={isToday ? "date" : undefined}
+                                            onClick={(e) => { e.stopPropagation(); onShowDay(day); }}
+                                        >
+                                            {day.getDate()}
+                                        </Button>
+                                        {/* A keyboard-friendly way to do what clicking the cell does. */}
+                                        <Button
+                                            variant="link"
+                                            size="sm"
+                                            className="p-0 text-decoration-none"
+                                            aria-label={t("calendar.addOn", { date: formatDate(day, { dateStyle: "long" }) })}
+                                            onClick={(e) => { e.stopPropagation(); onAdd(toDateTimeValue(day, DEFAULT_START_HOUR)); }}
+                                        >
+                                            +
+                                        </Button>
+                                    </div>
+                                    {eventsOnDay(events, day).map((event) => (
+                                        <EventLink key={occurrenceKey(event)} event={event} showTime={event.start.startsWith(toDateKey(day))} />
+                                    ))}
+                                </td>
+                            );
+                        })}
+                    </tr>
+                ))}
+            </tbody>
+        </Table>
+    );
+}
+
+/**
+ * The week and day layouts: a column per day and a row per hour. Each event is shown in
+ * the hour it starts; events that started on an earlier day are listed in the top row.
+ */
+function TimeGrid({ days, today, events, onShowDay, onAdd }) {
+    const {t, formatDate} = useI18n();
+
+    // Look up each day's events once, rather than once per hour.
+    const byDay = days.map((day) => {
+        const key = toDateKey(day);
+        const all = eventsOnDay(events, day);
+        return {
+            day,
+            key,
+            continuing: all.filter((event) => !event.start.startsWith(key)),
+            starting: all.filter((event) => event.start.startsWith(key)),
+        };
+    });
+
+    return (
+        <Table bordered responsive size="sm">
+            <thead>
+                <tr>
+                    <th scope="col" style={{ width: "5rem" }}><span className="visually-hidden">{t("calendar.time")}</span></th>
+                    {byDay.map(({ day, key }) => (
+                        <th key={key} scope="col" className={key === toDateKey(today) ? "text-primary" : undefined}>
+                            {/* The heading opens the day layout (useful from the week layout). */}
+                            <Button variant="link" size="sm" className="p-0 text-reset fw-bold" onClick={() => onShowDay(day)}>
+                                {formatDate(day, { weekday: "short", day: "numeric", month: "short" })}
+                            </Button>
+                        </th>
+                    ))}
+                </tr>
+            </thead>
+            <tbody>
+                <tr>
+                    <th scope="row" className="small fw-normal">{t("calendar.continuing")}</th>
+                    {byDay.map(({ key, continuing }) => (
+                        <td key={key}>
+                            {continuing.map((event) => <EventLink key={occurrenceKey(event)} event={event} />)}
+                        </td>
+                    ))}
+                </tr>
+                {HOURS.map((hour) => (
+                    <tr key={hour}>
+                        <th scope="row" className="small fw-normal">{`${String(hour).padStart(2, "0")}:00`}</th>
+                        {byDay.map(({ day, key, starting }) => (
+                            <td
+                                key={key}
+                                style={{ cursor: "pointer" }}
+                                title={t("calendar.addAt")}
+                                onClick={() => onAdd(toDateTimeValue(day, hour))}
+                            >
+                                {starting
+                                    .filter((event) => Number(event.start.slice(11, 13)) === hour)
+                                    .map((event) => <EventLink key={occurrenceKey(event)} event={event} showTime />)}
+                            </td>
+                        ))}
+                    </tr>
+                ))}
+            </tbody>
+        </Table>
+    );
+}
@@ -1,11 +1,26 @@
-import { useEffect, useState } from "react";
-import { useParams, Link } from "react-router-dom";
+import { Fragment, useState } from "react";
+import { Link, useNavigate, useParams, useSearchParams } from "react-router-dom";
+import { Alert, Button } from "react-bootstrap";
+import { useEvents } from "../context/events";
+import { useAuth } from "../context/auth";
+import { useI18n } from "../context/i18n";
+import { can } from "../models/user";
+import { formatEventDates, isTrashed } from "../models/event";
+import { ICAL_MIME_TYPE, toICalendar } from "../utils/ical";
+import { downloadFile, toFileName } from "../utils/download";
+import { describeRecurrence, getOccurrence, occurrenceUrl } from "../utils/recurrence";
+import { selectEventById } from "../selectors/events";
+import EventNotFound from "../components/EventNotFound";
+import OccurrenceChoice from "../components/OccurrenceChoice";
+import RegistrationForm from "../components/RegistrationForm";
+import TagChip from "../components/TagChip";
 
 /**
  * Event Page Component
  *
  * This component represents a page that displays the details of a single event (or post).
- * It fetches data from an external API based on an ID from the URL and displays it.
+ * It reads the event from the `EventsContext` based on the ID in the URL, shows every
+ * field, and offers "Edit" and "Delete" actions.
  *
  * Key Concepts:
  * 1. **Routing with `react-router-dom`**:
@@ -13,73 +28,198 @@ import { useParams, Link } from "react-router-dom";
  *      In this case, it extracts the `id` of the event from the route (e.g., `/events/123`).
  *      @see {@link https://reactrouter.com/en/main/hooks/use-params}
  *    - `Link`: This component is used for client-side navigation. Clicking this link
- *      will navigate to the specified route (`/` in this case) without a full page reload.
+ *      will navigate to the specified route without a full page reload.
  *      @see {@link https://reactrouter.com/en/main/components/link}
- * 2. **Data Fetching with `useEffect` and `useState`**:
- *    - `useState`: This hook is used to manage the component's local state. Here, `post`
- *      holds the fetched event data, and `setPost` is used to update it.
- *      @see {@link https://react.dev/learn/state-a-components-memory}
- *    - `useEffect`: This hook is used to perform side effects, such as data fetching.
- *      The effect runs when the component mounts and whenever the `id` or `post` dependency changes.
- *      @see {@link https://react.dev/learn/synchronizing-with-effects#fetching-data}
- * 3. **Conditional Rendering**: The component renders different JSX based on whether
- *    the `post` data has been fetched. If `post` is null/undefined, it shows a
- *    "Loading..." message. Otherwise, it displays the post details.
+ *    - `useNavigate`: Used to send the user back to the list after deleting the event.
+ *      @see {@link https://reactrouter.com/en/main/hooks/use-navigate}
+ * 2. **Reading from Context instead of Fetching**:
+ *    - The events the user creates live in `EventsContext`, so the page simply looks the
+ *      event up with `selectEventById(...)`. There is no effect and no loading state, and the
+ *      page updates automatically whenever the event changes.
+ *      @see {@link https://react.dev/learn/you-might-not-need-an-effect}
+ * 3. **Conditional Rendering**: If no event has the requested ID (it never existed or it
+ *    has been purged), `EventNotFound` shows a clear "not found" message instead of the
+ *    details. An event in the trash shows a message with a "Restore" button instead.
  *    @see {@link https://react.dev/learn/conditional-rendering}
- * 4. **API Fetching**: The native `fetch` API is used to retrieve data from
- *    `https://jsonplaceholder.typicode.com/posts/${id}`. This is a common way to
- *    interact with REST APIs in React.
- *    @see {@link https://developer.mozilla.org/en-US/docs/Web/API/Fetch_API}
+ * 4. **Description Lists**: The fields are shown in a `<dl>`, the HTML element meant for
+ *    name/value pairs.
+ *    @see {@link https://developer.mozilla.org/en-US/docs/Web/HTML/Element/dl}
+ * 5. **Downloads**: "Add to calendar" saves the event as an `.ics` file that calendar apps
+ *    can open (see `utils/ical.js`).
+ * 6. **Occurrences**: For a recurring event, `?occurrence=2025-10-13` in the URL shows that
+ *    occurrence, and "Edit" and "Delete" ask whether to change it or the whole series.
+ * 7. **Registration**: `RegistrationForm` lets people sign up for the event (or for the
+ *    occurrence shown). It gets a `key` per occurrence, so moving to another occurrence
+ *    starts with an empty form.
+ *    @see {@link https://react.dev/learn/preserving-and-resetting-state#option-2-resetting-state-with-a-key}
+ * 8. **Translation**: The labels come from the message catalogues, and the dates, the
+ *    recurrence and the capacity are formatted for the chosen language (see `useI18n`).
  */
 export default function Event() {
-    // `useState` is used to store the fetched post data.
-    // It's initialized as `undefined` because we don't have the data yet.
-    const [post, setPost] = useState();
+    // Get the events and the `dispatch` function from the context.
+    const {events, dispatch} = useEvents();
+
+    // The signed-in user decides which buttons are shown (see `can` in `models/user.js`).
+    const {user} = useAuth();
+
+    // The translator for the chosen language.
+    const i18n = useI18n();
+    const {t} = i18n;
+
+    // `useNavigate` hook returns a function that lets you navigate programmatically.
+    const navigate = useNavigate();
 
     // `useParams` hook from `react-router-dom` extracts the dynamic `id`
     // from the URL (e.g., if the route is `/events/:id`, and the URL is `/events/1`, `id` will be "1").
     const {id} = useParams();
 
-    // `useEffect` hook is used to fetch data from the API.
-    // The effect will run after the component renders and whenever `id` or `post` changes.
-    useEffect(() => {
-        // Fetch data from the JSONPlaceholder API using the `id` from the URL.
-        fetch(`https://jsonplaceholder.typicode.com/posts/${id}`)
-            .then(async (response) => {
-                // Convert the response to JSON.
-                const data = await response.json();
-                // Update the `post` state with the fetched data, which will cause a re-render.
-                setPost(data);
-            })
-            // It's good practice to add a `.catch` block to handle potential errors during fetching.
-            .catch(error => {
-                console.error("Failed to fetch event:", error);
-                // Optionally, set an error state to display to the user.
-            });
-    }, [id, post]); // Dependency array: the effect re-runs if `id` or `post` changes.
-                   // Note: Including `post` in the dependency array here might cause an infinite loop
-                   // if the API always returns a new object reference. A better approach might be to
-                   // remove `post` and manage loading/error states more explicitly, or use a library
-                   // like React Query for more robust data fetching. However, for this example,
-                   // it demonstrates a common (though potentially problematic) pattern.
-
-    // Conditional rendering based on whether the `post` data has been fetched.
-    if(post)
-        // If `post` is not null/undefined, render the event details.
+    // Event IDs are strings, like URL parameters, so the ID can be looked up as it is.
+    const post = selectEventById(events, id);
+
+    // The occurrence to show, for a recurring event opened from the list or the calendar.
+    const [searchParams] = useSearchParams();
+    const occurrenceKey = searchParams.get("occurrence");
+    const occurrence = post?.recurrence && occurrenceKey ? getOccurrence(post, occurrenceKey) : null;
+
+    // Whether the "this occurrence or the whole series?" dialog is open.
+    const [choosing, setChoosing] = useState(false);
+
+    // Conditional rendering: the event does not exist (or has been deleted).
+    if (!post)
+        return <EventNotFound id={id} />;
+
+    // The event is in the trash: it can be restored, but not viewed or edited.
+    if (isTrashed(post))
         return (
-            <>
-                <h2>{post.title}</h2> {/* Display the post's title. */}
-                <p>{post.body}</p>   {/* Display the post's body/content. */}
-                <hr />               {/* A horizontal rule for visual separation. */}
-                {/* A link to navigate back to the home page (`/`). */}
-                <Link to="/">Go back home</Link>
-            </>
+            <Alert variant="secondary" className="mt-3">
+                <Alert.Heading>{t("event.inTrash", {name: post.name})}</Alert.Heading>
+                <p>{t("event.restoreText")}</p>
+                {can(user, "delete", post) && (
+                    <>
+                        <Button variant="primary" onClick={() => dispatch({type: "restored", id: post.id})}>{t("event.restore")}</Button>
+                        &nbsp;&nbsp;
+                    </>
+                )}
+                <Link to="/events/trash">{t("event.goToTrash")}</Link>
+            </Alert>
         );
-    else
-        // If `post` is still `undefined` (data hasn't been fetched yet), render a loading message.
-        return (
-            <div>
-                Loading details for event {id}
+
+    /**
+     * Moves the event to the trash and returns to the list, since this page would otherwise
+     * immediately show "Event not found". For an occurrence, the user is asked first.
+     */
+    function handleDelete() {
+        if (occurrence) {
+            setChoosing(true);
+            return;
+        }
+        dispatch({type: "removed", id: post.id});
+        navigate("/events");
+    }
+
+    /**
+     * Deletes the occurrence shown, or moves the whole series to the trash.
+     * @param {"occurrence"|"series"} choice - What the user chose to delete.
+     */
+    function deleteChosen(choice) {
+        setChoosing(false);
+        if (choice === "occurrence") {
+            dispatch({type: "occurrenceRemoved", id: post.id, occurrence: occurrence.occurrence});
+        } else {
+            dispatch({type: "removed", id: post.id});
+        }
+        navigate("/events");
+    }
+
+    /**
+     * Downloads the event as an `.ics` file.
+     */
+    function handleDownload() {
+        downloadFile(`${toFileName(post.name, "event")}.ics`, toICalendar([post]), ICAL_MIME_TYPE);
+    }
+
+    // An occurrence shows its own dates and changes.
+    const shown = occurrence ?? post;
+
+    // The rows of the details list. Empty values are shown as a dash so the
+    // layout stays the same for every event.
+    const details = [
+        [t("fields.when"), formatEventDates(shown, i18n.formatLocale)],
+        ...(post.recurrence ? [[t("event.repeats"), describeRecurrence(post.recurrence, i18n)]] : []),
+        [t("fields.venue"), shown.venue],
+        [t("fields.organiser"), shown.organiser],
+        [t("fields.ancestry"), shown.ancestry],
+        // Each tag links to the list of events with that tag.
+        [t("fields.tags"), shown.tags?.length > 0 && shown.tags.map((tag) => (
+            <Link key={tag} to={`/events?${new URLSearchParams({ tag })}`}><TagChip name={tag} /></Link>
+        ))],
+        [t("event.capacity"), shown.capacity === null || shown.capacity === undefined ? t("event.noLimit") : i18n.formatNumber(shown.capacity)],
+    ];
+
+    return (
+        <>
+            <h2 className="mt-3">{shown.name}</h2>
+            {/* A deleted occurrence can still be opened from an old link. */}
+            {occurrence?.cancelled && (
+                <Alert variant="secondary">
+                    {t("event.cancelled")}
+                </Alert>
+            )}
+            <dl className="row">
+                {details.map(([label, value]) => (
+                    // A fragment with a `key` lets us return a `<dt>`/`<dd>` pair per row.
+                    <Fragment key={label}>
+                        <dt className="col-sm-3">{label}</dt>
+                        <dd className="col-sm-9">{value || "—"}</dd>
+                    </Fragment>
+                ))}
+            </dl>
+            {/* `white-space: pre-line` keeps the line breaks the user typed in the description. */}
+            {shown.description && (
+                <p style={{ whiteSpace: "pre-line" }}>{shown.description}</p>
+            )}
+            <div className="mb-3">
+                {/* `as={Link}` renders the Bootstrap button as a router link.
+                     Edit and Delete are only shown to users allowed to change this event. */}
+                {can(user, "edit", post) && (
+                    <>
+                        <Button as={Link} to={occurrenceUrl(occurrence ?? post, "/edit")} variant="primary">{t("common.edit")}</Button>
+                        &nbsp;
+                    </>
+                )}
+                {can(user, "delete", post) && (
+                    <>
+                        <Button variant="danger" onClick={handleDelete} disabled={occurrence?.cancelled}>{t("common.delete")}</Button>
+                        &nbsp;
+                    </>
+                )}
+                {/* Calendar files need a start date, so the button is disabled without one. */}
+                <Button
+                    variant="outline-secondary"
+                    onClick={handleDownload}
+                    disabled={!post.start}
+                    title={post.start ? t("event.downloadTitle") : t("event.downloadNeedsStart")}
+                >
+                    {t("event.download")}
+                </Button>
+                {can(user, "manageAttendees", post) && (
+                    <>
+                        &nbsp;
+                        <Button as={Link} to={occurrenceUrl(shown, "/attendees")} variant="outline-primary">{t("event.manageAttendees")}</Button>
+                    </>
+                )}
             </div>
-        );
+            {!occurrence?.cancelled && <RegistrationForm key={occurrence?.occurrence ?? "series"} event={shown} />}
+            <OccurrenceChoice
+                show={choosing}
+                title={t("common.deleteTitle", {name: shown.name})}
+                date={occurrence?.occurrence}
+                onChoose={deleteChosen}
+                onCancel={() => setChoosing(false)}
+            />
+            <hr />
+            {/* A link to navigate back to the list of events. */}
+            <Link to="/events">{t("common.backToEvents")}</Link>
+        </>
+    );
 }
@@ -1,5 +1,54 @@
-import { Link, useNavigate, useParams } from "react-router-dom";
-import { useEvents } from "../context/EventsContext";
+import { useState } from "react";
+import { Link, useNavigate, useParams, useSearchParams } from "react-router-dom";
+import { useEvents } from "../context/events";
+import { useAuth } from "../context/auth";
+import { useI18n } from "../context/i18n";
+import { can } from "../models/user";
+import { isTrashed, pickEventFields, validateEvent } from "../models/event";
+import { getOccurrence, occurrenceUrl } from "../utils/recurrence";
+import { browserTimeZone, listTimeZones } from "../utils/time-zone";
+import { selectEventById, selectTags } from "../selectors/events";
+import EventNotFound from "../components/EventNotFound";
+import FormField from "../components/FormField";
+import OccurrenceChoice from "../components/OccurrenceChoice";
+import RecurrenceEditor from "../components/RecurrenceEditor";
+import TagPicker from "../components/TagPicker";
+
+// Every time zone the browser knows, for the zone picker.
+const TIME_ZONES = listTimeZones();
+
+/**
+ * Turns an event into the text of every input. Inputs always hold strings, so `null`
+ * values (such as an empty capacity) are shown as "".
+ *
+ * @param {Object} event - The event (or occurrence), or `{}` for a new one.
+ * @param {string} start - The start to use when the event has none.
+ * @returns {Object} The form's values.
+ */
+function toFormValues(event, start) {
+    const rule = event.recurrence;
+    return {
+        name: event.name ?? "",
+        ancestry: event.ancestry ?? "",
+        description: event.description ?? "",
+        venue: event.venue ?? "",
+        organiser: event.organiser ?? "",
+        start: event.start ?? start,
+        end: event.end ?? "",
+        // New events, and events saved before time zones existed, get the user's own zone.
+        timeZone: event.timeZone || browserTimeZone(),
+        capacity: event.capacity ?? "",
+        tags: event.tags ?? [],
+        // The recurrence editor's inputs; a `frequency` of "" means "does not repeat".
+        recurrence: {
+            frequency: rule?.frequency ?? "",
+            interval: String(rule?.interval ?? 1),
+            weekdays: rule?.weekdays ?? [],
+            until: rule?.until ?? "",
+            count: rule?.count ? String(rule.count) : "",
+        },
+    };
+}
 
 /**
  * EventForm Page Component
@@ -13,6 +62,10 @@ import { useEvents } from "../context/EventsContext";
  *    - `useParams`: Extracts the `id` from the URL. If an `id` is present,
  *      the form is in "edit mode" for an existing event. Otherwise, it's in "create mode".
  *      @see {@link https://reactrouter.com/en/main/hooks/use-params}
+ *    - `useSearchParams`: Reads the query string. A new event can be given a start time in
+ *      the URL, e.g. `/events/new?start=2025-10-12T09:00`, which the calendar uses when an
+ *      empty slot is clicked.
+ *      @see {@link https://reactrouter.com/en/main/hooks/use-search-params}
  *    - `useNavigate`: Provides a function to programmatically navigate to different routes.
  *      Here, it's used to redirect to the `/events` list page after a successful form submission.
  *      @see {@link https://reactrouter.com/en/main/hooks/use-navigate}
@@ -20,32 +73,52 @@ import { useEvents } from "../context/EventsContext";
  *      events list without submitting the form.
  *      @see {@link https://reactrouter.com/en/main/components/link}
  * 2. **State Management with Context API**:
- *    - `useEvents`: A custom hook that provides access to the `posts` state and
+ *    - `useEvents`: A custom hook that provides access to the `events` store and
  *      the `dispatch` function from the `EventsContext`. This allows the component
- *      to read the list of posts and send actions to modify them.
+ *      to read the posts (through the selectors) and send actions to modify them.
  *      @see {@link https://react.dev/learn/passing-data-deeply-with-context}
- * 3. **Form Handling**:
- *    - The form uses the native `action` attribute, pointing to the `handleSubmit` function.
- *      When the form is submitted, the browser automatically collects the form data
- *      and passes it as a `FormData` object to the handler.
- *    - `FormData.get()` is used to retrieve the values of individual form fields by their `name`.
- *      @see {@link https://developer.mozilla.org/en-US/docs/Web/API/FormData/get}
- * 4. **Conditional Logic (Add vs. Update)**:
- *    - The `handleSubmit` function checks if the form data contains an `id`.
- *      - If no `id`, it dispatches an "added" action to create a new post.
- *      - If an `id` exists, it dispatches an "updated" action to modify an existing post.
- * 5. **Populating Form for Editing**:
+ * 3. **Controlled Form Handling**:
+ *    - Every input is a "controlled component": its `value` comes from the `values`
+ *      state and every keystroke updates that state through `onChange`. Because React
+ *      owns the values, what the user typed is kept when validation fails.
+ *      @see {@link https://react.dev/reference/react-dom/components/input#controlling-an-input-with-a-state-variable}
+ *    - The form's `onSubmit` handler calls `event.preventDefault()` so the browser does
+ *      not reload the page, then validates and dispatches.
+ *      @see {@link https://react.dev/reference/react-dom/components/form}
+ * 4. **Validation**:
+ *    - `validateEvent` from the event model is run on every render, so errors are always
+ *      up to date with what is in the inputs.
+ *    - Errors are only shown for fields the user has left (`touched`), or for every field
+ *      once a submit has been attempted, so the user isn't shouted at before typing.
+ *    - Submitting is blocked while there are errors. The reducer runs the same
+ *      validation as a second line of defence.
+ *    - The errors are message keys, translated with `t` when they are shown.
+ * 5. **Conditional Logic (Add vs. Update)**:
+ *    - If there is no `id` in the URL, it dispatches an "added" action to create a new post.
+ *    - If an `id` exists, it dispatches an "updated" action to modify an existing post.
+ * 6. **Populating Form for Editing**:
  *    - If an `id` is present in the URL, the component finds the corresponding post
- *      from the `posts` array. The `defaultValue` attribute of the input fields is
- *      then used to pre-populate the form with the existing post's data.
- *      @see {@link https://react.dev/learn/forms#controlled-components}
- *      (Note: This uses `defaultValue` for uncontrolled components, which is fine for this example.
- *       For more complex forms, controlled components with `value` and `onChange` are often preferred.)
+ *      with `selectEventById` and uses it as the initial `values` state.
+ *      @see {@link https://react.dev/reference/react/useState#avoiding-recreating-the-initial-state}
+ *    - If no post has that `id`, `EventNotFound` is shown instead of the form.
+ * 7. **Recurring Events**:
+ *    - `RecurrenceEditor` sets how the event repeats (see `utils/recurrence.js`).
+ *    - Opened from one occurrence (`/events/4/edit?occurrence=2025-10-13`), the form first
+ *      asks whether to change "this occurrence" or "the whole series". An occurrence is
+ *      saved with an "occurrenceUpdated" action, which stores only what differs from the
+ *      series as an exception.
+ * 8. **Time Zones**:
+ *    - The start and end are the times in the event's time zone, chosen from the IANA
+ *      zones the browser knows (see `utils/time-zone.js`). It starts as the user's own
+ *      zone, so someone who doesn't need it can ignore it.
+ *      @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Intl/supportedValuesOf}
  */
 export default function EventForm() {
-    // Destructure `posts` (the array of events) and `dispatch` (the function to update state)
+    // Destructure `events` (the store of events) and `dispatch` (the function to update state)
     // from the `useEvents` custom hook.
-    const {posts, dispatch} = useEvents();
+    const {events, dispatch} = useEvents();
+    const {user} = useAuth();
+    const {t} = useI18n();
 
     // `useNavigate` hook returns a function that lets you navigate programmatically.
     const navigate = useNavigate();
@@ -54,79 +127,290 @@ export default function EventForm() {
     // If the URL is just `/events/new`, `id` will be `undefined`.
     const {id} = useParams();
 
+    // `?start=...` in the URL pre-fills the start of a new event (see the calendar page).
+    // `?occurrence=...` says which occurrence of a recurring event the user came from.
+    const [searchParams] = useSearchParams();
+
+    // Find the existing post data if an `id` is provided in the URL.
+    // Event IDs are strings, like URL parameters, so no conversion is needed.
+    // A new event starts from an empty object (`?? {}`), so `post.name` and the like are
+    // simply `undefined`. An `id` that matches nothing is shown as "not found" below.
+    const found = selectEventById(events, id);
+    const post = found ?? {};
+
+    // Every tag in use, suggested by the tag picker.
+    const tagSuggestions = selectTags(events).map((tag) => tag.name);
+
+    // The occurrence being edited, if the form was opened from one of a recurring event.
+    const occurrenceKey = searchParams.get("occurrence");
+    const occurrence = post.recurrence && occurrenceKey ? getOccurrence(post, occurrenceKey) : null;
+
+    // What the changes apply to: "occurrence" or "series". `null` until the user has
+    // chosen, which they only need to do when they came from an occurrence.
+    const [scope, setScope] = useState(null);
+
+    // The current text of every input (see `toFormValues`).
+    // The initializer function runs only on the first render.
+    const [values, setValues] = useState(() => toFormValues(post, id ? "" : searchParams.get("start") ?? ""));
+
+    // The names of the fields the user has visited, e.g. `{name: true}`.
+    const [touched, setTouched] = useState({});
+
+    // Becomes `true` the first time the user tries to submit.
+    const [submitted, setSubmitted] = useState(false);
+
+    // Becomes `true` if `dispatch` refused the change, e.g. because the user was signed out
+    // in another tab. The form stays open so nothing typed is lost.
+    const [refused, setRefused] = useState(false);
+
+    // The event the inputs were filled in from. If it changes (the events finished loading
+    // after the form appeared, or the URL now names another event), start again from it.
+    // @see {@link https://react.dev/learn/you-might-not-need-an-effect#adjusting-some-state-when-a-prop-changes}
+    const [filledFrom, setFilledFrom] = useState(found);
+    if (found?.id !== filledFrom?.id) {
+        setFilledFrom(found);
+        setValues(toFormValues(post, ""));
+        setTouched({});
+        setScope(null);
+    }
+
+    // Convert the raw input strings to the stored types and validate them.
+    // This is cheap, so it is simply recalculated on every render.
+    // A single occurrence can't have a repeat rule of its own.
+    const fields = pickEventFields(values);
+    if (scope === "occurrence") {
+        fields.recurrence = null;
+    }
+    const errors = validateEvent(fields);
+    const isValid = Object.keys(errors).length === 0;
+
+    /**
+     * Returns the error message to show for a field, if any, in the chosen language.
+     * @param {string} field - The field name.
+     * @returns {string|undefined} The message, or `undefined` if nothing should be shown yet.
+     */
+    function errorFor(field) {
+        const error = errors[field];
+        return error && (submitted || touched[field]) ? t(error.key, error.values) : undefined;
+    }
+
+    /**
+     * Builds the props shared by every input: its value, change/blur handlers and
+     * the classes and ARIA attributes that mark it as invalid.
+     * @param {string} field - The field name.
+     * @returns {Object} Props to spread onto an `<input>` or `<textarea>`.
+     */
+    function fieldProps(field) {
+        const error = errorFor(field);
+        return {
+            id: `event-${field}`,
+            name: field,
+            value: values[field],
+            className: error ? "form-control is-invalid" : "form-control",
+            "aria-invalid": error ? true : undefined,
+            "aria-describedby": error ? `event-${field}-error` : undefined,
+            // Copy the old values and replace just the one that changed.
+            onChange: (e) => setValues({ ...values, [field]: e.target.value }),
+            onBlur: () => setTouched({ ...touched, [field]: true }),
+        };
+    }
+
+    /**
+     * Fills in the form for what the user chose to edit: the occurrence (with its own
+     * dates and changes) or the series.
+     * @param {"occurrence"|"series"} choice - The user's choice.
+     */
+    function chooseScope(choice) {
+        setScope(choice);
+        setValues(toFormValues(choice === "occurrence" ? occurrence : post, ""));
+    }
+
     /**
      * Handles the form submission for both creating and updating events.
-     * @param {FormData} data - The FormData object collected from the form upon submission.
+     * @param {SubmitEvent} e - The browser's submit event.
      */
-    function handleSubmit(data) {
-        // Check if the form data contains an "id" field.
-        // If not, it means we are creating a new event.
-        if(!data.get("id")) {
-            // Construct a new post object from the form data.
-            const post = {
-                name: data.get("name"),
-                ancestry: data.get("ancestry"),
-                // A new `id` would typically be generated here or by the reducer.
-                // For simplicity, this example assumes the reducer handles ID generation.
-            };
+    function handleSubmit(e) {
+        // Stop the browser from submitting the form and reloading the page.
+        e.preventDefault();
+        setSubmitted(true);
+
+        // Block the submit while there are errors. They are now all visible
+        // because `submitted` is `true`, and the inputs still hold what was typed.
+        if (!isValid) {
+            return;
+        }
+
+        // `dispatch` returns `false` if the signed-in user may not make the change.
+        let accepted;
+        // If there is no `id` in the URL we are creating a new event.
+        if(!id) {
             // Dispatch an "added" action to the context's reducer.
-            // This action will be handled by `postReducer` to add the new post to the `posts` array.
-            dispatch({
+            // This action will be handled by `postReducer` to add the new post to the store.
+            // `EventsProvider` gives the new post a random, unique `id` before the reducer
+            // sees the action.
+            accepted = dispatch({
                 type: "added",
-                post
+                post: fields
+            });
+        } else if (scope === "occurrence") {
+            // Only this occurrence changes; the reducer stores the differences on the series.
+            accepted = dispatch({
+                type: "occurrenceUpdated",
+                id,
+                occurrence: occurrence.occurrence, // The occurrence's date key.
+                post: fields,
             });
         } else {
-            // If an "id" is present, we are updating an existing event.
-            const post = {
-                name: data.get("name"),
-                ancestry: data.get("ancestry"),
-            };
             // Dispatch an "updated" action to the context's reducer.
             // This action includes the `id` of the post to update and the new `post` data.
-            dispatch({
+            accepted = dispatch({
                 type: "updated",
-                id: data.get("id"), // The ID of the post to update.
-                post                // The updated data for the post.
+                id,           // The ID of the post to update.
+                post: fields  // The updated data for the post.
             });
         }
+        if (!accepted) {
+            setRefused(true);
+            return;
+        }
         // After successfully adding or updating, navigate the user to the events list page.
         navigate("/events");
     }
 
-    // Find the existing post data if an `id` is provided in the URL.
-    // This is used to pre-populate the form fields when editing.
-    // `parseInt(id)` is used because URL parameters are strings, and IDs are likely numbers.
-    // The nullish coalescing operator `?? {}` ensures that if no post is found (e.g., invalid ID),
-    // `post` defaults to an empty object to prevent errors when accessing `post.name` or `post.ancestry`.
-    const post = posts.find((item) => item.id === parseInt(id)) ?? {};
+    // The URL names an event that does not exist. Without this, the form would quietly
+    // turn into an empty "add" form.
+    if (id && !found)
+        return <EventNotFound id={id} />;
+
+    // Organisers may only edit their own events (`EventsProvider` would ignore the change anyway).
+    if (id && !can(user, "edit", post))
+        return (
+            <div className="alert alert-warning mt-3">
+                <p>{t("eventForm.notOwner", {name: post.name})}</p>
+                <Link to={`/events/${post.id}`}>{t("common.backToEvent")}</Link>
+            </div>
+        );
+
+    // Events in the trash cannot be edited (the reducer would ignore the change anyway).
+    if (isTrashed(post))
+        return (
+            <div className="alert alert-secondary mt-3">
+                <p>{t("eventForm.inTrash", {name: post.name})}</p>
+                <Link to="/events/trash">{t("event.goToTrash")}</Link>
+            </div>
+        );
+
+    // A cancelled occurrence has nothing to edit; the series can still be changed.
+    if (occurrence?.cancelled)
+        return (
+            <div className="alert alert-secondary mt-3">
+                <p>{t("eventForm.occurrenceDeleted", {name: post.name})}</p>
+                <Link to={`/events/${post.id}/edit`}>{t("eventForm.editSeries")}</Link>
+                &nbsp;&nbsp;
+                <Link to="/events">{t("common.backToEvents")}</Link>
+            </div>
+        );
+
+    // Coming from an occurrence, ask what to change before showing the form.
+    if (occurrence && !scope)
+        return (
+            <OccurrenceChoice
+                show
+                title={t("eventForm.editTitle", {name: post.name})}
+                date={occurrence.occurrence}
+                onChoose={chooseScope}
+                onCancel={() => navigate(occurrenceUrl(occurrence))}
+            />
+        );
 
     return (
         <>
-            <h2>Event</h2>
-            {/* The form's `action` attribute is set to our `handleSubmit` function.
-                 When the form is submitted, `handleSubmit` will be called with a FormData object. */}
-            <form action={handleSubmit}>
-                {/* A hidden input field to store the ID of the post being edited.
-                     This is crucial for distinguishing between "add" and "update" modes.
-                     `defaultValue` is used to set its initial value if an existing post is being edited. */}
-                <input type="hidden" name="id" defaultValue={post.id} />
-                <div>
-                    Name&nbsp;&nbsp;
-                    {/* Text input for the event's name.
-                         `defaultValue` pre-fills the input if an existing post's name is available. */}
-                    <input type="text" name="name" defaultValue={post.name} />
+            <h2>{t("eventForm.title")}</h2>
+            {scope === "occurrence" && (
+                <p className="text-muted">{t("eventForm.onlyOccurrence")}</p>
+            )}
+            {refused && (
+                <div className="alert alert-danger" role="alert">{t("eventForm.notAllowed")}</div>
+            )}
+            {/* `noValidate` turns off the browser's own validation popups so that
+                 our messages, which match the reducer's rules, are the only ones shown. */}
+            <form onSubmit={handleSubmit} noValidate>
+                <FormField id="event-name" label={t("fields.name")} error={errorFor("name")}>
+                    <input type="text" {...fieldProps("name")} />
+                </FormField>
+                <FormField id="event-ancestry" label={t("fields.ancestry")} error={errorFor("ancestry")}>
+                    <input type="text" {...fieldProps("ancestry")} />
+                </FormField>
+                <FormField id="event-tags" label={t("fields.tags")} error={errorFor("tags")}>
+                    <TagPicker
+                        id="event-tags"
+                        value={values.tags}
+                        onChange={(tags) => setValues({ ...values, tags })}
+                        onBlur={() => setTouched({ ...touched, tags: true })}
+                        error={errorFor("tags")}
+                        suggestions={tagSuggestions}
+                    />
+                </FormField>
+                <div className="row">
+                    {/* `datetime-local` inputs produce values like "2025-10-12T18:00",
+                         which is exactly the format the event model stores. */}
+                    <div className="col-md-6">
+                        <FormField id="event-start" label={t("eventForm.start")} error={errorFor("start")}>
+                            <input type="datetime-local" {...fieldProps("start")} />
+                        </FormField>
+                    </div>
+                    <div className="col-md-6">
+                        <FormField id="event-end" label={t("eventForm.end")} error={errorFor("end")}>
+                            <input type="datetime-local" {...fieldProps("end")} />
+                        </FormField>
+                    </div>
                 </div>
-                <div>
-                    Ancestry&nbsp;&nbsp;
-                    {/* Text input for the event's ancestry.
-                         `defaultValue` pre-fills the input if an existing post's ancestry is available. */}
-                    <input type="text" name="ancestry" defaultValue={post.ancestry} />
+                {/* The zone the start and end are in. An event saved with a zone this browser
+                     doesn't list keeps it as an option. */}
+                <FormField id="event-timeZone" label={t("eventForm.timeZone")} error={errorFor("timeZone")}>
+                    <select {...fieldProps("timeZone")} className={errorFor("timeZone") ? "form-select is-invalid" : "form-select"}>
+                        {(TIME_ZONES.includes(values.timeZone) ? TIME_ZONES : [values.timeZone, ...TIME_ZONES]).map((zone) => (
+                            <option key={zone} value={zone}>{zone.replace(/_/g, " ")}</option>
+                        ))}
+                    </select>
+                </FormField>
+                {/* An occurrence is one date of the series, so it has no repeat rule. */}
+                {scope !== "occurrence" && (
+                    <RecurrenceEditor
+                        value={values.recurrence}
+                        onChange={(recurrence) => setValues({ ...values, recurrence })}
+                        onBlur={() => setTouched({ ...touched, recurrence: true })}
+                        error={errorFor("recurrence")}
+                        start={values.start}
+                    />
+                )}
+                <FormField id="event-venue" label={t("fields.venue")} error={errorFor("venue")}>
+                    <input type="text" {...fieldProps("venue")} />
+                </FormField>
+                <FormField id="event-description" label={t("fields.description")} error={errorFor("description")}>
+                    {/* A `textarea` allows the long, multi-line description. */}
+                    <textarea rows={5} {...fieldProps("description")} />
+                </FormField>
+                <div className="row">
+                    <div className="col-md-6">
+                        <FormField id="event-organiser" label={t("fields.organiser")} error={errorFor("organiser")}>
+                            <input type="text" {...fieldProps("organiser")} />
+                        </FormField>
+                    </div>
+                    <div className="col-md-6">
+                        {/* Leaving the capacity empty means there is no limit. */}
+                        <FormField id="event-capacity" label={t("event.capacity")} error={errorFor("capacity")}>
+                            <input type="number" min="1" step="1" {...fieldProps("capacity")} />
+                        </FormField>
+                    </div>
                 </div>
                 <div>
-                    {/* Submit button to save the event (either add new or update existing). */}
-                    <input type="submit" />
+                    {/* Submit button to save the event (either add new or update existing).
+                         It is disabled while a submit attempt has revealed errors. */}
+                    <input type="submit" className="btn btn-primary" value={t("eventForm.submit")} disabled={submitted && !isValid} />
+                    &nbsp;&nbsp;
                     {/* Link to navigate back to the events list page without submitting the form. */}
-                    <Link to="/events">Go back to events</Link>
+                    <Link to="/events">{t("common.backToEvents")}</Link>
                 </div>
             </form>
         </>
@@ -1,27 +1,74 @@
-import React, { useRef, useState } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import BatchActions from "../components/BatchActions";
 import Item from "../components/Item";
 import Navigation from "../components/Navigation";
-import { useEvents } from "../context/EventsContext";
-import { Link } from "react-router-dom";
-import { Alert, Button, InputGroup } from "react-bootstrap"; // Bootstrap components for UI.
+import TagChip from "../components/TagChip";
+import PageLinks from "../components/PageLinks";
+import VirtualList from "../components/VirtualList";
+import { useEventsSelector } from "../context/events";
+import { useAuth } from "../context/auth";
+import { useI18n } from "../context/i18n";
+import { useDebouncedValue } from "../hooks/debounced-value";
+import { can } from "../models/user";
+import { tagKey } from "../models/tag";
+import { selectAllEvents, selectEventById, selectTags, selectVisibleEvents } from "../selectors/events";
+import { searchEvents } from "../utils/search";
+import { PAGE_SIZES, SORT_OPTIONS, paginate, sortEvents } from "../utils/sort";
+import { ICAL_MIME_TYPE, toICalendar } from "../utils/ical";
+import { addDays, parseDateKey, toDateKey } from "../utils/calendar";
+import { expandEvents, occurrenceKey } from "../utils/recurrence";
+import { downloadFile } from "../utils/download";
+import { Link, useSearchParams } from "react-router-dom";
+import { Button, Col, Form, Row } from "react-bootstrap"; // Bootstrap components for UI.
+
+/**
+ * The search parameters kept in the URL, e.g. `/events?q=jazz&ancestry=Zulu&from=2025-10-01`.
+ * - `q`: the search term, matched (with typo tolerance) against every field.
+ * - `ancestry`: only events with this ancestry/category.
+ * - `tag`: only events with this tag. It can be given more than once
+ *   (`?tag=Jazz&tag=Outdoor`) to show only the events with every one of those tags.
+ * - `from` / `to`: only events starting within this date range ("YYYY-MM-DD").
+ */
+const SEARCH_PARAMS = ["q", "ancestry", "tag", "from", "to"];
+
+/**
+ * How the list is shown, also kept in the URL, e.g. `/events?sort=start&order=desc&page=2`.
+ * Missing or unknown values fall back to the defaults below.
+ * - `sort`: one of `SORT_OPTIONS`.
+ * - `order`: `"asc"` or `"desc"`.
+ * - `page`: the page shown, starting at 1.
+ * - `size`: how many events there are per page, one of `PAGE_SIZES` (`Infinity` for all of them).
+ */
+const DEFAULT_SORT = "created";
+const DEFAULT_ORDER = "asc";
+const DEFAULT_PAGE_SIZE = PAGE_SIZES[0];
+
+// How far ahead recurring events are listed when the search has no end date: a year
+// after today (or after the "Starting from" date).
+const LIST_HORIZON_DAYS = 365;
+
+// How long typing in the search box must pause before the list is filtered, in milliseconds.
+const SEARCH_DELAY = 250;
 
 /**
  * EventList Page Component
  *
  * This component displays a list of events. It includes a search form to filter
  * the events and uses the Context API to access and manage the event data.
- * It also demonstrates the use of React hooks like `useState` and `useRef`.
+ * It also demonstrates the use of React hooks like `useSearchParams` and `useRef`.
  *
  * Key Concepts:
  * 1. **State Management with Context API**:
- *    - `useEvents`: A custom hook that provides access to the `posts` (events) array
- *      and the `dispatch` function from the `EventsContext`. This allows the component
- *      to display the list of events and potentially dispatch actions to modify them.
+ *    - `useEventsSelector` and `useEventsDispatch`: Custom hooks that provide access to the
+ *      `events` store, read with the selectors in `selectors/events.js`, and the `dispatch`
+ *      function from the events context. This allows the component to display the list
+ *      of events and potentially dispatch actions to modify them.
  *      @see {@link https://react.dev/learn/passing-data-deeply-with-context}
- * 2. **Local State Management with `useState`**:
- *    - `useState` is used to manage the `term` state, which stores the current
- *      search term entered by the user. This state is local to this component.
- *      @see {@link https://react.dev/learn/state-a-components-memory}
+ * 2. **State in the URL with `useSearchParams`**:
+ *    - The search term, filters, sort order and current page live in the URL's query
+ *      string instead of in component state, so a view survives a reload, can be
+ *      bookmarked or shared, and the browser's Back button steps through earlier views.
+ *      @see {@link https://reactrouter.com/en/main/hooks/use-search-params}
  * 3. **DOM Access with `useRef`**:
  *    - `useRef` is used to create a reference to the search input element (`searchTermRef`).
  *      This allows direct access to the DOM node, for example, to programmatically
@@ -34,121 +81,465 @@ import { Alert, Button, InputGroup } from "react-bootstrap"; // Bootstrap compon
  * 5. **Form Handling**:
  *    - A form is used for the search functionality. Its `action` attribute points
  *      to the `search` function, which receives a `FormData` object upon submission.
- *    - `FormData.get()` is used to extract the search term from the form data.
+ *    - `FormData.get()` is used to extract the search term and filters from the form data.
  *      @see {@link https://developer.mozilla.org/en-US/docs/Web/API/FormData/get}
  * 6. **List Rendering and Filtering**:
- *    - The `posts` array is filtered based on the `term` state using the `.filter()` method.
- *    - The filtered array is then mapped over using `.map()` to render an `Item` component
- *      for each event. Each `Item` receives props like `key`, `text`, `title`, `itemId`, and `url`.
+ *    - Recurring events are expanded into their occurrences first (`expandEvents`, see
+ *      `utils/recurrence.js`), so each occurrence is listed, sorted and searched on its own.
+ *    - `searchEvents` (see `utils/search.js`) filters the events and returns, for each match,
+ *      which parts of which fields matched. `Item` marks those parts with `Highlight`.
+ *    - The events are sorted first (`sortEvents`), and only the current page of the
+ *      results is shown (`paginate`, see `utils/sort.js`).
+ *    - The results are rendered by `VirtualList`, which mounts an `Item` only for the events
+ *      on screen. Each `Item` receives the event, its matches, its badge and whether it is
+ *      ticked, and is wrapped in `memo`: changing one event re-renders only its own row.
  *      @see {@link https://react.dev/learn/rendering-lists}
- * 7. **Conditional Rendering**: The component checks if `posts` exists. If it does,
+ * 7. **Conditional Rendering**: The component checks if `posts` (without the events in
+ *    the trash) exists. If it does,
  *    it renders the list and search form. Otherwise, it renders a "Nothin is here..." message.
  *    @see {@link https://react.dev/learn/conditional-rendering}
  * 8. **Third-Party Library (React-Bootstrap)**: The component uses pre-styled
- *    components like `Button` and `InputGroup` from `react-bootstrap` for a consistent look and feel.
+ *    components like `Button` and `Form` from `react-bootstrap` for a consistent look and feel.
  *    @see {@link https://react-bootstrap.github.io/}
+ * 9. **Selection**: Each item has a checkbox, and "Select all" ticks every event in the
+ *    results (on every page). The IDs ticked are kept in a `Set` in state; `BatchActions`
+ *    then acts on all of them at once. Only the selected events that are still in the
+ *    results count, so a batch never changes events the search has hidden. A recurring
+ *    event is selected as a whole series.
+ *    @see {@link https://react.dev/learn/updating-arrays-in-state}
+ * 10. **Large Lists**: Expanding, sorting and searching thousands of events is wrapped in
+ *    `useMemo`, so it is only done again when the events or the search change, not when
+ *    e.g. an event is ticked. Typing in the search box filters the list as you type, but
+ *    only once typing pauses (`useDebouncedValue`); pressing "Search" puts the search in
+ *    the URL as before. `VirtualList` keeps the scroll position and focused event when
+ *    the user opens an event and comes back.
+ *    @see {@link https://react.dev/reference/react/useMemo}
+ * 11. **Translation**: Every label comes from the message catalogues through `t` (see
+ *    `useI18n`), and dates and numbers are formatted for the chosen language. Counts such
+ *    as "Showing 1–10 of 42 events" use the plural forms of the language.
  *
  * @returns {JSX.Element} The event list page, including a search form and a list of events.
  */
 export default function EventList() {
-    // Destructure `posts` (the array of events) and `dispatch` from the `useEvents` custom hook.
-    const {posts, dispatch} = useEvents();
+    // Read `events` (the store of events) from the events context.
+    // `pendingIds` and `conflicts` come from the sync queue and drive the badges on each item.
+    // Each selector re-renders the list only when its own part of the state changes, so
+    // e.g. a tag's new colour doesn't re-render the whole list.
+    const events = useEventsSelector((state) => state.events);
+    const pendingIds = useEventsSelector((state) => state.pendingIds);
+    const conflicts = useEventsSelector((state) => state.conflicts);
+
+    // Links to pages the user may not open are left out.
+    const {user} = useAuth();
+
+    // The translator for the chosen language.
+    const i18n = useI18n();
+    const {t, formatLocale} = i18n;
+
+    // Events in the trash are never listed or searched; they only appear on the trash page.
+    const posts = selectVisibleEvents(events);
+    const trashCount = selectAllEvents(events).length - posts.length;
+
+    // The IDs of events whose changes are in conflict with the server.
+    const conflictIds = new Set(conflicts.map((conflict) => conflict.entry.id));
+
+    /**
+     * Works out which badge, if any, an item should show.
+     * @param {string} id - The event ID.
+     * @returns {"conflict"|"pending"|undefined} The sync status for `Item`.
+     */
+    function syncStatusFor(id) {
+        if (conflictIds.has(id)) return "conflict";
+        if (pendingIds.has(id)) return "pending";
+        return undefined;
+    }
 
-    // `useState` hook to manage the local state for the search term.
-    // `term` holds the current search string, and `setTerm` is the function to update it.
-    const [term, setTerm] = useState("");
+    // `useSearchParams` reads (and updates) the query string of the current URL.
+    // A missing parameter means "no filter".
+    const [searchParams, setSearchParams] = useSearchParams();
+    const term = searchParams.get("q") ?? "";
+    const ancestry = searchParams.get("ancestry") ?? "";
+    // `searchParams` is a new object only when the URL changes, so the tags are too.
+    const tags = useMemo(() => searchParams.getAll("tag"), [searchParams]);
+    const from = searchParams.get("from") ?? "";
+    const to = searchParams.get("to") ?? "";
+    const isFiltered = SEARCH_PARAMS.some((name) => searchParams.has(name));
+
+    // Anything unexpected in the URL (e.g. `?size=7`) is ignored rather than trusted.
+    const sort = SORT_OPTIONS.includes(searchParams.get("sort")) ? searchParams.get("sort") : DEFAULT_SORT;
+    const order = searchParams.get("order") === "desc" ? "desc" : DEFAULT_ORDER;
+    const pageSize = PAGE_SIZES.includes(Number(searchParams.get("size"))) ? Number(searchParams.get("size")) : DEFAULT_PAGE_SIZE;
+    const requestedPage = parseInt(searchParams.get("page"), 10) || 1;
+
+    // What is typed in the search box, and the search in the URL when it was typed. Once
+    // the URL changes (the search is submitted, or Back is pressed), the URL wins again.
+    const [typed, setTyped] = useState({term, text: term});
+    const typedText = typed.term === term ? typed.text : term;
+
+    // The term the list is filtered by: what is typed, once typing has paused. The search
+    // in the URL is used straight away.
+    const debouncedText = useDebouncedValue(typedText, SEARCH_DELAY);
+    const liveTerm = typedText === term ? term : debouncedText;
+    const isNarrowed = isFiltered || liveTerm !== "";
+
+    // Every ancestry/category used by an event, for the filter's drop-down list.
+    const ancestries = useMemo(() => [...new Set(posts.map((item) => item.ancestry).filter(Boolean))].sort(), [posts]);
+
+    // Every tag used by an event, for the tag filter.
+    const allTags = selectTags(events);
+
+    // Every event, with recurring ones replaced by their occurrences up to the end of the
+    // date filter (or a year ahead, since a series without an end never stops).
+    const horizon = to || toDateKey(addDays(parseDateKey(from) ?? new Date(), LIST_HORIZON_DAYS));
+    const occurrences = useMemo(() => expandEvents(posts, {from, to: horizon}), [posts, from, horizon]);
+
+    // The events that match the search, in the chosen order, each with the parts of its
+    // fields that matched. `searchEvents` keeps the order it is given.
+    const sorted = useMemo(() => sortEvents(occurrences, sort, order), [occurrences, sort, order]);
+    const results = useMemo(
+        () => searchEvents(sorted, {term: liveTerm, ancestry, tags, from, to, locale: formatLocale}),
+        [sorted, liveTerm, ancestry, tags, from, to, formatLocale]
+    );
+
+    // Only one page of the results is shown. A page number past the end (e.g. after
+    // deleting events) shows the last page instead.
+    const {items: pageResults, page, pageCount} = paginate(results, requestedPage, pageSize);
+    const firstShown = page > 1 ? (page - 1) * pageSize + 1 : 1;
+
+    // The IDs of the events ticked for batch actions. `Set`s are replaced, never changed,
+    // so React sees the new state.
+    const [selection, setSelection] = useState(() => new Set());
+
+    // Every event in the results (a recurring event once), and those that are ticked.
+    const resultIds = useMemo(() => [...new Set(results.map((result) => result.event.id))], [results]);
+    const selectedIds = new Set(resultIds.filter((id) => selection.has(id)));
+    const selectedEvents = [...selectedIds].map((id) => selectEventById(events, id));
+    const allSelected = resultIds.length > 0 && selectedIds.size === resultIds.length;
+
+    /**
+     * Ticks or unticks one event. It is made once (`useCallback`) and reads the selection
+     * through the updater, so every `Item` keeps receiving the same function.
+     * @param {string} id - The event ID.
+     * @param {boolean} checked - Whether it is now ticked.
+     */
+    const select = useCallback((id, checked) => {
+        setSelection((current) => {
+            const next = new Set(current);
+            if (checked) {
+                next.add(id);
+            } else {
+                next.delete(id);
+            }
+            return next;
+        });
+    }, []);
+
+    /**
+     * Ticks every event in the results, or unticks them all.
+     * @param {boolean} checked - Whether "Select all" is now ticked.
+     */
+    function selectAll(checked) {
+        setSelection(checked ? new Set(resultIds) : new Set());
+    }
 
     // `useRef` hook to create a reference to the search input DOM element.
     // This allows us to interact with the input directly, e.g., to focus it.
     const searchTermRef = useRef(null);
 
+    // Set when the user submits a search, so the new search input is focused once the
+    // form has been recreated for the new URL (see the `key` on the form below).
+    const searchedRef = useRef(false);
+    useEffect(() => {
+        if (searchedRef.current && searchTermRef.current) {
+            searchTermRef.current.focus();
+        }
+        searchedRef.current = false;
+    }, [searchParams]);
+
     /**
      * Handles the search form submission.
      * @param {FormData} data - The FormData object collected from the search form.
      */
     function search(data) {
-        // Get the search term from the form data and convert it to lowercase for case-insensitive matching.
-        const newTerm = data.get("term").toLowerCase();
-        setTerm(newTerm);
+        // Only put the fields that have a value in the URL, so it stays short and readable.
+        // The sort order and page size are kept; a new search starts again at page 1.
+        const next = new URLSearchParams(searchParams);
+        next.delete("page");
+        // `getAll` returns every value of a field, e.g. each tag box that is ticked.
+        for (const name of SEARCH_PARAMS) {
+            next.delete(name);
+            for (const value of data.getAll(name)) {
+                if (value.trim()) {
+                    next.append(name, value.trim());
+                }
+            }
+        }
+        // Each search adds a browser history entry, so Back returns to the previous one.
+        setSearchParams(next);
 
         // Programmatically focus the search input field after the search is submitted.
-        if (searchTermRef.current) {
-            searchTermRef.current.focus();
-        }
+        searchedRef.current = true;
 
         // Example of how you might dispatch a search action to a reducer.
         // This would be useful if the search logic or filtered list needed to be
         // managed globally or if the search was more complex.
         // dispatch({
         //     type: "search",
-        //     term: newTerm // Use the newTerm here, not the old `term` state.
+        //     term: next.get("q"),
         // });
     }
 
+    /**
+     * Changes how the list is shown (sort order or page size) and goes back to page 1,
+     * since the events on the current page would be different ones anyway.
+     * @param {string} name - The URL parameter to change.
+     * @param {string} value - Its new value.
+     */
+    function changeView(name, value) {
+        const next = new URLSearchParams(searchParams);
+        next.set(name, value);
+        next.delete("page");
+        setSearchParams(next);
+    }
+
+    /**
+     * Works out where the link to a page goes: the current URL with a different `page`.
+     * @param {number} number - The page number.
+     * @returns {string} A relative URL such as `"?q=jazz&page=2"`.
+     */
+    function pageLink(number) {
+        const next = new URLSearchParams(searchParams);
+        if (number > 1) {
+            next.set("page", number);
+        } else {
+            next.delete("page");
+        }
+        return `?${next}`;
+    }
+
+    /**
+     * The URL with every search parameter removed, but the sort order and page size kept.
+     * @returns {string} A relative URL.
+     */
+    function clearedLink() {
+        const next = new URLSearchParams(searchParams);
+        SEARCH_PARAMS.forEach((name) => next.delete(name));
+        next.delete("page");
+        return `?${next}`;
+    }
+
+    /**
+     * Downloads every event that matches the current search and filters (on all pages,
+     * not only the one shown) as an `.ics` file. Events without a start date are left out.
+     * A recurring event is exported once, as a series, however many of its occurrences match.
+     */
+    function downloadCalendar() {
+        const ids = new Set(results.map((result) => result.event.id));
+        downloadFile("events.ics", toICalendar([...ids].map((id) => selectEventById(events, id))), ICAL_MIME_TYPE);
+    }
+
     // Conditional rendering: check if the `posts` array exists and is not empty.
     if(posts && posts.length > 0)
         return (
             <>
                 {/* Search form.
                      The `action` attribute points to the `search` function.
-                     When submitted, `search` will be called with a FormData object. */}
-                <form action={search}>
+                     When submitted, `search` will be called with a FormData object.
+                     The `key` recreates the form when the search in the URL changes (e.g. with
+                     the Back button), so its fields always show the search that is in the URL. */}
+                <form action={search} key={[term, ancestry, ...tags, from, to].join("\n")}>
                     {/* Bootstrap's form layout classes for styling. */}
                     <div className="mb-3 mt-3">
-                        <label htmlFor="email" className="form-label">Search Event:</label>
+                        <label htmlFor="search-term" className="form-label">{t("eventList.searchLabel")}</label>
                         {/* The search input field.
-                             - `type="text"`: A standard text input.
+                             - `type="search"`: A text input that browsers show with a clear button.
                              - `className="form-control"`: Bootstrap class for styling.
-                             - `placeholder="eg: Harry"`: Placeholder text.
-                             - `name="term"`: Name of the input, used to retrieve its value in `FormData`.
-                             - `defaultValue={term}`: Sets the initial value of the input to the current `term` state.
+                             - `placeholder`: Placeholder text, e.g. "eg: Harry".
+                             - `name="q"`: Name of the input, used to retrieve its value in `FormData`.
+                             - `defaultValue={term}`: Sets the initial value of the input to the term in the URL.
+                             - `onChange`: Filters the list as the user types (see `typed` above).
                              - `ref={searchTermRef}`: Attaches the ref to this input element. */}
-                        <input 
-                            type="text" 
-                            className="form-control" 
-                            placeholder="eg: Harry" 
-                            name="term" 
-                            defaultValue={term} 
-                            ref={searchTermRef} 
+                        <input
+                            type="search"
+                            id="search-term"
+                            className="form-control"
+                            placeholder={t("eventList.searchPlaceholder")}
+                            name="q"
+                            defaultValue={term}
+                            onChange={(e) => setTyped({term, text: e.target.value})}
+                            ref={searchTermRef}
                         />
+                        <Form.Text>{t("eventList.searchHint")}</Form.Text>
                     </div>
+                    {/* Filters: a `Row` of `Col`s puts them side by side on wider screens. */}
+                    <Row className="mb-3">
+                        <Col sm={4}>
+                            <Form.Label htmlFor="search-ancestry">{t("fields.ancestry")}</Form.Label>
+                            <Form.Select id="search-ancestry" name="ancestry" defaultValue={ancestry}>
+                                <option value="">{t("eventList.any")}</option>
+                                {ancestries.map((value) => (
+                                    <option key={value} value={value}>{value}</option>
+                                ))}
+                            </Form.Select>
+                        </Col>
+                        <Col sm={4}>
+                            <Form.Label htmlFor="search-from">{t("eventList.from")}</Form.Label>
+                            <Form.Control type="date" id="search-from" name="from" defaultValue={from} />
+                        </Col>
+                        <Col sm={4}>
+                            <Form.Label htmlFor="search-to">{t("eventList.to")}</Form.Label>
+                            <Form.Control type="date" id="search-to" name="to" defaultValue={to} min={from || undefined} />
+                        </Col>
+                    </Row>
+                    {/* Tag filter: one checkbox per tag; ticking several narrows the list further. */}
+                    {allTags.length > 0 && (
+                        <fieldset className="mb-3">
+                            <legend className="form-label fs-6">{t("fields.tags")}</legend>
+                            {allTags.map(({name}) => (
+                                <Form.Check
+                                    key={name}
+                                    inline
+                                    type="checkbox"
+                                    id={`search-tag-${name}`}
+                                    name="tag"
+                                    value={name}
+                                    defaultChecked={tags.some((tag) => tagKey(tag) === tagKey(name))}
+                                    label={<TagChip name={name} />}
+                                />
+                            ))}
+                        </fieldset>
+                    )}
                     {/* Bootstrap's Button component for the submit button. */}
-                    <Button type="submit" className="btn btn-primary">Search</Button>
+                    <Button type="submit" className="btn btn-primary">{t("eventList.search")}</Button>
+                    {/* Linking to the same page without the search parameters clears every filter. */}
+                    {isFiltered && <>&nbsp;&nbsp;<Link to={clearedLink()}>{t("eventList.clear")}</Link></>}
                 </form>
 
+                {/* How the list is shown. These apply as soon as they change, without a submit. */}
+                <Row className="mt-3 g-2 align-items-end">
+                    <Col xs="auto">
+                        <Form.Label htmlFor="list-sort">{t("eventList.sortBy")}</Form.Label>
+                        <Form.Select id="list-sort" value={sort} onChange={(e) => changeView("sort", e.target.value)}>
+                            {SORT_OPTIONS.map((value) => (
+                                <option key={value} value={value}>{t(`sort.${value}`)}</option>
+                            ))}
+                        </Form.Select>
+                    </Col>
+                    <Col xs="auto">
+                        <Form.Label htmlFor="list-order">{t("eventList.order")}</Form.Label>
+                        <Form.Select id="list-order" value={order} onChange={(e) => changeView("order", e.target.value)}>
+                            <option value="asc">{t("eventList.ascending")}</option>
+                            <option value="desc">{t("eventList.descending")}</option>
+                        </Form.Select>
+                    </Col>
+                    <Col xs="auto">
+                        <Form.Label htmlFor="list-size">{t("eventList.perPage")}</Form.Label>
+                        <Form.Select id="list-size" value={pageSize} onChange={(e) => changeView("size", e.target.value)}>
+                            {PAGE_SIZES.map((size) => (
+                                <option key={size} value={size}>{size === Infinity ? t("eventList.all") : i18n.formatNumber(size)}</option>
+                            ))}
+                        </Form.Select>
+                    </Col>
+                </Row>
+
+                {/* "Select all" is half-ticked (`indeterminate`) when only some results are ticked.
+                     That can only be set on the DOM element, so a callback ref sets it. */}
+                {results.length > 0 && (
+                    <Form.Check
+                        className="mt-3"
+                        id="select-all"
+                        label={t(isNarrowed ? "eventList.selectAllMatching" : "eventList.selectAll", {count: resultIds.length})}
+                        checked={allSelected}
+                        onChange={(e) => selectAll(e.target.checked)}
+                        ref={(input) => {
+                            if (input) input.indeterminate = selectedIds.size > 0 && !allSelected;
+                        }}
+                    />
+                )}
+                {/* What can be done with the ticked events. */}
+                {selectedEvents.length > 0 && (
+                    <BatchActions
+                        events={selectedEvents}
+                        tagSuggestions={allTags.map((tag) => tag.name)}
+                        onClear={() => setSelection(new Set())}
+                    />
+                )}
+
                 {/* The Navigation component wraps the main content of the page.
-                     It receives a `title` prop and `children` (the "Add Event" link and the list of items). */}
-                <Navigation title="Main Menu!!">
+                     It receives a `title` prop and `children` (the "Add Event" link and the other links). */}
+                <Navigation title={t("eventList.menu")}>
                     {/* Link to navigate to the page for adding a new event. */}
-                    <Link to="/events/new">Add Event</Link>
-
-                    {/* Dynamically render the list of events. */}
-                    {
-                        posts
-                            // Filter the posts based on the search term.
-                            // It checks if the item's name (converted to lowercase) includes the search term.
-                            .filter(item => {
-                                return item.name.toLowerCase().includes(term);
-                            })
-                            // Map over the filtered array to create an `Item` component for each event.
-                            .map(link => {
-                                return (
-                                    <Item 
-                                        key={link.id}          // A unique key for each item in the list (important for React).
-                                        text={link.name}        // The text to display for the item link.
-                                        title={link.name}       // The title attribute for the item link.
-                                        itemId={link.id}        // The ID of the item, used for edit/delete actions.
-                                        url={`/events/${link.id}`} // The URL to navigate to when the item is clicked.
-                                    />
-                                );
-                            })
-                    }
+                    {can(user, "create") && <><Link to="/events/new">{t("eventList.add")}</Link>&nbsp;&nbsp;&nbsp;</>}
+                    {/* Link to the same events laid out on a calendar. */}
+                    <Link to="/events/calendar">{t("eventList.calendar")}</Link>
+                    {can(user, "import") && (
+                        <>
+                            &nbsp;&nbsp;&nbsp;
+                            {/* Link to the page that adds events from an `.ics` file. */}
+                            <Link to="/events/import-calendar">{t("eventList.importIcs")}</Link>
+                            &nbsp;&nbsp;&nbsp;
+                            {/* Link to the page that imports and exports every event as CSV or JSON. */}
+                            <Link to="/events/import-export">{t("eventList.importExport")}</Link>
+                        </>
+                    )}
+                    {/* Link to the page for renaming, merging, recolouring and deleting tags. */}
+                    {can(user, "manageTags") && <>&nbsp;&nbsp;&nbsp;<Link to="/events/tags">{t("fields.tags")}</Link></>}
+                    {/* Link to the deleted events, with how many there are. */}
+                    {can(user, "delete") && <>&nbsp;&nbsp;&nbsp;<Link to="/events/trash">{t("eventList.trash", {count: trashCount})}</Link></>}
+
+                    {/* Tell the user when the search or filters hide every event. */}
+                    {results.length === 0 && <p className="mt-3">{t("eventList.noMatches")}</p>}
                 </Navigation>
+
+                {/* The current page of matching events. Only the ones on screen are mounted;
+                     `positionKey` brings the user back to the same place in the same view. */}
+                <VirtualList
+                    items={pageResults}
+                    getKey={({event}) => occurrenceKey(event)}
+                    positionKey={`events?${searchParams}`}
+                    renderItem={({event: link, matches}) => (
+                        // Every prop stays the same while the event does, so `Item` (wrapped in
+                        // `memo`) only re-renders the rows that changed.
+                        <Item
+                            event={link}            // The event or occurrence: name, dates, tags, owner...
+                            matches={matches}       // The parts of its fields that matched the search.
+                            syncStatus={syncStatusFor(link.id)} // "pending"/"conflict" badge, if any.
+                            selected={selectedIds.has(link.id)} // Ticked for batch actions.
+                            onSelect={select}       // Called with the ID and whether it is now ticked.
+                        />
+                    )}
+                />
+
+                {/* Where the user is in the results, and links to the other pages. */}
+                {results.length > 0 && (
+                    <p className="text-muted">
+                        {t("eventList.showing", {first: firstShown, last: firstShown + pageResults.length - 1, count: results.length})}
+                        &nbsp;
+                        {/* Exports what the search found, so a filtered view can be added to a calendar app. */}
+                        <Button variant="link" size="sm" className="p-0 align-baseline" onClick={downloadCalendar}>
+                            {t(isNarrowed ? "eventList.downloadThese" : "eventList.downloadAll")}
+                        </Button>
+                    </p>
+                )}
+                <PageLinks page={page} pageCount={pageCount} linkTo={pageLink} />
             </>
         )
-    else 
+    else
         // If `posts` is null, undefined, or an empty array, render this message.
         return (
-            <p>Nothin is here...</p>
+            <>
+                <p>{t("eventList.empty")}</p>
+                {can(user, "create") && <Link to="/events/new">{t("eventList.add")}</Link>}
+                {can(user, "import") && (
+                    <>
+                        &nbsp;&nbsp;&nbsp;
+                        {/* Events can also be brought in from a file. */}
+                        <Link to="/events/import-export">{t("eventList.importFile")}</Link>
+                        &nbsp;&nbsp;&nbsp;
+                        <Link to="/events/import-calendar">{t("eventList.importIcs")}</Link>
+                    </>
+                )}
+                {trashCount > 0 && can(user, "delete") && <>&nbsp;&nbsp;&nbsp;<Link to="/events/trash">{t("eventList.trash", {count: trashCount})}</Link></>}
+            </>
         )
 }
@@ -0,0 +1,173 @@
+import { useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { Alert, Button, Form, Table } from "react-bootstrap";
+import { useEvents } from "../context/events";
+import { useI18n } from "../context/i18n";
+import { formatEventDates, isTrashed, pickEventFields, validateEvent } from "../models/event";
+import { parseICalendar } from "../utils/ical";
+import { describeRecurrence } from "../utils/recurrence";
+import { selectEventsByUid } from "../selectors/events";
+
+/**
+ * ImportCalendar Page Component
+ *
+ * This page imports events from an iCalendar (`.ics`) file, as exported by calendar apps.
+ * The file is read in the browser and shown as a preview first; the user then chooses
+ * which events to add. Events that were imported before (recognised by their `UID`) and
+ * events with invalid data are pointed out and not selected.
+ *
+ * Key Concepts:
+ * 1. **Reading Files in the Browser**: `<input type="file">` gives `File` objects, and
+ *    `file.text()` reads one as a string. Nothing is uploaded anywhere.
+ *    @see {@link https://developer.mozilla.org/en-US/docs/Web/API/Blob/text}
+ * 2. **Derived State**: Only the parsed file and the user's selection are stored in state.
+ *    Whether each event is new, a duplicate or invalid is worked out on every render, so
+ *    it stays correct if events change (e.g. in another tab) while the preview is open.
+ *    @see {@link https://react.dev/learn/choosing-the-state-structure#avoid-redundant-state}
+ * 3. **One Action for Many Changes**: All the selected events are sent to the reducer in a
+ *    single "imported" action, so one "undo" removes the whole import.
+ */
+export default function ImportCalendar() {
+    const {events, dispatch} = useEvents();
+    const navigate = useNavigate();
+
+    // The page, and the dates, are shown in the chosen language.
+    const i18n = useI18n();
+    const {t, translateError} = i18n;
+
+    // The events read from the file (`null` until a file is chosen), the name of the file,
+    // and any error reading it.
+    const [entries, setEntries] = useState(null);
+    const [fileName, setFileName] = useState("");
+    const [error, setError] = useState(null);
+
+    // The indexes of the entries the user has un-ticked or ticked, overriding the default.
+    const [choices, setChoices] = useState({});
+
+    /**
+     * Reads and parses the chosen file.
+     * @param {Event} e - The file input's change event.
+     */
+    async function handleFile(e) {
+        const file = e.target.files[0];
+        setEntries(null);
+        setChoices({});
+        setError(null);
+        if (!file) {
+            return;
+        }
+        setFileName(file.name);
+        try {
+            setEntries(parseICalendar(await file.text()));
+        } catch (err) {
+            setError(err);
+        }
+    }
+
+    // Every UID already in use, including events in the trash, mapped to that event.
+    const existing = selectEventsByUid(events);
+
+    // Work out the status of every entry in the file.
+    const seen = new Set();
+    const rows = (entries ?? []).map((entry, index) => {
+        const fields = pickEventFields(entry.fields);
+        const errors = Object.values(validateEvent(fields)).map((error) => t(error.key, error.values));
+        let status;
+        if (entry.uid && existing.has(entry.uid)) {
+            status = t(isTrashed(existing.get(entry.uid)) ? "importCalendar.importedTrashed" : "importCalendar.imported");
+        } else if (entry.uid && seen.has(entry.uid)) {
+            status = t("importCalendar.duplicate");
+        } else if (errors.length > 0) {
+            status = t("importCalendar.invalid", {errors: errors.join(" ")});
+        }
+        if (entry.uid) {
+            seen.add(entry.uid);
+        }
+        // Only new, valid events can be imported; they are selected unless un-ticked.
+        const importable = !status;
+        return {
+            index,
+            uid: entry.uid,
+            fields,
+            exceptions: entry.exceptions,
+            status: status ?? t("importCalendar.new"),
+            importable,
+            selected: importable && (choices[index] ?? true),
+        };
+    });
+    const selected = rows.filter((row) => row.selected);
+
+    /**
+     * Adds the selected events and goes back to the list.
+     */
+    function handleImport() {
+        dispatch({
+            type: "imported",
+            // Recurring events bring their deleted and changed occurrences along.
+            posts: selected.map((row) => ({...row.fields, uid: row.uid, exceptions: row.exceptions})),
+        });
+        navigate("/events");
+    }
+
+    return (
+        <>
+            <h2 className="mt-3">{t("importCalendar.title")}</h2>
+            <Form.Group className="mb-3" controlId="import-ics">
+                <Form.Label>{t("importCalendar.chooseFile")}</Form.Label>
+                <Form.Control type="file" accept=".ics,text/calendar" onChange={handleFile} />
+            </Form.Group>
+
+            {error && <Alert variant="danger">{t("common.fileUnreadable", {name: fileName, error: translateError(error)})}</Alert>}
+
+            {entries && entries.length === 0 && (
+                <Alert variant="info">{t("importCalendar.noEvents", {name: fileName})}</Alert>
+            )}
+
+            {rows.length > 0 && (
+                <>
+                    <p>{t("importCalendar.contains", {name: fileName, count: rows.length})}</p>
+                    <Table striped bordered responsive size="sm">
+                        <thead>
+                            <tr>
+                                <th scope="col"><span className="visually-hidden">{t("importCalendar.import")}</span></th>
+                                <th scope="col">{t("fields.name")}</th>
+                                <th scope="col">{t("fields.when")}</th>
+                                <th scope="col">{t("fields.venue")}</th>
+                                <th scope="col">{t("importCalendar.status")}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rows.map((row) => (
+                                <tr key={row.index}>
+                                    <td>
+                                        <Form.Check
+                                            aria-label={row.fields.name ? t("importCalendar.importNamed", {name: row.fields.name}) : t("importCalendar.importUnnamed")}
+                                            checked={row.selected}
+                                            disabled={!row.importable}
+                                            onChange={(e) => setChoices({...choices, [row.index]: e.target.checked})}
+                                        />
+                                    </td>
+                                    <td>{row.fields.name || "—"}</td>
+                                    <td>
+                                        {formatEventDates(row.fields, i18n.formatLocale) || "—"}
+                                        {row.fields.recurrence && typeof row.fields.recurrence === "object" && (
+                                            <small className="d-block text-muted">{describeRecurrence(row.fields.recurrence, i18n)}</small>
+                                        )}
+                                    </td>
+                                    <td>{row.fields.venue || "—"}</td>
+                                    <td className={row.importable ? undefined : "text-muted"}>{row.status}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </Table>
+                    <Button variant="primary" disabled={selected.length === 0} onClick={handleImport}>
+                        {t("importCalendar.importEvents", {count: selected.length})}
+                    </Button>
+                </>
+            )}
+
+            <hr />
+            <Link to="/events">{t("common.backToEvents")}</Link>
+        </>
+    );
+}
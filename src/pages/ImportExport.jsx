@@ -0,0 +1,261 @@
+import { useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { Alert, Button, Form, Table } from "react-bootstrap";
+import { useEvents } from "../context/events";
+import { useAuth } from "../context/auth";
+import { useI18n } from "../context/i18n";
+import { can } from "../models/user";
+import { eventUid, isTrashed } from "../models/event";
+import { CSV_MIME_TYPE } from "../utils/csv";
+import { downloadFile } from "../utils/download";
+import {
+    IMPORT_FIELDS,
+    JSON_MIME_TYPE,
+    eventsToCsv,
+    eventsToJson,
+    guessMapping,
+    readTable,
+    rowToEntry,
+} from "../utils/event-transfer";
+import { selectEventsByUid, selectVisibleEvents } from "../selectors/events";
+
+/**
+ * ImportExport Page Component
+ *
+ * This page moves the whole event collection in and out of the app:
+ * - **Export** downloads every event (except those in the trash) as CSV or JSON.
+ * - **Import** reads a CSV or JSON file, lets the user choose which column goes into which
+ *   field, reports the rows that fail validation line by line, and then either merges the
+ *   valid rows with the existing events or replaces them.
+ *
+ * Rows are matched with existing events by their UID column, so exporting, editing the
+ * file in a spreadsheet and importing it again updates the same events.
+ *
+ * Key Concepts:
+ * 1. **Reading Files in the Browser**: `file.text()` reads the chosen file as a string.
+ *    @see {@link https://developer.mozilla.org/en-US/docs/Web/API/Blob/text}
+ * 2. **Derived State**: Only the table read from the file, the column mapping and the mode
+ *    are stored in state. The validation report and the summary are recalculated on every
+ *    render, so changing a column's field updates them straight away.
+ *    @see {@link https://react.dev/learn/choosing-the-state-structure#avoid-redundant-state}
+ * 3. **One Action for Many Changes**: The import is a single "imported" action with a
+ *    `mode`, so it is saved, synced and undone as one change.
+ */
+export default function ImportExport() {
+    const {events: eventStore, dispatch} = useEvents();
+    const {user} = useAuth();
+    const {t, translateError} = useI18n();
+    const navigate = useNavigate();
+    const events = selectVisibleEvents(eventStore);
+
+    // The table read from the file (`null` until a file is chosen), its name, and any error.
+    const [table, setTable] = useState(null);
+    const [fileName, setFileName] = useState("");
+    const [error, setError] = useState(null);
+
+    // The field each column goes into (`""` to skip the column), and the import mode.
+    const [mapping, setMapping] = useState([]);
+    const [mode, setMode] = useState("merge");
+
+    /**
+     * Reads the chosen file and guesses the column mapping from its column names.
+     * @param {Event} e - The file input's change event.
+     */
+    async function handleFile(e) {
+        const file = e.target.files[0];
+        setTable(null);
+        setError(null);
+        if (!file) {
+            return;
+        }
+        setFileName(file.name);
+        try {
+            const read = readTable(file.name, await file.text());
+            setTable(read);
+            setMapping(guessMapping(read.columns));
+        } catch (err) {
+            setError(err);
+        }
+    }
+
+    /**
+     * Changes the field one column is imported into. A field can only come from one column,
+     * so any other column using it is set to "Don't import".
+     * @param {number} index - The column's position.
+     * @param {string} field - A key of `IMPORT_FIELDS`, or `""`.
+     */
+    function changeMapping(index, field) {
+        setMapping(mapping.map((current, i) => {
+            if (i === index) return field;
+            return field && current === field ? "" : current;
+        }));
+    }
+
+    // Validate every row with the current mapping.
+    const entries = (table?.rows ?? []).map((row) => ({label: row.label, ...rowToEntry(row.cells, mapping)}));
+    const valid = entries.filter((entry) => Object.keys(entry.errors).length === 0);
+    const failed = entries.filter((entry) => Object.keys(entry.errors).length > 0);
+
+    // What the import will do, for the summary. Matching is by UID, as in the reducer.
+    const byUid = selectEventsByUid(eventStore);
+    const matches = valid.filter((entry) => entry.uid && byUid.has(entry.uid));
+    const trashedMatches = matches.filter((entry) => isTrashed(byUid.get(entry.uid)));
+    // An organiser's import leaves other people's events alone.
+    const othersMatches = matches.filter((entry) => !isTrashed(byUid.get(entry.uid)) && !can(user, "edit", byUid.get(entry.uid)));
+    const mayReplace = can(user, "replaceEvents");
+    const importedUids = new Set(valid.map((entry) => entry.uid).filter(Boolean));
+    const replacedCount = events.filter((post) => !importedUids.has(eventUid(post))).length;
+    const summary = [
+        t("importExport.new", {count: valid.length - matches.length}),
+        t("importExport.updated", {count: matches.length - trashedMatches.length - othersMatches.length}),
+        trashedMatches.length > 0 && t("importExport.skippedTrash", {count: trashedMatches.length}),
+        othersMatches.length > 0 && t("importExport.skippedOthers", {count: othersMatches.length}),
+    ].filter(Boolean).join(t("common.separator"));
+
+    /**
+     * Describes a field's validation errors, e.g. "Name: This field is required.".
+     * @param {string} field - A key of `IMPORT_FIELDS`.
+     * @param {{key: string, values: (Object|undefined)}} message - The error.
+     * @returns {string} The description, in the chosen language.
+     */
+    function describeError(field, message) {
+        const label = Object.hasOwn(IMPORT_FIELDS, field) ? t(`importFields.${field}`) : field;
+        return `${label}: ${t(message.key, message.values)}`;
+    }
+
+    /**
+     * Sends the valid rows to the reducer and goes back to the list.
+     */
+    function handleImport() {
+        dispatch({
+            type: "imported",
+            mode,
+            posts: valid.map((entry) => ({...entry.fields, uid: entry.uid, exceptions: entry.exceptions})),
+        });
+        navigate("/events");
+    }
+
+    return (
+        <>
+            <h2 className="mt-3">{t("importExport.title")}</h2>
+
+            <h3 className="h5 mt-4">{t("importExport.export")}</h3>
+            <p>{t("importExport.exportText", {count: events.length})}</p>
+            <Button variant="outline-primary" onClick={() => downloadFile("events.csv", eventsToCsv(events), CSV_MIME_TYPE)}>
+                {t("importExport.downloadCsv")}
+            </Button>
+            &nbsp;
+            <Button variant="outline-primary" onClick={() => downloadFile("events.json", eventsToJson(events), JSON_MIME_TYPE)}>
+                {t("importExport.downloadJson")}
+            </Button>
+
+            <h3 className="h5 mt-4">{t("importExport.import")}</h3>
+            <Form.Group className="mb-3" controlId="import-file">
+                <Form.Label>{t("importExport.chooseFile")}</Form.Label>
+                <Form.Control type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFile} />
+                <Form.Text>{t("importExport.fileHint")}</Form.Text>
+            </Form.Group>
+
+            {error && <Alert variant="danger">{t("common.fileUnreadable", {name: fileName, error: translateError(error)})}</Alert>}
+
+            {table && table.rows.length === 0 && (
+                <Alert variant="info">{t("importExport.noRows", {name: fileName})}</Alert>
+            )}
+
+            {table && table.rows.length > 0 && (
+                <>
+                    {/* Step 1: which column goes into which field. */}
+                    <h4 className="h6">{t("importExport.columns")}</h4>
+                    <Table bordered responsive size="sm">
+                        <thead>
+                            <tr>
+                                <th scope="col">{t("importExport.column")}</th>
+                                <th scope="col">{t("importExport.firstValue")}</th>
+                                <th scope="col">{t("importExport.importInto")}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {table.columns.map((column, index) => (
+                                <tr key={index}>
+                                    <td>{column || <em>{t("importExport.noName")}</em>}</td>
+                                    <td className="text-muted text-truncate" style={{maxWidth: "15rem"}}>{table.rows[0].cells[index]}</td>
+                                    <td>
+                                        <Form.Select
+                                            size="sm"
+                                            aria-label={t("importExport.fieldFor", {column})}
+                                            value={mapping[index]}
+                                            onChange={(e) => changeMapping(index, e.target.value)}
+                                        >
+                                            <option value="">{t("importExport.skip")}</option>
+                                            {Object.keys(IMPORT_FIELDS).map((field) => (
+                                                <option key={field} value={field}>{t(`importFields.${field}`)}</option>
+                                            ))}
+                                        </Form.Select>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </Table>
+                    {!mapping.includes("name") && (
+                        <Alert variant="warning">{t("importExport.needName")}</Alert>
+                    )}
+
+                    {/* Step 2: the rows that can't be imported, and why. */}
+                    {failed.length > 0 && (
+                        <Alert variant="danger">
+                            <Alert.Heading as="h4" className="h6">
+                                {t("importExport.failed", {count: failed.length})}
+                            </Alert.Heading>
+                            <ul className="mb-0">
+                                {failed.map((entry) => {
+                                    // Where the row came from, e.g. "Line 4" or "Item 3".
+                                    const label = t(entry.label.key, entry.label.values);
+                                    return (
+                                        <li key={label}>
+                                            {label}:{" "}
+                                            {Object.entries(entry.errors)
+                                                .map(([field, message]) => describeError(field, message))
+                                                .join(" ")}
+                                        </li>
+                                    );
+                                })}
+                            </ul>
+                        </Alert>
+                    )}
+
+                    {/* Step 3: merge or replace. */}
+                    <h4 className="h6">{t("importExport.existing")}</h4>
+                    <Form.Check
+                        type="radio"
+                        id="import-mode-merge"
+                        name="import-mode"
+                        label={t("importExport.merge")}
+                        checked={mode === "merge"}
+                        onChange={() => setMode("merge")}
+                    />
+                    <Form.Check
+                        type="radio"
+                        id="import-mode-replace"
+                        name="import-mode"
+                        label={t(mayReplace ? "importExport.replace" : "importExport.replaceAdminsOnly")}
+                        checked={mode === "replace"}
+                        disabled={!mayReplace}
+                        onChange={() => setMode("replace")}
+                    />
+
+                    <p className="mt-3">
+                        {summary}.
+                        {mode === "replace" && ` ${t("importExport.replaced", {count: replacedCount})}`}
+                        {" "}{t("importExport.canUndo")}
+                    </p>
+                    <Button variant="primary" disabled={valid.length === 0} onClick={handleImport}>
+                        {t("importExport.importRows", {count: valid.length})}
+                    </Button>
+                </>
+            )}
+
+            <hr />
+            <Link to="/events">{t("common.backToEvents")}</Link>
+        </>
+    );
+}
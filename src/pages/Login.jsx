@@ -0,0 +1,136 @@
+import { useState } from "react";
+import { Link, useLocation, useNavigate } from "react-router-dom";
+import { Alert, Button, Table } from "react-bootstrap";
+import { useAuth } from "../context/auth";
+import { useI18n } from "../context/i18n";
+import { ROLES } from "../models/user";
+import FormField from "../components/FormField";
+
+/**
+ * Login Page Component
+ *
+ * Signs the user in with an email address and password. After signing in, the user is
+ * taken back to the page that sent them here (see `RequireAuth`), or to the event list.
+ * With the local auth provider, the demo accounts are listed so each role can be tried.
+ *
+ * Key Concepts:
+ * 1. **Async Event Handlers**: `login` returns a Promise. The handler `await`s it and
+ *    shows a message if it rejects (a wrong password, or any other `AuthError`); `busy`
+ *    disables the button meanwhile.
+ *    @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/async_function}
+ * 2. **Reading Navigation State**: `useLocation().state.from` is the page the user tried
+ *    to open before being sent here.
+ *    @see {@link https://reactrouter.com/api/hooks/useLocation}
+ * 3. **Password Managers**: `autoComplete="username"` and `"current-password"` let the
+ *    browser fill in saved details.
+ *    @see {@link https://developer.mozilla.org/en-US/docs/Web/HTML/Attributes/autocomplete}
+ */
+export default function Login() {
+    const { user, login, demoAccounts } = useAuth();
+    const { t } = useI18n();
+    const navigate = useNavigate();
+    const location = useLocation();
+
+    const [email, setEmail] = useState("");
+    const [password, setPassword] = useState("");
+    // The message key of the last failed sign-in, or `null`.
+    const [error, setError] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    // Where to go after signing in.
+    const from = location.state?.from;
+    const next = from ? `${from.pathname}${from.search ?? ""}` : "/events";
+
+    /**
+     * Signs in with the details typed.
+     * @param {SubmitEvent} e - The browser's submit event.
+     */
+    async function handleSubmit(e) {
+        e.preventDefault();
+        setBusy(true);
+        setError(null);
+        try {
+            await login(email, password);
+            navigate(next, { replace: true });
+        } catch (loginError) {
+            setError(loginError.invalidCredentials ? "login.invalidCredentials" : "login.failed");
+            setBusy(false);
+        }
+    }
+
+    if (user)
+        return (
+            <Alert variant="info" className="mt-3">
+                {t("login.signedIn", { name: user.name, role: ROLES[user.role] ? t(ROLES[user.role]) : user.role })}
+                &nbsp;
+                <Link to={next}>{t("login.continue")}</Link>
+            </Alert>
+        );
+
+    return (
+        <>
+            <h2 className="mt-3">{t("userMenu.logIn")}</h2>
+            {from && <p className="text-muted">{t("login.needed")}</p>}
+            {error && <Alert variant="danger">{t(error)}</Alert>}
+            <form onSubmit={handleSubmit}>
+                <FormField id="login-email" label={t("registration.email")}>
+                    <input
+                        type="email"
+                        id="login-email"
+                        className="form-control"
+                        autoComplete="username"
+                        required
+                        value={email}
+                        onChange={(e) => setEmail(e.target.value)}
+                    />
+                </FormField>
+                <FormField id="login-password" label={t("login.password")}>
+                    <input
+                        type="password"
+                        id="login-password"
+                        className="form-control"
+                        autoComplete="current-password"
+                        required
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                    />
+                </FormField>
+                <Button type="submit" variant="primary" disabled={busy}>{t("userMenu.logIn")}</Button>
+            </form>
+
+            {/* Only the local (fake) provider has demo accounts. */}
+            {demoAccounts.length > 0 && (
+                <>
+                    <h3 className="h6 mt-4">{t("login.demoAccounts")}</h3>
+                    <Table size="sm" responsive>
+                        <thead>
+                            <tr>
+                                <th scope="col">{t("login.role")}</th>
+                                <th scope="col">{t("registration.email")}</th>
+                                <th scope="col">{t("login.password")}</th>
+                                <th scope="col"><span className="visually-hidden">{t("common.actions")}</span></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {demoAccounts.map((account) => (
+                                <tr key={account.email}>
+                                    <td>{t(ROLES[account.role])}</td>
+                                    <td>{account.email}</td>
+                                    <td><code>{account.password}</code></td>
+                                    <td>
+                                        <Button variant="link" size="sm" className="p-0" onClick={() => {
+                                            setEmail(account.email);
+                                            setPassword(account.password);
+                                        }}>
+                                            {t("login.use")}
+                                        </Button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </Table>
+                </>
+            )}
+        </>
+    );
+}
@@ -0,0 +1,27 @@
+import { Link, useLocation } from "react-router-dom";
+import { Alert } from "react-bootstrap";
+import { useI18n } from "../context/i18n";
+
+/**
+ * NotFound Page Component
+ *
+ * Shown for any URL that no other route matches (the `*` route in `App.jsx`), instead of
+ * a blank page.
+ *
+ * Key Concepts:
+ * 1. **Catch-all Routes**: A route with `path='*'` matches every URL. React Router ranks
+ *    routes by how specific they are, so it only wins when nothing else matches.
+ *    @see {@link https://reactrouter.com/start/declarative/routing#splats}
+ */
+export default function NotFound() {
+    const location = useLocation();
+    const { t } = useI18n();
+
+    return (
+        <Alert variant="warning" className="mt-3">
+            <Alert.Heading>{t("notFound.title")}</Alert.Heading>
+            <p>{t("notFound.text", { path: <code>{location.pathname}</code> })}</p>
+            <Link to="/events">{t("common.backToEvents")}</Link>
+        </Alert>
+    );
+}
@@ -0,0 +1,144 @@
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import { Button, Form, InputGroup, Table } from "react-bootstrap";
+import { useEvents } from "../context/events";
+import { useI18n } from "../context/i18n";
+import { MAX_TAG_LENGTH, TAG_COLORS, normaliseTag, tagColor, tagKey } from "../models/tag";
+import { selectTags } from "../selectors/events";
+import TagChip from "../components/TagChip";
+
+/**
+ * Tags Page Component
+ *
+ * Lists every tag in use, with how many events have it, and lets the user tidy them up:
+ * - **Recolour**: pick the colour the tag's chips are shown in.
+ * - **Rename**: the new name is applied to every event with the tag.
+ * - **Merge**: renaming a tag to the name of another tag turns the two into one, e.g.
+ *   "Live music" and "live-music".
+ * - **Delete**: the tag is taken off every event; the events themselves are kept.
+ *
+ * Key Concepts:
+ * 1. **One Action, Many Events**: Renaming or deleting a tag is a single "tagRenamed" or
+ *    "tagDeleted" action. `postReducer` changes every event that has the tag, so the change
+ *    is one undo step and is saved to the repository like any other edit.
+ *    @see {@link https://react.dev/learn/extracting-state-logic-into-a-reducer}
+ * 2. **Derived Data**: The tags and their counts are worked out from the events on every
+ *    render with `selectTags`; there is no list of tags to keep in sync.
+ *    @see {@link https://react.dev/learn/choosing-the-state-structure#avoid-redundant-state}
+ * 3. **Editing One Row at a Time**: `renaming` holds the key of the tag being renamed and
+ *    the text typed, so only that row shows a text box.
+ */
+export default function Tags() {
+    const { events, dispatch, tagColors, dispatchTags } = useEvents();
+    const { t, formatNumber } = useI18n();
+
+    // The tag being renamed (`{key, text}`), or `null`.
+    const [renaming, setRenaming] = useState(null);
+
+    // Events in the trash keep their tags but are not counted.
+    const tags = selectTags(events);
+
+    /**
+     * Renames (or merges) the tag being edited.
+     * @param {SubmitEvent} e - The browser's submit event.
+     * @param {string} name - The tag's current name.
+     */
+    function handleRename(e, name) {
+        e.preventDefault();
+        const to = normaliseTag(renaming.text);
+        // Another tag with the same key is merged into; keep its spelling.
+        const target = tags.find((tag) => tagKey(tag.name) === tagKey(to) && tagKey(tag.name) !== tagKey(name));
+        const newName = target?.name ?? to;
+        if (newName && newName !== name && newName.length <= MAX_TAG_LENGTH) {
+            dispatch({ type: "tagRenamed", from: name, to: newName });
+            dispatchTags({ type: "renamed", from: name, to: newName });
+        }
+        setRenaming(null);
+    }
+
+    /**
+     * Describes what renaming will do, for the button.
+     * @param {string} name - The tag's current name.
+     * @returns {string} "Rename" or "Merge into …", in the chosen language.
+     */
+    function renameLabel(name) {
+        const target = tags.find((tag) => tagKey(tag.name) === tagKey(renaming.text) && tagKey(tag.name) !== tagKey(name));
+        return target ? t("tags.mergeInto", { name: target.name }) : t("tags.rename");
+    }
+
+    return (
+        <>
+            <h2 className="mt-3">{t("tags.title")}</h2>
+            <p className="text-muted">{t("tags.intro")}</p>
+
+            {tags.length === 0 ? (
+                <p>{t("tags.none")}</p>
+            ) : (
+                <Table striped hover responsive className="align-middle">
+                    <thead>
+                        <tr>
+                            <th scope="col">{t("tags.tag")}</th>
+                            <th scope="col">{t("tags.events")}</th>
+                            <th scope="col">{t("tags.colour")}</th>
+                            <th scope="col"><span className="visually-hidden">{t("common.actions")}</span></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {tags.map(({ name, count }) => (
+                            <tr key={tagKey(name)}>
+                                <td>
+                                    {renaming?.key === tagKey(name) ? (
+                                        <form onSubmit={(e) => handleRename(e, name)}>
+                                            <InputGroup size="sm">
+                                                <Form.Control
+                                                    aria-label={t("tags.newName", { name })}
+                                                    value={renaming.text}
+                                                    maxLength={MAX_TAG_LENGTH}
+                                                    list="tag-names"
+                                                    autoFocus
+                                                    onChange={(e) => setRenaming({ ...renaming, text: e.target.value })}
+                                                />
+                                                <Button type="submit" variant="primary">{renameLabel(name)}</Button>
+                                                <Button variant="outline-secondary" onClick={() => setRenaming(null)}>{t("common.cancel")}</Button>
+                                            </InputGroup>
+                                        </form>
+                                    ) : (
+                                        <Link to={`/events?${new URLSearchParams({ tag: name })}`}><TagChip name={name} /></Link>
+                                    )}
+                                </td>
+                                <td>{formatNumber(count)}</td>
+                                <td>
+                                    <Form.Select
+                                        size="sm"
+                                        aria-label={t("tags.colourOf", { name })}
+                                        value={tagColor(name, tagColors)}
+                                        onChange={(e) => dispatchTags({ type: "recoloured", name, color: e.target.value })}
+                                    >
+                                        {Object.keys(TAG_COLORS).map((color) => (
+                                            <option key={color} value={color}>{t(`tags.color.${color}`)}</option>
+                                        ))}
+                                    </Form.Select>
+                                </td>
+                                <td className="text-nowrap">
+                                    <Button variant="link" size="sm" onClick={() => setRenaming({ key: tagKey(name), text: name })}>
+                                        {t("tags.renameOrMerge")}
+                                    </Button>
+                                    <Button variant="outline-danger" size="sm" onClick={() => dispatch({ type: "tagDeleted", name })}>
+                                        {t("common.delete")}
+                                    </Button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </Table>
+            )}
+            {/* Suggestions for the rename box, so merging into an existing tag is easy. */}
+            <datalist id="tag-names">
+                {tags.map(({ name }) => <option key={tagKey(name)} value={name} />)}
+            </datalist>
+
+            <hr />
+            <Link to="/events">{t("common.backToEvents")}</Link>
+        </>
+    );
+}
@@ -0,0 +1,101 @@
+import { Link } from "react-router-dom";
+import { Button, Table } from "react-bootstrap";
+import { useEvents } from "../context/events";
+import { useAuth } from "../context/auth";
+import { useI18n } from "../context/i18n";
+import { can } from "../models/user";
+import { selectTrashedEvents } from "../selectors/events";
+
+/**
+ * Trash Page Component
+ *
+ * This component lists the events that have been deleted. Deleting an event only moves
+ * it here (it gets a `deletedAt` date), so a mistake can be put right with "Restore".
+ * "Delete forever" removes a single event for good, and "Empty trash" removes them all.
+ * Events are also removed automatically once they have been here longer than the
+ * retention period (see `trashRetentionDays` in `config.js`).
+ *
+ * Organisers can restore or delete only their own events; only admins can empty the trash.
+ *
+ * Key Concepts:
+ * 1. **Soft Delete**: Marking data as deleted instead of removing it straight away is a
+ *    common way to make deleting safe. The reducer's "removed", "restored", "purged" and
+ *    "trashEmptied" actions implement it.
+ *    @see {@link https://en.wikipedia.org/wiki/Soft_delete}
+ * 2. **Derived Data**: The list of trashed events and the days left for each one are
+ *    calculated from `events` during rendering, not stored separately.
+ *    @see {@link https://react.dev/learn/choosing-the-state-structure#avoid-redundant-state}
+ * 3. **React-Bootstrap Tables**: `Table` renders a styled HTML table.
+ *    @see {@link https://react-bootstrap.github.io/docs/components/table}
+ */
+export default function Trash() {
+    const { events, dispatch, trashRetentionDays } = useEvents();
+    const { user } = useAuth();
+    const { t, formatDate, formatNumber } = useI18n();
+
+    // Most recently deleted first. The selector's array is shared, so sort a copy of it.
+    const trashed = [...selectTrashedEvents(events)]
+        .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+
+    /**
+     * Works out how many whole days an event has left before it is purged.
+     * @param {Object} post - A trashed event.
+     * @returns {number} The number of days left (at least 0).
+     */
+    function daysLeft(post) {
+        const dayMs = 24 * 60 * 60 * 1000;
+        const ageDays = (Date.now() - new Date(post.deletedAt).getTime()) / dayMs;
+        return Math.max(0, Math.ceil(trashRetentionDays - ageDays));
+    }
+
+    return (
+        <>
+            <h2 className="mt-3">{t("trash.title")}</h2>
+            <p className="text-muted">{t("trash.retention", { count: trashRetentionDays })}</p>
+
+            {trashed.length === 0 ? (
+                <p>{t("trash.empty")}</p>
+            ) : (
+                <>
+                    <Table striped hover responsive>
+                        <thead>
+                            <tr>
+                                <th>{t("fields.name")}</th>
+                                <th>{t("trash.deleted")}</th>
+                                <th>{t("trash.daysLeft")}</th>
+                                <th aria-label={t("common.actions")}></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {trashed.map(post => (
+                                <tr key={post.id}>
+                                    <td>{post.name}</td>
+                                    <td>{formatDate(new Date(post.deletedAt), { dateStyle: "medium", timeStyle: "short" })}</td>
+                                    <td>{formatNumber(daysLeft(post))}</td>
+                                    <td className="text-end">
+                                        {can(user, "delete", post) && (
+                                            <>
+                                                <Button size="sm" variant="outline-primary" onClick={() => dispatch({type: "restored", id: post.id})}>
+                                                    {t("event.restore")}
+                                                </Button>
+                                                &nbsp;
+                                                <Button size="sm" variant="outline-danger" onClick={() => dispatch({type: "purged", id: post.id})}>
+                                                    {t("trash.purge")}
+                                                </Button>
+                                            </>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </Table>
+                    {can(user, "emptyTrash") && (
+                        <Button variant="danger" onClick={() => dispatch({type: "trashEmptied"})}>{t("trash.emptyTrash")}</Button>
+                    )}
+                </>
+            )}
+            <hr />
+            <Link to="/events">{t("common.backToEvents")}</Link>
+        </>
+    );
+}
@@ -0,0 +1,117 @@
+/**
+ * Reducer for Event Registrations (Attendees)
+ *
+ * This reducer manages the list of attendees, alongside `postReducer` which manages the
+ * events themselves. Its state is a plain array of attendees (see `models/attendee.js`),
+ * in the order people registered; that order decides who gets a place and who waits.
+ *
+ * Key Concepts:
+ * 1. **Pure Functions**: As in `postReducer`, the time of a change (`action.at`) and the
+ *    ID of a new attendee (`action.id`) are added to the action by the provider, because
+ *    reading the clock or generating random IDs here would make the reducer impure.
+ *    @see {@link https://react.dev/learn/extracting-state-logic-into-a-reducer}
+ * 2. **Soft Cancellation**: A cancelled registration is kept with a `cancelledAt` date
+ *    rather than removed, so the organiser's export still shows who cancelled.
+ *
+ * Actions:
+ * - `{type: "registered", id, eventId, occurrence, attendee: {name, email}, at}`
+ * - `{type: "registrationCancelled", id, at}`
+ * - `{type: "checkedIn", id, at}` / `{type: "checkInUndone", id, at}`
+ */
+
+import { isCancelled, pickAttendeeFields, registrationsFor, validateAttendee } from "../models/attendee";
+import { toEventId } from "../models/event";
+import { mergeLists } from "../utils/merge";
+
+/**
+ * Adds a registration.
+ *
+ * @param {Array<Object>} attendees - The current attendees.
+ * @param {Object} action - The "registered" action.
+ * @returns {Array<Object>} A new array with the attendee at the end, or the old one if the
+ *   registration is invalid or the email address is already registered for the event.
+ */
+function register(attendees, { id, eventId, occurrence = null, attendee, at }) {
+    const fields = pickAttendeeFields(attendee);
+    const registered = registrationsFor(attendees, eventId, occurrence);
+    if (Object.keys(validateAttendee(fields, registered)).length > 0) {
+        return attendees;
+    }
+    return [...attendees, {
+        id,
+        eventId,
+        occurrence,
+        ...fields,
+        registeredAt: at,
+        updatedAt: at,
+        checkedInAt: null,
+        cancelledAt: null,
+    }];
+}
+
+/**
+ * Changes one attendee that has not cancelled.
+ *
+ * @param {Array<Object>} attendees - The current attendees.
+ * @param {string} id - The attendee's ID.
+ * @param {Object} changes - The properties to change.
+ * @param {string} at - When the change was made (an ISO date string).
+ * @returns {Array<Object>} A new array, or the old one if there is no such attendee.
+ */
+function updateAttendee(attendees, id, changes, at) {
+    if (!attendees.some((attendee) => attendee.id === id && !isCancelled(attendee))) {
+        return attendees;
+    }
+    return attendees.map((attendee) => attendee.id === id ? { ...attendee, ...changes, updatedAt: at } : attendee);
+}
+
+/**
+ * The reducer for the attendees array.
+ */
+export function attendeeReducer(attendees, action) {
+    switch (action.type) {
+        case "registered":
+            return register(attendees, action);
+
+        case "registrationCancelled":
+            // The first person on the waitlist (if any) now has a place; see `attendanceFor`.
+            return updateAttendee(attendees, action.id, { cancelledAt: action.at }, action.at);
+
+        case "checkedIn":
+            return updateAttendee(attendees, action.id, { checkedInAt: action.at }, action.at);
+
+        case "checkInUndone":
+            return updateAttendee(attendees, action.id, { checkedInAt: null }, action.at);
+
+        default:
+            return attendees;
+    }
+}
+
+/**
+ * Migrations for the attendees saved in localStorage (see `POSTS_MIGRATIONS`).
+ */
+export const ATTENDEES_MIGRATIONS = [
+    // 0 → 1: Event IDs are now strings, so `eventId` must be one too to find the event.
+    (attendees) => attendees.map((attendee) => ({ ...attendee, eventId: toEventId(attendee.eventId) })),
+];
+
+/**
+ * Merges two copies of the attendees changed in different tabs (see `mergePosts`).
+ * If both changed the same attendee, the later change wins.
+ *
+ * @param {Array<Object>} base - The attendees both sides started from.
+ * @param {Array<Object>} local - This tab's attendees.
+ * @param {Array<Object>} remote - The other tab's attendees.
+ * @returns {Array<Object>} The merged attendees.
+ */
+export function mergeAttendees(base, local, remote) {
+    const merged = mergeLists(base, local, remote, (attendee) => attendee.id, (mine, theirs) => {
+        if (!mine || !theirs) {
+            return mine ?? theirs;
+        }
+        return (mine.updatedAt ?? "") > (theirs.updatedAt ?? "") ? mine : theirs;
+    });
+    // Keep registration order, which decides who has a place.
+    return [...merged].sort((a, b) => (a.registeredAt ?? "").localeCompare(b.registeredAt ?? ""));
+}
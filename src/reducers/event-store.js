@@ -0,0 +1,98 @@
+/**
+ * Normalised Event Store
+ *
+ * The events are kept in a "normalised" shape instead of a plain array:
+ *
+ *     {
+ *         byId: {"5c1e...": {id: "5c1e...", name: "Jazz night", ...}, ...},
+ *         allIds: ["5c1e...", ...],   // In the order the events were added.
+ *     }
+ *
+ * Finding an event by its ID is then a property lookup instead of a search through every
+ * event. Changing one event replaces only that event and `byId`; `allIds` stays the same
+ * array unless events are added or removed.
+ * @see {@link https://redux.js.org/usage/structuring-reducers/normalizing-state-shape}
+ *
+ * Like reducers, these helpers never change the store they are given: they return a new
+ * one, or the same one when nothing changed. Components read the store through the
+ * selectors in `selectors/events.js` rather than using `byId` and `allIds` themselves.
+ */
+
+/** A store with no events. */
+export const EMPTY_EVENT_STORE = { byId: {}, allIds: [] };
+
+/**
+ * Builds a store from an array of events. If two events have the same ID, the later one
+ * wins but keeps the earlier one's place.
+ *
+ * @param {Array<Object>} events - The events.
+ * @returns {{byId: Object, allIds: Array<string>}} The store.
+ */
+export function createEventStore(events) {
+    const byId = {};
+    const allIds = [];
+    for (const event of events) {
+        if (!Object.hasOwn(byId, event.id)) {
+            allIds.push(event.id);
+        }
+        byId[event.id] = event;
+    }
+    return { byId, allIds };
+}
+
+/**
+ * Lists the events of a store, in order. Components should use `selectAllEvents`, which
+ * remembers the array between renders.
+ *
+ * @param {{byId: Object, allIds: Array<string>}} store - The store.
+ * @returns {Array<Object>} Every event, including those in the trash.
+ */
+export function listEvents(store) {
+    return store.allIds.map(id => store.byId[id]);
+}
+
+/**
+ * Finds an event by its ID.
+ *
+ * @param {{byId: Object, allIds: Array<string>}} store - The store.
+ * @param {string} id - The event's ID.
+ * @returns {Object|undefined} The event, or `undefined` if there is none with that ID.
+ */
+export function findEvent(store, id) {
+    return Object.hasOwn(store.byId, id) ? store.byId[id] : undefined;
+}
+
+/**
+ * Adds an event, or replaces the event with the same ID (keeping its place).
+ *
+ * @param {{byId: Object, allIds: Array<string>}} store - The store.
+ * @param {Object} event - The event.
+ * @returns {{byId: Object, allIds: Array<string>}} The new store.
+ */
+export function putEvent(store, event) {
+    const exists = Object.hasOwn(store.byId, event.id);
+    return {
+        byId: { ...store.byId, [event.id]: event },
+        allIds: exists ? store.allIds : [...store.allIds, event.id],
+    };
+}
+
+/**
+ * Removes events by ID.
+ *
+ * @param {{byId: Object, allIds: Array<string>}} store - The store.
+ * @param {Array<string>} ids - The IDs of the events to remove. Unknown IDs are ignored.
+ * @returns {{byId: Object, allIds: Array<string>}} The new store, or the same one if none
+ *   of the events existed.
+ */
+export function removeEvents(store, ids) {
+    const removed = new Set(ids.filter(id => Object.hasOwn(store.byId, id)));
+    if (removed.size === 0) {
+        return store;
+    }
+    const byId = { ...store.byId };
+    for (const id of removed) {
+        delete byId[id];
+    }
+    return { byId, allIds: store.allIds.filter(id => !removed.has(id)) };
+}
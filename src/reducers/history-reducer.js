@@ -0,0 +1,125 @@
+/**
+ * Undo/Redo History for Reducers
+ *
+ * `withHistory` wraps any reducer (here, `postReducer`) so that its state can be undone
+ * and redone. Instead of just the current state, the wrapped reducer keeps three things:
+ *
+ *     {
+ *         past: [...],    // Earlier states, oldest first.
+ *         present: ...,   // The current state (what the app shows).
+ *         future: [...],  // States that were undone, next one first, ready to be redone.
+ *     }
+ *
+ * This is sometimes called a "higher-order reducer": a function that takes a reducer and
+ * returns a new, enhanced reducer. Because every state is an immutable value, keeping old
+ * states around is cheap and safe: nothing can change them later.
+ *
+ * Key Concepts:
+ * 1. **Higher-Order Reducers**: The same idea as higher-order functions; the wrapped
+ *    reducer still handles all of its own actions without knowing about history.
+ *    @see {@link https://redux.js.org/usage/implementing-undo-history}
+ * 2. **Bounded History**: Only the last `limit` states are kept, so memory (and the
+ *    space used in localStorage) does not grow forever.
+ */
+
+import { sameData } from "../utils/merge";
+
+/** How many steps can be undone by default. */
+export const HISTORY_LIMIT = 20;
+
+/**
+ * Creates an empty history around a state.
+ *
+ * @param {*} present - The current state.
+ * @returns {{past: Array, present: *, future: Array}} A history with nothing to undo or redo.
+ */
+export function createHistory(present) {
+    return { past: [], present, future: [] };
+}
+
+/**
+ * Wraps a reducer with undo/redo support.
+ *
+ * The wrapped reducer understands two extra actions:
+ * - `{type: "undone"}`: go back one step.
+ * - `{type: "redone"}`: go forward one step again.
+ *
+ * @param {Function} reducer - The reducer to wrap.
+ * @param {Object} [options]
+ * @param {number} [options.limit=HISTORY_LIMIT] - The maximum number of steps kept.
+ * @param {Array<string>} [options.ignore=[]] - Action types that change the state without
+ *   creating an undo step, e.g. loading data from a server.
+ * @returns {Function} The wrapped reducer, working on `{past, present, future}`.
+ */
+export function withHistory(reducer, { limit = HISTORY_LIMIT, ignore = [] } = {}) {
+    return function historyReducer(history, action) {
+        const { past, present, future } = history;
+
+        switch (action.type) {
+            case "undone":
+                // Nothing to undo: keep the same history object so nothing re-renders.
+                if (past.length === 0) {
+                    return history;
+                }
+                return {
+                    past: past.slice(0, -1),
+                    present: past[past.length - 1],
+                    future: [present, ...future],
+                };
+
+            case "redone":
+                if (future.length === 0) {
+                    return history;
+                }
+                return {
+                    past: [...past, present],
+                    present: future[0],
+                    future: future.slice(1),
+                };
+
+            default: {
+                const next = reducer(present, action);
+                // The action did nothing (e.g. invalid data): don't record an empty step.
+                if (next === present) {
+                    return history;
+                }
+                // Some actions replace the state without being something the user did.
+                if (ignore.includes(action.type)) {
+                    return { past, present: next, future };
+                }
+                // A new change: remember the old state and forget anything undone,
+                // because it can no longer be redone on top of the new change.
+                return {
+                    past: [...past, present].slice(-limit),
+                    present: next,
+                    future: [],
+                };
+            }
+        }
+    };
+}
+
+/**
+ * Creates a `merge` function for `useLocalStateReducer` that merges two histories
+ * changed in different tabs, using `mergePresent` for the current states.
+ *
+ * The other tab's undo steps are kept. If this tab's changes survive the merge, the other
+ * tab's present becomes an undo step, so the merge itself can be undone.
+ *
+ * @param {Function} mergePresent - Merges the `present` states: `(base, local, remote) => merged`.
+ * @param {number} [limit=HISTORY_LIMIT] - The maximum number of steps kept.
+ * @returns {Function} `(base, local, remote) => mergedHistory`.
+ */
+export function mergeHistories(mergePresent, limit = HISTORY_LIMIT) {
+    return (base, local, remote) => {
+        const present = mergePresent(base.present, local.present, remote.present);
+        if (sameData(present, remote.present)) {
+            return remote;
+        }
+        return {
+            past: [...remote.past, remote.present].slice(-limit),
+            present,
+            future: [],
+        };
+    };
+}
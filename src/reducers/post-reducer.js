@@ -23,26 +23,94 @@
  * 4. **Switch Statement**: The main `postReducer` function uses a `switch` statement
  *    on `action.type` to determine which specific update logic to apply.
  *
- * The individual helper functions (`removePost`, `addPost`, `updatePost`) encapsulate
+ * The individual helper functions (`removePost`, `addPost`, `importPosts`, `updatePost`,
+ * `updateOccurrence`, `removeOccurrence`, `retagPosts`, `duplicatePosts`) encapsulate
  * the logic for specific state transitions, making the main reducer cleaner.
+ *
+ * The state is a normalised store, `{byId, allIds}`, rather than an array of posts
+ * (see `event-store.js`). Post IDs are strings. New posts get theirs from the action
+ * (`action.id` or `action.newIds`), because making up a random ID here would make the
+ * reducer impure.
+ *
+ * Actions that change several posts at once ("imported", "batchRemoved",
+ * "batchDuplicated", "batchRetagged") are a single state change, so they either happen
+ * completely or not at all, and one "undo" reverts all of them.
  */
 
+import { eventUid, isValidEvent, normaliseEvent, pickEventFields, pickExceptions, toEventId } from "../models/event";
+import { pickTags, renameTag, tagKey, validateTags } from "../models/tag";
+import { mergeLists, sameData } from "../utils/merge";
+import { getOccurrence, pruneExceptions } from "../utils/recurrence";
+import { createHistory, mergeHistories, withHistory } from "./history-reducer";
+import { createEventStore, findEvent, listEvents, putEvent, removeEvents } from "./event-store";
+
 /**
- * Removes a post from the posts array based on its ID.
+ * Moves a post to the trash by giving it a `deletedAt` timestamp. The post stays in the
+ * store, so it can be restored; everything that lists events skips trashed posts.
  *
- * @param {Array<Object>} posts - The current array of posts.
- * @param {number|string} id - The ID of the post to remove.
- * @returns {Array<Object>} A new array with the specified post removed.
+ * @param {{byId: Object, allIds: Array<string>}} store - The current posts.
+ * @param {string} id - The ID of the post to move to the trash.
+ * @param {string} at - When the post was deleted (an ISO date string).
+ * @returns {{byId: Object, allIds: Array<string>}} A new store with the post marked as deleted.
  */
-function removePost(posts, id) {
-    // Use the spread syntax `[...posts]` to create a shallow copy of the posts array.
-    // This ensures we don't mutate the original state directly.
-    // The `.filter()` method then creates a new array containing only the posts
-    // whose ID does not match the one to be removed.
-    const updatedPosts = [...posts].filter(post => post.id !== id);
-    return updatedPosts;
-    // In a component with `useState`, you would call `setPosts(newPosts)`.
-    // In a reducer, you just return the new state.
+function trashPost(store, id, at) {
+    const post = findEvent(store, id);
+    // Posts already in the trash keep their original deletion time.
+    if (!post || post.deletedAt) {
+        return store;
+    }
+    return putEvent(store, { ...post, deletedAt: at, updatedAt: at });
+}
+
+/**
+ * Takes a post back out of the trash.
+ *
+ * @param {{byId: Object, allIds: Array<string>}} store - The current posts.
+ * @param {string} id - The ID of the post to restore.
+ * @param {string} at - When the post was restored (an ISO date string).
+ * @returns {{byId: Object, allIds: Array<string>}} A new store with the post restored.
+ */
+function restorePost(store, id, at) {
+    const post = findEvent(store, id);
+    if (!post?.deletedAt) {
+        return store;
+    }
+    // Copy the post without its `deletedAt` property.
+    const { deletedAt: _deletedAt, ...restored } = post;
+    return putEvent(store, { ...restored, updatedAt: at });
+}
+
+/**
+ * Permanently removes every trashed post deleted more than `retentionMs` ago.
+ *
+ * @param {{byId: Object, allIds: Array<string>}} store - The current posts.
+ * @param {string} now - The current time (an ISO date string).
+ * @param {number} retentionMs - How long trashed posts are kept, in milliseconds.
+ * @returns {{byId: Object, allIds: Array<string>}} A new store without the expired posts
+ *   (or the same store if none expired, so no re-render or undo step happens).
+ */
+function purgeExpiredPosts(store, now, retentionMs) {
+    const cutoff = new Date(now).getTime() - retentionMs;
+    const expired = listEvents(store).filter(post => post.deletedAt && new Date(post.deletedAt).getTime() <= cutoff);
+    return removeEvents(store, expired.map(post => post.id));
+}
+
+/**
+ * Permanently removes a post from the store based on its ID.
+ *
+ * @param {{byId: Object, allIds: Array<string>}} store - The current posts.
+ * @param {string} id - The ID of the post to remove.
+ * @returns {{byId: Object, allIds: Array<string>}} A new store with the specified post removed.
+ */
+function removePost(store, id) {
+    // Only posts already in the trash can be purged; deleting goes through the trash first.
+    if (!findEvent(store, id)?.deletedAt) {
+        return store;
+    }
+    // `removeEvents` copies `byId` and `allIds` without the post, so the original state is
+    // not mutated. In a component with `useState`, you would call `setPosts(newPosts)`;
+    // in a reducer, you just return the new state.
+    return removeEvents(store, [id]);
 }
 
 // /**
@@ -59,89 +127,460 @@ function removePost(posts, id) {
 //     // outdated.
 //     return posts.find((item) => item.id === id);
 // }
+//
+// Components find a post with `selectEventById` (see `selectors/events.js`) instead.
 
 /**
- * Adds a new post to the posts array.
+ * Adds a new post to the store.
+ *
+ * @param {{byId: Object, allIds: Array<string>}} store - The current posts.
+ * @param {Object} data - The fields of the new post (see `EVENT_FIELDS` in `models/event.js`).
+ * @param {string} [at] - When the post was added (an ISO date string). Passed in with the
+ *   action rather than read from the clock here, because reducers must be pure.
+ * @param {string} [ownerId] - The ID of the user who added the post, who owns it.
+ * @param {string} id - The new post's ID, made up by `EventsProvider` (a random UUID).
+ *   Random IDs are never reused after a post is deleted, and two browsers adding posts at
+ *   the same time won't pick the same one.
+ * @returns {{byId: Object, allIds: Array<string>}} A new store with the post added.
  */
-function addPost(posts, data) {
-    // Create a copy of the posts array.
-    const updatedPosts = [...posts];
+function addPost(store, data, at, ownerId, id) {
+    // Without a fresh ID there is nothing safe to store the post under.
+    if (!id || findEvent(store, id)) {
+        return store;
+    }
 
-    // Generate a new ID for the post. This logic finds the highest existing ID
-    // and increments it by 1. This is a simple client-side ID generation strategy.
-    let newId = 0;
-    for (let i = 0; i < posts.length; i++) {
-        const item = posts[i];
-        if (item.id >= newId) {
-            newId = item.id + 1;
+    // `normaliseEvent` fills in a default for every field the data did not supply,
+    // so every post in the store has the same shape.
+    const post = pruneExceptions(normaliseEvent({
+        ...pickEventFields(data),
+        // A post imported from a calendar file keeps the UID it had there, so importing
+        // the same file again can be recognised (see `utils/ical.js`).
+        ...(data.uid ? { uid: data.uid } : {}),
+        // An imported recurring post can come with changes to some of its occurrences.
+        ...(data.exceptions ? { exceptions: pickExceptions(data.exceptions) ?? {} } : {}),
+        id,
+        ownerId: ownerId ?? null,
+        createdAt: at,
+        updatedAt: at,
+    }));
+
+    // Refuse invalid data. Returning the original store means "nothing changed".
+    // The form validates before dispatching, so this only guards against bad actions.
+    if (!isValidEvent(post)) {
+        return store;
+    }
+
+    // In a component, you would call `setPosts(...)`. Here, we return the new store.
+    return putEvent(store, post);
+}
+
+/**
+ * Adds (or updates) several posts at once, for example the events of an imported file.
+ * They all arrive in a single state change, so one "undo" reverts the whole import.
+ *
+ * Imported items are matched with existing posts by UID (see `eventUid`). What happens
+ * depends on `mode`:
+ * - `"add"`: new items are added; items matching an existing post are skipped.
+ * - `"merge"`: new items are added; matching posts are updated with the item's fields.
+ * - `"replace"`: like `"merge"`, and every other post is moved to the trash, so the
+ *   events left are exactly the ones imported.
+ *
+ * @param {{byId: Object, allIds: Array<string>}} store - The current posts.
+ * @param {Array<Object>} items - The fields of each post, optionally with a `uid` and,
+ *   for recurring posts, `exceptions`.
+ * @param {string} [at] - When the posts were imported (an ISO date string).
+ * @param {"add"|"merge"|"replace"} [mode="add"] - How to treat the existing posts.
+ * @param {Object} [owner]
+ * @param {string} [owner.ownerId] - The ID of the user importing, who owns the new posts.
+ * @param {boolean} [owner.ownOnly=false] - Only update posts owned by `ownerId`.
+ * @param {Array<string>} [newIds=[]] - An ID for each item, used if it becomes a new post.
+ * @returns {{byId: Object, allIds: Array<string>}} The new store. Invalid items, later
+ *   items with the same UID as an earlier one, and changes to posts in the trash are skipped.
+ */
+function importPosts(store, items, at, mode = "add", { ownerId, ownOnly = false } = {}, newIds = []) {
+    const posts = listEvents(store);
+    const existing = new Map(posts.map(post => [eventUid(post), post]));
+    const imported = new Set();
+    let updatedPosts = store;
+    for (const [index, item] of items.entries()) {
+        if (item.uid && imported.has(item.uid)) {
+            continue;
+        }
+        const match = item.uid ? existing.get(item.uid) : undefined;
+        if (!match) {
+            // `addPost` ignores invalid posts.
+            updatedPosts = addPost(updatedPosts, item, at, ownerId, newIds[index]);
+        } else if (mode !== "add" && (!ownOnly || match.ownerId === ownerId)) {
+            // `updatePost` ignores invalid changes and posts in the trash.
+            updatedPosts = updatePost(updatedPosts, match.id, item, at);
+        }
+        if (item.uid) {
+            imported.add(item.uid);
+        }
+    }
+    if (mode === "replace") {
+        for (const post of posts) {
+            if (!imported.has(eventUid(post))) {
+                updatedPosts = trashPost(updatedPosts, post.id, at);
+            }
         }
     }
+    return updatedPosts;
+}
+
+/**
+ * Updates an existing post in the store.
+ *
+ * @param {{byId: Object, allIds: Array<string>}} store - The current posts.
+ * @param {string} id - The ID of the post to update.
+ * @param {Object} data - The fields to change. Fields that are not supplied keep their old value.
+ * @param {string} [at] - When the post was changed (an ISO date string).
+ * @returns {{byId: Object, allIds: Array<string>}} A new store containing the updated post.
+ */
+function updatePost(store, id, data, at) {
+    // IDs are strings everywhere, including in the URL, so the lookup is exact.
+    const item = findEvent(store, id);
+
+    // If there is no post with that ID, ignore the change and keep the old state.
+    // Posts in the trash cannot be edited either; they have to be restored first.
+    if (!item || item.deletedAt) {
+        return store;
+    }
 
-    // Add the new post object to the copied array.
-    updatedPosts.push({
-        id: newId,
-        name: data["name"],
-        ancestry: data["ancestry"],
+    // Spread the old properties first and then overwrite only the known
+    // fields that were supplied. Anything else on the item is kept as-is.
+    // `updatedAt` lets the sync queue spot changes made by someone else meanwhile.
+    // Exceptions for occurrences the new rule no longer has are dropped.
+    // `data.exceptions` is only given by imports; the form changes occurrences
+    // with "occurrenceUpdated" and "occurrenceRemoved" instead.
+    const updated = pruneExceptions({
+        ...item,
+        ...pickEventFields(data),
+        ...(data.exceptions ? { exceptions: pickExceptions(data.exceptions) ?? item.exceptions } : {}),
+        updatedAt: at ?? item.updatedAt,
     });
 
-    // In a component, you would call `setPosts(updatedPosts);`.
-    // Here, we return the new array.
-    return updatedPosts;
+    // A change that would leave the post invalid is ignored too.
+    if (!isValidEvent(updated)) {
+        return store;
+    }
+
+    // In a component, you would call `setPosts(...)`.
+    return putEvent(store, updated);
 }
 
 /**
- * Updates an existing post in the posts array.
+ * Finds a recurring post (not in the trash) and one of its occurrences.
+ *
+ * @param {{byId: Object, allIds: Array<string>}} store - The current posts.
+ * @param {string} id - The ID of the series.
+ * @param {string} key - The occurrence's date key, e.g. "2025-10-13".
+ * @returns {Object|null} `{series, occurrence}`, or `null` if either doesn't exist.
+ */
+function findOccurrence(store, id, key) {
+    const series = findEvent(store, id);
+    const occurrence = series && !series.deletedAt && getOccurrence(series, key);
+    return occurrence ? { series, occurrence } : null;
+}
+
+/**
+ * Stores an exception on a recurring post and returns the new store.
+ *
+ * @param {{byId: Object, allIds: Array<string>}} store - The current posts.
+ * @param {Object} series - The recurring post.
+ * @param {string} key - The occurrence's date key.
+ * @param {Object|null} exception - The exception, or `null` to remove it.
+ * @param {string} [at] - When the change was made (an ISO date string).
+ * @returns {{byId: Object, allIds: Array<string>}} A new store with the series changed.
+ */
+function setException(store, series, key, exception, at) {
+    const { [key]: _old, ...exceptions } = series.exceptions ?? {};
+    if (exception) {
+        exceptions[key] = exception;
+    }
+    return putEvent(store, { ...series, exceptions, updatedAt: at ?? series.updatedAt });
+}
+
+/**
+ * Changes a single occurrence of a recurring post. The series keeps its fields; only the
+ * fields of the occurrence that differ from the series are stored, as an exception.
+ *
+ * @param {{byId: Object, allIds: Array<string>}} store - The current posts.
+ * @param {string} id - The ID of the series.
+ * @param {string} key - The occurrence's date key, e.g. "2025-10-13".
+ * @param {Object} data - The occurrence's fields. `recurrence` is ignored.
+ * @param {string} [at] - When the change was made (an ISO date string).
+ * @returns {{byId: Object, allIds: Array<string>}} A new store, or the old one if the occurrence doesn't exist or
+ *   the change is invalid.
  */
-function updatePost(posts, id, data) {
-    // Create a copy of the posts array.
-    // Use `.map()` to iterate over the posts. If the item's ID matches the target ID,
-    // create a new object for that item with the updated properties.
-    // Otherwise, return the original item. This ensures immutability.
-    const updatedPosts = [...posts].map(item => {
-        if (item.id == id) { // Note: Using `==` for loose equality. `===` is generally preferred.
-            // Create a new object for the item to be updated, spreading its old properties
-            // and then overwriting with the new data. This is a robust way to update.
-            // For simplicity, this example directly mutates `item` which is not ideal
-            // if `item` was a more complex object or if other references to it existed.
-            // A better approach would be: `return { ...item, name: data.name, ancestry: data.ancestry };`
-            item["name"] = data["name"];
-            item["ancestry"] = data["ancestry"];
+function updateOccurrence(store, id, key, data, at) {
+    const found = findOccurrence(store, id, key);
+    if (!found || found.occurrence.cancelled) {
+        return store;
+    }
+    // The occurrence as the rule alone would make it, to compare the new values with.
+    const planned = getOccurrence({ ...found.series, exceptions: {} }, key);
+    const { recurrence: _recurrence, ...fields } = pickEventFields(data);
+    const changes = Object.fromEntries(
+        Object.entries(fields).filter(([field, value]) => !sameData(value, planned[field])),
+    );
+    if (!isValidEvent({ ...planned, ...changes, recurrence: null })) {
+        return store;
+    }
+    const exception = Object.keys(changes).length > 0 ? { changes } : null;
+    return setException(store, found.series, key, exception, at);
+}
+
+/**
+ * Deletes a single occurrence of a recurring post, by storing it as a deleted exception.
+ * The rest of the series is kept.
+ *
+ * @param {{byId: Object, allIds: Array<string>}} store - The current posts.
+ * @param {string} id - The ID of the series.
+ * @param {string} key - The occurrence's date key.
+ * @param {string} [at] - When the occurrence was deleted (an ISO date string).
+ * @returns {{byId: Object, allIds: Array<string>}} A new store, or the old one if there is no such occurrence.
+ */
+function removeOccurrence(store, id, key, at) {
+    const found = findOccurrence(store, id, key);
+    if (!found || found.occurrence.cancelled) {
+        return store;
+    }
+    return setException(store, found.series, key, { deleted: true }, at);
+}
+
+/**
+ * Changes the tags of every post that has a given tag, including posts in the trash and
+ * occurrences whose tags were changed on their own. Used to rename, merge and delete tags.
+ *
+ * @param {{byId: Object, allIds: Array<string>}} store - The current posts.
+ * @param {Function} retag - Called with an array of tags; returns the new array, or the
+ *   same one if nothing changes.
+ * @param {string} [at] - When the tags were changed (an ISO date string).
+ * @param {Array<number|string>} [ids] - Only change the posts with these IDs (and not
+ *   those in the trash). By default every post is changed.
+ * @returns {{byId: Object, allIds: Array<string>}} A new store, or the old one if no post has the tag.
+ */
+function retagPosts(store, retag, at, ids) {
+    let updatedPosts = store;
+    for (const item of ids ? ids.map(id => findEvent(store, id)) : listEvents(store)) {
+        // Unknown IDs, and posts in the trash when only some posts are changed, are skipped.
+        if (!item || (ids && item.deletedAt)) {
+            continue;
         }
-        return item; // Return the item (either updated or original).
-    });
+        const current = item.tags ?? [];
+        const tags = retag(current);
+        let exceptions = item.exceptions;
+        for (const [key, exception] of Object.entries(item.exceptions ?? {})) {
+            const changes = exception.changes;
+            if (changes?.tags && retag(changes.tags) !== changes.tags) {
+                exceptions = { ...exceptions, [key]: { changes: { ...changes, tags: retag(changes.tags) } } };
+            }
+        }
+        if (tags !== current || exceptions !== item.exceptions) {
+            updatedPosts = putEvent(updatedPosts, { ...item, tags, exceptions, updatedAt: at ?? item.updatedAt });
+        }
+    }
+    return updatedPosts;
+}
 
-    // In a component, you would call `setPosts(updatedPosts);`.
+/**
+ * Adds a copy of each of several posts, for a batch "Duplicate". A copy gets a new ID,
+ * "(copy)" after its name and no UID, so it is a new event rather than another version
+ * of the original. Changes to single occurrences are copied too; registrations are not.
+ *
+ * @param {{byId: Object, allIds: Array<string>}} store - The current posts.
+ * @param {Array<string>} ids - The IDs of the posts to copy.
+ * @param {string} [at] - When the copies were made (an ISO date string).
+ * @param {string} [ownerId] - The ID of the user making the copies, who owns them.
+ * @param {Array<string>} [newIds=[]] - The ID of each copy, in the order of `ids`.
+ * @returns {{byId: Object, allIds: Array<string>}} A new store with the copies added, in the order of `ids`.
+ *   Posts in the trash, and copies that would be invalid (e.g. a name that gets too
+ *   long), are skipped.
+ */
+function duplicatePosts(store, ids, at, ownerId, newIds = []) {
+    let updatedPosts = store;
+    for (const [index, id] of ids.entries()) {
+        const post = findEvent(store, id);
+        if (post && !post.deletedAt) {
+            updatedPosts = addPost(updatedPosts, {
+                ...pickEventFields(post),
+                name: `${post.name} (copy)`,
+                exceptions: post.exceptions,
+            }, at, ownerId, newIds[index]);
+        }
+    }
     return updatedPosts;
 }
 
+/**
+ * Returns a function for `retagPosts` that adds some tags and removes others, for a batch
+ * "Add tags"/"Remove tags". Tags that would break the rules (too many) are left as they were.
+ *
+ * @param {Array<string>} add - The tags to add.
+ * @param {Array<string>} remove - The tags to remove.
+ * @returns {Function} Called with an array of tags; returns the new array, or the same one.
+ */
+function addAndRemoveTags(add, remove) {
+    const removed = new Set(remove.map(tagKey));
+    return tags => {
+        const updated = pickTags([...tags.filter(tag => !removed.has(tagKey(tag))), ...add]);
+        return sameData(updated, tags) || validateTags(updated) ? tags : updated;
+    };
+}
+
+/**
+ * Replaces a post with another version of it, for example the server's copy after a
+ * sync conflict. Unlike `updatePost`, the whole post is swapped and nothing is validated,
+ * because the new version is already stored somewhere else.
+ *
+ * @param {{byId: Object, allIds: Array<string>}} store - The current posts.
+ * @param {string} id - The ID of the post to replace.
+ * @param {Object|null} post - The new version, or `null` if the post no longer exists.
+ * @returns {{byId: Object, allIds: Array<string>}} A new store with the post replaced, added or removed.
+ */
+function replacePost(store, id, post) {
+    if (!post) {
+        return removeEvents(store, [id]);
+    }
+    // `putEvent` keeps the post in the same place in the list.
+    return putEvent(store, normaliseEvent({ ...post, id }));
+}
+
+/**
+ * Migrations for the posts saved in localStorage by `useLocalStateReducer`.
+ * `POSTS_MIGRATIONS[n]` upgrades posts saved at version `n` to version `n + 1`.
+ * Never change or remove a migration once released; add a new one to the end instead.
+ */
+export const POSTS_MIGRATIONS = [
+    // 0 → 1: Posts used to be `{id, name, ancestry}` only. Give them every field of the
+    // current event model (dates, venue, description, organiser, capacity).
+    (posts) => {
+        if (!Array.isArray(posts)) {
+            throw new Error("expected a list of events");
+        }
+        return posts.map(normaliseEvent);
+    },
+    // 1 → 2: Posts are now saved together with their undo/redo history.
+    (posts) => createHistory(posts),
+    // 2 → 3: Each state in the history is now a normalised store (see `event-store.js`)
+    // instead of an array, and IDs are strings. Old numeric IDs keep their value, so
+    // links such as `/events/3` still work.
+    (history) => {
+        const toStore = (posts) => createEventStore(posts.map(post => ({ ...post, id: toEventId(post.id) })));
+        return {
+            ...history,
+            past: history.past.map(toStore),
+            present: toStore(history.present),
+            future: history.future.map(toStore),
+        };
+    },
+];
+
 /**
  * The main reducer function for managing posts.
  * This function is typically used with React's `useReducer` hook. It takes the
- * current `posts` state and an `action` object, and returns the new `posts` state.
+ * current store of posts and an `action` object, and returns the new store.
  */
-export function postReducer(posts, action) {
+export function postReducer(store, action) {
     // Use a switch statement to handle different action types.
     switch (action.type) {
         case "initialise":
             // This action type is used to set the initial state of posts,
             // often after fetching data from an API.
-            // The new state is simply the `action.posts` payload.
-            return action.posts;
+            // Each post is normalised so data in an older shape (e.g. numeric IDs) still works.
+            return createEventStore(action.posts.map(normaliseEvent));
 
         case "added":
             // When a new post is added, call the `addPost` helper function
             // with the current posts and the new post data from `action.post`.
-            return addPost(posts, action.post);
+            // `action.id` is the new post's ID, `action.at` the time of the change and
+            // `action.ownerId` the user adding the post, all added by `EventsProvider`.
+            return addPost(store, action.post, action.at, action.ownerId, action.id);
+
+        case "imported":
+            // Several posts at once (e.g. from an `.ics` or CSV file), added by `importPosts`.
+            // `action.posts` is an array of event fields; each may carry a `uid`.
+            // `action.mode` is "add" (the default), "merge" or "replace".
+            // `action.newIds` holds an ID for each item that turns out to be new.
+            return importPosts(store, action.posts, action.at, action.mode, {
+                ownerId: action.ownerId,
+                ownOnly: action.ownOnly,
+            }, action.newIds);
 
         case "removed":
-            // When a post is removed, call the `removePost` helper function
+            // When a post is removed, it is moved to the trash with `trashPost`
+            // so that it can still be restored later.
+            return trashPost(store, action.id, action.at);
+
+        case "restored":
+            // Take a post back out of the trash.
+            return restorePost(store, action.id, action.at);
+
+        case "purged":
+            // Permanently delete a post that is in the trash, using the `removePost` helper
             // with the current posts and the ID of the post to remove from `action.id`.
-            return removePost(posts, action.id);
+            return removePost(store, action.id);
+
+        case "trashEmptied":
+            // Permanently delete everything in the trash.
+            return removeEvents(store, listEvents(store).filter(post => post.deletedAt).map(post => post.id));
+
+        case "expiredPurged":
+            // Permanently delete posts that have been in the trash longer than the
+            // retention period. `action.now` and `action.retentionMs` are passed in
+            // because reducers must not read the clock or the configuration themselves.
+            return purgeExpiredPosts(store, action.now, action.retentionMs);
 
         case "updated":
             // When a post is updated, call the `updatePost` helper function
             // with the current posts, the ID from `action.id`, and the new data from `action.post`.
-            return updatePost(posts, action.id, action.post);
+            return updatePost(store, action.id, action.post, action.at);
+
+        case "occurrenceUpdated":
+            // Change one occurrence of a recurring post (`action.occurrence` is its date
+            // key) without changing the rest of the series.
+            return updateOccurrence(store, action.id, action.occurrence, action.post, action.at);
+
+        case "occurrenceRemoved":
+            // Delete one occurrence of a recurring post, keeping the rest of the series.
+            return removeOccurrence(store, action.id, action.occurrence, action.at);
+
+        case "tagRenamed":
+            // Rename the tag `action.from` to `action.to` on every post. If some posts
+            // already have `action.to`, this merges the two tags into one.
+            if (!tagKey(action.to)) {
+                return store;
+            }
+            return retagPosts(store, tags => renameTag(tags, action.from, action.to), action.at);
+
+        case "tagDeleted":
+            // Take the tag `action.name` off every post.
+            return retagPosts(store, tags => (
+                tags.some(tag => tagKey(tag) === tagKey(action.name))
+                    ? tags.filter(tag => tagKey(tag) !== tagKey(action.name))
+                    : tags
+            ), action.at);
+
+        case "batchRemoved":
+            // Move every post in `action.ids` to the trash, for a batch delete.
+            return action.ids.reduce((updatedPosts, id) => trashPost(updatedPosts, id, action.at), store);
+
+        case "batchDuplicated":
+            // Add a copy of every post in `action.ids`, owned by `action.ownerId`, with the
+            // IDs in `action.newIds`.
+            return duplicatePosts(store, action.ids, action.at, action.ownerId, action.newIds);
+
+        case "batchRetagged":
+            // Add the tags in `action.add` to, and remove those in `action.remove` from,
+            // every post in `action.ids`.
+            return retagPosts(store, addAndRemoveTags(action.add ?? [], action.remove ?? []), action.at, action.ids);
+
+        case "replaced":
+            // When another copy of a post should win (e.g. the server's version after a
+            // conflict), swap it in with `replacePost`. `action.post` may be `null`,
+            // meaning the post was deleted elsewhere.
+            return replacePost(store, action.id, action.post);
 
         // The "get" case is commented out because retrieving a single item
         // is not a state transition for the entire list and is better handled
@@ -152,6 +591,47 @@ export function postReducer(posts, action) {
         // It's good practice to have a default case that returns the current state
         // if the action type is not recognized. This prevents unexpected errors.
         default:
-            return posts;
+            return store;
     }
 }
+
+/**
+ * Merges two copies of the posts that were changed independently, for example in
+ * two browser tabs. Used by `useLocalStateReducer` when another tab saves its posts.
+ *
+ * Posts changed on only one side keep that change. If both sides changed the same post,
+ * the one with the later `updatedAt` wins; if one side deleted it and the other edited it,
+ * the edit wins, so no edit is silently lost.
+ *
+ * @param {{byId: Object, allIds: Array<string>}} base - The posts both sides started from.
+ * @param {{byId: Object, allIds: Array<string>}} local - This tab's posts.
+ * @param {{byId: Object, allIds: Array<string>}} remote - The other tab's posts.
+ * @returns {{byId: Object, allIds: Array<string>}} The merged posts.
+ */
+export function mergePosts(base, local, remote) {
+    const merged = mergeLists(listEvents(base), listEvents(local), listEvents(remote), post => post.id, (mine, theirs) => {
+        if (!mine || !theirs) {
+            return mine ?? theirs;
+        }
+        // ISO date strings sort in time order, so a plain comparison works.
+        return (mine.updatedAt ?? "") > (theirs.updatedAt ?? "") ? mine : theirs;
+    });
+    return createEventStore(merged);
+}
+
+/**
+ * `postReducer` with undo/redo support (see `history-reducer.js`). Its state is
+ * `{past, present, future}`, where `present` is the store of posts.
+ *
+ * Loading posts from the repository ("initialise"), taking the server's version of a post
+ * ("replaced") and the automatic clean-up of the trash ("expiredPurged") are not things
+ * the user did, so they are not undo steps.
+ */
+export const postHistoryReducer = withHistory(postReducer, {
+    ignore: ["initialise", "replaced", "expiredPurged"],
+});
+
+/**
+ * Merges two post histories changed in different tabs, using `mergePosts` for the posts.
+ */
+export const mergePostHistories = mergeHistories(mergePosts);
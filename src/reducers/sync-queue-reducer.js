@@ -0,0 +1,133 @@
+/**
+ * Reducer for the Sync Queue
+ *
+ * When events are stored on a server, every change the user makes is first put in a
+ * queue and then sent to the server in order. If the browser is offline, the changes
+ * simply wait in the queue (which is saved to localStorage, so it survives a reload)
+ * until the connection comes back.
+ *
+ * The state has two lists:
+ * - `pending`: changes waiting to be sent, oldest first.
+ * - `conflicts`: changes the server refused, or that clash with a newer version on the
+ *   server. They wait here until the user decides whose version to keep.
+ *
+ * A queue entry looks like this:
+ *
+ *     {
+ *         key: "1712345678901-0.123",   // Unique key for the entry itself.
+ *         type: "create",               // "create", "update" or "remove".
+ *         id: "5c1e...",                // The ID of the event that changed.
+ *         event: {...},                 // The event after the change (not for "remove").
+ *         base: "2025-10-12T09:00:00Z", // The event's `updatedAt` before the change.
+ *         force: false,                 // `true` to skip the conflict check.
+ *     }
+ *
+ * Like `postReducer`, this is a pure function: the entries (including their keys) are
+ * created by the caller and passed in with the action.
+ * @see {@link https://react.dev/learn/extracting-state-logic-into-a-reducer}
+ */
+
+import { toEventId } from "../models/event";
+import { mergeLists } from "../utils/merge";
+
+/** The state of an empty queue. */
+export const EMPTY_SYNC_QUEUE = { pending: [], conflicts: [] };
+
+/**
+ * Changes an entry saved before event IDs were strings.
+ * @param {Object} entry - A queue entry.
+ * @returns {Object} The entry with string IDs.
+ */
+function migrateEntryId(entry) {
+    return {
+        ...entry,
+        id: toEventId(entry.id),
+        ...(entry.event ? { event: { ...entry.event, id: toEventId(entry.event.id) } } : {}),
+    };
+}
+
+/**
+ * Migrations for the queue saved in localStorage (see `POSTS_MIGRATIONS`).
+ */
+export const SYNC_QUEUE_MIGRATIONS = [
+    // 0 → 1: Event IDs are now strings.
+    queue => ({
+        pending: queue.pending.map(migrateEntryId),
+        conflicts: queue.conflicts.map(conflict => ({
+            ...conflict,
+            entry: migrateEntryId(conflict.entry),
+            server: conflict.server && { ...conflict.server, id: toEventId(conflict.server.id) },
+        })),
+    }),
+];
+
+/**
+ * The main reducer function for the sync queue.
+ *
+ * @param {{pending: Array<Object>, conflicts: Array<Object>}} queue - The current queue.
+ * @param {Object} action - The action to apply.
+ * @returns {{pending: Array<Object>, conflicts: Array<Object>}} The new queue.
+ */
+export function syncQueueReducer(queue, action) {
+    switch (action.type) {
+        case "enqueued":
+            // A new change was made: add it to the end of the queue.
+            return { ...queue, pending: [...queue.pending, action.entry] };
+
+        case "dequeued":
+            // The server accepted the change: it no longer needs sending.
+            return { ...queue, pending: queue.pending.filter(entry => entry.key !== action.key) };
+
+        case "conflicted": {
+            // The server refused the change or has a newer version. Move the entry out of
+            // `pending` and remember the server's copy so the user can compare.
+            const entry = queue.pending.find(item => item.key === action.key);
+            if (!entry) {
+                return queue;
+            }
+            return {
+                pending: queue.pending.filter(item => item.key !== action.key),
+                // `message` is in English; the page shows `messageKey` in the chosen language.
+                // Conflicts saved before there were keys only have the `message`.
+                conflicts: [...queue.conflicts, {
+                    entry,
+                    server: action.server,
+                    message: action.message,
+                    messageKey: action.messageKey,
+                    messageValues: action.messageValues,
+                }],
+            };
+        }
+
+        case "resolved":
+            // The user chose a version. Drop every conflict and pending change for the
+            // event; if they kept their own version, `action.entry` re-sends it.
+            return {
+                pending: [
+                    ...queue.pending.filter(entry => entry.id !== action.id),
+                    ...(action.entry ? [action.entry] : []),
+                ],
+                conflicts: queue.conflicts.filter(conflict => conflict.entry.id !== action.id),
+            };
+
+        default:
+            return queue;
+    }
+}
+
+/**
+ * Merges two copies of the queue that were changed independently in two browser tabs.
+ * Entries never change once created, so an entry is kept unless one side has removed it
+ * (sent it, or moved it to `conflicts`).
+ *
+ * @param {Object} base - The queue both tabs started from.
+ * @param {Object} local - This tab's queue.
+ * @param {Object} remote - The other tab's queue.
+ * @returns {Object} The merged queue.
+ */
+export function mergeSyncQueues(base, local, remote) {
+    return {
+        pending: mergeLists(base.pending, local.pending, remote.pending, entry => entry.key),
+        conflicts: mergeLists(base.conflicts, local.conflicts, remote.conflicts, conflict => conflict.entry.key),
+    };
+}
@@ -0,0 +1,81 @@
+/**
+ * Reducer for Tag Colours
+ *
+ * The tags themselves live on the events (see `models/tag.js`); this reducer only keeps the
+ * colour chosen for each tag. Its state is an array of `{key, color, updatedAt}`, where
+ * `key` is the tag's `tagKey`. A tag without an entry gets a colour picked from its name.
+ *
+ * Key Concepts:
+ * 1. **Keeping Old Entries**: Renaming a tag copies its colour to the new name but keeps
+ *    the old entry, and deleting a tag leaves its colour alone. Undoing the rename or the
+ *    delete (which only `postReducer` knows about) then brings the tag back in its colour.
+ * 2. **Pure Functions**: As in `attendeeReducer`, the time of a change (`action.at`) is
+ *    added to the action by the provider.
+ *
+ * Actions:
+ * - `{type: "recoloured", name, color, at}`
+ * - `{type: "renamed", from, to, at}`: the new name takes the old name's colour, unless it
+ *   already has one of its own (when two tags are merged).
+ */
+
+import { TAG_COLORS, tagKey } from "../models/tag";
+import { mergeLists } from "../utils/merge";
+
+/**
+ * Sets the colour of a tag.
+ *
+ * @param {Array<Object>} colors - The current colours.
+ * @param {string} key - The tag's key.
+ * @param {string} color - A key of `TAG_COLORS`.
+ * @param {string} at - When the colour was chosen (an ISO date string).
+ * @returns {Array<Object>} A new array.
+ */
+function setColor(colors, key, color, at) {
+    const entry = { key, color, updatedAt: at };
+    return colors.some((item) => item.key === key)
+        ? colors.map((item) => item.key === key ? entry : item)
+        : [...colors, entry];
+}
+
+/**
+ * The reducer for the tag colours.
+ */
+export function tagReducer(colors, action) {
+    switch (action.type) {
+        case "recoloured":
+            if (!tagKey(action.name) || !Object.hasOwn(TAG_COLORS, action.color)) {
+                return colors;
+            }
+            return setColor(colors, tagKey(action.name), action.color, action.at);
+
+        case "renamed": {
+            const from = colors.find((item) => item.key === tagKey(action.from));
+            const to = tagKey(action.to);
+            if (!from || !to || colors.some((item) => item.key === to)) {
+                return colors;
+            }
+            return setColor(colors, to, from.color, action.at);
+        }
+
+        default:
+            return colors;
+    }
+}
+
+/**
+ * Merges two copies of the tag colours changed in different tabs (see `mergePosts`).
+ * If both changed the same tag, the later change wins.
+ *
+ * @param {Array<Object>} base - The colours both sides started from.
+ * @param {Array<Object>} local - This tab's colours.
+ * @param {Array<Object>} remote - The other tab's colours.
+ * @returns {Array<Object>} The merged colours.
+ */
+export function mergeTagColors(base, local, remote) {
+    return mergeLists(base, local, remote, (item) => item.key, (mine, theirs) => {
+        if (!mine || !theirs) {
+            return mine ?? theirs;
+        }
+        return (mine.updatedAt ?? "") > (theirs.updatedAt ?? "") ? mine : theirs;
+    });
+}
@@ -0,0 +1,15 @@
+/**
+ * Console Error Reporter
+ *
+ * An error reporter that writes to the browser's developer console. It is the default,
+ * which is all that is needed while developing.
+ *
+ * @returns {Object} The error reporter.
+ */
+export function createConsoleErrorReporter() {
+    return {
+        report(error, context = {}) {
+            console.error(`[${context.source ?? "app"}]`, error, context);
+        },
+    };
+}
@@ -0,0 +1,41 @@
+import axios from "axios";
+
+/**
+ * HTTP Error Reporter
+ *
+ * An error reporter that sends each error to a server with `POST`, for example the
+ * collector of an error-tracking service. The body is JSON:
+ *
+ *     {"message": "...", "name": "TypeError", "stack": "...", "source": "route",
+ *      "componentStack": "...", "url": "http://localhost:5173/events/4", "at": "2025-10-12T18:00:00.000Z"}
+ *
+ * Key Concepts:
+ * 1. **Fire and Forget**: `report` does not wait for the server and never throws. A
+ *    reporter that fails must not cause a second error on top of the one being reported,
+ *    so a failed request is only written to the console.
+ * 2. **Errors Don't Turn into JSON**: `JSON.stringify(new Error("x"))` gives `{}`, because
+ *    `message` and `stack` are not enumerable properties, so they are copied out by hand.
+ *    @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/JSON/stringify#description}
+ *
+ * @param {Object} options
+ * @param {string} options.url - The URL to send reports to.
+ * @param {number} [options.timeout=10000] - How long to wait for a response, in milliseconds.
+ * @returns {Object} The error reporter.
+ */
+export function createHttpErrorReporter({ url, timeout = 10000 }) {
+    return {
+        report(error, context = {}) {
+            const body = {
+                message: error?.message ?? String(error),
+                name: error?.name,
+                stack: error?.stack,
+                ...context,
+                url: window.location.href,
+                at: new Date().toISOString(),
+            };
+            axios.post(url, body, { timeout }).catch((sendError) => {
+                console.error("Could not report an error.", sendError, error);
+            });
+        },
+    };
+}
@@ -0,0 +1,40 @@
+import { config } from "../config";
+import { createConsoleErrorReporter } from "./console-error-reporter";
+import { createHttpErrorReporter } from "./http-error-reporter";
+
+/**
+ * Error Reporters
+ *
+ * An "error reporter" is told about errors the app could not deal with: a page that
+ * crashed while rendering (see `ErrorBoundary`) or events that could not be loaded. It
+ * has one method, `report(error, context)`, where `context` says where the error happened,
+ * e.g. `{source: "route", componentStack: "..."}`.
+ *
+ * Like repositories and auth providers, the reporter is chosen in `config.js`, so sending
+ * errors to a tracking service is a configuration change. Components get it with the
+ * `useErrorReporter` hook (see `context/error-reporting.js`), and tests can provide their
+ * own through `ErrorReporterContext`.
+ *
+ * @see {@link ../repositories/index.js}
+ */
+
+/**
+ * Creates the error reporter selected by the configuration.
+ *
+ * @param {Object} [settings=config] - The settings to use; defaults to `config.js`.
+ * @param {string} settings.errorReporter - "console", "http" or "none".
+ * @param {string} [settings.errorReportUrl] - Where the "http" reporter sends errors.
+ * @returns {Object} The error reporter.
+ */
+export function createErrorReporter(settings = config) {
+    switch (settings.errorReporter) {
+        case "http":
+            return createHttpErrorReporter({ url: settings.errorReportUrl });
+        case "console":
+            return createConsoleErrorReporter();
+        case "none":
+            return { report() {} };
+        default:
+            throw new Error(`Unknown error reporter "${settings.errorReporter}". Use "console", "http" or "none".`);
+    }
+}
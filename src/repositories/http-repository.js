@@ -0,0 +1,99 @@
+import axios from "axios";
+import { normaliseEvent } from "../models/event";
+import { RepositoryError } from "./repository-error";
+
+/**
+ * HTTP Repository
+ *
+ * A repository that talks to a REST API using `axios`. It has the same methods as the
+ * localStorage repository (`list`, `get`, `create`, `update`, `remove`), so
+ * `EventsProvider` can use either one without changes.
+ *
+ * The API is expected to follow the usual REST conventions:
+ *
+ * | Method   | URL            | Purpose              |
+ * |----------|----------------|----------------------|
+ * | `GET`    | `/events`      | List all events      |
+ * | `GET`    | `/events/:id`  | Get one event        |
+ * | `POST`   | `/events`      | Create an event      |
+ * | `PUT`    | `/events/:id`  | Replace an event     |
+ * | `DELETE` | `/events/:id`  | Delete an event      |
+ *
+ * `npm run mock-api` starts a local server with exactly these routes for testing.
+ *
+ * Key Concepts:
+ * 1. **Axios Instances**: `axios.create` returns a client with shared settings (the
+ *    base URL and a timeout), so each request only has to give its path.
+ *    @see {@link https://axios-http.com/docs/instance}
+ * 2. **Error Translation**: Axios errors are turned into `RepositoryError`s. When the
+ *    request never got a response (no network, server down) the error is marked as
+ *    `offline`, which lets the app tell "try again later" apart from "the server said no".
+ *    @see {@link https://axios-http.com/docs/handling_errors}
+ *
+ * @param {Object} options
+ * @param {string} options.baseUrl - The base URL of the API, e.g. "http://localhost:3001".
+ * @param {number} [options.timeout=10000] - How long to wait for a response, in milliseconds.
+ * @returns {Object} The repository.
+ */
+export function createHttpRepository({ baseUrl, timeout = 10000 }) {
+    const client = axios.create({ baseURL: baseUrl, timeout });
+
+    /**
+     * Sends a request and unwraps the response body, translating failures.
+     * @param {Object} request - The axios request configuration.
+     * @returns {Promise<*>} The response body.
+     */
+    async function send(request) {
+        try {
+            const response = await client.request(request);
+            return response.data;
+        } catch (error) {
+            if (error.response) {
+                // The server answered with an error status (4xx or 5xx).
+                throw new RepositoryError(`The server rejected the request (${error.response.status}).`, {
+                    messageKey: "errors.serverRejected",
+                    messageValues: { status: error.response.status },
+                    status: error.response.status,
+                    cause: error,
+                });
+            }
+            // No response at all: the network is down or the server is unreachable.
+            throw new RepositoryError("Could not reach the events server.", {
+                messageKey: "errors.serverUnreachable",
+                offline: true,
+                cause: error,
+            });
+        }
+    }
+
+    return {
+        async list() {
+            const events = await send({ method: "get", url: "/events" });
+            return events.map(normaliseEvent);
+        },
+
+        async get(id) {
+            try {
+                return normaliseEvent(await send({ method: "get", url: `/events/${id}` }));
+            } catch (error) {
+                // A missing event is an expected answer, not a failure.
+                if (error.status === 404) {
+                    return null;
+                }
+                throw error;
+            }
+        },
+
+        async create(event) {
+            return normaliseEvent(await send({ method: "post", url: "/events", data: event }));
+        },
+
+        async update(id, event) {
+            return normaliseEvent(await send({ method: "put", url: `/events/${id}`, data: event }));
+        },
+
+        async remove(id) {
+            await send({ method: "delete", url: `/events/${id}` });
+        },
+    };
+}
@@ -0,0 +1,65 @@
+import { config } from "../config";
+import { createHttpRepository } from "./http-repository";
+import { createLocalStorageRepository } from "./local-storage-repository";
+
+/**
+ * Repositories
+ *
+ * A "repository" hides where events are stored behind a small set of methods
+ * (`list`, `get`, `create`, `update`, `remove`). The rest of the app only talks to the
+ * repository, so switching from localStorage to a real server is a configuration change
+ * rather than a code change.
+ *
+ * @see {@link https://martinfowler.com/eaaCatalog/repository.html}
+ */
+
+/**
+ * Creates the repository selected by the configuration.
+ *
+ * @param {Object} [settings=config] - The settings to use; defaults to `config.js`.
+ * @param {string} settings.eventsBackend - "local" or "http".
+ * @param {string} [settings.eventsApiUrl] - The API base URL for the "http" backend.
+ * @returns {Object} The repository.
+ */
+export function createRepository(settings = config) {
+    switch (settings.eventsBackend) {
+        case "http":
+            return createHttpRepository({ baseUrl: settings.eventsApiUrl });
+        case "local":
+            return createLocalStorageRepository();
+        default:
+            throw new Error(`Unknown events backend "${settings.eventsBackend}". Use "local" or "http".`);
+    }
+}
+
+/**
+ * Works out which create/update/remove calls turn the `before` list into the `after` list.
+ * Events are compared by ID and, for events present in both, by reference: reducers
+ * return the same object for events they did not touch, so a different object means
+ * the event changed.
+ *
+ * @param {Array<Object>} before - The events before an action.
+ * @param {Array<Object>} after - The events after the action.
+ * @returns {Array<{type: string, id: (number|string), event?: Object, previous?: Object}>}
+ *   The changes, in order. `previous` is the event as it was before, for updates and removals.
+ */
+export function diffEvents(before, after) {
+    const beforeById = new Map(before.map((event) => [event.id, event]));
+    const afterIds = new Set(after.map((event) => event.id));
+    const changes = [];
+
+    for (const event of after) {
+        const previous = beforeById.get(event.id);
+        if (!previous) {
+            changes.push({ type: "create", id: event.id, event });
+        } else if (previous !== event) {
+            changes.push({ type: "update", id: event.id, event, previous });
+        }
+    }
+    for (const event of before) {
+        if (!afterIds.has(event.id)) {
+            changes.push({ type: "remove", id: event.id, previous: event });
+        }
+    }
+    return changes;
+}
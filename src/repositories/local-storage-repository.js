@@ -0,0 +1,115 @@
+import { normaliseEvent } from "../models/event";
+import { listEvents } from "../reducers/event-store";
+import { RepositoryError } from "./repository-error";
+
+/**
+ * localStorage Repository
+ *
+ * A repository that keeps events in the browser's localStorage. It behaves like a tiny
+ * database living in the browser, which is handy for development and demos when no
+ * server is running.
+ *
+ * Every repository (see `http-repository.js` for the other one) has the same methods,
+ * and they all return Promises even when, as here, the work is synchronous. That way
+ * the code using a repository never has to know which one it has.
+ *
+ * - `list()` → all events.
+ * - `get(id)` → one event, or `null` if it does not exist.
+ * - `create(event)` → the stored event. The event already has its `id`.
+ * - `update(id, event)` → the stored event.
+ * - `remove(id)` → nothing.
+ *
+ * The events are stored under their own key, separate from the `"posts"` key that
+ * `EventsProvider` uses as its local copy of the list. The first time the repository is
+ * used it is filled from `"posts"`, so events saved by older versions are not lost.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.key="events-db"] - The localStorage key to store events under.
+ * @param {string} [options.legacyKey="posts"] - The key to copy events from on first use.
+ * @returns {Object} The repository.
+ */
+export function createLocalStorageRepository({ key = "events-db", legacyKey = "posts" } = {}) {
+    /**
+     * Reads every stored event. Falls back to the legacy key on first use.
+     * @returns {Array<Object>} The stored events.
+     */
+    function read() {
+        const json = localStorage.getItem(key) ?? localStorage.getItem(legacyKey);
+        const stored = json ? JSON.parse(json) : [];
+        // The legacy key may hold a bare array or, once versioned by
+        // `useLocalStateReducer`, a `{version, data}` wrapper. Since undo was added, `data`
+        // is a history whose `present` is the events: an array, and later a store.
+        const data = Array.isArray(stored) ? stored : stored?.data;
+        const present = data?.present ?? data;
+        const events = Array.isArray(present?.allIds) ? listEvents(present) : present;
+        return Array.isArray(events) ? events.map(normaliseEvent) : [];
+    }
+
+    /**
+     * Replaces every stored event.
+     * @param {Array<Object>} events - The events to store.
+     */
+    function write(events) {
+        localStorage.setItem(key, JSON.stringify(events));
+    }
+
+    /**
+     * Runs `work` and turns any exception (corrupt JSON, storage full, storage
+     * disabled...) into a rejected Promise with a `RepositoryError`.
+     * @param {Function} work - The function to run.
+     * @returns {Promise<*>} The result of `work`.
+     */
+    function run(work) {
+        try {
+            return Promise.resolve(work());
+        } catch (error) {
+            if (error instanceof RepositoryError) {
+                return Promise.reject(error);
+            }
+            return Promise.reject(new RepositoryError("Could not access the events stored in this browser.", {
+                messageKey: "errors.storageUnavailable",
+                cause: error,
+            }));
+        }
+    }
+
+    return {
+        list() {
+            return run(() => read());
+        },
+
+        get(id) {
+            return run(() => read().find((event) => String(event.id) === String(id)) ?? null);
+        },
+
+        create(event) {
+            return run(() => {
+                // Replace any event with the same ID so that retrying a create is harmless.
+                const events = read().filter((item) => String(item.id) !== String(event.id));
+                write([...events, event]);
+                return event;
+            });
+        },
+
+        update(id, event) {
+            return run(() => {
+                const events = read();
+                if (!events.some((item) => String(item.id) === String(id))) {
+                    throw new RepositoryError(`Event ${id} does not exist.`, {
+                        messageKey: "errors.eventNotFound",
+                        messageValues: { id },
+                        status: 404,
+                    });
+                }
+                write(events.map((item) => String(item.id) === String(id) ? event : item));
+                return event;
+            });
+        },
+
+        remove(id) {
+            return run(() => {
+                write(read().filter((item) => String(item.id) !== String(id)));
+            });
+        },
+    };
+}
@@ -0,0 +1,30 @@
+/**
+ * RepositoryError
+ *
+ * The error thrown (as a rejected Promise) by every repository when an operation fails.
+ * Wrapping the underlying error (an axios error, a `DOMException` from localStorage...)
+ * in one class means the rest of the app can handle failures the same way no matter
+ * which backend is in use.
+ *
+ * Properties:
+ * - `message` (string): A human readable description of what went wrong, in English (for
+ *   the console and error reports).
+ * - `messageKey` (string|undefined) and `messageValues` (Object|undefined): The same
+ *   description as a message key and its values, so the page can show it in the chosen
+ *   language (see `translateError` in `i18n/index.js`).
+ * - `status` (number|undefined): The HTTP status code, when the server responded.
+ * - `offline` (boolean): `true` when the server could not be reached at all.
+ * - `cause` (Error|undefined): The original error, for debugging.
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error#custom_error_types}
+ */
+export class RepositoryError extends Error {
+    constructor(message, { messageKey, messageValues, status, offline = false, cause } = {}) {
+        super(message, { cause });
+        this.name = "RepositoryError";
+        this.messageKey = messageKey;
+        this.messageValues = messageValues;
+        this.status = status;
+        this.offline = offline;
+    }
+}
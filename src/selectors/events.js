@@ -0,0 +1,77 @@
+/**
+ * Event Selectors
+ *
+ * Selectors are small functions that read (or "select") data from the store of events
+ * kept by `EventsProvider` (see `reducers/event-store.js`). Components call them instead
+ * of searching the store themselves:
+ *
+ *     const {events} = useEvents();
+ *     const event = selectEventById(events, id);
+ *     const visible = selectVisibleEvents(events);
+ *
+ * Key Concepts:
+ * 1. **One Place for the Shape**: Only the selectors (and the reducer) know that the
+ *    store is `{byId, allIds}`. If the shape changes again, the components don't.
+ *    @see {@link https://redux.js.org/usage/deriving-data-selectors}
+ * 2. **Memoised Selectors**: The selectors that build a new array or map remember their
+ *    last result (see `utils/memoise.js`). While the store is unchanged, every component
+ *    gets the same array back, and the work of filtering is done once per change, not
+ *    once per component per render.
+ */
+
+import { eventUid, isTrashed } from "../models/event";
+import { collectTags } from "../models/tag";
+import { findEvent, listEvents } from "../reducers/event-store";
+import { memoiseLast } from "../utils/memoise";
+
+/**
+ * Every event, in the order they were added, including those in the trash.
+ *
+ * @param {{byId: Object, allIds: Array<string>}} store - The events.
+ * @returns {Array<Object>} The events.
+ */
+export const selectAllEvents = memoiseLast(listEvents);
+
+/**
+ * The events that are not in the trash: the ones listed, shown in the calendar, exported...
+ *
+ * @param {{byId: Object, allIds: Array<string>}} store - The events.
+ * @returns {Array<Object>} The events not in the trash.
+ */
+export const selectVisibleEvents = memoiseLast((store) => selectAllEvents(store).filter((event) => !isTrashed(event)));
+
+/**
+ * The events in the trash.
+ *
+ * @param {{byId: Object, allIds: Array<string>}} store - The events.
+ * @returns {Array<Object>} The events in the trash.
+ */
+export const selectTrashedEvents = memoiseLast((store) => selectAllEvents(store).filter(isTrashed));
+
+/**
+ * Finds an event by its ID, e.g. the `:id` from the URL. Trashed events are found too.
+ *
+ * @param {{byId: Object, allIds: Array<string>}} store - The events.
+ * @param {string} id - The event's ID.
+ * @returns {Object|undefined} The event, or `undefined` if there is none with that ID.
+ */
+export function selectEventById(store, id) {
+    return id === undefined || id === null ? undefined : findEvent(store, String(id));
+}
+
+/**
+ * Every event (including those in the trash) by its UID (see `eventUid`), for matching
+ * imported events with the existing ones.
+ *
+ * @param {{byId: Object, allIds: Array<string>}} store - The events.
+ * @returns {Map<string, Object>} The events by UID.
+ */
+export const selectEventsByUid = memoiseLast((store) => new Map(selectAllEvents(store).map((event) => [eventUid(event), event])));
+
+/**
+ * The tags used by the events not in the trash, with how many events use each.
+ *
+ * @param {{byId: Object, allIds: Array<string>}} store - The events.
+ * @returns {Array<{name: string, count: number}>} The tags, sorted by name.
+ */
+export const selectTags = memoiseLast((store) => collectTags(selectVisibleEvents(store)));
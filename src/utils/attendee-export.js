@@ -0,0 +1,41 @@
+/**
+ * Attendee List Export
+ *
+ * Turns the attendees of an event into a CSV file the organiser can open in a spreadsheet,
+ * print as a door list, or import into a mailing tool.
+ */
+
+import { toCsv } from "./csv";
+
+/** The columns of the exported file, in order. */
+export const ATTENDEE_COLUMNS = ["Name", "Email", "Status", "Waitlist position", "Registered", "Checked in"];
+
+/**
+ * Turns the attendees of an event into the text of a CSV file, with a header row.
+ * People with a place come first, then the waitlist in order.
+ *
+ * @param {{confirmed: Array<Object>, waitlist: Array<Object>}} attendance - From
+ *   `attendanceFor` in `models/attendee.js`.
+ * @returns {string} The CSV text.
+ */
+export function attendeesToCsv({ confirmed, waitlist }) {
+    return toCsv([
+        ATTENDEE_COLUMNS,
+        ...confirmed.map((attendee) => [
+            attendee.name,
+            attendee.email,
+            attendee.checkedInAt ? "Checked in" : "Registered",
+            "",
+            attendee.registeredAt,
+            attendee.checkedInAt ?? "",
+        ]),
+        ...waitlist.map((attendee, index) => [
+            attendee.name,
+            attendee.email,
+            "Waitlisted",
+            index + 1,
+            attendee.registeredAt,
+            "",
+        ]),
+    ]);
+}
@@ -0,0 +1,197 @@
+/**
+ * Calendar Helpers
+ *
+ * Date arithmetic for the calendar page: working out which days a month, week or day
+ * view shows, moving between periods, and finding the events on a given day.
+ *
+ * Events store their dates as local date-time strings like "2025-10-12T18:00" (the format
+ * of `<input type="datetime-local">`). The helpers expect them in the viewer's time zone, so
+ * the calendar page moves events there first (see `inTimeZone` in `utils/time-zone.js`).
+ * Days are identified by "date keys" like "2025-10-12", the first 10 characters of those
+ * strings, which is also the format used in the calendar's URL.
+ *
+ * Key Concepts:
+ * 1. **Local Time**: `new Date(2025, 9, 12)` and `new Date("2025-10-12T18:00")` are both in
+ *    the user's time zone, so a 6 pm event (in that zone) shows at 6 pm. (Careful: a date-only
+ *    string such as `new Date("2025-10-12")` is treated as UTC instead, so it is never used.)
+ *    @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Date#date_time_string_format}
+ * 2. **Immutability**: `Date` objects can be changed in place, so every helper returns a
+ *    new `Date` rather than modifying the one it was given.
+ */
+
+/** The calendar layouts, and the message key of the label shown for each. */
+export const CALENDAR_VIEWS = {
+    month: "calendar.month",
+    week: "calendar.week",
+    day: "calendar.day",
+};
+
+/**
+ * Pads a number to two digits, e.g. 7 → "07".
+ */
+function pad(number) {
+    return String(number).padStart(2, "0");
+}
+
+/**
+ * Formats a date as a date key.
+ *
+ * @param {Date} date - The date.
+ * @returns {string} The date key, e.g. "2025-10-12".
+ */
+export function toDateKey(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Turns a date key back into a `Date` at midnight, local time.
+ *
+ * @param {string|null} key - The date key, e.g. "2025-10-12".
+ * @returns {Date|null} The date, or `null` if the key is missing or not a real date.
+ */
+export function parseDateKey(key) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(key ?? "");
+    if (!match) {
+        return null;
+    }
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    // `Date` quietly rolls over impossible dates (31 February becomes 3 March); reject them.
+    return toDateKey(date) === key ? date : null;
+}
+
+/**
+ * Builds a value for an event's `start`, e.g. "2025-10-12T09:00".
+ *
+ * @param {Date} day - The day.
+ * @param {number} hour - The hour, 0 to 23.
+ * @returns {string} The local date-time string.
+ */
+export function toDateTimeValue(day, hour) {
+    return `${toDateKey(day)}T${pad(hour)}:00`;
+}
+
+/**
+ * Returns a new date a number of days after (or, if negative, before) another.
+ *
+ * @param {Date} date - The starting date.
+ * @param {number} days - How many days to move.
+ * @returns {Date} The new date.
+ */
+export function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * Returns a new date a number of months after (or before) another. The day of the month is
+ * kept where possible; 31 January plus one month is the last day of February.
+ *
+ * @param {Date} date - The starting date.
+ * @param {number} months - How many months to move.
+ * @returns {Date} The new date.
+ */
+export function addMonths(date, months) {
+    const lastDay = new Date(date.getFullYear(), date.getMonth() + months + 1, 0).getDate();
+    return new Date(date.getFullYear(), date.getMonth() + months, Math.min(date.getDate(), lastDay));
+}
+
+/**
+ * Returns the Monday of the week a date falls in.
+ *
+ * @param {Date} date - The date.
+ * @returns {Date} The Monday, at midnight.
+ */
+export function startOfWeek(date) {
+    // `getDay()` is 0 for Sunday, 1 for Monday... so Sunday is 6 days after Monday.
+    return addDays(date, -((date.getDay() + 6) % 7));
+}
+
+/**
+ * Moves a date one period forwards or backwards.
+ *
+ * @param {string} view - A key of `CALENDAR_VIEWS`.
+ * @param {Date} date - The date being shown.
+ * @param {number} step - 1 for the next period, -1 for the previous one.
+ * @returns {Date} The new date.
+ */
+export function stepDate(view, date, step) {
+    switch (view) {
+        case "month":
+            return addMonths(date, step);
+        case "week":
+            return addDays(date, step * 7);
+        default:
+            return addDays(date, step);
+    }
+}
+
+/**
+ * Works out the days a view shows, as rows of a grid.
+ *
+ * - Month: whole weeks (Monday to Sunday) from the week of the 1st to the week of the last day.
+ * - Week: one row of seven days.
+ * - Day: one row with a single day.
+ *
+ * @param {string} view - A key of `CALENDAR_VIEWS`.
+ * @param {Date} date - Any date in the period.
+ * @returns {Array<Array<Date>>} The weeks (rows) of days.
+ */
+export function calendarDays(view, date) {
+    if (view === "day") {
+        return [[addDays(date, 0)]];
+    }
+    if (view === "week") {
+        const monday = startOfWeek(date);
+        return [Array.from({ length: 7 }, (_, i) => addDays(monday, i))];
+    }
+    const first = new Date(date.getFullYear(), date.getMonth(), 1);
+    const last = new Date(date.getFullYear(), date.getMonth() + 1, 0);
+    const weeks = [];
+    for (let monday = startOfWeek(first); monday <= last; monday = addDays(monday, 7)) {
+        weeks.push(Array.from({ length: 7 }, (_, i) => addDays(monday, i)));
+    }
+    return weeks;
+}
+
+/**
+ * Describes the period a view shows, e.g. "October 2025" or "6 Oct 2025 – 12 Oct 2025".
+ *
+ * @param {string} view - A key of `CALENDAR_VIEWS`.
+ * @param {Date} date - Any date in the period.
+ * @param {string|Array<string>} [locale=[]] - The language to write the dates in, e.g.
+ *   "fr-FR", or `[]` for the browser's.
+ * @returns {string} The title.
+ */
+export function periodTitle(view, date, locale = []) {
+    if (view === "month") {
+        return date.toLocaleDateString(locale, { month: "long", year: "numeric" });
+    }
+    if (view === "week") {
+        const monday = startOfWeek(date);
+        const format = (day) => day.toLocaleDateString(locale, { dateStyle: "medium" });
+        return `${format(monday)} – ${format(addDays(monday, 6))}`;
+    }
+    return date.toLocaleDateString(locale, { dateStyle: "full" });
+}
+
+/**
+ * Finds the events that take place on a day, including events that started on an earlier
+ * day and are still running. Events without a start date are not on the calendar.
+ *
+ * @param {Array<Object>} events - The events.
+ * @param {Date} day - The day.
+ * @returns {Array<Object>} The events on that day, earliest first.
+ */
+export function eventsOnDay(events, day) {
+    const key = toDateKey(day);
+    return events
+        .filter((event) => {
+            if (!event.start) {
+                return false;
+            }
+            // Date keys compare correctly as plain strings.
+            const first = event.start.slice(0, 10);
+            const last = (event.end || event.start).slice(0, 10);
+            return first <= key && key <= last;
+        })
+        .sort((a, b) => a.start.localeCompare(b.start));
+}
@@ -0,0 +1,117 @@
+/**
+ * CSV (Comma-Separated Values)
+ *
+ * Reads and writes CSV text, the format spreadsheets such as Excel and Google Sheets use to
+ * import and export tables.
+ *
+ * Key Concepts:
+ * 1. **Quoting**: A value containing a comma, a quote or a line break is wrapped in double
+ *    quotes, and quotes inside it are doubled: `He said "hi", then left` becomes
+ *    `"He said ""hi"", then left"`. This means one row can span several lines of the file.
+ *    @see {@link https://datatracker.ietf.org/doc/html/rfc4180}
+ * 2. **Formula Injection**: Spreadsheets run a cell starting with `=`, `+`, `-` or `@` as a
+ *    formula. Exported values starting with one of these get a leading `'`, which
+ *    spreadsheets hide, and `parseCsv` removes it again.
+ *    @see {@link https://owasp.org/www-community/attacks/CSV_Injection}
+ */
+
+import { FileFormatError } from "./file-format-error";
+
+/** The MIME type of CSV files. */
+export const CSV_MIME_TYPE = "text/csv";
+
+// Characters that make a spreadsheet treat a cell as a formula.
+const FORMULA_START = /^[=+\-@]/;
+
+/**
+ * Formats one value as a CSV cell.
+ */
+function toCell(value) {
+    let text = value === null || value === undefined ? "" : String(value);
+    if (FORMULA_START.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+/**
+ * Turns a table into CSV text.
+ *
+ * @param {Array<Array<*>>} rows - The rows, each an array of values. The first row is
+ *   usually the column names.
+ * @returns {string} The CSV text, with CRLF line endings.
+ */
+export function toCsv(rows) {
+    return rows.map((row) => row.map(toCell).join(",")).join("\r\n") + "\r\n";
+}
+
+/**
+ * Reads CSV text into rows of cells.
+ *
+ * @param {string} text - The CSV text.
+ * @returns {Array<{line: number, cells: Array<string>}>} The rows, each with the line of the
+ *   file it starts on (from 1), for error messages. Blank lines are skipped.
+ * @throws {FileFormatError} If a quoted value is never closed.
+ */
+export function parseCsv(text) {
+    // Files saved by Excel often start with a byte order mark; it is not part of the data.
+    const input = text.replace(/^\uFEFF/, "");
+    const rows = [];
+    let cells = [];
+    let cell = "";
+    let quoted = false; // Inside a quoted value?
+    let line = 1;
+    let rowLine = 1;
+
+    /** Finishes the current cell. */
+    const endCell = () => {
+        // Undo the protection added by `toCell`.
+        cells.push(cell.replace(/^'(?=[=+\-@])/, ""));
+        cell = "";
+    };
+    /** Finishes the current row, skipping rows that are completely empty. */
+    const endRow = () => {
+        endCell();
+        if (cells.length > 1 || cells[0] !== "") {
+            rows.push({ line: rowLine, cells });
+        }
+        cells = [];
+        rowLine = line;
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === "\"" && input[i + 1] === "\"") {
+                cell += "\"";
+                i++;
+            } else if (char === "\"") {
+                quoted = false;
+            } else {
+                if (char === "\n") line++;
+                cell += char;
+            }
+        } else if (char === "\"" && cell === "") {
+            quoted = true;
+        } else if (char === ",") {
+            endCell();
+        } else if (char === "\n" || char === "\r") {
+            // Treat "\r\n" as one line break.
+            if (char === "\r" && input[i + 1] === "\n") i++;
+            line++;
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+    if (quoted) {
+        throw new FileFormatError(`A quoted value starting on line ${rowLine} is never closed.`, {
+            messageKey: "fileFormat.unclosedQuote",
+            messageValues: { line: rowLine },
+        });
+    }
+    if (cell !== "" || cells.length > 0) {
+        endRow();
+    }
+    return rows;
+}
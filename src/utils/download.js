@@ -0,0 +1,45 @@
+/**
+ * File Downloads
+ *
+ * Saves text generated in the browser (an `.ics` calendar, a CSV file...) as a file on the
+ * user's computer, without a server.
+ *
+ * Key Concepts:
+ * 1. **Blobs and Object URLs**: A `Blob` holds the file's contents in memory, and
+ *    `URL.createObjectURL` gives it a temporary URL that a link can point to.
+ *    @see {@link https://developer.mozilla.org/en-US/docs/Web/API/URL/createObjectURL_static}
+ * 2. **The `download` Attribute**: A link with `download` saves its target as a file
+ *    (with the given name) instead of opening it.
+ *    @see {@link https://developer.mozilla.org/en-US/docs/Web/HTML/Element/a#download}
+ */
+
+/**
+ * Downloads text as a file.
+ *
+ * @param {string} filename - The name to save the file as, e.g. "events.ics".
+ * @param {string} content - The contents of the file.
+ * @param {string} type - The MIME type, e.g. "text/calendar".
+ */
+export function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // The URL keeps the contents in memory until it is revoked. Revoking it straight away
+    // can cancel the download in some browsers, so wait a moment.
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Turns any text into something safe to use in a file name, e.g. "Harry's Party!" →
+ * "harry-s-party".
+ *
+ * @param {string} text - The text, such as an event name.
+ * @param {string} [fallback="events"] - Used when nothing is left of the text.
+ * @returns {string} The file name, without an extension.
+ */
+export function toFileName(text, fallback = "events") {
+    const name = text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, "-").replace(/^-+|-+$/g, "");
+    return name || fallback;
+}
@@ -0,0 +1,238 @@
+/**
+ * Event Import and Export (CSV and JSON)
+ *
+ * Converts the event collection to CSV or JSON files, and reads such files back as a table
+ * whose columns the user maps to event fields.
+ *
+ * Both formats use the same columns: `uid`, every field of `EVENT_FIELDS`, `exceptions`, then
+ * `createdAt` and `updatedAt`. The `uid` column lets an exported file be imported again to
+ * update the same events instead of adding copies (see `eventUid` in `models/event.js`).
+ * The repeat rule (`recurrence`), the tags and the changes to single occurrences (`exceptions`)
+ * are objects or arrays; JSON files hold them as they are, CSV files as JSON text. Tags can
+ * also be imported from a plain list such as "Jazz, Outdoor".
+ *
+ * Key Concepts:
+ * 1. **One Shape for Every Format**: Whatever the file, `readTable` returns
+ *    `{columns, rows}`, so the column mapping and validation work the same for CSV and JSON.
+ * 2. **Validation Before Import**: Each row goes through `pickEventFields` and
+ *    `validateEvent`, the same rules as the form, and failing rows are reported with the
+ *    line (CSV) or item (JSON) they came from.
+ */
+
+import { EVENT_FIELDS, eventUid, pickEventFields, pickExceptions, validateEvent } from "../models/event";
+import { parseCsv, toCsv } from "./csv";
+import { FileFormatError } from "./file-format-error";
+
+/** The MIME type of JSON files. */
+export const JSON_MIME_TYPE = "application/json";
+
+/** The columns written when exporting, in order. */
+export const EXPORT_COLUMNS = ["uid", ...Object.keys(EVENT_FIELDS), "exceptions", "createdAt", "updatedAt"];
+
+/**
+ * The fields a column can be imported into, with their English names. A column with one of
+ * these names is imported into that field (see `guessMapping`); the import page shows the
+ * translated `importFields.*` message instead.
+ */
+export const IMPORT_FIELDS = {
+    uid: "UID",
+    name: "Name",
+    ancestry: "Ancestry",
+    description: "Description",
+    venue: "Venue",
+    organiser: "Organiser",
+    start: "Starts",
+    end: "Ends",
+    timeZone: "Time zone",
+    capacity: "Maximum capacity",
+    recurrence: "Repeats",
+    tags: "Tags",
+    exceptions: "Exceptions to the repeats",
+};
+
+// Other column names that are recognised automatically. Names are compared in lower case
+// without spaces or punctuation, so "Start Date" matches "startdate".
+const COLUMN_ALIASES = {
+    title: "name",
+    summary: "name",
+    eventname: "name",
+    category: "ancestry",
+    categories: "tags",
+    labels: "tags",
+    keywords: "tags",
+    details: "description",
+    location: "venue",
+    place: "venue",
+    organizer: "organiser",
+    host: "organiser",
+    startdate: "start",
+    starttime: "start",
+    startsat: "start",
+    enddate: "end",
+    endtime: "end",
+    endsat: "end",
+    tz: "timeZone",
+    tzid: "timeZone",
+    zone: "timeZone",
+    maxcapacity: "capacity",
+    maximumcapacity: "capacity",
+};
+
+/**
+ * Picks the exported columns out of an event.
+ */
+function toRecord(event) {
+    return Object.fromEntries(EXPORT_COLUMNS.map((column) => {
+        if (column === "uid") return [column, eventUid(event)];
+        // Only recurring events have exceptions worth keeping.
+        if (column === "exceptions") return [column, event.recurrence && event.exceptions ? event.exceptions : null];
+        return [column, event[column] ?? null];
+    }));
+}
+
+/**
+ * Turns events into the text of a CSV file, with a header row.
+ *
+ * @param {Array<Object>} events - The events to export.
+ * @returns {string} The CSV text.
+ */
+export function eventsToCsv(events) {
+    return toCsv([
+        EXPORT_COLUMNS,
+        ...events.map((event) => Object.values(toRecord(event)).map((value) => (
+            value !== null && typeof value === "object" ? JSON.stringify(value) : value
+        ))),
+    ]);
+}
+
+/**
+ * Turns events into the text of a JSON file: an array with one object per event.
+ *
+ * @param {Array<Object>} events - The events to export.
+ * @returns {string} The JSON text.
+ */
+export function eventsToJson(events) {
+    return JSON.stringify(events.map(toRecord), null, 2);
+}
+
+/**
+ * Reads an imported file into a table.
+ *
+ * - CSV: the first row holds the column names; every other row is an event.
+ * - JSON: an array of objects (or `{events: [...]}`); the columns are every key used.
+ *
+ * @param {string} fileName - The name of the file, used to tell JSON from CSV.
+ * @param {string} text - The contents of the file.
+ * @returns {{columns: Array<string>, rows: Array<{label: {key: string, values: Object}, cells: Array<string>}>}}
+ *   The column names, and the rows with a label saying where each came from (e.g. "Line 4"
+ *   or "Item 3"), as a message key and its values.
+ * @throws {FileFormatError} If the file cannot be read.
+ */
+export function readTable(fileName, text) {
+    const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+    if (!isJson) {
+        const [header, ...rows] = parseCsv(text);
+        return {
+            columns: header ? header.cells.map((name) => name.trim()) : [],
+            rows: rows.map((row) => ({ label: { key: "importExport.line", values: { line: row.line } }, cells: row.cells })),
+        };
+    }
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        // The parser's own detail is in the browser's words, so it is only kept as the cause.
+        throw new FileFormatError(`The JSON is not valid: ${error.message}`, { messageKey: "fileFormat.invalidJson", cause: error });
+    }
+    const items = Array.isArray(data) ? data : data?.events;
+    if (!Array.isArray(items)) {
+        throw new FileFormatError("The JSON file should contain a list of events.", { messageKey: "fileFormat.notEventList" });
+    }
+    // Every key used by any item, in the order they first appear.
+    const columns = [...new Set(items.flatMap((item) => item && typeof item === "object" ? Object.keys(item) : []))];
+    return {
+        columns,
+        rows: items.map((item, index) => ({
+            label: { key: "importExport.item", values: { item: index + 1 } },
+            cells: columns.map((column) => {
+                const value = item?.[column];
+                if (value === null || value === undefined) return "";
+                return typeof value === "object" ? JSON.stringify(value) : String(value);
+            }),
+        })),
+    };
+}
+
+/**
+ * Lower-cases a column name and removes everything but letters and digits.
+ */
+function simplify(name) {
+    return name.toLowerCase().replace(/[^\p{L}\p{N}]/gu, "");
+}
+
+/**
+ * Guesses which field each column should be imported into, from the column names.
+ *
+ * @param {Array<string>} columns - The column names.
+ * @returns {Array<string>} For each column, a key of `IMPORT_FIELDS`, or `""` to skip it.
+ *   No field is used twice; the first column that matches wins.
+ */
+export function guessMapping(columns) {
+    const used = new Set();
+    return columns.map((column) => {
+        const name = simplify(column);
+        const field = Object.keys(IMPORT_FIELDS).find((key) => key === name || simplify(IMPORT_FIELDS[key]) === name)
+            ?? COLUMN_ALIASES[name];
+        if (!field || used.has(field)) {
+            return "";
+        }
+        used.add(field);
+        return field;
+    });
+}
+
+/**
+ * Accepts the date formats spreadsheets commonly produce ("2025-10-12 18:00",
+ * "2025-10-12T18:00:00", "2025-10-12") and turns them into the stored format,
+ * "2025-10-12T18:00". Anything else is returned unchanged, so validation can report it.
+ */
+function toDateTime(value) {
+    const match = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2})(?::\d{2}(?:\.\d+)?)?)?$/.exec(value.trim());
+    return match ? `${match[1]}T${match[2] ?? "00:00"}` : value;
+}
+
+/**
+ * Turns one row of an imported table into event fields and validates them.
+ *
+ * @param {Array<string>} cells - The row's cells.
+ * @param {Array<string>} mapping - The field for each column, from `guessMapping` or the user.
+ * @returns {{uid: (string|undefined), fields: Object, exceptions: (Object|undefined), errors: Object<string, Object>}}
+ *   The UID (if a column is mapped to it), the fields of the columns that are mapped, the
+ *   exceptions of a recurring event (if a column is mapped to them), and any validation errors.
+ */
+export function rowToEntry(cells, mapping) {
+    const data = {};
+    mapping.forEach((field, index) => {
+        if (field) {
+            data[field] = cells[index] ?? "";
+        }
+    });
+    for (const field of ["start", "end"]) {
+        if (field in data) {
+            data[field] = toDateTime(data[field]);
+        }
+    }
+    const fields = pickEventFields(data);
+    const errors = validateEvent(fields);
+    const exceptions = "exceptions" in data ? pickExceptions(data.exceptions) : undefined;
+    if (exceptions === null) {
+        errors.exceptions = { key: "validation.invalidExceptions" };
+    }
+    return {
+        uid: data.uid?.trim() || undefined,
+        fields,
+        exceptions: exceptions && Object.keys(exceptions).length > 0 ? exceptions : undefined,
+        errors,
+    };
+}
@@ -0,0 +1,24 @@
+/**
+ * FileFormatError
+ *
+ * The error thrown when an imported file (CSV, JSON or iCalendar) can't be read, like
+ * `RepositoryError` for the repositories.
+ *
+ * Properties:
+ * - `message` (string): A human readable description of what is wrong with the file, in
+ *   English (for the console).
+ * - `messageKey` (string) and `messageValues` (Object|undefined): The same description as
+ *   a message key and its values, so the page can show it in the chosen language (see
+ *   `translateError` in `i18n/index.js`).
+ * - `cause` (Error|undefined): The original error, for debugging.
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error#custom_error_types}
+ */
+export class FileFormatError extends Error {
+    constructor(message, { messageKey, messageValues, cause } = {}) {
+        super(message, { cause });
+        this.name = "FileFormatError";
+        this.messageKey = messageKey;
+        this.messageValues = messageValues;
+    }
+}
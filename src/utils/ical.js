@@ -0,0 +1,590 @@
+/**
+ * iCalendar (.ics) Export and Import
+ *
+ * Converts events to and from the iCalendar format (RFC 5545), the text format calendar
+ * apps such as Google Calendar, Outlook and Apple Calendar use to exchange events.
+ *
+ * A file looks like this (lines end with CRLF):
+ *
+ *     BEGIN:VCALENDAR
+ *     VERSION:2.0
+ *     PRODID:-//react-lesson//Events//EN
+ *     BEGIN:VTIMEZONE
+ *     TZID:Europe/Paris
+ *     BEGIN:DAYLIGHT
+ *     DTSTART:20250330T020000
+ *     ...
+ *     END:VTIMEZONE
+ *     BEGIN:VEVENT
+ *     UID:event-3@react-lesson
+ *     DTSTAMP:20251001T120000Z
+ *     DTSTART;TZID=Europe/Paris:20251012T180000
+ *     SUMMARY:Harry's Jazz Night
+ *     END:VEVENT
+ *     END:VCALENDAR
+ *
+ * How the event fields are mapped:
+ * - `name` ↔ `SUMMARY`, `description` ↔ `DESCRIPTION`, `venue` ↔ `LOCATION`
+ * - `start` / `end` ↔ `DTSTART` / `DTEND` (or `DURATION` when importing), and `timeZone` ↔
+ *   their `TZID`
+ * - `organiser` ↔ `CONTACT` (on import, the name in `ORGANIZER` is used if there is no `CONTACT`)
+ * - `tags` ↔ `CATEGORIES`, so the categories of events from other apps become tags
+ * - `ancestry` ↔ `X-ANCESTRY` and `capacity` ↔ `X-CAPACITY`, non-standard properties
+ *   other apps ignore
+ * - `recurrence` ↔ `RRULE` (daily, weekly on given days, or monthly; other rules can't be
+ *   imported)
+ * - `exceptions`: a deleted occurrence ↔ `EXDATE`; a changed occurrence ↔ another `VEVENT`
+ *   with the same `UID` and a `RECURRENCE-ID` holding the occurrence's original start
+ *
+ * Key Concepts:
+ * 1. **UIDs**: Every event in a calendar file has a globally unique `UID`. Imported events
+ *    keep theirs, so importing the same file twice can be detected. Events created in this
+ *    app get one made from their ID (see `eventUid` in `models/event.js`).
+ *    @see {@link https://datatracker.ietf.org/doc/html/rfc5545#section-3.8.4.7}
+ * 2. **Time Zones**: Times are exported with the event's zone as a `TZID`, so calendar apps
+ *    show them at the right moment wherever they are opened, and repeats stay at the same
+ *    time of day in that zone across daylight saving changes. RFC 5545 requires a
+ *    `VTIMEZONE` for every `TZID`, describing the zone's offsets: one is written for each
+ *    zone used, listing each change of offset (`STANDARD` or `DAYLIGHT`) from the year
+ *    before the first date in that zone to the year of the last, with the last ones
+ *    repeating every year after (see `timeZoneComponent`). Events without a zone are
+ *    exported as "floating" times (no `Z`, no `TZID`): 18:00 is 18:00 wherever the
+ *    calendar is opened. On import, a `TZID` that is an IANA name becomes the event's zone,
+ *    and UTC times (ending in `Z`) are converted to the user's zone. Other times are taken
+ *    as they are written, as floating times.
+ *    @see {@link https://datatracker.ietf.org/doc/html/rfc5545#section-3.3.5}
+ *    @see {@link https://datatracker.ietf.org/doc/html/rfc5545#section-3.6.5}
+ * 3. **Escaping and Line Folding**: Commas, semicolons, backslashes and line breaks in text
+ *    are escaped with a backslash, and lines longer than 75 bytes are split, with each
+ *    continuation line starting with a space.
+ *    @see {@link https://datatracker.ietf.org/doc/html/rfc5545#section-3.1}
+ */
+
+import { eventUid } from "../models/event";
+import { getOccurrence } from "./recurrence";
+import { FileFormatError } from "./file-format-error";
+import { browserTimeZone, isTimeZone, offsetAt, offsetChanges, toDateTime, toInstant } from "./time-zone";
+
+/** The MIME type of `.ics` files. */
+export const ICAL_MIME_TYPE = "text/calendar";
+
+// Identifies the app that created a file (required by RFC 5545).
+const PRODUCT_ID = "-//react-lesson//Events//EN";
+
+/**
+ * Escapes text for an iCalendar property value.
+ */
+function escapeText(text) {
+    return text
+        .replace(/\\/g, "\\\\")
+        .replace(/;/g, "\\;")
+        .replace(/,/g, "\\,")
+        .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Reverses `escapeText`.
+ */
+function unescapeText(text) {
+    return text.replace(/\\([\\;,nN])/g, (_, char) => (char === "n" || char === "N") ? "\n" : char);
+}
+
+/**
+ * Splits a line into pieces of at most 75 bytes (UTF-8), as RFC 5545 requires.
+ * Characters are never cut in half.
+ */
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    const pieces = [];
+    let piece = "";
+    let bytes = 0;
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        // Continuation lines start with a space, which counts towards their 75 bytes.
+        const limit = pieces.length === 0 ? 75 : 74;
+        if (bytes + size > limit) {
+            pieces.push(piece);
+            piece = "";
+            bytes = 0;
+        }
+        piece += char;
+        bytes += size;
+    }
+    pieces.push(piece);
+    return pieces.join("\r\n ");
+}
+
+/**
+ * Pads a number to two digits, e.g. 7 → "07".
+ */
+function pad(number) {
+    return String(number).padStart(2, "0");
+}
+
+/**
+ * Formats a local date-time string ("2025-10-12T18:00") as a floating iCalendar date-time.
+ *
+ * @param {string} value - The date-time string.
+ * @returns {string} E.g. "20251012T180000".
+ */
+function toICalDateTime(value) {
+    const [date, time = "00:00"] = value.split("T");
+    return `${date.replace(/-/g, "")}T${time.replace(/:/g, "").padEnd(6, "0").slice(0, 6)}`;
+}
+
+/**
+ * Writes a date-time property, in the event's time zone if it has one. Each zone used needs
+ * a `VTIMEZONE` in the file, which `toICalendar` adds.
+ *
+ * @param {string} name - The property, e.g. "DTSTART".
+ * @param {string} value - A local date-time string, or several separated by commas.
+ * @param {string} timeZone - The event's zone, or "" for a floating time.
+ * @returns {string} E.g. "DTSTART;TZID=Europe/Paris:20251012T180000".
+ */
+function dateTimeProperty(name, value, timeZone) {
+    const dates = value.split(",").map(toICalDateTime).join(",");
+    return isTimeZone(timeZone) ? `${name};TZID=${timeZone}:${dates}` : `${name}:${dates}`;
+}
+
+/**
+ * Formats a moment in time as a UTC iCalendar date-time.
+ *
+ * @param {Date|string} value - A `Date` or an ISO date string such as `createdAt`.
+ * @returns {string} E.g. "20251001T120000Z".
+ */
+function toICalUtc(value) {
+    const date = new Date(value);
+    return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T`
+        + `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+// `BYDAY` names of the days of the week, indexed like `Date.prototype.getDay()`.
+const ICAL_WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+/**
+ * Formats a UTC offset for `TZOFFSETFROM` and `TZOFFSETTO`.
+ *
+ * @param {number} offset - The offset in milliseconds, e.g. 7200000.
+ * @returns {string} E.g. "+0200".
+ */
+function toICalOffset(offset) {
+    const minutes = Math.abs(offset) / 60000;
+    return `${offset < 0 ? "-" : "+"}${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}`;
+}
+
+/**
+ * Writes the `VTIMEZONE` component describing a zone's offsets over some years.
+ *
+ * Each change of offset becomes a `DAYLIGHT` (clocks going forward) or `STANDARD` (going
+ * back) observance, starting at the wall-clock time the change happened. The changes of
+ * the last year also get an `RRULE` ("the last Sunday of March" and so on), so dates after
+ * it, such as those of a series without an end, are covered too. A zone whose offset did
+ * not change is a single `STANDARD` observance.
+ *
+ * @param {string} timeZone - An IANA zone name.
+ * @param {number} firstYear - The first year to describe.
+ * @param {number} lastYear - The last year to describe.
+ * @returns {Array<string>} The lines, from "BEGIN:VTIMEZONE" to "END:VTIMEZONE".
+ */
+function timeZoneComponent(timeZone, firstYear, lastYear) {
+    const changes = offsetChanges(timeZone, firstYear, lastYear);
+    const lines = ["BEGIN:VTIMEZONE", `TZID:${timeZone}`];
+    if (changes.length === 0) {
+        const offset = toICalOffset(offsetAt(Date.UTC(firstYear, 0, 1), timeZone));
+        lines.push("BEGIN:STANDARD", "DTSTART:19700101T000000", `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`, "END:STANDARD");
+    }
+    for (const change of changes) {
+        // The wall-clock time just before the change, in UTC fields.
+        const wall = new Date(change.instant + change.from);
+        const kind = change.to > change.from ? "DAYLIGHT" : "STANDARD";
+        lines.push(
+            `BEGIN:${kind}`,
+            `DTSTART:${toICalUtc(wall).slice(0, -1)}`,
+            `TZOFFSETFROM:${toICalOffset(change.from)}`,
+            `TZOFFSETTO:${toICalOffset(change.to)}`,
+        );
+        if (wall.getUTCFullYear() === lastYear) {
+            // E.g. the 30th of a 31-day month is its last Sunday (-1SU), the 9th its second (2SU).
+            const day = wall.getUTCDate();
+            const daysInMonth = new Date(Date.UTC(lastYear, wall.getUTCMonth() + 1, 0)).getUTCDate();
+            const week = day + 7 > daysInMonth ? -1 : Math.ceil(day / 7);
+            lines.push(`RRULE:FREQ=YEARLY;BYMONTH=${wall.getUTCMonth() + 1};BYDAY=${week}${ICAL_WEEKDAYS[wall.getUTCDay()]}`);
+        }
+        lines.push(`END:${kind}`);
+    }
+    lines.push("END:VTIMEZONE");
+    return lines;
+}
+
+/**
+ * Formats a recurrence rule (see `utils/recurrence.js`) as an `RRULE` value,
+ * e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;UNTIL=20251231T235959".
+ *
+ * @param {Object} rule - The rule.
+ * @param {string} timeZone - The series' zone, or "" if its times are floating.
+ */
+function toRRule(rule, timeZone) {
+    const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+    if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.frequency === "weekly") parts.push(`BYDAY=${rule.weekdays.map((day) => ICAL_WEEKDAYS[day]).join(",")}`);
+    // The end of the day includes that day. A floating `DTSTART` needs a floating `UNTIL`;
+    // one with a `TZID` needs it in UTC.
+    const until = `${rule.until}T23:59:59`;
+    if (rule.until) parts.push(`UNTIL=${isTimeZone(timeZone) ? toICalUtc(toInstant(until, timeZone)) : toICalDateTime(until)}`);
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    return parts.join(";");
+}
+
+/**
+ * Reads an `RRULE` value into a recurrence rule. Only the rules the app can repeat are
+ * understood: `FREQ` of `DAILY`, `WEEKLY` or `MONTHLY`, with `INTERVAL`, `COUNT`, `UNTIL`,
+ * and (weekly only) `BYDAY` listing plain days.
+ *
+ * @param {string} value - The `RRULE` value.
+ * @param {string} timeZone - The series' zone, which a UTC `UNTIL` is converted to.
+ * @returns {Object|string} The rule, or the original text if it is not supported, so that
+ *   validation reports the event as one that can't be imported.
+ */
+function fromRRule(value, timeZone) {
+    const parts = Object.fromEntries(value.trim().split(";").map((part) => {
+        const [key, ...rest] = part.split("=");
+        return [key.toUpperCase(), rest.join("=").toUpperCase()];
+    }));
+    const frequency = (parts.FREQ ?? "").toLowerCase();
+    const weekdays = parts.BYDAY ? parts.BYDAY.split(",").map((day) => ICAL_WEEKDAYS.indexOf(day)) : [];
+    const supported = ["FREQ", "INTERVAL", "COUNT", "UNTIL", "BYDAY", "WKST"];
+    if (
+        !["daily", "weekly", "monthly"].includes(frequency)
+        || Object.keys(parts).some((key) => !supported.includes(key))
+        || (parts.BYDAY && (frequency !== "weekly" || weekdays.includes(-1)))
+    ) {
+        return value;
+    }
+    return {
+        frequency,
+        interval: parts.INTERVAL ? Number(parts.INTERVAL) : 1,
+        weekdays,
+        until: parts.UNTIL ? (fromICalProperty({ params: {}, value: parts.UNTIL }, timeZone) ?? "").slice(0, 10) : "",
+        count: parts.COUNT ? Number(parts.COUNT) : null,
+    };
+}
+
+/**
+ * The lines describing an event (or one occurrence of it): its dates and every field.
+ */
+function eventProperties(event) {
+    const lines = [dateTimeProperty("DTSTART", event.start, event.timeZone)];
+    if (event.end) lines.push(dateTimeProperty("DTEND", event.end, event.timeZone));
+    lines.push(`SUMMARY:${escapeText(event.name ?? "")}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.venue) lines.push(`LOCATION:${escapeText(event.venue)}`);
+    if (event.organiser) lines.push(`CONTACT:${escapeText(event.organiser)}`);
+    if (event.tags?.length > 0) lines.push(`CATEGORIES:${event.tags.map(escapeText).join(",")}`);
+    if (event.ancestry) lines.push(`X-ANCESTRY:${escapeText(event.ancestry)}`);
+    if (event.capacity) lines.push(`X-CAPACITY:${event.capacity}`);
+    return lines;
+}
+
+/**
+ * Turns events into the text of an `.ics` file.
+ * Events without a start date are left out, since every iCalendar event needs one.
+ *
+ * @param {Array<Object>} events - The events to export.
+ * @param {Date} [now=new Date()] - The time the file is created, stored in `DTSTAMP`.
+ * @returns {string} The file contents.
+ */
+export function toICalendar(events, now = new Date()) {
+    const lines = [];
+    for (const event of events) {
+        if (!event.start) {
+            continue;
+        }
+        lines.push(
+            "BEGIN:VEVENT",
+            `UID:${eventUid(event)}`,
+            `DTSTAMP:${toICalUtc(now)}`,
+            ...eventProperties(event),
+        );
+        // The original start of an occurrence, which identifies it in `EXDATE` and `RECURRENCE-ID`.
+        const originalStart = (key) => `${key}${event.start.slice(10)}`;
+        const exceptions = Object.entries(event.recurrence ? event.exceptions ?? {} : {});
+        if (event.recurrence) {
+            lines.push(`RRULE:${toRRule(event.recurrence, event.timeZone)}`);
+            const deleted = exceptions.filter(([, exception]) => exception.deleted).map(([key]) => originalStart(key));
+            if (deleted.length > 0) lines.push(dateTimeProperty("EXDATE", deleted.join(","), event.timeZone));
+        }
+        if (event.createdAt) lines.push(`CREATED:${toICalUtc(event.createdAt)}`);
+        if (event.updatedAt) lines.push(`LAST-MODIFIED:${toICalUtc(event.updatedAt)}`);
+        lines.push("END:VEVENT");
+
+        // Each changed occurrence is a VEVENT of its own, with the full details of that occurrence.
+        for (const [key, exception] of exceptions) {
+            const occurrence = exception.changes && getOccurrence(event, key);
+            if (!occurrence) {
+                continue;
+            }
+            lines.push(
+                "BEGIN:VEVENT",
+                `UID:${eventUid(event)}`,
+                `DTSTAMP:${toICalUtc(now)}`,
+                dateTimeProperty("RECURRENCE-ID", originalStart(key), event.timeZone),
+                ...eventProperties(occurrence),
+                "END:VEVENT",
+            );
+        }
+    }
+
+    // The years each zone is used in, from the properties with a `TZID`, so a `VTIMEZONE`
+    // can be written for it.
+    const zoneYears = new Map();
+    for (const line of lines) {
+        const match = /^[A-Z-]+;TZID=([^;:]+):(.*)$/.exec(line);
+        if (match) {
+            const years = match[2].split(",").map((value) => Number(value.slice(0, 4)));
+            const [first, last] = zoneYears.get(match[1]) ?? [Infinity, -Infinity];
+            zoneYears.set(match[1], [Math.min(first, ...years), Math.max(last, ...years)]);
+        }
+    }
+    // The year before the first date is included, for the offset in force on that date.
+    const timeZones = [...zoneYears].flatMap(([timeZone, [first, last]]) => timeZoneComponent(timeZone, first - 1, last));
+
+    return [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        `PRODID:${PRODUCT_ID}`,
+        "CALSCALE:GREGORIAN",
+        ...timeZones,
+        ...lines,
+        "END:VCALENDAR",
+    ].map(foldLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * Splits a content line such as `DTSTART;TZID=Europe/London:20251012T180000` into its
+ * name, parameters and value.
+ *
+ * @param {string} line - The (unfolded) line.
+ * @returns {{name: string, params: Object<string, string>, value: string}|null} The parts,
+ *   or `null` if the line has no value.
+ */
+function parseLine(line) {
+    // The value starts at the first colon that is not inside a quoted parameter value.
+    let quoted = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === "\"") quoted = !quoted;
+        if (line[i] === ":" && !quoted) {
+            colon = i;
+            break;
+        }
+    }
+    if (colon === -1) {
+        return null;
+    }
+    const [name, ...paramParts] = line.slice(0, colon).split(";");
+    const params = {};
+    for (const part of paramParts) {
+        const [key, ...rest] = part.split("=");
+        params[key.toUpperCase()] = rest.join("=").replace(/^"|"$/g, "");
+    }
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Converts an iCalendar date or date-time to a local date-time string.
+ *
+ * @param {string} value - E.g. "20251012", "20251012T180000" or "20251012T170000Z".
+ * @returns {string|null} E.g. "2025-10-12T18:00", or `null` if the value is not understood.
+ */
+function fromICalDate(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/.exec(value.trim());
+    if (!match) {
+        return null;
+    }
+    const [, year, month, day, hour = "00", minute = "00", second = "00", utc] = match;
+    if (utc) {
+        const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+    return `${year}-${month}-${day}T${hour}:${minute}`;
+}
+
+/**
+ * Gets the zone a date-time property is in: its `TZID` if that is an IANA name, the user's
+ * zone for a UTC time (which `fromICalDate` converts to it), or "" for a floating time.
+ *
+ * @param {{params: Object, value: string}} prop - The property.
+ * @returns {string} The zone.
+ */
+function propertyTimeZone(prop) {
+    if (/Z$/i.test(prop.value.trim())) {
+        return browserTimeZone();
+    }
+    return isTimeZone(prop.params.TZID) ? prop.params.TZID : "";
+}
+
+/**
+ * Reads a date-time property as a local date-time string in the event's zone.
+ *
+ * @param {{params: Object, value: string}} prop - The property, e.g. `DTEND`.
+ * @param {string} timeZone - The event's zone (the zone of its `DTSTART`).
+ * @param {string} [value=prop.value] - One of the property's values, for a list such as `EXDATE`.
+ * @returns {string|null} E.g. "2025-10-12T18:00", or `null` if the value is not understood.
+ */
+function fromICalProperty(prop, timeZone, value = prop.value) {
+    const dateTime = fromICalDate(value);
+    const from = propertyTimeZone({ ...prop, value });
+    if (!dateTime || !from || !timeZone || from === timeZone) {
+        return dateTime;
+    }
+    return toDateTime(toInstant(dateTime, from), timeZone);
+}
+
+/**
+ * Adds an iCalendar duration (e.g. "PT1H30M", "P1D") to a local date-time string.
+ *
+ * @param {string} start - The start, e.g. "2025-10-12T18:00".
+ * @param {string} duration - The duration.
+ * @returns {string|null} The end, or `null` if the duration is not understood.
+ */
+function addDuration(start, duration) {
+    const match = /^\+?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(duration.trim());
+    if (!match) {
+        return null;
+    }
+    const [, weeks = 0, days = 0, hours = 0, minutes = 0] = match.map((part) => part && Number(part));
+    // Local dates, so that adding a day across a daylight saving change keeps the time.
+    const date = new Date(start);
+    date.setDate(date.getDate() + weeks * 7 + days);
+    date.setHours(date.getHours() + hours, date.getMinutes() + minutes);
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Turns the properties of one `VEVENT` into event fields.
+ *
+ * @param {Object<string, {params: Object, value: string}>} props - The event's properties.
+ * @returns {{uid: (string|undefined), recurrenceId: (string|undefined), exceptions: Object, fields: Object}}
+ *   The UID, the original start of the occurrence (for a changed occurrence), the deleted
+ *   occurrences and the event fields (not yet validated).
+ */
+function toEvent(props) {
+    const text = (name) => props[name] ? unescapeText(props[name].value) : "";
+    // Every time is read in the zone of the start, even if the end was written in another.
+    const timeZone = props.DTSTART ? propertyTimeZone(props.DTSTART) : "";
+    const start = props.DTSTART ? fromICalDate(props.DTSTART.value) : null;
+    let end = props.DTEND ? fromICalProperty(props.DTEND, timeZone) : null;
+    if (!end && start && props.DURATION) {
+        end = addDuration(start, props.DURATION.value);
+    }
+    // `ORGANIZER` is an address such as "mailto:ann@example.com"; prefer its display name.
+    const organiser = text("CONTACT")
+        || props.ORGANIZER?.params.CN
+        || (props.ORGANIZER?.value ?? "").replace(/^mailto:/i, "");
+    // `CATEGORIES` is a comma-separated list; an escaped comma ("\,") is part of a name.
+    const tags = props.CATEGORIES ? props.CATEGORIES.value.split(/(?<!\\),/).map(unescapeText) : [];
+
+    const recurrence = props.RRULE ? fromRRule(props.RRULE.value, timeZone) : null;
+    // A weekly rule without `BYDAY` repeats on the day of the week of the start.
+    if (recurrence?.frequency === "weekly" && recurrence.weekdays.length === 0 && start) {
+        recurrence.weekdays = [new Date(start).getDay()];
+    }
+
+    // Deleted occurrences, listed by their original start (possibly over several lines).
+    const exceptions = {};
+    for (const date of (props.EXDATE?.value ?? "").split(",")) {
+        const key = props.EXDATE && fromICalProperty(props.EXDATE, timeZone, date)?.slice(0, 10);
+        if (key) {
+            exceptions[key] = { deleted: true };
+        }
+    }
+
+    return {
+        uid: props.UID?.value.trim() || undefined,
+        // For a changed occurrence: the original start of the occurrence it replaces.
+        recurrenceId: props["RECURRENCE-ID"] ? fromICalProperty(props["RECURRENCE-ID"], timeZone) : undefined,
+        exceptions,
+        fields: {
+            name: text("SUMMARY"),
+            description: text("DESCRIPTION"),
+            venue: text("LOCATION"),
+            organiser,
+            ancestry: text("X-ANCESTRY"),
+            start: start ?? "",
+            end: end ?? "",
+            timeZone,
+            capacity: props["X-CAPACITY"]?.value.trim() ?? "",
+            recurrence,
+            tags,
+        },
+    };
+}
+
+/**
+ * Reads the events out of the text of an `.ics` file.
+ *
+ * The events are not validated here; pass `fields` through `pickEventFields` and
+ * `validateEvent` before adding them.
+ *
+ * Changed occurrences of a recurring event (`VEVENT`s with a `RECURRENCE-ID`) are not
+ * returned as events of their own: they become `exceptions` of the series with the same
+ * `UID`, or are skipped if the file doesn't contain the series.
+ *
+ * @param {string} text - The file contents.
+ * @returns {Array<{uid: (string|undefined), fields: Object, exceptions: Object}>} One
+ *   entry per event.
+ * @throws {FileFormatError} If the text is not an iCalendar file.
+ */
+export function parseICalendar(text) {
+    // Undo line folding: a line break followed by a space or tab continues the line.
+    const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+    if (!lines.some((line) => line.trim().toUpperCase() === "BEGIN:VCALENDAR")) {
+        throw new FileFormatError("This is not an iCalendar (.ics) file.", { messageKey: "fileFormat.notICalendar" });
+    }
+
+    const events = [];
+    // The components we are inside, e.g. ["VCALENDAR", "VEVENT", "VALARM"]. Only properties
+    // directly inside a VEVENT belong to the event (not those of its reminders).
+    const stack = [];
+    let props = null;
+    for (const line of lines) {
+        const parsed = parseLine(line);
+        if (!parsed) {
+            continue;
+        }
+        const { name, params, value } = parsed;
+        if (name === "BEGIN") {
+            stack.push(value.trim().toUpperCase());
+            if (stack[stack.length - 1] === "VEVENT") {
+                props = {};
+            }
+        } else if (name === "END") {
+            if (stack.pop() === "VEVENT" && props) {
+                events.push(toEvent(props));
+                props = null;
+            }
+        } else if (props && stack[stack.length - 1] === "VEVENT" && (name === "EXDATE" || name === "CATEGORIES") && props[name]) {
+            // `EXDATE` and `CATEGORIES` may be repeated; collect every value.
+            props[name].value += `,${value}`;
+        } else if (props && stack[stack.length - 1] === "VEVENT" && !(name in props)) {
+            // Only the first occurrence of a property is used.
+            props[name] = { params, value };
+        }
+    }
+
+    // Attach each changed occurrence to its series.
+    const series = new Map(events.filter((event) => !event.recurrenceId && event.uid).map((event) => [event.uid, event]));
+    for (const event of events) {
+        const parent = event.recurrenceId && series.get(event.uid);
+        if (parent) {
+            const { recurrence: _recurrence, ...changes } = event.fields;
+            parent.exceptions[event.recurrenceId.slice(0, 10)] = { changes };
+        }
+    }
+    return events
+        .filter((event) => !event.recurrenceId)
+        .map((event) => {
+            const { recurrenceId: _recurrenceId, ...entry } = event;
+            return entry;
+        });
+}
@@ -0,0 +1,35 @@
+/**
+ * Memoisation
+ *
+ * A memoised function remembers its last result. Called again with the same arguments
+ * (compared with `===`), it returns that result instead of working it out again. Because
+ * reducers never change state in place, "the same state object" means "the same data", so
+ * a selector can skip its work, and return the very same array, until the state changes.
+ * Components that compare values by reference (`useMemo`, `React.memo`, effects) then see
+ * nothing new either.
+ *
+ * Only the last call is remembered, which is all a selector needs: it is called with the
+ * current state on every render.
+ * @see {@link https://redux.js.org/usage/deriving-data-selectors#memoization}
+ */
+
+/**
+ * Wraps a function so that it remembers the result of its last call.
+ *
+ * @param {Function} fn - A pure function.
+ * @returns {Function} A function that calls `fn` only when its arguments change.
+ */
+export function memoiseLast(fn) {
+    let lastArgs = null;
+    let lastResult;
+    return (...args) => {
+        const same = lastArgs !== null
+            && lastArgs.length === args.length
+            && args.every((arg, index) => arg === lastArgs[index]);
+        if (!same) {
+            lastResult = fn(...args);
+            lastArgs = args;
+        }
+        return lastResult;
+    };
+}
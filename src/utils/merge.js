@@ -0,0 +1,68 @@
+/**
+ * Three-Way Merge Helpers
+ *
+ * When the same data is changed in two places at once (for example in two browser tabs),
+ * simply keeping the last write loses the other change. A *three-way merge* compares
+ * both versions with the version they started from (the "base"):
+ *
+ * - If only one side changed an item, that change is kept.
+ * - If both sides changed the same item, `resolve` decides which one wins.
+ * - Items added on either side are kept; items removed on one side (and unchanged on the
+ *   other) are removed.
+ *
+ * @see {@link https://en.wikipedia.org/wiki/Merge_(version_control)#Three-way_merge}
+ */
+
+/**
+ * Checks whether two plain values (objects, arrays, strings...) hold the same data.
+ *
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @returns {boolean} `true` if both serialise to the same JSON.
+ */
+export function sameData(a, b) {
+    return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Merges two changed copies of a list of items that each have a unique key.
+ *
+ * @param {Array<Object>} base - The list both sides started from.
+ * @param {Array<Object>} local - This side's list.
+ * @param {Array<Object>} remote - The other side's list.
+ * @param {Function} getKey - Returns the unique key of an item, e.g. `(item) => item.id`.
+ * @param {Function} [resolve] - Called as `resolve(localItem, remoteItem)` when both sides
+ *   changed the same item; either argument is `undefined` if that side removed it.
+ *   Defaults to keeping the remote item.
+ * @returns {Array<Object>} The merged list: remote order first, then items only added locally.
+ */
+export function mergeLists(base, local, remote, getKey, resolve = (mine, theirs) => theirs) {
+    const toMap = (list) => new Map(list.map((item) => [getKey(item), item]));
+    const baseItems = toMap(base);
+    const localItems = toMap(local);
+    const remoteItems = toMap(remote);
+
+    // Every key seen on either side, in remote order followed by local-only keys.
+    const keys = [...new Set([...remoteItems.keys(), ...localItems.keys()])];
+
+    const merged = [];
+    for (const key of keys) {
+        const original = baseItems.get(key);
+        const mine = localItems.get(key);
+        const theirs = remoteItems.get(key);
+
+        let chosen;
+        if (sameData(original, mine)) {
+            chosen = theirs;              // Only the remote side changed (or nobody did).
+        } else if (sameData(original, theirs)) {
+            chosen = mine;                // Only the local side changed.
+        } else {
+            chosen = resolve(mine, theirs); // Both changed: let the caller decide.
+        }
+
+        if (chosen !== undefined) {
+            merged.push(chosen);
+        }
+    }
+    return merged;
+}
@@ -0,0 +1,294 @@
+/**
+ * Recurring Events
+ *
+ * A recurring event (a "series") is stored once, with a `recurrence` rule describing when it
+ * repeats and an `exceptions` object for the occurrences that differ from the rule:
+ *
+ *     {
+ *         id: "4",
+ *         name: "Training",
+ *         start: "2025-10-06T18:00",          // The first occurrence.
+ *         end: "2025-10-06T19:30",
+ *         timeZone: "Europe/Paris",
+ *         recurrence: {
+ *             frequency: "weekly",            // "daily", "weekly" or "monthly".
+ *             interval: 1,                    // Every 1 week (2 = every other week...).
+ *             weekdays: [1, 3],               // Weekly only: Monday and Wednesday (0 = Sunday).
+ *             until: "2025-12-31",            // Last possible date, or "" for no end date...
+ *             count: null,                    // ...or a number of occurrences.
+ *         },
+ *         exceptions: {
+ *             "2025-10-13": { deleted: true },                           // Cancelled.
+ *             "2025-10-15": { changes: { start: "2025-10-15T19:00" } },  // Moved.
+ *         },
+ *     }
+ *
+ * Exceptions are keyed by the date the occurrence would have had under the rule, so a moved
+ * occurrence can still be found.
+ *
+ * The helpers here "expand" a series into its occurrences: copies of the event with the
+ * dates (and any changes) of one occurrence, and an `occurrence` property holding its key.
+ *
+ * Key Concepts:
+ * 1. **Generator Functions**: `function*` produces values one at a time with `yield`, so a
+ *    rule without an end can be followed for as long as needed and no further.
+ *    @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/function*}
+ * 2. **Derived Data**: Occurrences are never stored; they are worked out from the series
+ *    whenever they are shown, so changing the series changes every occurrence at once.
+ *    Occurrences keep the series' wall-clock time in its time zone, so an event at 18:00 in
+ *    Paris stays at 18:00 there when the clocks change (and moves for viewers elsewhere).
+ * 3. **iCalendar Recurrence Rules**: The options are a small subset of RFC 5545's `RRULE`,
+ *    so series can be exported to calendar apps.
+ *    @see {@link https://datatracker.ietf.org/doc/html/rfc5545#section-3.3.10}
+ */
+
+import { MAX_RECURRENCE_COUNT } from "../models/event";
+import { DEFAULT_LOCALE, createI18n } from "../i18n";
+import { addDays, parseDateKey, startOfWeek, toDateKey } from "./calendar";
+import { dateTimeIn } from "./time-zone";
+
+/** How often a series can repeat, and the message key of the label shown for each. */
+export const FREQUENCIES = {
+    daily: "frequency.daily",
+    weekly: "frequency.weekly",
+    monthly: "frequency.monthly",
+};
+
+/**
+ * Gets the short name of a day of the week in the chosen language, e.g. "Mon" or "lun.".
+ *
+ * @param {number} day - The day, numbered like `Date.prototype.getDay()` (0 = Sunday).
+ * @param {Object} [i18n] - The translator for the language (see `useI18n`). Defaults to English.
+ * @returns {string} The name.
+ */
+export function weekdayName(day, i18n = createI18n(DEFAULT_LOCALE)) {
+    // 7 January 2024 was a Sunday, so adding the day's number to it gives a date on that day.
+    return i18n.formatDate(new Date(2024, 0, 7 + day), { weekday: "short" });
+}
+
+/**
+ * Lists the dates of a series' occurrences under its rule, ignoring exceptions.
+ *
+ * @param {Object} event - The series (an event with `start` and `recurrence`).
+ * @param {string} [last] - Stop after this date key, e.g. "2026-12-31". Without it, a rule
+ *   with no end lists its first `MAX_RECURRENCE_COUNT` dates.
+ * @returns {Array<string>} The date keys, in order, starting with the series' first date.
+ */
+export function occurrenceDates(event, last) {
+    const rule = event.recurrence;
+    const first = parseDateKey(event.start?.slice(0, 10));
+    if (!rule || !first) {
+        return [];
+    }
+    const limit = rule.count ?? (rule.until || last ? Infinity : MAX_RECURRENCE_COUNT);
+    const dates = [];
+    for (const day of iterateRule(rule, first)) {
+        const key = toDateKey(day);
+        if ((rule.until && key > rule.until) || (last && key > last)) {
+            break;
+        }
+        dates.push(key);
+        if (dates.length >= limit) {
+            break;
+        }
+    }
+    return dates;
+}
+
+/**
+ * Follows a rule from its first date, forever (or, for monthly rules, for a thousand
+ * years). Callers decide when to stop.
+ *
+ * @param {Object} rule - The recurrence rule.
+ * @param {Date} first - The date of the first occurrence.
+ * @yields {Date} Each date the rule produces, in order.
+ */
+function* iterateRule(rule, first) {
+    const interval = Math.max(1, rule.interval || 1);
+    if (rule.frequency === "daily") {
+        for (let day = first; ; day = addDays(day, interval)) {
+            yield day;
+        }
+    }
+    if (rule.frequency === "weekly") {
+        // Weeks run Monday to Sunday; sort the chosen days in that order.
+        const weekdays = (rule.weekdays?.length ? rule.weekdays : [first.getDay()])
+            .map((weekday) => (weekday + 6) % 7)
+            .sort((a, b) => a - b);
+        for (let monday = startOfWeek(first); ; monday = addDays(monday, 7 * interval)) {
+            for (const offset of weekdays) {
+                const day = addDays(monday, offset);
+                // Days of the first week before the series starts don't count.
+                if (day >= first) {
+                    yield day;
+                }
+            }
+        }
+    }
+    if (rule.frequency === "monthly") {
+        // The same day of the month each time. Months without that day (e.g. the 31st in
+        // April) are skipped, as calendar apps do.
+        for (let months = 0; months < 12000; months += interval) {
+            const day = new Date(first.getFullYear(), first.getMonth() + months, first.getDate());
+            if (day.getDate() === first.getDate()) {
+                yield day;
+            }
+        }
+    }
+}
+
+/**
+ * Moves a local date-time string to another date, keeping its time of day and its
+ * distance from `from`. Used to place an occurrence's start and end.
+ *
+ * @param {string} value - A date-time such as the series' `end`, "2025-10-06T19:30".
+ * @param {string} from - The series' first date key, "2025-10-06".
+ * @param {string} to - The occurrence's date key, e.g. "2025-10-13".
+ * @returns {string} E.g. "2025-10-13T19:30".
+ */
+function shiftDateTime(value, from, to) {
+    const days = Math.round((parseDateKey(to) - parseDateKey(from)) / 86400000);
+    return `${toDateKey(addDays(parseDateKey(value.slice(0, 10)), days))}${value.slice(10)}`;
+}
+
+/**
+ * Builds one occurrence of a series.
+ *
+ * @param {Object} series - The series.
+ * @param {string} key - The occurrence's date key (under the rule).
+ * @returns {Object} A copy of the series with the occurrence's dates and changes applied,
+ *   an `occurrence` property holding `key`, and `cancelled: true` if it was deleted.
+ */
+function buildOccurrence(series, key) {
+    const first = series.start.slice(0, 10);
+    const exception = series.exceptions?.[key];
+    return {
+        ...series,
+        start: shiftDateTime(series.start, first, key),
+        end: series.end ? shiftDateTime(series.end, first, key) : "",
+        ...exception?.changes,
+        occurrence: key,
+        ...(exception?.deleted ? { cancelled: true } : {}),
+    };
+}
+
+/**
+ * Finds one occurrence of a series.
+ *
+ * @param {Object} series - The series.
+ * @param {string} key - The occurrence's date key.
+ * @returns {Object|null} The occurrence (see `buildOccurrence`), or `null` if the rule has
+ *   no occurrence on that date.
+ */
+export function getOccurrence(series, key) {
+    if (!series.recurrence || !occurrenceDates(series, key).includes(key)) {
+        return null;
+    }
+    return buildOccurrence(series, key);
+}
+
+/**
+ * Drops the exceptions of a series that no longer match an occurrence, for example after
+ * its rule or first date changed. An event that no longer repeats loses them all.
+ *
+ * @param {Object} event - The event.
+ * @returns {Object} The event, or a copy with only the exceptions that still apply.
+ */
+export function pruneExceptions(event) {
+    const keys = Object.keys(event.exceptions ?? {}).sort();
+    if (keys.length === 0) {
+        return event;
+    }
+    if (!event.recurrence) {
+        const { exceptions: _exceptions, ...rest } = event;
+        return rest;
+    }
+    const dates = new Set(occurrenceDates(event, keys.at(-1)));
+    const kept = keys.filter((key) => dates.has(key));
+    if (kept.length === keys.length) {
+        return event;
+    }
+    return { ...event, exceptions: Object.fromEntries(kept.map((key) => [key, event.exceptions[key]])) };
+}
+
+/**
+ * Replaces every recurring event in a list with its occurrences. Other events are kept
+ * as they are. Cancelled occurrences are left out.
+ *
+ * @param {Array<Object>} events - The events.
+ * @param {Object} range
+ * @param {string} [range.from] - Only occurrences starting on or after this date key, in the
+ *   viewer's time zone.
+ * @param {string} range.to - Only occurrences starting on or before this date key (in the
+ *   series' zone). Series without an end date are followed up to here.
+ * @returns {Array<Object>} The events and occurrences, each series' occurrences in the
+ *   place of the series.
+ */
+export function expandEvents(events, { from, to }) {
+    return events.flatMap((event) => {
+        if (!event.recurrence || !event.start) {
+            return [event];
+        }
+        return occurrenceDates(event, to)
+            .map((key) => buildOccurrence(event, key))
+            .filter((occurrence) => !occurrence.cancelled && (!from || dateTimeIn(occurrence).slice(0, 10) >= from));
+    });
+}
+
+/**
+ * Returns a key that is unique for every event and occurrence, for React's `key` prop.
+ *
+ * @param {Object} item - An event or an occurrence.
+ * @returns {string} E.g. "4" or "4:2025-10-13".
+ */
+export function occurrenceKey(item) {
+    return item.occurrence ? `${item.id}:${item.occurrence}` : String(item.id);
+}
+
+/**
+ * Returns the address of an event's (or occurrence's) detail page.
+ *
+ * @param {Object} item - An event or an occurrence.
+ * @param {string} [suffix=""] - Added to the path, e.g. "/edit".
+ * @returns {string} E.g. "/events/4" or "/events/4/edit?occurrence=2025-10-13".
+ */
+export function occurrenceUrl(item, suffix = "") {
+    const query = item.occurrence ? `?${new URLSearchParams({ occurrence: item.occurrence })}` : "";
+    return `/events/${item.id}${suffix}${query}`;
+}
+
+/**
+ * Describes a recurrence rule in words, e.g. "Every 2 weeks on Mon, Wed, until 31 Dec 2025".
+ *
+ * @param {Object|null} rule - The recurrence rule.
+ * @param {Object} [i18n] - The translator for the language to describe it in (see
+ *   `useI18n`). Defaults to English.
+ * @returns {string} The description, or "" if there is no rule.
+ */
+export function describeRecurrence(rule, i18n = createI18n(DEFAULT_LOCALE)) {
+    if (!rule) {
+        return "";
+    }
+    const { t, formatDate, formatLocale } = i18n;
+    const interval = { count: rule.interval ?? 1 };
+    let every = Object.hasOwn(FREQUENCIES, rule.frequency)
+        ? t(`recurrence.${rule.frequency}`, interval)
+        : t("recurrence.other", interval);
+    if (rule.frequency === "weekly" && rule.weekdays?.length) {
+        // List the days from Monday to Sunday.
+        const days = [...rule.weekdays]
+            .sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7))
+            .map((day) => weekdayName(day, i18n));
+        const list = new Intl.ListFormat(formatLocale, { style: "short", type: "unit" }).format(days);
+        every = t("recurrence.onDays", { every, days: list });
+    }
+    const parts = [every];
+    if (rule.until) {
+        const until = parseDateKey(rule.until);
+        parts.push(t("recurrence.until", { date: until ? formatDate(until, { dateStyle: "medium" }) : rule.until }));
+    }
+    if (rule.count) {
+        parts.push(t("recurrence.count", { count: rule.count }));
+    }
+    return parts.join(t("common.separator"));
+}
@@ -0,0 +1,272 @@
+/**
+ * Event Search
+ *
+ * Helpers for searching events across all of their text fields with typo-tolerant
+ * ("fuzzy") matching, and for filtering them by category, tags and date range.
+ *
+ * How matching works:
+ * - The search term is split into words. Every word has to match somewhere in the event
+ *   (in any field), so "jazz hall" finds a jazz night held in the town hall.
+ * - A word matches if it appears inside a field ("arm" matches "Harmony"), or if it is
+ *   within a small number of typos of a whole word in the field ("hary" matches "Harry").
+ * - For every match, the character ranges are returned so they can be highlighted.
+ *
+ * Key Concepts:
+ * 1. **Edit Distance**: The number of single-character insertions, deletions,
+ *    substitutions or swaps needed to turn one word into another. "hary" → "harry" is 1.
+ *    @see {@link https://en.wikipedia.org/wiki/Damerau%E2%80%93Levenshtein_distance}
+ * 2. **Pure Functions**: Nothing here touches React or the DOM, so the same helpers can be
+ *    used by any page (and tested on their own).
+ */
+
+import { formatEventDates } from "../models/event";
+import { hasTag } from "../models/tag";
+import { dateTimeIn } from "./time-zone";
+
+/**
+ * Calculates the optimal string alignment distance (edit distance allowing swaps of
+ * neighbouring letters) between two strings.
+ *
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {number} The number of edits needed.
+ */
+export function editDistance(a, b) {
+    // `d[i][j]` is the distance between the first `i` letters of `a` and the first `j` of `b`.
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) {
+        d[0][j] = j;
+    }
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(
+                d[i - 1][j] + 1,        // Deletion.
+                d[i][j - 1] + 1,        // Insertion.
+                d[i - 1][j - 1] + cost, // Substitution.
+            );
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1); // Swap.
+            }
+        }
+    }
+    return d[a.length][b.length];
+}
+
+/**
+ * How many typos are allowed in a search word of the given length.
+ * Short words must match exactly, otherwise almost everything would match them.
+ *
+ * @param {number} length - The length of the search word.
+ * @returns {number} The maximum edit distance.
+ */
+function allowedTypos(length) {
+    if (length < 4) return 0;
+    if (length < 8) return 1;
+    return 2;
+}
+
+/**
+ * Finds where a single search word matches in a piece of text.
+ *
+ * @param {string} text - The text to search.
+ * @param {string} word - The lower-case search word.
+ * @returns {Array<[number, number]>|null} `[start, end]` character ranges, or `null` if
+ *   the word does not match.
+ */
+function matchWord(text, word) {
+    const lower = text.toLowerCase();
+
+    // 1. Exact substring matches: highlight every occurrence.
+    const ranges = [];
+    let index = lower.indexOf(word);
+    while (index !== -1) {
+        ranges.push([index, index + word.length]);
+        index = lower.indexOf(word, index + word.length);
+    }
+    if (ranges.length > 0) {
+        return ranges;
+    }
+
+    // 2. Fuzzy matches: compare with each whole word of the text.
+    const typos = allowedTypos(word.length);
+    if (typos === 0) {
+        return null;
+    }
+    for (const found of lower.matchAll(/[\p{L}\p{N}]+/gu)) {
+        // Words of very different length can't be within `typos` edits; skip them quickly.
+        if (Math.abs(found[0].length - word.length) <= typos && editDistance(found[0], word) <= typos) {
+            ranges.push([found.index, found.index + found[0].length]);
+        }
+    }
+    return ranges.length > 0 ? ranges : null;
+}
+
+/**
+ * Sorts ranges and joins any that overlap, so highlighting never nests.
+ *
+ * @param {Array<[number, number]>} ranges - The ranges to merge.
+ * @returns {Array<[number, number]>} Sorted, non-overlapping ranges.
+ */
+function mergeRanges(ranges) {
+    const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    for (const range of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            merged.push([...range]);
+        }
+    }
+    return merged;
+}
+
+/**
+ * Returns the searchable text of every field of an event. `when` is not stored on the
+ * event; it is the formatted date range. Pages label the fields with the `fields.*` messages.
+ *
+ * @param {Object} event - The event.
+ * @param {string|Array<string>} [locale=[]] - The language the dates are shown in, so a
+ *   search matches (and highlights) the dates as the user sees them.
+ * @returns {Object<string, string>} Field name → text.
+ */
+export function searchableText(event, locale = []) {
+    return {
+        name: event.name ?? "",
+        ancestry: event.ancestry ?? "",
+        description: event.description ?? "",
+        venue: event.venue ?? "",
+        organiser: event.organiser ?? "",
+        tags: (event.tags ?? []).join(", "),
+        when: formatEventDates(event, locale),
+    };
+}
+
+// The matches of an empty term: nothing to highlight. One shared object, so a list row
+// given it keeps the same props while the term stays empty.
+const NO_MATCHES = Object.freeze({});
+
+/**
+ * Matches an event against a search term.
+ *
+ * @param {Object} event - The event to check.
+ * @param {string} term - What the user typed.
+ * @param {string|Array<string>} [locale=[]] - The language the dates are shown in.
+ * @returns {Object<string, Array<[number, number]>>|null} For each field that matched, the
+ *   ranges to highlight; or `null` if the event does not match. An empty term matches
+ *   every event with no highlights, without formatting its dates.
+ */
+export function matchEvent(event, term, locale = []) {
+    const words = term.toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) {
+        return NO_MATCHES;
+    }
+    const texts = searchableText(event, locale);
+    const matches = {};
+
+    for (const word of words) {
+        let matched = false;
+        for (const [field, text] of Object.entries(texts)) {
+            const ranges = matchWord(text, word);
+            if (ranges) {
+                matched = true;
+                matches[field] = mergeRanges([...(matches[field] ?? []), ...ranges]);
+            }
+        }
+        // Every word has to match somewhere.
+        if (!matched) {
+            return null;
+        }
+    }
+    return matches;
+}
+
+/**
+ * Cuts a long text down to the part around its first highlighted range, so a match deep
+ * inside a description can be shown in a single line.
+ *
+ * @param {string} text - The full text.
+ * @param {Array<[number, number]>} ranges - The highlighted ranges in `text`.
+ * @param {number} [radius=40] - How many characters to keep on each side of the match.
+ * @returns {{text: string, ranges: Array<[number, number]>}} The shortened text, with "…"
+ *   where it was cut, and the ranges moved to match it.
+ */
+export function snippet(text, ranges, radius = 40) {
+    if (ranges.length === 0 || text.length <= radius * 2) {
+        return { text, ranges };
+    }
+    const start = Math.max(0, ranges[0][0] - radius);
+    const end = Math.min(text.length, ranges[0][1] + radius);
+    const prefix = start > 0 ? "…" : "";
+    const suffix = end < text.length ? "…" : "";
+    // Keep the ranges that fit in the snippet, shifted by what was cut off the front.
+    const shift = prefix.length - start;
+    return {
+        text: prefix + text.slice(start, end) + suffix,
+        ranges: ranges
+            .filter(([from, to]) => from >= start && to <= end)
+            .map(([from, to]) => [from + shift, to + shift]),
+    };
+}
+
+/**
+ * Checks whether an event passes the category, tag and date filters.
+ *
+ * @param {Object} event - The event to check.
+ * @param {Object} filters
+ * @param {string} [filters.ancestry] - Only events with this ancestry/category.
+ * @param {Array<string>} [filters.tags] - Only events with every one of these tags.
+ * @param {string} [filters.from] - Only events starting on or after this date ("YYYY-MM-DD"),
+ *   in the viewer's time zone.
+ * @param {string} [filters.to] - Only events starting on or before this date ("YYYY-MM-DD").
+ * @returns {boolean} `true` if the event passes every filter that is set.
+ */
+export function passesFilters(event, { ancestry, tags = [], from, to }) {
+    if (ancestry && event.ancestry !== ancestry) {
+        return false;
+    }
+    if (!tags.every((tag) => hasTag(event, tag))) {
+        return false;
+    }
+    if (from || to) {
+        // Events without a start date can't be placed in a date range.
+        if (!event.start) {
+            return false;
+        }
+        // The start in the viewer's zone is "YYYY-MM-DDTHH:mm"; its first 10 characters are
+        // the date, and dates in this format compare correctly as plain strings.
+        const day = dateTimeIn(event).slice(0, 10);
+        if (from && day < from) return false;
+        if (to && day > to) return false;
+    }
+    return true;
+}
+
+/**
+ * Searches and filters a list of events.
+ *
+ * @param {Array<Object>} events - The events to search.
+ * @param {Object} query
+ * @param {string} [query.term] - The search term.
+ * @param {string|Array<string>} [query.locale] - The language the dates are shown in.
+ * @param {string} [query.ancestry] - See `passesFilters`.
+ * @param {Array<string>} [query.tags] - See `passesFilters`.
+ * @param {string} [query.from] - See `passesFilters`.
+ * @param {string} [query.to] - See `passesFilters`.
+ * @returns {Array<{event: Object, matches: Object}>} The matching events, in their
+ *   original order, each with the ranges to highlight.
+ */
+export function searchEvents(events, { term = "", locale = [], ...filters }) {
+    const results = [];
+    for (const event of events) {
+        if (!passesFilters(event, filters)) {
+            continue;
+        }
+        const matches = matchEvent(event, term, locale);
+        if (matches) {
+            results.push({ event, matches });
+        }
+    }
+    return results;
+}
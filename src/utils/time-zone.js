@@ -0,0 +1,296 @@
+/**
+ * Time Zones
+ *
+ * An event's `start` and `end` are wall-clock times ("2025-10-12T18:00") in the event's own
+ * `timeZone`, an IANA name such as "Europe/Paris". The helpers here turn those into instants
+ * (a moment in time, as milliseconds since 1970 UTC), and instants back into wall-clock times
+ * in another zone, e.g. the viewer's:
+ *
+ *     toInstant("2025-10-12T18:00", "Europe/Paris");       // 1760284800000 (16:00 UTC)
+ *     toDateTime(1760284800000, "America/New_York");      // "2025-10-12T12:00"
+ *
+ * Events saved before time zones existed have a `timeZone` of "". Their times are "floating":
+ * they are read in the viewer's zone, as they always were.
+ *
+ * Key Concepts:
+ * 1. **IANA Time Zones**: A zone name stands for a place's whole history of UTC offsets and
+ *    daylight saving time (DST) rules, so "Europe/Paris" is UTC+1 in winter and UTC+2 in
+ *    summer. A fixed offset such as "+02:00" would be wrong for half the year.
+ *    @see {@link https://en.wikipedia.org/wiki/Tz_database}
+ * 2. **`Intl.DateTimeFormat` with `timeZone`**: JavaScript's `Date` only knows UTC and the
+ *    browser's own zone. Formatting an instant with `timeZone` gives its wall-clock time in
+ *    any zone, which is how offsets are found.
+ *    @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Intl/DateTimeFormat/DateTimeFormat#timezone}
+ * 3. **DST Gaps and Overlaps**: When clocks go forward, some wall-clock times never happen
+ *    (02:30 on the last Sunday of March in Paris); they are moved forward by the length of
+ *    the gap, as calendar apps do. When clocks go back, some happen twice; the first is used.
+ * 4. **Comparing Instants**: Two wall-clock times can only be compared as text when they are
+ *    in the same zone. Sorting and validation compare instants instead.
+ */
+
+// One formatter per zone, since creating them is slow and events share a few zones.
+const formatters = new Map();
+
+/**
+ * Gets a formatter that gives the wall-clock time of an instant in a zone.
+ * @param {string} timeZone - An IANA zone name.
+ * @returns {Intl.DateTimeFormat} The formatter. Throws a `RangeError` for an unknown zone.
+ */
+function formatterFor(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+            timeZone,
+            hourCycle: "h23",
+            year: "numeric",
+            month: "2-digit",
+            day: "2-digit",
+            hour: "2-digit",
+            minute: "2-digit",
+            second: "2-digit",
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+// The browser's zone, looked up once: it is slow to find, and is needed for every date shown.
+let browserZone;
+
+/**
+ * Gets the zone the browser (and so the viewer) is in.
+ * @returns {string} E.g. "Africa/Johannesburg".
+ */
+export function browserTimeZone() {
+    browserZone ??= Intl.DateTimeFormat().resolvedOptions().timeZone;
+    return browserZone;
+}
+
+/**
+ * Lists every zone the browser knows, for the zone picker. Browsers without
+ * `Intl.supportedValuesOf` only offer their own zone and UTC.
+ * @returns {Array<string>} The zone names, sorted.
+ */
+export function listTimeZones() {
+    const zones = typeof Intl.supportedValuesOf === "function"
+        ? Intl.supportedValuesOf("timeZone")
+        : [browserTimeZone(), "UTC"];
+    return [...new Set(zones)].sort();
+}
+
+/**
+ * Checks whether a value is a zone the browser knows.
+ * @param {*} value - E.g. "Europe/Paris".
+ * @returns {boolean} `true` if dates can be shown in that zone.
+ */
+export function isTimeZone(value) {
+    if (typeof value !== "string" || value === "") {
+        return false;
+    }
+    try {
+        formatterFor(value);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Pads a number to two digits, e.g. 7 → "07".
+ */
+function pad(number) {
+    return String(number).padStart(2, "0");
+}
+
+/**
+ * Gets the wall-clock date and time of an instant in a zone, to the second.
+ * @param {number} instant - Milliseconds since 1970 UTC.
+ * @param {string} timeZone - An IANA zone name.
+ * @returns {Object<string, number>} `{year, month, day, hour, minute, second}`.
+ */
+function wallClock(instant, timeZone) {
+    const parts = {};
+    for (const { type, value } of formatterFor(timeZone).formatToParts(instant)) {
+        if (type !== "literal") {
+            parts[type] = Number(value);
+        }
+    }
+    return parts;
+}
+
+// The offsets found so far, by zone and quarter of an hour (see `offsetAt`).
+const offsets = new Map();
+
+// Zones only change their offset on the hour, half hour or quarter hour.
+const QUARTER_HOUR = 15 * 60 * 1000;
+
+/**
+ * Gets how far ahead of UTC a zone is at an instant. Looking it up is slow and every date
+ * shown needs it, so it is remembered for the quarter of an hour the instant is in.
+ * @param {number} instant - Milliseconds since 1970 UTC.
+ * @param {string} timeZone - An IANA zone name.
+ * @returns {number} The offset in milliseconds, e.g. 7200000 for UTC+2.
+ */
+export function offsetAt(instant, timeZone) {
+    const quarter = Math.floor(instant / QUARTER_HOUR) * QUARTER_HOUR;
+    const key = `${timeZone} ${quarter}`;
+    if (!offsets.has(key)) {
+        const { year, month, day, hour, minute, second } = wallClock(quarter, timeZone);
+        offsets.set(key, Date.UTC(year, month - 1, day, hour, minute, second) - quarter);
+    }
+    return offsets.get(key);
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Finds every time a zone's offset changed (clocks going forward or back) in some years.
+ * Each day is checked, since zones change at most once a day; a day with a change is then
+ * narrowed down to the quarter of an hour it happened in.
+ *
+ *     offsetChanges("Europe/Paris", 2025, 2025);
+ *     // [{instant: 1743296400000, from: 3600000, to: 7200000},   (30 March, 01:00 UTC)
+ *     //  {instant: 1761440400000, from: 7200000, to: 3600000}]   (26 October, 01:00 UTC)
+ *
+ * @param {string} timeZone - An IANA zone name.
+ * @param {number} firstYear - The first year to look in, e.g. 2025.
+ * @param {number} lastYear - The last year to look in.
+ * @returns {Array<{instant: number, from: number, to: number}>} The changes, in order: when
+ *   each happened, and the offsets (in milliseconds) before and after.
+ */
+export function offsetChanges(timeZone, firstYear, lastYear) {
+    const changes = [];
+    const end = Date.UTC(lastYear + 1, 0, 1);
+    for (let day = Date.UTC(firstYear, 0, 1); day < end; day += DAY) {
+        const from = offsetAt(day, timeZone);
+        const to = offsetAt(day + DAY, timeZone);
+        if (from === to) {
+            continue;
+        }
+        let before = day;
+        let after = day + DAY;
+        while (after - before > QUARTER_HOUR) {
+            const middle = before + Math.floor((after - before) / 2 / QUARTER_HOUR) * QUARTER_HOUR;
+            if (offsetAt(middle, timeZone) === from) {
+                before = middle;
+            } else {
+                after = middle;
+            }
+        }
+        changes.push({ instant: after, from, to });
+    }
+    return changes;
+}
+
+/**
+ * Turns a wall-clock time in a zone into an instant.
+ *
+ * @param {string} dateTime - A local date-time string, e.g. "2025-10-12T18:00".
+ * @param {string} [timeZone=""] - The zone it is in, or "" for the viewer's. An unknown
+ *   zone is treated like "" (validation reports it; see `validateEvent`).
+ * @returns {number} Milliseconds since 1970 UTC, or `NaN` if `dateTime` is not a date.
+ */
+export function toInstant(dateTime, timeZone = "") {
+    const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/.exec(dateTime ?? "");
+    if (!match || !isTimeZone(timeZone)) {
+        return new Date(dateTime).getTime();
+    }
+    const [, year, month, day, hour, minute, second = 0] = match.map((part) => part && Number(part));
+    const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+    // The offset can only be one of the offsets a day either side, since zones change at
+    // most once a day. The earliest that gives back the same wall-clock time wins (overlap).
+    const before = wall - offsetAt(wall - DAY, timeZone);
+    const after = wall - offsetAt(wall + DAY, timeZone);
+    if (before === after) {
+        // No change of offset nearby, which is nearly always the case.
+        return before;
+    }
+    const valid = [before, after].filter((instant) => wall - offsetAt(instant, timeZone) === instant);
+    // Neither does in a gap: use the offset from before it, which moves the time forward.
+    return valid.length > 0 ? Math.min(...valid) : before;
+}
+
+/**
+ * Turns an instant into a wall-clock time in a zone.
+ *
+ * @param {number|Date} instant - The instant.
+ * @param {string} [timeZone=""] - The zone, or "" for the viewer's.
+ * @returns {string} E.g. "2025-10-12T18:00".
+ */
+export function toDateTime(instant, timeZone = "") {
+    // Shifted by the offset, the UTC date and time are the wall-clock ones.
+    const wall = new Date(Number(instant) + offsetAt(Number(instant), timeZone || browserTimeZone()));
+    return `${wall.getUTCFullYear()}-${pad(wall.getUTCMonth() + 1)}-${pad(wall.getUTCDate())}T${pad(wall.getUTCHours())}:${pad(wall.getUTCMinutes())}`;
+}
+
+// Formatters for `formatInstant`, by language, zone and options.
+const displayFormatters = new Map();
+
+/**
+ * Formats an instant for display in a zone, like `Date.prototype.toLocaleString` but with
+ * the formatter kept for the next call, which makes a long list of dates much faster.
+ *
+ * @param {number} instant - Milliseconds since 1970 UTC.
+ * @param {string} timeZone - The zone, or "" for the viewer's.
+ * @param {string|Array<string>} locale - The language, e.g. "en-GB", or `[]` for the browser's.
+ * @param {Intl.DateTimeFormatOptions} options - What to show, e.g. `{timeStyle: "short"}`.
+ * @returns {string} E.g. "18:00", or "Invalid Date" if `instant` is `NaN`.
+ */
+export function formatInstant(instant, timeZone, locale, options) {
+    const key = JSON.stringify([locale, timeZone, options]);
+    if (!displayFormatters.has(key)) {
+        displayFormatters.set(key, new Intl.DateTimeFormat(locale, { ...options, timeZone: timeZone || undefined }));
+    }
+    return Number.isNaN(instant) ? "Invalid Date" : displayFormatters.get(key).format(instant);
+}
+
+/**
+ * Gets the instant an event (or occurrence) starts or ends.
+ *
+ * @param {Object} event - The event.
+ * @param {"start"|"end"} [field="start"] - Which one.
+ * @returns {number|null} Milliseconds since 1970 UTC, or `null` if it has none.
+ */
+export function eventInstant(event, field = "start") {
+    if (!event[field]) {
+        return null;
+    }
+    const instant = toInstant(event[field], event.timeZone);
+    return Number.isNaN(instant) ? null : instant;
+}
+
+/**
+ * Gets when an event starts or ends as a wall-clock time in another zone.
+ *
+ * @param {Object} event - The event.
+ * @param {"start"|"end"} [field="start"] - Which one.
+ * @param {string} [timeZone=browserTimeZone()] - The zone, by default the viewer's.
+ * @returns {string} E.g. "2025-10-12T12:00", or "" if it has none.
+ */
+export function dateTimeIn(event, field = "start", timeZone = browserTimeZone()) {
+    // Floating times, and times already in that zone, need no conversion.
+    if (!event[field] || !isTimeZone(event.timeZone) || event.timeZone === timeZone) {
+        return event[field] || "";
+    }
+    const instant = eventInstant(event, field);
+    return instant === null ? event[field] : toDateTime(instant, timeZone);
+}
+
+/**
+ * Expresses an event (or occurrence) in another zone: the same moments, with `start`,
+ * `end` and `timeZone` changed. Used where events are placed by their wall-clock time, such
+ * as the calendar, which shows everything in the viewer's zone.
+ *
+ * @param {Object} event - The event.
+ * @param {string} [timeZone=browserTimeZone()] - The zone, by default the viewer's.
+ * @returns {Object} The event itself if nothing changes, otherwise a copy.
+ */
+export function inTimeZone(event, timeZone = browserTimeZone()) {
+    if (!isTimeZone(event.timeZone) || event.timeZone === timeZone) {
+        return event;
+    }
+    return {
+        ...event,
+        start: dateTimeIn(event, "start", timeZone),
+        end: dateTimeIn(event, "end", timeZone),
+        timeZone,
+    };
+}